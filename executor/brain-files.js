@@ -0,0 +1,45 @@
+/**
+ * Brain Files
+ * Reads AI Brain artifacts (prompts, schemas, rules) and reports failures with their error codes:
+ * PCF-SYS-001 when the file is missing, PCF-SYS-002 when it cannot be parsed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createError } = require('./errors');
+
+/**
+ * @param {string} brainPath - ai-brain directory
+ * @param {string} relPath - File inside the brain, e.g. 'schemas/global-intent.schema.json'
+ * @returns {string} File content
+ */
+function readBrainText(brainPath, relPath) {
+    const filePath = path.resolve(brainPath, relPath);
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw createError('PCF-SYS-001', `Brain file not readable: ${filePath} (${error.code || error.message})`, {
+            details: { brainPath, file: relPath },
+            cause: error
+        });
+    }
+}
+
+/**
+ * @param {string} brainPath
+ * @param {string} relPath
+ * @returns {*} Parsed JSON
+ */
+function readBrainJson(brainPath, relPath) {
+    const content = readBrainText(brainPath, relPath);
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw createError('PCF-SYS-002', `Brain file is not valid JSON: ${relPath} (${error.message})`, {
+            details: { brainPath, file: relPath },
+            cause: error
+        });
+    }
+}
+
+module.exports = { readBrainText, readBrainJson };
@@ -6,19 +6,45 @@
  * NO AI - Pure execution.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { createBuildReport } = require('./build-report');
+const { createCommandRunner } = require('./command-runner');
+const { recordBuild, reserveBuildVersion } = require('./component-versions');
+const { CONTROL_TYPES } = require('./control-modes');
+const { installDependencies } = require('./dependency-cache');
+const { createError, toExecutorError } = require('./errors');
+const { MANIFEST_FILE, recordArtifact, recordBuildOutputs, unchangedGeneratedFiles } = require('./generation-manifest');
+const { assertNamespace, assertConstructorName } = require('./pcf-naming');
+const { generatePreview } = require('./preview-executor');
+const { PACKAGERS, packageSolution, publisherPrefix, resolvePackager } = require('./solution-packager');
+
+const BUILD_STAGE = 'build';
+// Generated sources the build rewrites in place: prepareNodeProject / the PAC merge (package.json), version stamp (manifest)
+const BUILD_REWRITTEN_FILES = Object.freeze(['package.json', 'ControlManifest.Input.xml']);
 
 /**
- * Executes a shell command in the specified directory.
+ * Prepares workingDir for a build without PAC: pcf-scripts only needs its build script and pcfconfig.json.
+ * @param {string} workingDir
  */
-function runCommand(command, cwd) {
-    console.log(`> ${command}`);
-    try {
-        execSync(command, { cwd, stdio: 'inherit', encoding: 'utf8' });
-    } catch (error) {
-        throw new Error(`Command failed: ${command}`);
+function prepareNodeProject(workingDir) {
+    const packagePath = path.join(workingDir, 'package.json');
+    const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    // No MSBuild here: a script left over from a PAC build would wait for Directory.Build.props
+    packageJson.scripts = {
+        ...packageJson.scripts,
+        build: 'pcf-scripts build',
+        clean: 'pcf-scripts clean',
+        rebuild: 'pcf-scripts rebuild'
+    };
+    fs.writeFileSync(packagePath, JSON.stringify(packageJson, null, 2));
+    console.log('✓ package.json scripts use pcf-scripts directly');
+
+    const configPath = path.join(workingDir, 'pcfconfig.json');
+    if (!fs.existsSync(configPath)) {
+        fs.writeFileSync(configPath, JSON.stringify({ outDir: './out/controls' }, null, 2));
+        console.log('✓ Created pcfconfig.json (outDir ./out/controls)');
     }
 }
 
@@ -26,29 +52,44 @@ function runCommand(command, cwd) {
  * Main build function.
  * @param {string} workingDir - Directory containing generated files
  * @param {string} componentName - Name for artifact naming
+ * @param {object} [options]
+ * @param {function} [options.onOutput] - Receives (stream, line, command) for every line of command output
+ * @param {'pac'|'node'} [options.packager] - Solution packaging backend (default EXECUTOR_SOLUTION_PACKAGER, else 'pac');
+ *   'node' needs neither PAC CLI nor the .NET SDK (see solution-packager.js)
+ * @param {boolean} [options.managed] - Also produce the managed solution
+ * @returns {Promise<{ zipPath: string, solutionZip: string, managedZip: string|null, packager: string, version: object, report: string, commands: object[], dependencies: object }>}
+ *   Artifact locations, command records, the stamped versions (see component-versions.js),
+ *   the build report path (see build-report.js) and the dependency cache outcome (see dependency-cache.js)
+ * @throws {ExecutorError} With `commands` (records of every command run) and `report` (build report path) attached
  */
-/**
- * Main build function.
- * @param {string} workingDir - Directory containing generated files
- * @param {string} componentName - Name for artifact naming
- */
-function buildPcf(workingDir, componentName) {
+async function buildPcf(workingDir, componentName, options = {}) {
+    const runner = createCommandRunner({ onOutput: options.onOutput });
+    const packager = resolvePackager(options.packager);
+    const managed = options.managed === true;
     console.log('=== PCF Build Executor (Solution Aware) ===\n');
     console.log(`Directory: ${workingDir}`);
-    console.log(`Component: ${componentName}\n`);
+    console.log(`Component: ${componentName}`);
+    console.log(`Packager: ${packager}${managed ? ' (unmanaged + managed)' : ''}\n`);
 
     if (!fs.existsSync(workingDir)) {
-        throw new Error(`Working directory not found: ${workingDir}`);
+        throw createError('PCF-SYS-008', `Working directory not found: ${workingDir}`, { stage: BUILD_STAGE, details: { workingDir } });
     }
 
+    const report = createBuildReport(runner, { workingDir, componentName, packager });
     try {
         // STEP 0: Metadata Extraction
+        console.log('STEP 0: Extracting manifest metadata...');
+        report.begin('metadata');
         // We need Namespace and Name to generate the .pcfproj correctly using 'pac pcf init'
         const manifestPath = path.join(workingDir, 'ControlManifest.Input.xml');
         if (!fs.existsSync(manifestPath)) {
-            throw new Error(`ControlManifest.Input.xml not found at ${manifestPath}`);
+            throw createError('PCF-PKG-001', `ControlManifest.Input.xml not found at ${manifestPath}`, { stage: BUILD_STAGE });
         }
         
+        // Generated files this build rewrites (package.json merge, manifest version stamp); recorded afterwards
+        // as build outputs so verifying the working directory does not report them as hand edits
+        const generatedBefore = unchangedGeneratedFiles(workingDir, BUILD_REWRITTEN_FILES);
+
         const manifestContent = fs.readFileSync(manifestPath, 'utf8');
         // Simple regex to extract namespace and constructor
         const nsMatch = manifestContent.match(/namespace="([^"]+)"/);
@@ -56,126 +97,168 @@ function buildPcf(workingDir, componentName) {
         
         const namespace = nsMatch ? nsMatch[1] : 'AppWeaver';
         const controlName = nameMatch ? nameMatch[1] : componentName;
+        // A <data-set> makes it a dataset control; pac scaffolds those from a different template
+        const pcfTemplate = /<data-set\b/.test(manifestContent) ? 'dataset' : 'field';
+        // Virtual controls render with the platform's React: scaffold and build them with the React framework
+        const controlTypeMatch = manifestContent.match(/control-type="([^"]+)"/);
+        const isVirtual = controlTypeMatch !== null && controlTypeMatch[1] === CONTROL_TYPES.VIRTUAL;
 
         console.log(`Detected Namespace: ${namespace}`);
         console.log(`Detected Control: ${controlName}`);
-
-        // STEP 1: Generate .pcfproj (Native in workingDir)
-        console.log('\nSTEP 1: Generating .pcfproj...');
+        console.log(`Detected Template: ${pcfTemplate}${isVirtual ? ' (virtual, React framework)' : ''}`);
+
+        // The manifest is AI-generated: validate identifiers before any of them reaches a command line.
+        assertNamespace(namespace);
+        assertConstructorName(controlName);
+        assertConstructorName(componentName);
+        console.log('✓ Identifiers satisfy PCF naming rules');
+
+        // Solution version = manifest version + build number, so each rebuild imports as an upgrade.
+        // The number is reserved now, so builds running side by side never stamp the same version.
+        const versionMatch = manifestContent.match(/<control\b[^>]*\sversion="([^"]*)"/);
+        const versioning = reserveBuildVersion(namespace, controlName, versionMatch ? versionMatch[1] : null);
+        if (!versionMatch || versionMatch[1] !== versioning.version) {
+            fs.writeFileSync(manifestPath, versionMatch
+                ? manifestContent.replace(/(<control\b[^>]*\sversion=")[^"]*"/, `$1${versioning.version}"`)
+                : manifestContent.replace(/<control\b/, `<control version="${versioning.version}"`));
+            console.log(`! Manifest version ${versionMatch ? versionMatch[1] : '(missing)'} stamped as ${versioning.version}`);
+        }
+        console.log(`✓ Version: ${versioning.version}, solution ${versioning.solutionVersion}` +
+            (versioning.tracked ? ` (build ${versioning.buildNumber} of this version)` : ' (history disabled)'));
+        report.set({ component: versioning.component, version: versioning });
+
+        if (packager === PACKAGERS.NODE) {
+            // STEP 1: No .pcfproj needed; the Node packager works from the pcf-scripts output
+            console.log('\nSTEP 1: Preparing project (Node packager, no PAC)...');
+            report.begin('init');
+            prepareNodeProject(workingDir);
+        } else {
+            // STEP 1: Generate .pcfproj (Native in workingDir)
+            console.log('\nSTEP 1: Generating .pcfproj...');
+            report.begin('init');
         
-        // We move existing files to a backup, run init, then restore.
-        // This ensures 'pac pcf init' succeeds (needs empty dir) and creates a native .pcfproj.
-        const backupDir = path.join(workingDir, '_backup_files');
-        if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir);
+            // We move existing files to a backup, run init, then restore.
+            // This ensures 'pac pcf init' succeeds (needs empty dir) and creates a native .pcfproj.
+            const backupDir = path.join(workingDir, '_backup_files');
+            if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir);
         
-        const filesToBackup = fs.readdirSync(workingDir).filter(f => f !== '_backup_files' && f !== 'node_modules');
-        for (const file of filesToBackup) {
-            fs.renameSync(path.join(workingDir, file), path.join(backupDir, file));
-        }
+            const filesToBackup = fs.readdirSync(workingDir).filter(f => f !== '_backup_files' && f !== 'node_modules');
+            for (const file of filesToBackup) {
+                fs.renameSync(path.join(workingDir, file), path.join(backupDir, file));
+            }
         
-        try {
-            // Run init in the now "empty" (except node_modules) workingDir
-            runCommand(`pac pcf init --namespace ${namespace} --name ${controlName} --template field`, workingDir);
+            try {
+                // Run init in the now "empty" (except node_modules) workingDir
+                const initArgs = ['pcf', 'init', '--namespace', namespace, '--name', controlName, '--template', pcfTemplate];
+                if (isVirtual) initArgs.push('--framework', 'react');
+                await runner.run('pac', initArgs, workingDir);
             
-            // Native init created a .pcfproj named after the directory (usually).
-            // We want it to be named after the control for clarity and consistency.
-            const allProjFiles = fs.readdirSync(workingDir).filter(f => f.endsWith('.pcfproj'));
-            const targetProject = `${controlName}.pcfproj`;
+                // Native init created a .pcfproj named after the directory (usually).
+                // We want it to be named after the control for clarity and consistency.
+                const allProjFiles = fs.readdirSync(workingDir).filter(f => f.endsWith('.pcfproj'));
+                const targetProject = `${controlName}.pcfproj`;
             
-            // Assume the one file created is the one we want to rename, unless it's already correct
-            if (allProjFiles.length > 0) {
-                const generatedProj = allProjFiles[0];
-                if (generatedProj !== targetProject) {
-                    fs.renameSync(path.join(workingDir, generatedProj), path.join(workingDir, targetProject));
-                    console.log(`✓ Renamed project file: ${generatedProj} -> ${targetProject}`);
+                // Assume the one file created is the one we want to rename, unless it's already correct
+                if (allProjFiles.length > 0) {
+                    const generatedProj = allProjFiles[0];
+                    if (generatedProj !== targetProject) {
+                        fs.renameSync(path.join(workingDir, generatedProj), path.join(workingDir, targetProject));
+                        console.log(`✓ Renamed project file: ${generatedProj} -> ${targetProject}`);
+                    } else {
+                        console.log(`✓ Project file name is already correct: ${targetProject}`);
+                    }
                 } else {
-                    console.log(`✓ Project file name is already correct: ${targetProject}`);
+                    console.error('❌ No .pcfproj file found after init!');
                 }
-            } else {
-                console.error('❌ No .pcfproj file found after init!');
-            }
 
-            // REMOVE default 'strings' folder created by pac init
-            const stringsDir = path.join(workingDir, 'strings');
-            if (fs.existsSync(stringsDir)) {
-                 console.log('- Removing default strings directory to prevent build errors');
-                 fs.rmSync(stringsDir, { recursive: true, force: true });
-            }
+                // REMOVE default 'strings' folder created by pac init
+                const stringsDir = path.join(workingDir, 'strings');
+                if (fs.existsSync(stringsDir)) {
+                     console.log('- Removing default strings directory to prevent build errors');
+                     fs.rmSync(stringsDir, { recursive: true, force: true });
+                }
 
-            // CREATE Directory.Build.props to enforce PcfBuildOutDir
-            // We force the output into a specific subfolder matching the control name.
-            // This ensures out/controls/{ControlName} structure, preventing flattened output issues.
-            const propsContent = `<Project>
-  <PropertyGroup>
-    <PcfBuildOutDir>$(MSBuildThisFileDirectory)out/controls/${controlName}</PcfBuildOutDir>
-  </PropertyGroup>
-</Project>`;
-            fs.writeFileSync(path.join(workingDir, 'Directory.Build.props'), propsContent);
-            console.log('✓ Created Directory.Build.props to enforce nested output directory');
-
-            // Removed Directory.Build.targets creation - relying on .cdsproj patching instead
-
-            // Restore backed up files with intelligent merge for package.json
-            const backedUpFiles = fs.readdirSync(backupDir);
-            for (const file of backedUpFiles) {
-                const targetPath = path.join(workingDir, file);
-                const backupPath = path.join(backupDir, file);
+                // CREATE Directory.Build.props to enforce PcfBuildOutDir
+                // We force the output into a specific subfolder matching the control name.
+                // This ensures out/controls/{ControlName} structure, preventing flattened output issues.
+                const propsContent = `<Project>
+      <PropertyGroup>
+        <PcfBuildOutDir>$(MSBuildThisFileDirectory)out/controls/${controlName}</PcfBuildOutDir>
+      </PropertyGroup>
+    </Project>`;
+                fs.writeFileSync(path.join(workingDir, 'Directory.Build.props'), propsContent);
+                console.log('✓ Created Directory.Build.props to enforce nested output directory');
+
+                // Removed Directory.Build.targets creation - relying on .cdsproj patching instead
+
+                // Restore backed up files with intelligent merge for package.json
+                report.begin('merge');
+                const backedUpFiles = fs.readdirSync(backupDir);
+                for (const file of backedUpFiles) {
+                    const targetPath = path.join(workingDir, file);
+                    const backupPath = path.join(backupDir, file);
                 
-                if (file === 'package.json') {
-                    console.log('--- Merging package.json ---');
-                    const aiPkg = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
-                    const pacPkg = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+                    if (file === 'package.json') {
+                        console.log('--- Merging package.json ---');
+                        const aiPkg = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+                        const pacPkg = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
                     
-                    // Merge deps: PAC (authority) + AI (additions)
-                    const merged = {
-                        ...aiPkg,
-                        dependencies: { ...pacPkg.dependencies, ...aiPkg.dependencies },
-                        devDependencies: { ...pacPkg.devDependencies, ...aiPkg.devDependencies },
+                        // Merge deps: PAC (authority) + AI (additions)
+                        const merged = {
+                            ...aiPkg,
+                            dependencies: { ...pacPkg.dependencies, ...aiPkg.dependencies },
+                            devDependencies: { ...pacPkg.devDependencies, ...aiPkg.devDependencies },
                         
-                        // CRITICAL: Force 'build' script to be CLEAN and use MSBuild source.
-                        // This ensures Directory.Build.props is respected.
-                        scripts: {
-                            ...aiPkg.scripts,
-                            build: "pcf-scripts build --buildSource MSBuild",
-                            clean: "pcf-scripts clean",
-                            rebuild: "pcf-scripts clean && pcf-scripts build --buildSource MSBuild"
-                        }
-                    };
+                            // CRITICAL: Force 'build' script to be CLEAN and use MSBuild source.
+                            // This ensures Directory.Build.props is respected.
+                            scripts: {
+                                ...aiPkg.scripts,
+                                build: "pcf-scripts build --buildSource MSBuild",
+                                clean: "pcf-scripts clean",
+                                rebuild: "pcf-scripts clean && pcf-scripts build --buildSource MSBuild"
+                            }
+                        };
                     
-                    fs.writeFileSync(targetPath, JSON.stringify(merged, null, 2));
-                    console.log('✓ package.json merged (scripts sanitized to use MSBuild)');
-                    continue;
-                }
+                        fs.writeFileSync(targetPath, JSON.stringify(merged, null, 2));
+                        console.log('✓ package.json merged (scripts sanitized to use MSBuild)');
+                        continue;
+                    }
 
-                if (fs.existsSync(targetPath)) {
-                    // Overwrite files created by pac init (index.ts, ControlManifest, etc.)
-                    const stat = fs.statSync(backupPath);
-                    if (stat.isFile()) {
-                        fs.copyFileSync(backupPath, targetPath);
+                    if (fs.existsSync(targetPath)) {
+                        // Overwrite files created by pac init (index.ts, ControlManifest, etc.)
+                        const stat = fs.statSync(backupPath);
+                        if (stat.isFile()) {
+                            fs.copyFileSync(backupPath, targetPath);
+                        }
+                    } else {
+                        fs.renameSync(backupPath, targetPath);
                     }
-                } else {
-                    fs.renameSync(backupPath, targetPath);
                 }
-            }
-            console.log('✓ Managed to overlay generated files onto native PCF project.');
-        } finally {
-            // Cleanup backup
-            if (fs.existsSync(backupDir)) {
-                fs.rmSync(backupDir, { recursive: true, force: true });
+                console.log('✓ Managed to overlay generated files onto native PCF project.');
+            } finally {
+                // Cleanup backup
+                if (fs.existsSync(backupDir)) {
+                    fs.rmSync(backupDir, { recursive: true, force: true });
+                }
             }
         }
 
         // STEP 2: Building Control (NPM)
         console.log('\nSTEP 2: Building Control (NPM)...');
-        runCommand('npm install', workingDir);
+        // Keyed by the merged package.json: identical dependency sets reuse one install
+        report.begin('npm-install');
+        const dependencies = await installDependencies(workingDir, runner);
+        report.end('succeeded', { dependencyCache: { status: dependencies.status, key: dependencies.key } });
         
         console.log('\n--- Building PCF Control ---');
+        report.begin('npm-build');
         // We use npm run build which maps to 'pcf-scripts build --buildSource MSBuild'
         // This forces pcf-scripts to read Directory.Build.props for the output path.
-        runCommand('npm run build', workingDir);
+        await runner.run('npm', ['run', 'build'], workingDir);
 
         // Validate Output IMMEDIATELY after build
         console.log('\n--- Validating PCF Output ---');
+        report.begin('output-validation');
 
         // Recursive search for PCF control root (Matches Azure DevOps PCF pipeline logic)
         // Looks for a folder containing ControlManifest.xml AND bundle.js (root OR css/)
@@ -229,10 +312,11 @@ function buildPcf(workingDir, componentName) {
         const validControls = findPcfControlRoots(workingDir);
 
         if (validControls.length !== 1) {
-          throw new Error(
+          throw createError('PCF-PKG-001',
             `PCF build invalid. Expected exactly 1 control root under '${workingDir}' (depth<=5).\n` +
             `Searched for ControlManifest.xml + bundle.js (root or css/).\n` +
-            `Found: ${JSON.stringify(validControls, null, 2)}`
+            `Found: ${JSON.stringify(validControls, null, 2)}`,
+            { stage: BUILD_STAGE, details: { controlRoots: validControls } }
           );
         }
 
@@ -282,7 +366,18 @@ function buildPcf(workingDir, componentName) {
         }
         
         // Apply Normalization
+        report.begin('normalization');
         normalizePcfOutput(componentName);
+        const [controlRoot] = findPcfControlRoots(workingDir);
+        const bundleSize = fs.statSync(controlRoot.bundle).size;
+        report.set({
+            control: {
+                root: path.relative(workingDir, controlRoot.path).split(path.sep).join('/'),
+                bundle: path.relative(workingDir, controlRoot.bundle).split(path.sep).join('/'),
+                bundleSize
+            }
+        });
+        console.log(`✓ Control root: ${controlRoot.path} (bundle ${bundleSize} bytes)`);
 
         // STEP 3: Solution Packaging
         console.log('\nSTEP 3: Packaging Solution...');
@@ -290,130 +385,156 @@ function buildPcf(workingDir, componentName) {
         // PAC CLI (v1.x/v2.x) uses the folder name as the solution name by default.
         // We must name the folder exactly what we want the solution to be.
         const solutionName = `${controlName}_Solution`;
-        // FIX: Create solution folder BESIDE the project folder (sibling), not inside.
-        const solutionDir = path.resolve(workingDir, '..', solutionName);
+        let sourceZip;
+        let managedZip = null;
+
+        if (packager === PACKAGERS.NODE) {
+            // Solution XML and Controls/ layout written directly from the built control (after normalization)
+            report.begin('solution-package');
+            const packaged = packageSolution(controlRoot.path, path.join(workingDir, 'out', 'solution'), {
+                solutionName,
+                publisherName: namespace,
+                version: versioning.solutionVersion,
+                managed
+            });
+            sourceZip = packaged.solutionZip;
+            managedZip = packaged.managedZip;
+        } else {
+            report.begin('solution-init');
+            // FIX: Create solution folder BESIDE the project folder (sibling), not inside.
+            const solutionDir = path.resolve(workingDir, '..', solutionName);
         
-        if (fs.existsSync(solutionDir)) {
-            fs.rmSync(solutionDir, { recursive: true, force: true });
-        }
-        fs.mkdirSync(solutionDir);
-
-        const publisherName = namespace;
-        // Prefix must be 2-8 chars, alphanumeric
-        let publisherPrefix = namespace.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
-        if (publisherPrefix.length > 8) publisherPrefix = publisherPrefix.substring(0, 8);
-        if (publisherPrefix.length < 2) publisherPrefix = 'comp'; // fallback
-
-        // a. Init Solution
-        runCommand(`pac solution init --publisher-name ${publisherName} --publisher-prefix ${publisherPrefix}`, solutionDir);
-
-        // b. Add Reference to Control
-        // Since solution is sibling, path to control is just the folder name of workingDir
-        const controlDirName = path.basename(workingDir);
-        runCommand(`pac solution add-reference --path ../${controlDirName}`, solutionDir);
-
-        // c.0 CRITICAL FIX: Patch .pcfproj to DISABLE PCF BUILD (Double Safety)
-        // This ensures that when the solution build triggers the project, it does NOTHING.
-        console.log('--- Patching PCF Project (.pcfproj) to DISABLE build ---');
-        const pcfProjFiles = fs.readdirSync(workingDir).filter(f => f.endsWith('.pcfproj'));
-        if (pcfProjFiles.length > 0) {
-            const pcfProjPath = path.join(workingDir, pcfProjFiles[0]);
-            let pcfProjContent = fs.readFileSync(pcfProjPath, 'utf8');
-            
-            // 1. Inject flags into the first PropertyGroup
-            const flagInjection = `
-    <SkipPCFBuild>true</SkipPCFBuild>
-    <PCFBuild>false</PCFBuild>
-  `;
-            if (pcfProjContent.includes('<PropertyGroup>')) {
-                pcfProjContent = pcfProjContent.replace('<PropertyGroup>', `<PropertyGroup>${flagInjection}`);
+            if (fs.existsSync(solutionDir)) {
+                fs.rmSync(solutionDir, { recursive: true, force: true });
             }
+            fs.mkdirSync(solutionDir);
 
-            // 2. Inject Target override to neutralize the MSBuild PcfBuild target
-            const targetInjection = `
-  <Target Name="PcfBuild">
-    <Message Text="PCF build intentionally disabled – using Node executor" Importance="high" />
-  </Target>
-`;
-            if (pcfProjContent.includes('</Project>')) {
-                pcfProjContent = pcfProjContent.replace('</Project>', `${targetInjection}\n</Project>`);
-            }
+            const publisherName = namespace;
 
-            fs.writeFileSync(pcfProjPath, pcfProjContent);
-            console.log('✓ Patched .pcfproj with SkipPCFBuild properties and PcfBuild Target override');
-        }
+            // a. Init Solution
+            await runner.run('pac', ['solution', 'init', '--publisher-name', publisherName, '--publisher-prefix', publisherPrefix(namespace)], solutionDir);
 
-        // c.1 CRITICAL FIX: Patch .cdsproj to exclude strings folder and skip PCF rebuild
-        console.log('--- Patching Solution Project (.cdsproj) ---');
-        const solutionFiles = fs.readdirSync(solutionDir).filter(f => f.endsWith('.cdsproj'));
-        if (solutionFiles.length === 0) {
-             throw new Error('No .cdsproj found after solution init');
-        }
-        const cdsProjPath = path.join(solutionDir, solutionFiles[0]);
-        let cdsProjContent = fs.readFileSync(cdsProjPath, 'utf8');
-        
-        // Inject exclusions and property overrides
-        // We use relative paths from the solution folder (..)
-        // Note: DisablePcfBuild is an older/alternative flag, adding both for safety.
-        const patchContent = `
-  <ItemGroup>
-    <None Remove="..\\out\\controls\\strings\\**\\*" />
-  </ItemGroup>
-  <PropertyGroup>
-    <SkipPcfBuild>true</SkipPcfBuild>
-    <DisablePcfBuild>true</DisablePcfBuild>
-  </PropertyGroup>
-</Project>`;
+            // a.1 Stamp the solution version (pac defaults every solution to 1.0)
+            const solutionXmlPath = path.join(solutionDir, 'src', 'Other', 'Solution.xml');
+            if (fs.existsSync(solutionXmlPath)) {
+                const solutionXml = fs.readFileSync(solutionXmlPath, 'utf8');
+                fs.writeFileSync(solutionXmlPath, solutionXml.replace(/<Version>[^<]*<\/Version>/, `<Version>${versioning.solutionVersion}</Version>`));
+                console.log(`✓ Solution version stamped: ${versioning.solutionVersion}`);
+            } else {
+                console.warn(`! ${solutionXmlPath} not found, solution version not stamped`);
+            }
 
-        
-        cdsProjContent = cdsProjContent.replace('</Project>', patchContent);
-        fs.writeFileSync(cdsProjPath, cdsProjContent);
-        console.log('✓ Patched .cdsproj to exclude strings and skip PCF rebuild');
+            // b. Add Reference to Control
+            // Since solution is sibling, path to control is just the folder name of workingDir
+            const controlDirName = path.basename(workingDir);
+            await runner.run('pac', ['solution', 'add-reference', '--path', `../${controlDirName}`], solutionDir);
+
+            // c.0 CRITICAL FIX: Patch .pcfproj to DISABLE PCF BUILD (Double Safety)
+            // This ensures that when the solution build triggers the project, it does NOTHING.
+            console.log('--- Patching PCF Project (.pcfproj) to DISABLE build ---');
+            const pcfProjFiles = fs.readdirSync(workingDir).filter(f => f.endsWith('.pcfproj'));
+            if (pcfProjFiles.length > 0) {
+                const pcfProjPath = path.join(workingDir, pcfProjFiles[0]);
+                let pcfProjContent = fs.readFileSync(pcfProjPath, 'utf8');
+            
+                // 1. Inject flags into the first PropertyGroup
+                const flagInjection = `
+        <SkipPCFBuild>true</SkipPCFBuild>
+        <PCFBuild>false</PCFBuild>
+      `;
+                if (pcfProjContent.includes('<PropertyGroup>')) {
+                    pcfProjContent = pcfProjContent.replace('<PropertyGroup>', `<PropertyGroup>${flagInjection}`);
+                }
 
-        // c. Solution Build (Packaging Only)
-        // Note: PCF build and validation already happened in Step 2.
-        // The .cdsproj patch above prevents implicit rebuilds.
-        runCommand('dotnet restore', solutionDir);
-        // Important: Solution build might trigger PCF build, but since we just built it,
-        // incremental build logic should skip re-running pcf-scripts, preserving our cleanup.
-        // USE RELEASE BUILD - Force UNMANAGED solution output
-        runCommand('dotnet build -c Release /p:SolutionPackageType=Unmanaged', solutionDir);
+                // 2. Inject Target override to neutralize the MSBuild PcfBuild target
+                const targetInjection = `
+      <Target Name="PcfBuild">
+        <Message Text="PCF build intentionally disabled – using Node executor" Importance="high" />
+      </Target>
+    `;
+                if (pcfProjContent.includes('</Project>')) {
+                    pcfProjContent = pcfProjContent.replace('</Project>', `${targetInjection}\n</Project>`);
+                }
 
+                fs.writeFileSync(pcfProjPath, pcfProjContent);
+                console.log('✓ Patched .pcfproj with SkipPCFBuild properties and PcfBuild Target override');
+            }
 
-        // STEP 4: Finalizing Artifact...
-        console.log('\nSTEP 4: Finalizing Artifact...');
+            // c.1 CRITICAL FIX: Patch .cdsproj to exclude strings folder and skip PCF rebuild
+            console.log('--- Patching Solution Project (.cdsproj) ---');
+            const solutionFiles = fs.readdirSync(solutionDir).filter(f => f.endsWith('.cdsproj'));
+            if (solutionFiles.length === 0) {
+                 throw createError('PCF-PKG-002', 'No .cdsproj found after solution init', { stage: BUILD_STAGE });
+            }
+            const cdsProjPath = path.join(solutionDir, solutionFiles[0]);
+            let cdsProjContent = fs.readFileSync(cdsProjPath, 'utf8');
         
-        // Expected location: output/bin/Release/{SolutionName}.zip
-        const binRelease = path.join(solutionDir, 'bin', 'Release');
+            // Inject exclusions and property overrides
+            // We use relative paths from the solution folder (..)
+            // Note: DisablePcfBuild is an older/alternative flag, adding both for safety.
+            const patchContent = `
+      <ItemGroup>
+        <None Remove="..\\out\\controls\\strings\\**\\*" />
+      </ItemGroup>
+      <PropertyGroup>
+        <SkipPcfBuild>true</SkipPcfBuild>
+        <DisablePcfBuild>true</DisablePcfBuild>
+      </PropertyGroup>
+    </Project>`;
+
         
-        if (!fs.existsSync(binRelease)) {
-             throw new Error(`Solution build output directory not found: ${binRelease}`);
-        }
+            cdsProjContent = cdsProjContent.replace('</Project>', patchContent);
+            fs.writeFileSync(cdsProjPath, cdsProjContent);
+            console.log('✓ Patched .cdsproj to exclude strings and skip PCF rebuild');
+
+            // c. Solution Build (Packaging Only)
+            report.begin('solution-build');
+            // Note: PCF build and validation already happened in Step 2.
+            // The .cdsproj patch above prevents implicit rebuilds.
+            await runner.run('dotnet', ['restore'], solutionDir);
+            // Important: Solution build might trigger PCF build, but since we just built it,
+            // incremental build logic should skip re-running pcf-scripts, preserving our cleanup.
+            // USE RELEASE BUILD - Force UNMANAGED solution output ('Both' adds the managed one on request)
+            await runner.run('dotnet', ['build', '-c', 'Release', `/p:SolutionPackageType=${managed ? 'Both' : 'Unmanaged'}`], solutionDir);
+
+
+            // Expected location: output/bin/Release/{SolutionName}.zip
+            const binRelease = path.join(solutionDir, 'bin', 'Release');
+        
+            if (!fs.existsSync(binRelease)) {
+                 throw createError('PCF-PKG-002', `Solution build output directory not found: ${binRelease}`, { stage: BUILD_STAGE });
+            }
 
-        // Validate Solution ZIP was generated
-        // We specifically want the UNMANAGED solution (no _managed in name).
-        const allZips = fs.readdirSync(binRelease).filter(f => f.endsWith('.zip'));
+            // Validate Solution ZIP was generated
+            // We specifically want the UNMANAGED solution (no _managed in name).
+            const allZips = fs.readdirSync(binRelease).filter(f => f.endsWith('.zip'));
         
-        let targetZip = allZips.find(f => !f.includes('_managed.zip'));
+            let targetZip = allZips.find(f => !f.includes('_managed.zip'));
         
-        if (!targetZip && allZips.length > 0) {
-            // Fallback: If for some reason only managed exists (shouldn't happen with /p param), verify.
-            console.warn('! Unmanaged ZIP not found, checking for any ZIP...');
-            targetZip = allZips[0];
-        }
+            if (!targetZip && allZips.length > 0) {
+                // Fallback: If for some reason only managed exists (shouldn't happen with /p param), verify.
+                console.warn('! Unmanaged ZIP not found, checking for any ZIP...');
+                targetZip = allZips[0];
+            }
 
-        if (!targetZip) {
-             throw new Error('No Solution ZIP found in build output');
-        }
+            if (!targetZip) {
+                 throw createError('PCF-PKG-002', 'No Solution ZIP found in build output', { stage: BUILD_STAGE });
+            }
         
-        const sourceZip = path.join(binRelease, targetZip);
-        console.log(`✓ Solution ZIP verified: ${sourceZip}`);
+            sourceZip = path.join(binRelease, targetZip);
+            const managedZipName = managed ? allZips.find(f => f.includes('_managed.zip')) : undefined;
+            if (managedZipName) managedZip = path.join(binRelease, managedZipName);
+            console.log(`✓ Solution ZIP verified: ${sourceZip}`);
+        }
+
+        // STEP 4: Finalizing Artifact...
+        console.log('\nSTEP 4: Finalizing Artifact...');
+        report.begin('finalize');
         
-        // Target: {componentName}_{buildId}.zip
+        // Target: {componentName}_{solutionVersion}_{buildId}.zip (version dots as underscores, like Dataverse exports)
         // buildId corresponds to the folder name usually, or passed context.
-        // We will respect the previous logic for naming.
         const buildId = path.basename(workingDir); 
-        const targetZipName = `${componentName}_${buildId}.zip`;
+        const targetZipName = `${componentName}_${versioning.solutionVersion.replace(/\./g, '_')}_${buildId}.zip`;
         const finalZipPath = path.join(workingDir, targetZipName);
 
         // Copy
@@ -422,38 +543,65 @@ function buildPcf(workingDir, componentName) {
 
         // STEP 5: Generate Preview
         console.log('\nSTEP 5: Generating Preview Harness...');
+        report.begin('preview');
         try {
-            // Locate preview-executor relative to this script
-            const previewExecutorPath = path.join(__dirname, 'preview-executor.js');
-            
-            if (fs.existsSync(previewExecutorPath)) {
-                // Pass buildId and workingDir
-                runCommand(`node ${previewExecutorPath} "${buildId}" "${workingDir}"`, workingDir);
-                console.log('✓ Preview generation complete');
-            } else {
-                 console.warn('! Preview executor not found, skipping preview generation');
-            }
+            generatePreview(buildId, workingDir);
+            console.log('✓ Preview generation complete');
+            report.end();
         } catch (e) {
              console.warn(`! Preview generation failed (non-fatal): ${e.message}`);
+             report.end('failed', { error: e.message });
         }
         
-        fs.copyFileSync(sourceZip, finalZipPath);
-        console.log(`✓ Artifact ready: ${finalZipPath}`);
+        if (recordArtifact(workingDir, finalZipPath)) {
+            console.log(`✓ Artifact hash recorded in ${MANIFEST_FILE}`);
+        } else {
+            console.warn(`! No ${MANIFEST_FILE} in working directory, artifact hash not recorded`);
+        }
+        const rewritten = recordBuildOutputs(workingDir, generatedBefore);
+        if (rewritten.length > 0) console.log(`✓ Build outputs recorded in ${MANIFEST_FILE}: ${rewritten.join(', ')}`);
+        recordBuild(versioning, { buildId, artifact: targetZipName, packager });
+
+        const artifact = fs.readFileSync(finalZipPath);
+        report.set({
+            artifact: {
+                path: targetZipName,
+                size: artifact.length,
+                sha256: crypto.createHash('sha256').update(artifact).digest('hex')
+            },
+            solutionZip: sourceZip,
+            managedZip
+        });
+        const reportPath = report.write({ status: 'succeeded' });
+        console.log(`✓ Build report written: ${reportPath}`);
 
         console.log(JSON.stringify({
             step: "PCFBuild",
             status: "Success",
             zipPath: finalZipPath,
-            solutionZip: sourceZip
+            solutionZip: sourceZip,
+            managedZip,
+            packager,
+            solutionVersion: versioning.solutionVersion,
+            dependencyCache: dependencies.status,
+            buildReport: reportPath
         }));
 
         console.log("✓ BUILD COMPLETED SUCCESSFULLY");
-        process.exit(0);
+        return { zipPath: finalZipPath, solutionZip: sourceZip, managedZip, packager, version: versioning, report: reportPath, commands: runner.records, dependencies };
 
     } catch (error) {
         console.error(`\n❌ BUILD FAILED: ${error.message}`);
         console.error(error.stack);
-        process.exit(1);
+        const buildError = toExecutorError(error, BUILD_STAGE);
+        buildError.commands = runner.records;
+        try {
+            buildError.report = report.write({ status: 'failed', error: buildError });
+            console.error(`Build report written: ${buildError.report}`);
+        } catch (reportError) {
+            console.warn(`! Build report not written: ${reportError.message}`);
+        }
+        throw buildError;
     }
 }
 
@@ -461,15 +609,25 @@ function buildPcf(workingDir, componentName) {
  * Main entry point
  */
 function main() {
-    const workingDir = process.argv[2];
-    const componentName = process.argv[3] || 'Component';
+    const args = process.argv.slice(2);
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--packager') options.packager = args[++i];
+        else if (args[i] === '--managed') options.managed = true;
+        else positional.push(args[i]);
+    }
+    const workingDir = positional[0];
+    const componentName = positional[1] || 'Component';
 
     if (!workingDir) {
-        console.error('Usage: node build-executor.js <working-dir> [component-name]');
+        console.error('Usage: node build-executor.js <working-dir> [component-name] [--packager pac|node] [--managed]');
         process.exit(1);
     }
 
-    buildPcf(workingDir, componentName);
+    buildPcf(workingDir, componentName, options)
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
 }
 
 if (require.main === module) {
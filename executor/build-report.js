@@ -0,0 +1,283 @@
+/**
+ * Build Report
+ * build-report.json, written next to the build artifact (for failed builds too, up to the failing step):
+ *   steps         each build step with start/end time, status and the commands it ran (exit codes, durations)
+ *   tools         node, npm, pac and dotnet versions found on the build host
+ *   control       control root found after the build, bundle size
+ *   sbom          CycloneDX 1.5 document of the installed npm dependency tree (name, version, license, purl);
+ *                 dev-only packages (per package-lock.json) are scope 'excluded'
+ */
+
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FILE = 'build-report.json';
+const REPORT_VERSION = 1;
+const TOOL_PROBE_TIMEOUT_MS = 15000;
+const GENERATOR = Object.freeze({ name: 'appweaver-build-executor', version: require('./package.json').version });
+
+// How each tool reports its version; pac prints it in the banner of its usage text
+const TOOL_PROBES = Object.freeze([
+    Object.freeze({ name: 'npm', file: 'npm', args: ['--version'], pattern: /^(\S+)/ }),
+    Object.freeze({ name: 'pac', file: 'pac', args: [], pattern: /Version:\s*(\S+)/ }),
+    Object.freeze({ name: 'dotnet', file: 'dotnet', args: ['--version'], pattern: /^(\S+)/ })
+]);
+
+function probeVersion(probe) {
+    let output;
+    try {
+        output = execFileSync(probe.file, probe.args, {
+            encoding: 'utf8',
+            timeout: TOOL_PROBE_TIMEOUT_MS,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            shell: process.platform === 'win32' // npm is a .cmd there
+        });
+    } catch (error) {
+        output = error.stdout || ''; // usage text may come with a non-zero exit code
+    }
+    const match = String(output).trim().match(probe.pattern);
+    return match ? match[1] : null;
+}
+
+/**
+ * @returns {{ node: string, npm: string|null, pac: string|null, dotnet: string|null }} null: not installed
+ */
+function detectToolVersions() {
+    return {
+        node: process.version.replace(/^v/, ''),
+        ...Object.fromEntries(TOOL_PROBES.map(probe => [probe.name, probeVersion(probe)]))
+    };
+}
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeLicense(packageJson) {
+    const { license, licenses } = packageJson;
+    if (typeof license === 'string') return license;
+    if (license && typeof license.type === 'string') return license.type;
+    if (Array.isArray(licenses) && licenses.length > 0) {
+        return licenses.map(entry => (typeof entry === 'string' ? entry : entry.type)).filter(Boolean).join(' OR ') || null;
+    }
+    return null;
+}
+
+/**
+ * Every package installed under workingDir/node_modules (nested installs included).
+ * @param {string} workingDir
+ * @returns {{ name: string, version: string, license: string|null, path: string, dev: boolean }[]}
+ *   path: install location as in package-lock.json ('node_modules/a/node_modules/b')
+ */
+function collectInstalledPackages(workingDir) {
+    const lock = readJson(path.join(workingDir, 'package-lock.json'));
+    const lockPackages = (lock && lock.packages) || {};
+    const packages = [];
+
+    const visitPackage = (packageDir, relPath) => {
+        const packageJson = readJson(path.join(packageDir, 'package.json'));
+        if (!packageJson || !packageJson.name) return;
+        packages.push({
+            name: packageJson.name,
+            version: packageJson.version || null,
+            license: normalizeLicense(packageJson),
+            path: relPath,
+            dev: Boolean(lockPackages[relPath] && lockPackages[relPath].dev)
+        });
+        walk(path.join(packageDir, 'node_modules'), `${relPath}/node_modules`);
+    };
+
+    const walk = (modulesDir, relDir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(modulesDir, { withFileTypes: true });
+        } catch (error) {
+            return; // no nested installs
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue; // .bin, .package-lock.json, .cache
+            const entryPath = path.join(modulesDir, entry.name);
+            if (entry.name.startsWith('@')) {
+                for (const scoped of fs.readdirSync(entryPath)) {
+                    visitPackage(path.join(entryPath, scoped), `${relDir}/${entry.name}/${scoped}`);
+                }
+            } else {
+                visitPackage(entryPath, `${relDir}/${entry.name}`);
+            }
+        }
+    };
+
+    walk(path.join(workingDir, 'node_modules'), 'node_modules');
+    return packages.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function packageUrl(name, version) {
+    const encoded = name.startsWith('@') ? `%40${name.slice(1)}` : name;
+    return `pkg:npm/${encoded}${version ? `@${version}` : ''}`;
+}
+
+// SPDX id, SPDX expression or free text, as CycloneDX distinguishes them
+function licenseChoice(license) {
+    if (!license) return [];
+    if (/\s(OR|AND|WITH)\s|[()]/.test(license)) return [{ expression: license }];
+    if (/^[A-Za-z0-9.+-]+$/.test(license)) return [{ license: { id: license } }];
+    return [{ license: { name: license } }];
+}
+
+/**
+ * CycloneDX 1.5 SBOM of the installed packages. A package installed at several paths is listed once;
+ * it is 'excluded' (not shipped in the bundle) only when every install of it is dev-only.
+ * @param {object[]} packages - From collectInstalledPackages
+ * @param {{ name: string, version: string }} component - The control being built
+ * @returns {object}
+ */
+function buildSbom(packages, component) {
+    const components = new Map();
+    for (const pkg of packages) {
+        const purl = packageUrl(pkg.name, pkg.version);
+        const existing = components.get(purl);
+        if (existing) {
+            if (!pkg.dev) existing.scope = 'required';
+            continue;
+        }
+        components.set(purl, {
+            type: 'library',
+            'bom-ref': purl,
+            name: pkg.name,
+            version: pkg.version || undefined,
+            scope: pkg.dev ? 'excluded' : 'required',
+            licenses: licenseChoice(pkg.license),
+            purl
+        });
+    }
+    return {
+        bomFormat: 'CycloneDX',
+        specVersion: '1.5',
+        serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+        version: 1,
+        metadata: {
+            timestamp: new Date().toISOString(),
+            tools: [{ name: GENERATOR.name, version: GENERATOR.version }],
+            component: { type: 'application', 'bom-ref': component.name, name: component.name, version: component.version }
+        },
+        components: [...components.values()]
+    };
+}
+
+function summarizeSbom(sbom) {
+    const count = predicate => sbom.components.filter(predicate).length;
+    return {
+        packages: sbom.components.length,
+        shipped: count(component => component.scope === 'required'),
+        devOnly: count(component => component.scope === 'excluded'),
+        withoutLicense: count(component => component.licenses.length === 0)
+    };
+}
+
+/**
+ * Creates the recorder buildPcf reports its steps to.
+ * Commands are attributed to the step that was open when the runner recorded them.
+ * @param {{ records: object[] }} runner - From createCommandRunner
+ * @param {object} context - { workingDir, componentName, packager }
+ * @returns {{ report: object, begin: function, end: function, set: function, write: function }}
+ */
+function createBuildReport(runner, context) {
+    const startedMs = Date.now();
+    const report = {
+        reportVersion: REPORT_VERSION,
+        status: 'running',
+        buildId: path.basename(context.workingDir),
+        componentName: context.componentName,
+        packager: context.packager,
+        startedAt: new Date(startedMs).toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        tools: null,
+        steps: []
+    };
+    let current = null;
+
+    /**
+     * Closes the open step, if any.
+     * @param {'succeeded'|'failed'} [status]
+     * @param {object} [details] - Merged into the step entry
+     */
+    function end(status = 'succeeded', details) {
+        if (!current) return;
+        const finished = Date.now();
+        current.entry.status = status;
+        current.entry.finishedAt = new Date(finished).toISOString();
+        current.entry.durationMs = finished - current.started;
+        current.entry.commands = runner.records.slice(current.firstRecord).map(record => ({
+            command: record.command,
+            exitCode: record.exitCode,
+            startedAt: record.startedAt,
+            durationMs: record.durationMs
+        }));
+        if (details) Object.assign(current.entry, details);
+        current = null;
+    }
+
+    /**
+     * Closes the open step as succeeded and opens the next one.
+     * @param {string} name - e.g. 'npm-install'
+     */
+    function begin(name) {
+        end();
+        const started = Date.now();
+        const entry = { name, status: 'running', startedAt: new Date(started).toISOString(), finishedAt: null, durationMs: null, commands: [] };
+        report.steps.push(entry);
+        current = { entry, started, firstRecord: runner.records.length };
+    }
+
+    /**
+     * Adds top-level report fields (component, version, control, artifact, ...).
+     * @param {object} fields
+     */
+    function set(fields) {
+        Object.assign(report, fields);
+    }
+
+    /**
+     * Finishes the report and writes it into the working directory.
+     * @param {object} outcome - { status: 'succeeded'|'failed', error? }
+     * @returns {string} Report path
+     */
+    function write(outcome) {
+        end(outcome.status === 'failed' ? 'failed' : 'succeeded');
+        const finished = Date.now();
+        report.status = outcome.status;
+        report.finishedAt = new Date(finished).toISOString();
+        report.durationMs = finished - startedMs;
+        if (outcome.error) {
+            report.error = { code: outcome.error.code || null, stage: outcome.error.stage || null, message: outcome.error.message };
+        }
+        report.tools = detectToolVersions();
+
+        report.sbom = buildSbom(collectInstalledPackages(context.workingDir), {
+            name: report.component || context.componentName,
+            version: report.version ? report.version.solutionVersion : null
+        });
+        report.dependencySummary = summarizeSbom(report.sbom);
+
+        const reportPath = path.join(context.workingDir, REPORT_FILE);
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+        return reportPath;
+    }
+
+    return { report, begin, end, set, write };
+}
+
+module.exports = {
+    REPORT_FILE,
+    detectToolVersions,
+    collectInstalledPackages,
+    buildSbom,
+    createBuildReport
+};
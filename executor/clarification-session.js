@@ -0,0 +1,242 @@
+/**
+ * Clarification Sessions
+ * Multi-turn intent interpretation for low-confidence requests.
+ * A session keeps the user's request and every answered question, asks targeted questions
+ * (ambiguity-resolution rules + unmapped phrases) and re-interprets with the accumulated answers
+ * until the result no longer needs clarification or the turn budget is spent.
+ */
+
+const crypto = require('crypto');
+
+const { ExecutorError } = require('./errors');
+const { interpretIntent } = require('./intent-interpreter');
+const { interpretIntentWithRules, buildPurposeQuestion, loadRules } = require('./rule-interpreter');
+
+const SESSION_STATES = Object.freeze({
+    AWAITING_ANSWER: 'awaiting-answer',
+    RESOLVED: 'resolved',
+    EXHAUSTED: 'exhausted'
+});
+
+// Interpretation rounds allowed after the initial one
+const MAX_TURNS = parseInt(process.env.EXECUTOR_CLARIFICATION_MAX_TURNS || '5', 10);
+// Idle sessions are dropped after this long
+const SESSION_TTL_MS = parseInt(process.env.EXECUTOR_SESSION_TTL_MS || String(60 * 60 * 1000), 10);
+
+const sessions = new Map();
+
+// Error code per session failure reason
+const SESSION_ERROR_CODES = Object.freeze({
+    'not-found': 'PCF-SYS-008',
+    closed: 'PCF-INT-005',
+    busy: 'PCF-INT-005',
+    'invalid-answer': 'PCF-INT-001'
+});
+
+class ClarificationSessionError extends ExecutorError {
+    /**
+     * @param {'not-found'|'closed'|'busy'|'invalid-answer'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(SESSION_ERROR_CODES[reason], message, { stage: 'intent-clarification', details: { reason } });
+        this.reason = reason;
+    }
+}
+
+function createSessionId() {
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return `ses_${timestamp}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function touch(session) {
+    session.updatedAt = new Date().toISOString();
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = setTimeout(() => sessions.delete(session.id), SESSION_TTL_MS);
+    session.expiryTimer.unref();
+}
+
+function questionKey(question) {
+    return [question.kind, question.path || '', question.phrase || ''].join('|');
+}
+
+/**
+ * Questions for the current interpretation:
+ *   conflict/purpose questions from the ambiguity-resolution rules,
+ *   one question per unmapped phrase the user has not explained yet.
+ */
+function buildQuestions(session, result) {
+    if (!result.needsClarification) return [];
+
+    const rulesResult = interpretIntentWithRules(session.userInput, session.brainPath, {
+        clarifications: session.clarifications
+    });
+    const answeredPhrases = new Set(session.clarifications.filter(c => c.kind === 'unmapped').map(c => c.phrase));
+
+    const questions = [
+        ...rulesResult.clarificationQuestions,
+        ...result.unmappedPhrases
+            .filter(phrase => !answeredPhrases.has(phrase))
+            .map(phrase => ({
+                kind: 'unmapped',
+                phrase,
+                question: `What does "${phrase}" mean for this control? Reply "ignore" if it does not matter.`
+            }))
+    ];
+    if (questions.length === 0) {
+        questions.push(buildPurposeQuestion(loadRules(session.brainPath)));
+    }
+
+    // Keep ids stable for questions that are still open
+    const open = new Map(session.questions.map(q => [questionKey(q), q.id]));
+    return questions.map(question => ({
+        id: open.get(questionKey(question)) || `q${session.nextQuestionSeq++}`,
+        ...question
+    }));
+}
+
+async function interpretTurn(session, clarifications) {
+    const result = await interpretIntent(session.userInput, session.brainPath, {
+        mode: session.mode,
+        clarifications
+    });
+
+    session.clarifications = clarifications;
+    session.result = result;
+    session.history.push({
+        turn: session.turn,
+        confidence: result.confidence,
+        needsClarification: result.needsClarification,
+        answered: clarifications.length
+    });
+
+    if (!result.needsClarification) {
+        session.state = SESSION_STATES.RESOLVED;
+        session.questions = [];
+    } else if (session.turn >= MAX_TURNS) {
+        session.state = SESSION_STATES.EXHAUSTED;
+        session.questions = [];
+    } else {
+        session.state = SESSION_STATES.AWAITING_ANSWER;
+        session.questions = buildQuestions(session, result);
+    }
+    touch(session);
+}
+
+/**
+ * Starts a session with an initial interpretation.
+ * @param {object} options
+ * @param {string} options.userInput - Raw user text
+ * @param {string} options.brainPath - Path to ai-brain directory (already sandboxed)
+ * @param {string} [options.mode] - Interpreter mode ('llm' | 'rules' | 'prefilter')
+ * @returns {Promise<object>} Session snapshot
+ */
+async function createSession({ userInput, brainPath, mode }) {
+    const session = {
+        id: createSessionId(),
+        state: SESSION_STATES.AWAITING_ANSWER,
+        userInput,
+        brainPath,
+        mode: mode || null,
+        turn: 0,
+        clarifications: [],
+        questions: [],
+        nextQuestionSeq: 1,
+        result: null,
+        history: [],
+        busy: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        expiryTimer: null
+    };
+
+    await interpretTurn(session, []);
+    sessions.set(session.id, session);
+    console.log(`[sessions] Created ${session.id} (${session.state})`);
+    return toSnapshot(session);
+}
+
+/**
+ * Answers one or more open questions and re-interprets.
+ * @param {string} sessionId
+ * @param {{ questionId?: string, answer: string }[]} answers - Without questionId, the first open question is answered
+ * @returns {Promise<object>} Session snapshot
+ * @throws {ClarificationSessionError}
+ */
+async function answerSession(sessionId, answers) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+        throw new ClarificationSessionError('not-found', `Session not found: ${sessionId}`);
+    }
+    if (session.state !== SESSION_STATES.AWAITING_ANSWER) {
+        throw new ClarificationSessionError('closed', `Session ${sessionId} is ${session.state}`);
+    }
+    if (session.busy) {
+        throw new ClarificationSessionError('busy', `Session ${sessionId} is already processing an answer`);
+    }
+    if (!Array.isArray(answers) || answers.length === 0) {
+        throw new ClarificationSessionError('invalid-answer', 'At least one answer is required');
+    }
+
+    const answered = [];
+    for (const { questionId, answer } of answers) {
+        if (typeof answer !== 'string' || answer.trim() === '') {
+            throw new ClarificationSessionError('invalid-answer', 'Answers must be non-empty strings');
+        }
+        const question = questionId
+            ? session.questions.find(q => q.id === questionId)
+            : session.questions.find(q => !answered.some(a => a.id === q.id));
+        if (!question) {
+            throw new ClarificationSessionError('invalid-answer', `No open question${questionId ? ` '${questionId}'` : ''} in session ${sessionId}`);
+        }
+        answered.push({ ...question, answer: answer.trim(), answeredAt: new Date().toISOString() });
+    }
+
+    session.busy = true;
+    try {
+        session.turn += 1;
+        await interpretTurn(session, [...session.clarifications, ...answered]);
+    } catch (error) {
+        session.turn -= 1;
+        throw error;
+    } finally {
+        session.busy = false;
+    }
+
+    console.log(`[sessions] ${session.id} turn ${session.turn}: ${session.state} (confidence ${session.result.confidence})`);
+    return toSnapshot(session);
+}
+
+/**
+ * Returns the public snapshot of a session, or null if unknown.
+ * @param {string} sessionId
+ */
+function getSession(sessionId) {
+    const session = sessions.get(sessionId);
+    return session ? toSnapshot(session) : null;
+}
+
+function toSnapshot(session) {
+    return {
+        id: session.id,
+        state: session.state,
+        userInput: session.userInput,
+        mode: session.mode,
+        turn: session.turn,
+        maxTurns: MAX_TURNS,
+        questions: session.questions,
+        clarifications: session.clarifications,
+        result: session.result,
+        history: session.history,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+module.exports = {
+    SESSION_STATES,
+    ClarificationSessionError,
+    createSession,
+    answerSession,
+    getSession
+};
@@ -0,0 +1,144 @@
+/**
+ * Command Runner
+ * Executes external tools (pac, npm, dotnet, zip) WITHOUT a shell.
+ * Arguments are passed as an array, so values from generated files can never be interpreted as shell syntax.
+ * Every command is recorded with its exit code, duration and truncated output.
+ */
+
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { PackagingError } = require('./errors');
+
+// Number of trailing output lines attached to a failed command's error message
+const FAILURE_TAIL_LINES = 20;
+// Characters of stdout/stderr kept per command in the execution record
+const MAX_RECORDED_OUTPUT = 8 * 1024;
+
+class CommandFailedError extends PackagingError {
+    /**
+     * @param {string} command - Formatted command line
+     * @param {number|null} exitCode - null when the command could not be started
+     * @param {string} reason - Exit code or spawn error description
+     * @param {string[]} outputTail - Last lines of output
+     */
+    constructor(command, exitCode, reason, outputTail) {
+        super('PCF-PKG-004', `Command failed: ${command} (${reason})${outputTail.length ? `\n${outputTail.join('\n')}` : ''}`, {
+            details: { command, exitCode, outputTail }
+        });
+    }
+}
+
+/**
+ * Renders a command for logs. Arguments with whitespace or quotes are JSON-quoted.
+ */
+function formatCommand(file, args) {
+    return [file, ...args]
+        .map(part => (/[\s"'\\]/.test(part) ? JSON.stringify(part) : part))
+        .join(' ');
+}
+
+/**
+ * Keeps the last `limit` characters of a growing output buffer.
+ */
+function createOutputBuffer(limit) {
+    return {
+        text: '',
+        truncated: false,
+        append(line) {
+            this.text += `${line}\n`;
+            if (this.text.length > limit) {
+                this.text = this.text.slice(this.text.length - limit);
+                this.truncated = true;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a runner that records every command it executes.
+ * @param {object} [options]
+ * @param {function} [options.onOutput] - (stream, line, command) callback for each output line
+ * @returns {{ run: function, records: object[] }}
+ */
+function createCommandRunner(options = {}) {
+    const { onOutput } = options;
+    const records = [];
+
+    /**
+     * Runs a single command to completion.
+     * @param {string} file - Executable name (resolved via PATH)
+     * @param {string[]} args - Arguments, passed verbatim
+     * @param {string} cwd - Working directory
+     * @returns {Promise<object>} The execution record
+     */
+    function run(file, args, cwd) {
+        if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+            throw new TypeError(`Arguments for '${file}' must be an array of strings`);
+        }
+
+        const command = formatCommand(file, args);
+        console.log(`> ${command}`);
+
+        const record = {
+            command,
+            file,
+            args,
+            cwd,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            exitCode: null,
+            stdout: '',
+            stderr: '',
+            outputTruncated: false
+        };
+        records.push(record);
+
+        const started = Date.now();
+        const buffers = {
+            stdout: createOutputBuffer(MAX_RECORDED_OUTPUT),
+            stderr: createOutputBuffer(MAX_RECORDED_OUTPUT)
+        };
+        const tail = [];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(file, args, { cwd, shell: false, stdio: ['ignore', 'pipe', 'pipe'] });
+
+            const capture = (input, stream) => {
+                readline.createInterface({ input }).on('line', (line) => {
+                    (stream === 'stderr' ? process.stderr : process.stdout).write(`${line}\n`);
+                    buffers[stream].append(line);
+                    tail.push(line);
+                    if (tail.length > FAILURE_TAIL_LINES) tail.shift();
+                    if (onOutput) onOutput(stream, line, command);
+                });
+            };
+            capture(child.stdout, 'stdout');
+            capture(child.stderr, 'stderr');
+
+            const complete = (exitCode) => {
+                record.finishedAt = new Date().toISOString();
+                record.durationMs = Date.now() - started;
+                record.exitCode = exitCode;
+                record.stdout = buffers.stdout.text;
+                record.stderr = buffers.stderr.text;
+                record.outputTruncated = buffers.stdout.truncated || buffers.stderr.truncated;
+            };
+
+            child.on('error', (error) => {
+                complete(null);
+                reject(new CommandFailedError(command, null, error.message, []));
+            });
+            child.on('close', (code) => {
+                if (record.finishedAt) return; // already rejected via 'error'
+                complete(code);
+                if (code === 0) return resolve(record);
+                reject(new CommandFailedError(command, code, `exit code ${code}`, [...tail]));
+            });
+        });
+    }
+
+    return { run, records };
+}
+
+module.exports = { CommandFailedError, createCommandRunner, formatCommand };
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Component Versions
+ * Version history per component (<namespace>.<constructor>), so regenerations and rebuilds stamp increasing versions.
+ *
+ * Generation: the manifest version is the last generated version bumped by the caller's rule,
+ * or by the rule inferred from how the spec changed since that generation:
+ *   major  property, data set or property set removed; its type or usage changed; became required; control type changed
+ *   minor  property, data set or property set added
+ *   patch  any other spec change (names, descriptions, localizations, ...)
+ *   none   spec unchanged: the regeneration keeps its version
+ * Build: the solution version is <manifest version>.<build number>, counted per manifest version,
+ * so every rebuild of the same control imports into Dataverse as an upgrade. The number is reserved when the
+ * build starts (<store>/<component>.builds/<solution version>, created exclusively), so concurrent builds
+ * never share one; a failed build's number is skipped, never reused.
+ *
+ * EXECUTOR_VERSION_STORE  History directory (default <first work root>/.version-history; 'off' disables history)
+ *
+ * Usage: node component-versions.js <namespace>.<constructor>   (prints the history)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveControlType } = require('./control-modes');
+const { createError } = require('./errors');
+const { ROOTS } = require('./path-policy');
+const { assertConstructorName, assertNamespace } = require('./pcf-naming');
+
+const DISABLED = 'off';
+const HISTORY_LIMIT = 100;
+const INITIAL_VERSION = '1.0.0';
+
+const BUMPS = Object.freeze({
+    MAJOR: 'major',
+    MINOR: 'minor',
+    PATCH: 'patch',
+    NONE: 'none',
+    AUTO: 'auto'
+});
+
+const REQUESTABLE_BUMPS = Object.freeze([BUMPS.MAJOR, BUMPS.MINOR, BUMPS.PATCH, BUMPS.AUTO]);
+const BUMP_RANK = Object.freeze({ none: 0, patch: 1, minor: 2, major: 3 });
+
+/**
+ * @param {object} [env]
+ * @returns {string|null} History directory, null when disabled
+ */
+function resolveVersionStore(env = process.env) {
+    const store = env.EXECUTOR_VERSION_STORE;
+    return store === DISABLED ? null : path.resolve(store || path.join(ROOTS.work[0], '.version-history'));
+}
+
+/**
+ * @param {string} [bump] - Requested rule; empty means 'auto'
+ * @returns {'major'|'minor'|'patch'|'auto'}
+ * @throws {ExecutorError} PCF-SYS-007 for an unknown rule
+ */
+function assertVersionBump(bump) {
+    const rule = bump || BUMPS.AUTO;
+    if (!REQUESTABLE_BUMPS.includes(rule)) {
+        throw createError('PCF-SYS-007', `Unknown version bump '${rule}' (expected ${REQUESTABLE_BUMPS.join(', ')})`, {
+            details: { versionBump: rule }
+        });
+    }
+    return rule;
+}
+
+/**
+ * major.minor.patch from a spec or manifest version ('1.0' -> '1.0.0').
+ * @param {string} version
+ * @returns {string|null} null when the version is not 1-3 numeric parts
+ */
+function normalizeVersion(version) {
+    const value = String(version || '').trim();
+    if (!/^\d+(\.\d+){0,2}$/.test(value)) return null;
+    const parts = value.split('.').map(Number);
+    while (parts.length < 3) parts.push(0);
+    return parts.join('.');
+}
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * @param {string} version - major.minor.patch
+ * @param {string} bump - major|minor|patch|none
+ * @returns {string}
+ */
+function bumpVersion(version, bump) {
+    const [major, minor, patch] = version.split('.').map(Number);
+    switch (bump) {
+        case BUMPS.MAJOR: return `${major + 1}.0.0`;
+        case BUMPS.MINOR: return `${major}.${minor + 1}.0`;
+        case BUMPS.PATCH: return `${major}.${minor}.${patch + 1}`;
+        default: return version;
+    }
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function parameterSurface(parameter) {
+    return {
+        type: parameter.ofType || parameter.dataType || null,
+        usage: parameter.usage || 'bound',
+        required: parameter.required === true
+    };
+}
+
+/**
+ * The parts of a spec that decide compatibility with forms and apps already using the control.
+ * @param {object} componentSpec
+ * @returns {object} { controlType, properties: { name: {type, usage, required} }, dataSets: { name: { name: {...} } } }
+ */
+function specSurface(componentSpec) {
+    return {
+        controlType: resolveControlType(componentSpec),
+        properties: Object.fromEntries(asArray(componentSpec.properties)
+            .map(property => [property.name, parameterSurface(property)])),
+        dataSets: Object.fromEntries(asArray(componentSpec.dataSets)
+            .map(dataSet => [dataSet.name, Object.fromEntries(asArray(dataSet.propertySets)
+                .map(propertySet => [propertySet.name, parameterSurface(propertySet)]))]))
+    };
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+function specHash(componentSpec) {
+    const { version, ...rest } = componentSpec; // the contract version is not a change
+    return crypto.createHash('sha256').update(JSON.stringify(sortKeys(rest)), 'utf8').digest('hex');
+}
+
+function compareParameters(kind, before, after, reasons) {
+    for (const name of Object.keys(before)) {
+        if (!after[name]) {
+            reasons.push({ bump: BUMPS.MAJOR, change: `${kind} '${name}' removed` });
+            continue;
+        }
+        if (before[name].type !== after[name].type) {
+            reasons.push({ bump: BUMPS.MAJOR, change: `${kind} '${name}' type ${before[name].type} -> ${after[name].type}` });
+        }
+        if (before[name].usage !== after[name].usage) {
+            reasons.push({ bump: BUMPS.MAJOR, change: `${kind} '${name}' usage ${before[name].usage} -> ${after[name].usage}` });
+        }
+        if (!before[name].required && after[name].required) {
+            reasons.push({ bump: BUMPS.MAJOR, change: `${kind} '${name}' became required` });
+        } else if (before[name].required && !after[name].required) {
+            reasons.push({ bump: BUMPS.PATCH, change: `${kind} '${name}' became optional` });
+        }
+    }
+    for (const name of Object.keys(after)) {
+        if (!before[name]) reasons.push({ bump: BUMPS.MINOR, change: `${kind} '${name}' added` });
+    }
+}
+
+/**
+ * Bump rule implied by a spec change.
+ * @param {{ surface: object, specSha256: string }|null} previous - Last generation entry
+ * @param {object} componentSpec - New spec
+ * @returns {{ bump: string, reasons: { bump: string, change: string }[] }}
+ */
+function inferVersionBump(previous, componentSpec) {
+    if (!previous) return { bump: BUMPS.NONE, reasons: [] };
+    if (previous.specSha256 === specHash(componentSpec)) return { bump: BUMPS.NONE, reasons: [] };
+
+    const before = previous.surface;
+    const after = specSurface(componentSpec);
+    const reasons = [];
+    if (before.controlType !== after.controlType) {
+        reasons.push({ bump: BUMPS.MAJOR, change: `control type ${before.controlType} -> ${after.controlType}` });
+    }
+    compareParameters('property', before.properties, after.properties, reasons);
+    for (const name of Object.keys(before.dataSets)) {
+        if (!after.dataSets[name]) reasons.push({ bump: BUMPS.MAJOR, change: `data set '${name}' removed` });
+        else compareParameters(`data set '${name}' property set`, before.dataSets[name], after.dataSets[name], reasons);
+    }
+    for (const name of Object.keys(after.dataSets)) {
+        if (!before.dataSets[name]) reasons.push({ bump: BUMPS.MINOR, change: `data set '${name}' added` });
+    }
+    if (reasons.length === 0) reasons.push({ bump: BUMPS.PATCH, change: 'spec changed (no interface change)' });
+
+    const bump = reasons.reduce((highest, reason) => (BUMP_RANK[reason.bump] > BUMP_RANK[highest] ? reason.bump : highest), BUMPS.NONE);
+    return { bump, reasons };
+}
+
+/**
+ * History key of a component. Both identifiers are validated first: the key becomes a file name.
+ * @param {string} namespace
+ * @param {string} constructorName
+ * @returns {string} <namespace>.<constructor>
+ */
+function componentKey(namespace, constructorName) {
+    assertNamespace(namespace);
+    assertConstructorName(constructorName);
+    return `${namespace}.${constructorName}`;
+}
+
+function historyPath(storeDir, component) {
+    return path.join(storeDir, `${component}.json`);
+}
+
+function reservationDir(storeDir, component) {
+    return path.join(storeDir, `${component}.builds`);
+}
+
+/**
+ * Claims the first free build number above every recorded and reserved one by creating its
+ * reservation file exclusively; a concurrent build that claimed it first makes this one take the next.
+ * @returns {number} Build number
+ */
+function reserveBuildNumber(storeDir, component, version, recorded) {
+    const dir = reservationDir(storeDir, component);
+    fs.mkdirSync(dir, { recursive: true });
+    const prefix = `${version}.`;
+    const reserved = fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix))
+        .map(name => Number(name.slice(prefix.length)))
+        .filter(Number.isInteger);
+    let buildNumber = Math.max(recorded, ...reserved) + 1;
+    for (;;) {
+        try {
+            fs.writeFileSync(path.join(dir, `${version}.${buildNumber}`),
+                JSON.stringify({ reservedAt: new Date().toISOString(), pid: process.pid }), { flag: 'wx' });
+            return buildNumber;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            buildNumber++;
+        }
+    }
+}
+
+/**
+ * @param {string} storeDir
+ * @param {string} component - <namespace>.<constructor>
+ * @returns {object} { component, version, generations: [], builds: [] }
+ * @throws {ExecutorError} PCF-SYS-003 when the history exists but cannot be parsed (never silently restarted at 1.0.0)
+ */
+function readHistory(storeDir, component) {
+    const filePath = historyPath(storeDir, component);
+    if (!fs.existsSync(filePath)) return { component, version: null, generations: [], builds: [] };
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw createError('PCF-SYS-003', `Version history is not valid JSON: ${filePath} (${error.message})`, {
+            details: { file: filePath },
+            cause: error
+        });
+    }
+}
+
+// Written beside and renamed over the old file, so a crash never leaves half a history
+function writeHistory(storeDir, history) {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const filePath = historyPath(storeDir, history.component);
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const trimmed = {
+        ...history,
+        generations: history.generations.slice(-HISTORY_LIMIT),
+        builds: history.builds.slice(-HISTORY_LIMIT)
+    };
+    fs.writeFileSync(tempPath, JSON.stringify(trimmed, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Decides the manifest version for a generation.
+ * @param {object} componentSpec
+ * @param {object} [options]
+ * @param {string} [options.bump] - major|minor|patch|auto (default auto: inferred from the spec change)
+ * @param {string|null} [options.storeDir] - From resolveVersionStore
+ * @returns {object} { component, version, previous, bump, reasons, requested, tracked }
+ */
+function resolveGenerationVersion(componentSpec, options = {}) {
+    const requested = assertVersionBump(options.bump);
+    const storeDir = options.storeDir !== undefined ? options.storeDir : resolveVersionStore();
+    const component = componentKey(componentSpec.namespace, componentSpec.componentName);
+    const specVersion = normalizeVersion(componentSpec.version) || INITIAL_VERSION;
+    const result = { component, version: specVersion, previous: null, bump: BUMPS.NONE, reasons: [], requested, tracked: storeDir !== null };
+    if (!storeDir) return result;
+
+    const history = readHistory(storeDir, component);
+    if (!history.version) {
+        result.reasons.push({ bump: BUMPS.NONE, change: 'first generation' });
+        return result;
+    }
+
+    const inferred = inferVersionBump(history.generations[history.generations.length - 1] || null, componentSpec);
+    result.previous = history.version;
+    result.bump = requested === BUMPS.AUTO ? inferred.bump : requested;
+    result.reasons = requested === BUMPS.AUTO ? inferred.reasons : [{ bump: requested, change: 'requested by caller' }, ...inferred.reasons];
+    result.version = bumpVersion(history.version, result.bump);
+    // A spec that already carries a higher version wins over the history
+    if (compareVersions(specVersion, result.version) > 0) result.version = specVersion;
+    return result;
+}
+
+/**
+ * Appends a generation to the component's history.
+ * @param {object} componentSpec - The spec as passed to generation (before stamping)
+ * @param {object} versioning - From resolveGenerationVersion
+ * @param {object} [details] - Extra fields for the entry (e.g. outputDir)
+ * @param {string|null} [storeDir]
+ */
+function recordGeneration(componentSpec, versioning, details = {}, storeDir = resolveVersionStore()) {
+    if (!storeDir) return;
+    const history = readHistory(storeDir, versioning.component);
+    history.version = versioning.version;
+    history.generations.push({
+        version: versioning.version,
+        previous: versioning.previous,
+        bump: versioning.bump,
+        reasons: versioning.reasons,
+        specSha256: specHash(componentSpec),
+        surface: specSurface(componentSpec),
+        generatedAt: new Date().toISOString(),
+        ...details
+    });
+    writeHistory(storeDir, history);
+}
+
+/**
+ * Reserves the solution version for a build of a manifest version: <major.minor.patch>.<build number>.
+ * Call once when the build starts; the reservation holds whether or not the build succeeds.
+ * @param {string} namespace
+ * @param {string} constructorName
+ * @param {string} manifestVersion - control version from ControlManifest.Input.xml
+ * @param {string|null} [storeDir]
+ * @returns {{ component: string, version: string, solutionVersion: string, buildNumber: number, tracked: boolean }}
+ */
+function reserveBuildVersion(namespace, constructorName, manifestVersion, storeDir = resolveVersionStore()) {
+    const component = componentKey(namespace, constructorName);
+    const version = normalizeVersion(manifestVersion) || INITIAL_VERSION;
+    let buildNumber = 1;
+    if (storeDir) {
+        const builds = readHistory(storeDir, component).builds.filter(build => build.version === version);
+        const recorded = builds.reduce((highest, build) => Math.max(highest, build.buildNumber), 0);
+        buildNumber = reserveBuildNumber(storeDir, component, version, recorded);
+    }
+    return { component, version, solutionVersion: `${version}.${buildNumber}`, buildNumber, tracked: storeDir !== null };
+}
+
+/**
+ * Appends a successful build to the component's history.
+ * @param {object} versioning - From reserveBuildVersion
+ * @param {object} [details] - Extra fields for the entry (buildId, artifact, packager)
+ * @param {string|null} [storeDir]
+ */
+function recordBuild(versioning, details = {}, storeDir = resolveVersionStore()) {
+    if (!storeDir) return;
+    const history = readHistory(storeDir, versioning.component);
+    if (!history.version || compareVersions(versioning.version, history.version) > 0) history.version = versioning.version;
+    history.builds.push({
+        version: versioning.version,
+        buildNumber: versioning.buildNumber,
+        solutionVersion: versioning.solutionVersion,
+        builtAt: new Date().toISOString(),
+        ...details
+    });
+    writeHistory(storeDir, history);
+}
+
+/**
+ * Main entry point: prints a component's version history.
+ */
+function main() {
+    const [namespace, constructorName] = (process.argv[2] || '').split(/\.(?=[^.]+$)/);
+    if (!namespace || !constructorName) {
+        console.error('Usage: node component-versions.js <namespace>.<constructor>');
+        process.exit(1);
+    }
+    const storeDir = resolveVersionStore();
+    if (!storeDir) {
+        console.error('Version history is disabled (EXECUTOR_VERSION_STORE=off)');
+        process.exit(1);
+    }
+    try {
+        console.log(JSON.stringify(readHistory(storeDir, componentKey(namespace, constructorName)), null, 2));
+    } catch (error) {
+        console.error(`❌ ${error.code ? `[${error.code}] ` : ''}${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    BUMPS,
+    resolveVersionStore,
+    assertVersionBump,
+    normalizeVersion,
+    bumpVersion,
+    inferVersionBump,
+    resolveGenerationVersion,
+    recordGeneration,
+    reserveBuildVersion,
+    recordBuild
+};
@@ -0,0 +1,45 @@
+/**
+ * Control Modes
+ * Standard controls bundle their own React and render into the container they are given.
+ * Virtual controls use the React and Fluent the platform already loaded (<platform-library>)
+ * and return an element from updateView, which keeps their bundles small.
+ *
+ * The mode comes from componentSpec.interaction.controlType ('react' is accepted as an older name for 'virtual').
+ */
+
+const CONTROL_TYPES = Object.freeze({
+    STANDARD: 'standard',
+    VIRTUAL: 'virtual'
+});
+
+const VIRTUAL_CONTROL_TYPES = Object.freeze(['virtual', 'react']);
+
+// Versions the platform provides; the manifest must request exactly these
+const PLATFORM_LIBRARIES = Object.freeze([
+    Object.freeze({ name: 'React', version: '16.14.0' }),
+    Object.freeze({ name: 'Fluent', version: '9.46.2' })
+]);
+
+/**
+ * @param {object} componentSpec
+ * @returns {'standard'|'virtual'} Manifest control-type
+ */
+function resolveControlType(componentSpec) {
+    const requested = componentSpec && componentSpec.interaction ? componentSpec.interaction.controlType : undefined;
+    return VIRTUAL_CONTROL_TYPES.includes(requested) ? CONTROL_TYPES.VIRTUAL : CONTROL_TYPES.STANDARD;
+}
+
+/**
+ * @param {string} controlType - From resolveControlType
+ * @returns {{ name: string, version: string }[]} Platform libraries the manifest declares
+ */
+function platformLibraries(controlType) {
+    return controlType === CONTROL_TYPES.VIRTUAL ? PLATFORM_LIBRARIES : [];
+}
+
+module.exports = {
+    CONTROL_TYPES,
+    PLATFORM_LIBRARIES,
+    resolveControlType,
+    platformLibraries
+};
@@ -0,0 +1,262 @@
+/**
+ * Dependency Cache
+ * Content-addressed store of installed node_modules for buildPcf.
+ *
+ * The key is the sha256 of the merged package.json's dependency sections (plus platform and Node ABI),
+ * so every control with the same dependency set shares one install:
+ *   hit  -> <store>/<key>/node_modules is recreated in the working directory from hard links to the entry's files
+ *           (a private tree: tools that write node_modules/.cache never touch the entry), npm install is skipped
+ *   miss -> npm install (optionally from a prepared npm cache), then the install is copied into the store
+ *
+ * EXECUTOR_DEPENDENCY_STORE  Store directory (default <first work root>/.dependency-store; 'off' disables the store)
+ * EXECUTOR_NPM_CACHE         npm cache directory for installs (--cache, --prefer-offline)
+ * EXECUTOR_NPM_OFFLINE       '1': install from the npm cache only (--offline), for hosts without registry access
+ *
+ * A store can be pre-populated by copying a working directory's node_modules to <store>/<key>/node_modules
+ * next to an entry.json; `node dependency-cache.js <working-dir>` prints the key of a package.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOTS } = require('./path-policy');
+
+const ENTRY_FILE = 'entry.json';
+const DISABLED = 'off';
+
+// package.json sections that decide what npm installs
+const DEPENDENCY_FIELDS = Object.freeze(['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'overrides']);
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Cache key for a package.json: sha256 of its dependency sections, the platform and the Node ABI
+ * (native modules are not portable across either).
+ * @param {object} packageJson - Parsed package.json
+ * @returns {string} Hex digest
+ */
+function dependencyKey(packageJson) {
+    const identity = {
+        dependencies: Object.fromEntries(DEPENDENCY_FIELDS.map(field => [field, packageJson[field] || {}])),
+        platform: `${process.platform}-${process.arch}`,
+        nodeAbi: process.versions.modules
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(sortKeys(identity)), 'utf8').digest('hex');
+}
+
+/**
+ * @param {object} [env]
+ * @returns {{ storeDir: string|null, npmCache: string|null, offline: boolean }}
+ */
+function resolveCacheConfig(env = process.env) {
+    const store = env.EXECUTOR_DEPENDENCY_STORE;
+    return {
+        storeDir: store === DISABLED ? null : path.resolve(store || path.join(ROOTS.work[0], '.dependency-store')),
+        npmCache: env.EXECUTOR_NPM_CACHE ? path.resolve(env.EXECUTOR_NPM_CACHE) : null,
+        offline: env.EXECUTOR_NPM_OFFLINE === '1'
+    };
+}
+
+function npmInstallArgs(config) {
+    const args = ['install'];
+    if (config.npmCache) args.push('--cache', config.npmCache);
+    if (config.offline) args.push('--offline');
+    else if (config.npmCache) args.push('--prefer-offline');
+    return args;
+}
+
+function readEntry(entryDir) {
+    try {
+        const entry = JSON.parse(fs.readFileSync(path.join(entryDir, ENTRY_FILE), 'utf8'));
+        return fs.existsSync(path.join(entryDir, 'node_modules')) ? entry : null;
+    } catch (error) {
+        return null; // missing or half-written: treated as a miss
+    }
+}
+
+/**
+ * Writes entry.json through a temporary file and a rename, so readers see the old or the new file, never a partial one.
+ */
+function writeEntryFile(dir, entry) {
+    const tempFile = path.join(dir, `.${ENTRY_FILE}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    try {
+        fs.writeFileSync(tempFile, JSON.stringify(entry, null, 2));
+        fs.renameSync(tempFile, path.join(dir, ENTRY_FILE));
+    } finally {
+        fs.rmSync(tempFile, { force: true });
+    }
+}
+
+/**
+ * Hard-links a file, or copies it when the store is on another device or links are not permitted
+ * (after the first such failure every remaining file is copied).
+ */
+function linkFile(from, to, stats) {
+    if (!stats.copying) {
+        try {
+            fs.linkSync(from, to);
+            stats.linked++;
+            return;
+        } catch (error) {
+            if (!['EXDEV', 'EPERM', 'EMLINK', 'ENOTSUP'].includes(error.code)) throw error;
+            stats.copying = true;
+        }
+    }
+    fs.copyFileSync(from, to);
+    stats.copied++;
+}
+
+function linkTree(source, target, stats) {
+    fs.mkdirSync(target, { recursive: true });
+    for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+        const from = path.join(source, entry.name);
+        const to = path.join(target, entry.name);
+        if (entry.isDirectory()) linkTree(from, to, stats);
+        else if (entry.isSymbolicLink()) fs.symlinkSync(fs.readlinkSync(from), to); // .bin entries, relative
+        else if (entry.isFile()) linkFile(from, to, stats);
+    }
+}
+
+/**
+ * Replaces workingDir/node_modules (a link or a stale install) with a private tree of hard links to the
+ * store entry. Directories are the build's own, so files tools create there stay out of the entry;
+ * files are shared, so they must not be modified in place.
+ * @returns {{ linked: number, copied: number }}
+ */
+function linkEntry(entryDir, workingDir) {
+    const target = path.join(workingDir, 'node_modules');
+    try {
+        const stat = fs.lstatSync(target);
+        if (stat.isSymbolicLink()) fs.unlinkSync(target); // store link made by earlier versions
+        else fs.rmSync(target, { recursive: true, force: true });
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const stats = { linked: 0, copied: 0, copying: false };
+    linkTree(path.join(entryDir, 'node_modules'), target, stats);
+
+    const lockFile = path.join(entryDir, 'package-lock.json');
+    if (fs.existsSync(lockFile) && !fs.existsSync(path.join(workingDir, 'package-lock.json'))) {
+        fs.copyFileSync(lockFile, path.join(workingDir, 'package-lock.json'));
+    }
+    return { linked: stats.linked, copied: stats.copied };
+}
+
+/**
+ * Copies a fresh install into the store. Written to a staging directory and renamed into place,
+ * so concurrent builds never see a partial entry; the first build to finish wins.
+ * An existing entry directory is never replaced, complete or not: builds may be linking from it,
+ * or it is still being pre-populated.
+ * @returns {boolean} Whether this call created the entry
+ */
+function storeInstall(workingDir, storeDir, key, packageJson) {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const entryDir = path.join(storeDir, key);
+    const stagingDir = path.join(storeDir, `.${key}.staging-${crypto.randomBytes(4).toString('hex')}`);
+    try {
+        fs.cpSync(path.join(workingDir, 'node_modules'), path.join(stagingDir, 'node_modules'), { recursive: true, verbatimSymlinks: true });
+        if (fs.existsSync(path.join(workingDir, 'package-lock.json'))) {
+            fs.copyFileSync(path.join(workingDir, 'package-lock.json'), path.join(stagingDir, 'package-lock.json'));
+        }
+        const entry = {
+            key,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            hits: 0,
+            node: process.version,
+            ...Object.fromEntries(DEPENDENCY_FIELDS.filter(field => packageJson[field]).map(field => [field, packageJson[field]]))
+        };
+        writeEntryFile(stagingDir, entry);
+        if (fs.existsSync(entryDir)) return false;
+        try {
+            fs.renameSync(stagingDir, entryDir);
+        } catch (error) {
+            if (['ENOTEMPTY', 'EEXIST'].includes(error.code)) return false; // another build stored it first
+            throw error;
+        }
+        return true;
+    } finally {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+}
+
+function recordHit(entryDir, entry) {
+    try {
+        writeEntryFile(entryDir, { ...entry, lastUsedAt: new Date().toISOString(), hits: (entry.hits || 0) + 1 });
+    } catch (error) {
+        console.warn(`! Dependency store entry not updated: ${error.message}`);
+    }
+}
+
+/**
+ * Provides node_modules for workingDir from the store, or installs and stores them.
+ * @param {string} workingDir - Directory with the merged package.json
+ * @param {{ run: function }} runner - Command runner (see command-runner.js)
+ * @param {object} [config] - From resolveCacheConfig
+ * @returns {Promise<object>} { key, status: 'hit'|'miss'|'disabled', storeDir, entryDir, stored, npmCache, offline, durationMs }
+ */
+async function installDependencies(workingDir, runner, config = resolveCacheConfig()) {
+    const started = Date.now();
+    const packageJson = JSON.parse(fs.readFileSync(path.join(workingDir, 'package.json'), 'utf8'));
+    const key = dependencyKey(packageJson);
+    const entryDir = config.storeDir ? path.join(config.storeDir, key) : null;
+    const result = {
+        key,
+        status: 'disabled',
+        storeDir: config.storeDir,
+        entryDir,
+        stored: false,
+        npmCache: config.npmCache,
+        offline: config.offline,
+        durationMs: null
+    };
+    console.log(`Dependency key: ${key.slice(0, 12)}`);
+
+    const entry = entryDir ? readEntry(entryDir) : null;
+    if (entry) {
+        const { linked, copied } = linkEntry(entryDir, workingDir);
+        recordHit(entryDir, entry);
+        result.status = 'hit';
+        console.log(`✓ Dependency cache hit: ${linked} file(s) linked, ${copied} copied from ${entryDir}/node_modules (npm install skipped)`);
+    } else {
+        if (entryDir) result.status = 'miss';
+        await runner.run('npm', npmInstallArgs(config), workingDir);
+        if (entryDir) {
+            try {
+                result.stored = storeInstall(workingDir, config.storeDir, key, packageJson);
+                console.log(result.stored
+                    ? `✓ Dependency cache miss: install stored as ${entryDir}`
+                    : `✓ Dependency cache miss: ${entryDir} already exists and was left as it is`);
+            } catch (error) {
+                console.warn(`! Dependency cache miss: install not stored (${error.message})`);
+            }
+        }
+    }
+    result.durationMs = Date.now() - started;
+    return result;
+}
+
+/**
+ * Main entry point: prints the dependency key and store status of a working directory.
+ */
+function main() {
+    const workingDir = process.argv[2];
+    if (!workingDir) {
+        console.error('Usage: node dependency-cache.js <working-dir>');
+        process.exit(1);
+    }
+    const config = resolveCacheConfig();
+    const key = dependencyKey(JSON.parse(fs.readFileSync(path.join(workingDir, 'package.json'), 'utf8')));
+    const stored = config.storeDir ? readEntry(path.join(config.storeDir, key)) !== null : false;
+    console.log(JSON.stringify({ key, storeDir: config.storeDir, stored }, null, 2));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { dependencyKey, resolveCacheConfig, installDependencies };
@@ -0,0 +1,172 @@
+/**
+ * Executor Errors
+ * Shared error hierarchy with the stable codes of docs/reference/error-codes.md.
+ *
+ * Library functions throw these (or errors that toExecutorError() maps to them); only CLI wrappers exit.
+ * server.js and the job worker turn them into the standard error response:
+ *   { status: 'error', error: { code, stage, message, userMessage, suggestion, retryable, details } }
+ */
+
+/**
+ * Code catalog: user-facing message, suggestion and HTTP status per code.
+ * Retryable codes follow the retry strategy table (LLM service errors only).
+ */
+const ERROR_CATALOG = Object.freeze({
+    'PCF-INT-001': { userMessage: 'User input is empty or invalid', suggestion: 'Provide a valid component description', httpStatus: 400 },
+    'PCF-INT-002': { userMessage: 'Cannot determine component type from input', suggestion: 'Provide more specific details about the component' },
+    'PCF-INT-003': { userMessage: 'Input contains contradictory requirements', suggestion: 'Clarify the conflicting requirements' },
+    'PCF-INT-004': { userMessage: 'Generated intent does not conform to schema', suggestion: 'Retry or contact support' },
+    'PCF-INT-005': { userMessage: 'Clarification session cannot accept answers', suggestion: 'Wait for the session to finish or start a new one', httpStatus: 409 },
+    'PCF-CAP-001': { userMessage: 'No capability matches the requested component type', suggestion: 'Choose from available capabilities' },
+    'PCF-CAP-002': { userMessage: 'Requested feature is not supported by the capability', suggestion: 'Remove the feature or choose another capability' },
+    'PCF-CAP-003': { userMessage: 'Requested behavior is forbidden', suggestion: 'Remove the forbidden behavior' },
+    'PCF-CAP-004': { userMessage: 'Capability definition could not be loaded', suggestion: 'Contact support', httpStatus: 500 },
+    'PCF-SPEC-001': { userMessage: 'Component name is invalid', suggestion: 'Use PascalCase letters and digits only' },
+    'PCF-SPEC-002': { userMessage: 'Property data type is invalid', suggestion: 'Use a supported PCF data type' },
+    'PCF-SPEC-003': { userMessage: 'Component has no bound property', suggestion: 'Add a bound property' },
+    'PCF-SPEC-004': { userMessage: 'Generated specification does not conform to schema', suggestion: 'Retry or contact support' },
+    'PCF-VAL-001': { userMessage: 'Component violates a core rule', suggestion: 'Adjust the component to satisfy the rule' },
+    'PCF-VAL-002': { userMessage: 'Component violates a performance rule', suggestion: 'Adjust the component to satisfy the rule' },
+    'PCF-VAL-003': { userMessage: 'Component violates an accessibility rule', suggestion: 'Adjust the component to satisfy the rule' },
+    'PCF-VAL-004': { userMessage: 'Component violates a security rule', suggestion: 'Adjust the component to satisfy the rule' },
+    'PCF-VAL-005': { userMessage: 'Cross-reference validation failed', suggestion: 'Contact support' },
+    'PCF-GEN-001': { userMessage: 'Code template not found', suggestion: 'Contact support' },
+    'PCF-GEN-002': { userMessage: 'Code template failed to render', suggestion: 'Contact support' },
+    'PCF-GEN-003': { userMessage: 'Generated code failed linting', suggestion: 'Contact support' },
+    'PCF-GEN-004': { userMessage: 'File generation plan is invalid', suggestion: 'Fix the reported plan violations' },
+    'PCF-PKG-001': { userMessage: 'Generated package does not match PCF structure', suggestion: 'Contact support', httpStatus: 500 },
+    'PCF-PKG-002': { userMessage: 'Cannot create ZIP file', suggestion: 'Retry or contact support', httpStatus: 500 },
+    'PCF-PKG-003': { userMessage: 'Package does not pass validation', suggestion: 'Contact support' },
+    'PCF-PKG-004': { userMessage: 'Build tool command failed', suggestion: 'Check the build log', httpStatus: 500 },
+    'PCF-LLM-001': { userMessage: 'Language model call failed', suggestion: 'Retry later', retryable: true, httpStatus: 502 },
+    'PCF-LLM-002': { userMessage: 'Language model returned an invalid response', suggestion: 'Retry later', retryable: true, httpStatus: 502 },
+    'PCF-LLM-003': { userMessage: 'Language model response failed validation', suggestion: 'Retry later', retryable: true, httpStatus: 502 },
+    'PCF-LLM-004': { userMessage: 'Language model call timed out', suggestion: 'Retry later', retryable: true, httpStatus: 504 },
+    'PCF-LLM-005': { userMessage: 'Language model rate limit exceeded', suggestion: 'Retry later', retryable: true, httpStatus: 429 },
+    'PCF-SYS-001': { userMessage: 'Required AI Brain file not found', suggestion: 'Contact support', httpStatus: 500 },
+    'PCF-SYS-002': { userMessage: 'Cannot parse AI Brain file', suggestion: 'Contact support', httpStatus: 500 },
+    'PCF-SYS-003': { userMessage: 'Invalid system configuration', suggestion: 'Check configuration', httpStatus: 500 },
+    'PCF-SYS-004': { userMessage: 'Unexpected internal error', suggestion: 'Contact support', httpStatus: 500 },
+    'PCF-SYS-005': { userMessage: 'Path is outside the allowed roots', suggestion: 'Use paths under the executor roots', httpStatus: 403 },
+    'PCF-SYS-006': { userMessage: 'Path leaves its root through a symlink', suggestion: 'Remove the symlink or point it inside the root', httpStatus: 403 },
+    'PCF-SYS-007': { userMessage: 'Request is missing or has invalid fields', suggestion: 'Fix the request', httpStatus: 400 },
+    'PCF-SYS-008': { userMessage: 'Requested resource was not found', suggestion: 'Check the identifier', httpStatus: 404 },
+    'PCF-SYS-009': { userMessage: 'No recorded language model response for this request', suggestion: 'Record the fixtures again (npm run test:record)', httpStatus: 500 }
+});
+
+// Status for codes without their own: input/output that does not validate
+const DEFAULT_HTTP_STATUS = 422;
+
+class ExecutorError extends Error {
+    /**
+     * @param {string} code - PCF-{CATEGORY}-{NUMBER} from ERROR_CATALOG
+     * @param {string} message - Technical message (logs, developers)
+     * @param {object} [options]
+     * @param {string} [options.stage] - Pipeline stage, e.g. 'file-generation'
+     * @param {object} [options.details] - Machine-readable context
+     * @param {string} [options.userMessage] - Overrides the catalog message shown to end users
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(code, message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        const entry = ERROR_CATALOG[code] || ERROR_CATALOG['PCF-SYS-004'];
+        this.name = new.target.name;
+        this.code = code;
+        this.stage = options.stage || null;
+        this.details = options.details || {};
+        this.userMessage = options.userMessage || entry.userMessage;
+        this.suggestion = entry.suggestion;
+        this.retryable = entry.retryable === true;
+        this.httpStatus = entry.httpStatus || DEFAULT_HTTP_STATUS;
+    }
+
+    /**
+     * @returns {{ code, stage, message, userMessage, suggestion, retryable, details }}
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            stage: this.stage,
+            message: this.message,
+            userMessage: this.userMessage,
+            suggestion: this.suggestion,
+            retryable: this.retryable,
+            details: this.details
+        };
+    }
+}
+
+// One subclass per error-code category
+class IntentError extends ExecutorError {}
+class CapabilityError extends ExecutorError {}
+class SpecError extends ExecutorError {}
+class ValidationError extends ExecutorError {}
+class GenerationError extends ExecutorError {}
+class PackagingError extends ExecutorError {}
+class LlmError extends ExecutorError {}
+class SystemError extends ExecutorError {}
+
+const CATEGORY_CLASSES = Object.freeze({
+    INT: IntentError,
+    CAP: CapabilityError,
+    SPEC: SpecError,
+    VAL: ValidationError,
+    GEN: GenerationError,
+    PKG: PackagingError,
+    LLM: LlmError,
+    SYS: SystemError
+});
+
+/**
+ * Creates an error of the category class matching the code.
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [options] - See ExecutorError
+ * @returns {ExecutorError}
+ */
+function createError(code, message, options) {
+    const category = code.split('-')[1];
+    const ErrorClass = CATEGORY_CLASSES[category] || ExecutorError;
+    return new ErrorClass(code, message, options);
+}
+
+/**
+ * Returns error unchanged when it already is an ExecutorError, otherwise wraps it as an internal error.
+ * @param {Error} error
+ * @param {string} [stage] - Stage to record when the error has none
+ * @returns {ExecutorError}
+ */
+function toExecutorError(error, stage) {
+    if (error instanceof ExecutorError) {
+        if (!error.stage && stage) error.stage = stage;
+        return error;
+    }
+    return createError('PCF-SYS-004', error && error.message ? error.message : String(error), { stage, cause: error });
+}
+
+/**
+ * Standard error response body.
+ * @param {Error} error
+ * @param {string} [stage]
+ * @returns {{ httpStatus: number, body: { status: 'error', error: object } }}
+ */
+function toErrorResponse(error, stage) {
+    const executorError = toExecutorError(error, stage);
+    return { httpStatus: executorError.httpStatus, body: { status: 'error', error: executorError.toJSON() } };
+}
+
+module.exports = {
+    ERROR_CATALOG,
+    ExecutorError,
+    IntentError,
+    CapabilityError,
+    SpecError,
+    ValidationError,
+    GenerationError,
+    PackagingError,
+    LlmError,
+    SystemError,
+    createError,
+    toExecutorError,
+    toErrorResponse
+};
@@ -8,7 +8,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { createCommandRunner } = require('./command-runner');
+const { assertConstructorName } = require('./pcf-naming');
 
 // Contract version
 const SUPPORTED_VERSION = '1.0';
@@ -40,6 +41,12 @@ async function main() {
             throw new Error(`Unsupported contract version: ${plan.version} (expected: ${SUPPORTED_VERSION})`);
         }
 
+        // buildId and componentName end up in paths and command arguments
+        if (!/^[A-Za-z0-9_-]+$/.test(String(plan.buildId))) {
+            throw new Error(`Invalid buildId: ${plan.buildId}`);
+        }
+        assertConstructorName(plan.componentSpec.componentName);
+
         console.log(`✓ Contract version validated\n`);
 
         // STEP 3: Create output directory
@@ -87,7 +94,7 @@ async function main() {
 
         // Simple ZIP creation (requires zip command)
         try {
-            execSync(`cd ${outputDir} && zip -r ${zipPath} .`, { stdio: 'inherit' });
+            await createCommandRunner().run('zip', ['-r', zipPath, '.'], outputDir);
             console.log(`✓ ZIP created: ${zipPath}\n`);
         } catch (err) {
             console.log(`  Note: ZIP creation skipped (zip command not available)\n`);
@@ -4,100 +4,523 @@
  * File Generator Executor
  * Renders Handlebars templates based on deterministic plan.
  * NO AI - Pure mechanical transformation.
+ *
+ * Generation is all-or-nothing: the whole plan is validated and rendered in memory first,
+ * written to a staging directory, then swapped into outputDir (rolled back on failure).
+ * Hand edits made since the previous generation are merged into the new output (see generation-baseline.js).
+ * generation-manifest.json records the brain version, spec, template and output hashes (see generation-manifest.js).
+ * The manifest version comes from the component's version history (see component-versions.js).
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 // Note: You must install handlebars: npm install handlebars
 const Handlebars = require('handlebars');
+const { recordGeneration, resolveGenerationVersion } = require('./component-versions');
+const { platformLibraries, resolveControlType } = require('./control-modes');
+const { GenerationError, toExecutorError } = require('./errors');
+const { baselineStateFiles, clearConflictReport, logReconciliation, reconcileWithBaseline } = require('./generation-baseline');
+const { MANIFEST_FILE, buildGenerationManifest } = require('./generation-manifest');
+const { logVerification, verifyGeneratedSources } = require('./generation-verifier');
+const { buildResxStrings, defaultLcid, languageOutputPath, specLanguages, validateLocalizations } = require('./localization');
+const { PathPolicyError, resolveWithin } = require('./path-policy');
+const { assertConstructorName, assertNamespace } = require('./pcf-naming');
+const { inferLanguage, prepareTemplate, registerTemplateHelpers } = require('./template-helpers');
+const { loadTemplatePacks, resolveTemplate } = require('./template-packs');
+const { createUnifiedDiff } = require('./unified-diff');
 
 // Register helpers
-Handlebars.registerHelper('eq', function (a, b) {
-    return a === b;
+registerTemplateHelpers(Handlebars);
+
+const GENERATION_CODES = Object.freeze({
+    TEMPLATE_NOT_FOUND: 'PCF-GEN-001',
+    RENDER_FAILED: 'PCF-GEN-002',
+    PLAN_INVALID: 'PCF-GEN-004'
 });
 
+// ComponentSpec fields the templates depend on
+const REQUIRED_SPEC_FIELDS = Object.freeze(['componentName', 'namespace', 'componentType', 'version', 'properties']);
+
+class GenerationPlanError extends GenerationError {
+    /**
+     * @param {object[]} violations - [{ code, step, field, message }]
+     */
+    constructor(violations) {
+        super(GENERATION_CODES.PLAN_INVALID, `Generation plan failed validation with ${violations.length} violation(s): ` +
+            violations.map(v => `${v.step ? `step ${v.step}: ` : ''}${v.message}`).join('; '), {
+            stage: 'file-generation',
+            details: { violations }
+        });
+        this.violations = violations;
+    }
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Parameter names become context.parameters keys and manifest names
+const PARAMETER_NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Structural checks for componentSpec.dataSets: names are unique across properties and data sets,
+ * property-set names are unique within their data set.
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateDataSets(componentSpec) {
+    const problems = [];
+    const add = (field, message) => problems.push({ field, message });
+    if (!Array.isArray(componentSpec.dataSets)) {
+        add('componentSpec.dataSets', 'ComponentSpec dataSets must be an array');
+        return problems;
+    }
+
+    const parameterNames = new Set((Array.isArray(componentSpec.properties) ? componentSpec.properties : []).map(p => p && p.name));
+    componentSpec.dataSets.forEach((dataSet, index) => {
+        const field = `componentSpec.dataSets[${index}]`;
+        if (!dataSet || typeof dataSet.name !== 'string' || !PARAMETER_NAME_PATTERN.test(dataSet.name)) {
+            add(`${field}.name`, `Data set name must be camelCase, got '${dataSet && dataSet.name}'`);
+            return;
+        }
+        if (parameterNames.has(dataSet.name)) {
+            add(`${field}.name`, `Data set name '${dataSet.name}' is already used by another property or data set`);
+        }
+        parameterNames.add(dataSet.name);
+        if (dataSet.propertySets === undefined) return;
+        if (!Array.isArray(dataSet.propertySets)) {
+            add(`${field}.propertySets`, `Data set '${dataSet.name}' propertySets must be an array`);
+            return;
+        }
+        const columns = new Set();
+        dataSet.propertySets.forEach((column, columnIndex) => {
+            const name = column && column.name;
+            if (typeof name !== 'string' || !PARAMETER_NAME_PATTERN.test(name)) {
+                add(`${field}.propertySets[${columnIndex}].name`, `Property set name must be camelCase, got '${name}'`);
+            } else if (columns.has(name)) {
+                add(`${field}.propertySets[${columnIndex}].name`, `Duplicate property set '${name}' in data set '${dataSet.name}'`);
+            }
+            columns.add(name);
+        });
+    });
+    return problems;
+}
+
+function validateSpec(componentSpec) {
+    const violations = [];
+    const add = (field, message) => violations.push({ code: GENERATION_CODES.PLAN_INVALID, step: null, field, message });
+
+    for (const field of REQUIRED_SPEC_FIELDS) {
+        if (isMissing(componentSpec[field])) {
+            add(`componentSpec.${field}`, `Missing required ComponentSpec field: ${field}`);
+        }
+    }
+    for (const [field, assert] of [['componentName', assertConstructorName], ['namespace', assertNamespace]]) {
+        if (typeof componentSpec[field] !== 'string' || componentSpec[field] === '') continue;
+        try {
+            assert(componentSpec[field]);
+        } catch (error) {
+            add(`componentSpec.${field}`, error.message);
+        }
+    }
+    if (componentSpec.properties !== undefined && !Array.isArray(componentSpec.properties)) {
+        add('componentSpec.properties', 'ComponentSpec properties must be an array');
+    }
+    if (componentSpec.dataSets !== undefined) {
+        validateDataSets(componentSpec).forEach(({ field, message }) => add(field, message));
+    }
+    validateLocalizations(componentSpec).forEach(({ field, message }) => add(field, message));
+    return violations;
+}
+
+/**
+ * Capability definition for capabilityParam defaults (ai-brain/capabilities next to the templates), or null.
+ */
+function loadCapability(templatesDir, capabilityId) {
+    if (typeof capabilityId !== 'string' || capabilityId === '') return null;
+    try {
+        const capabilitiesDir = path.join(path.resolve(templatesDir), '..', 'capabilities');
+        const capabilityPath = resolveWithin(capabilitiesDir, `${capabilityId}.capability.json`, 'capabilityId');
+        return fs.existsSync(capabilityPath) ? JSON.parse(fs.readFileSync(capabilityPath, 'utf8')) : null;
+    } catch (error) {
+        console.warn(`! Capability definition for '${capabilityId}' not loaded: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Checks the manifests, spec fields and helpers of every pack the plan resolved templates from.
+ */
+function validatePacks(componentSpec, usedPacks, violations) {
+    const reported = new Set(violations.map(v => v.field));
+    for (const pack of usedPacks) {
+        if (!pack.valid) {
+            violations.push({ code: GENERATION_CODES.PLAN_INVALID, step: null, field: 'templatePack',
+                message: `Template pack '${pack.id}' has an invalid manifest: ${pack.problems.join('; ')}` });
+            continue;
+        }
+        for (const field of pack.requiredSpecFields) {
+            if (isMissing(componentSpec[field]) && !reported.has(`componentSpec.${field}`)) {
+                reported.add(`componentSpec.${field}`);
+                violations.push({ code: GENERATION_CODES.PLAN_INVALID, step: null, field: `componentSpec.${field}`,
+                    message: `Template pack '${pack.id}' requires ComponentSpec field: ${field}` });
+            }
+        }
+        for (const helper of pack.helpers) {
+            if (!Handlebars.helpers[helper]) {
+                violations.push({ code: GENERATION_CODES.PLAN_INVALID, step: null, field: 'helpers',
+                    message: `Template pack '${pack.id}' requires unregistered Handlebars helper: ${helper}` });
+            }
+        }
+    }
+}
+
+/**
+ * Output files for one step: a per-language template (pack manifest "perLanguage") renders once per
+ * LCID when the spec is localized (strings/X.resx -> strings/X.1033.resx, strings/X.1036.resx).
+ */
+function stepOutputs(componentSpec, step, perLanguage) {
+    const languages = specLanguages(componentSpec);
+    if (!perLanguage) return [{ path: step.outputPath, lcid: null }];
+    if (languages.length === 1) return [{ path: step.outputPath, lcid: languages[0] }];
+    return languages.map(lcid => ({ path: languageOutputPath(step.outputPath, lcid), lcid }));
+}
+
+/**
+ * Validates and renders every plan step in memory. Nothing is written.
+ * Template names resolve through the template packs (capability -> generic -> root);
+ * {{value}} is escaped for the template's output language (see template-helpers.js).
+ * Templates also receive @capability, @resxFiles (every resx path in the plan), @controlType and
+ * @platformLibraries (see control-modes.js) and, for resx output, @lcid and @strings (see localization.js).
+ * @returns {{ files: object[], violations: object[] }}
+ *   files: { order, template, templateSha256, pack, path, outputPath, content, lcid?, fallbacks? }
+ */
+function renderPlan(componentSpec, steps, outputDir, templatesDir) {
+    const violations = validateSpec(componentSpec);
+    const planned = [];
+    const seenOutputs = new Map();
+    const compiled = new Map();
+    const templateHashes = new Map();
+    const packs = loadTemplatePacks(templatesDir);
+    const usedPacks = new Set();
+    const capabilityId = componentSpec.capabilities ? componentSpec.capabilities.capabilityId : undefined;
+    const capability = loadCapability(templatesDir, capabilityId);
+
+    // 1. Resolve every step and its output paths
+    for (const step of steps) {
+        const add = (code, field, message) => violations.push({ code, step: step.order, field, message });
+
+        if (typeof step.templateName !== 'string' || typeof step.outputPath !== 'string') {
+            add(GENERATION_CODES.PLAN_INVALID, 'step', 'Plan step requires templateName and outputPath');
+            continue;
+        }
+
+        // Plan paths must stay inside their roots
+        try {
+            resolveWithin(path.resolve(templatesDir), step.templateName, 'templateName');
+            resolveWithin(path.resolve(outputDir), step.outputPath, 'outputPath');
+        } catch (error) {
+            if (!(error instanceof PathPolicyError)) throw error;
+            add(error.code, error.details.field, error.message);
+            continue;
+        }
+
+        // a. Resolve + Load Template
+        const resolution = resolveTemplate(packs, step.templateName, capabilityId);
+        const invalidPacks = resolution.searched.filter(pack => !pack.valid);
+        if (invalidPacks.length > 0) {
+            // Reported once per pack after the loop
+            invalidPacks.forEach(pack => usedPacks.add(pack));
+            continue;
+        }
+        if (!resolution.file || !resolution.file.exists) {
+            add(GENERATION_CODES.TEMPLATE_NOT_FOUND, 'templateName',
+                `Template not found: ${step.templateName} (searched packs: ${resolution.chain.join(' -> ')})`);
+            continue;
+        }
+        const templatePath = resolution.file.path;
+        const template = path.relative(path.resolve(templatesDir), templatePath).split(path.sep).join('/');
+        usedPacks.add(resolution.pack);
+        if (template !== step.templateName) {
+            console.log(`! ${step.templateName} resolved to ${template} (${resolution.pack.id} pack)`);
+        }
+
+        // Two steps must never write the same file (compared case-insensitively for Windows build agents)
+        const outputs = [];
+        for (const output of stepOutputs(componentSpec, step, resolution.file.perLanguage === true)) {
+            const outputPath = resolveWithin(path.resolve(outputDir), output.path, 'outputPath');
+            const outputKey = path.relative(path.resolve(outputDir), outputPath).toLowerCase();
+            if (seenOutputs.has(outputKey)) {
+                add(GENERATION_CODES.PLAN_INVALID, 'outputPath',
+                    `Duplicate output path '${output.path}' (also written by step ${seenOutputs.get(outputKey)})`);
+                continue;
+            }
+            seenOutputs.set(outputKey, step.order);
+            outputs.push({ ...output, outputPath });
+        }
+
+        planned.push({
+            step,
+            template,
+            templatePath,
+            pack: resolution.pack.id,
+            language: resolution.file.language || inferLanguage(resolution.name),
+            outputs
+        });
+    }
+
+    // 2. Render (Context = ComponentSpec)
+    const resxFiles = planned.flatMap(entry => entry.outputs.map(output => output.path.split(path.sep).join('/')))
+        .filter(relPath => relPath.toLowerCase().endsWith('.resx'));
+    const controlType = resolveControlType(componentSpec);
+    const libraries = platformLibraries(controlType);
+    const files = [];
+    for (const { step, template, templatePath, pack, language, outputs } of planned) {
+        try {
+            // b. Compile Template (escaped for its output language)
+            if (!compiled.has(templatePath)) {
+                const source = fs.readFileSync(templatePath, 'utf8');
+                templateHashes.set(templatePath, crypto.createHash('sha256').update(source, 'utf8').digest('hex'));
+                compiled.set(templatePath, Handlebars.compile(prepareTemplate(Handlebars, source, language), { strict: false }));
+            }
+            for (const output of outputs) {
+                const lcid = output.lcid || defaultLcid(componentSpec);
+                const { strings, fallbacks } = buildResxStrings(componentSpec, lcid);
+                const content = compiled.get(templatePath)(componentSpec, {
+                    data: { capability, resxFiles, controlType, platformLibraries: libraries, lcid, strings }
+                });
+                if (output.lcid && fallbacks.length > 0) {
+                    console.log(`! ${output.path}: ${fallbacks.length} string(s) fall back to ${defaultLcid(componentSpec)} (${fallbacks.join(', ')})`);
+                }
+                files.push({
+                    order: step.order, template, templateSha256: templateHashes.get(templatePath), pack, path: output.path, outputPath: output.outputPath, content,
+                    ...(output.lcid ? { lcid: output.lcid, fallbacks } : {})
+                });
+            }
+        } catch (error) {
+            violations.push({ code: GENERATION_CODES.RENDER_FAILED, step: step.order, field: 'templateName',
+                message: `Template ${template} failed to render: ${error.message}` });
+        }
+    }
+
+    validatePacks(componentSpec, usedPacks, violations);
+    return { files, violations };
+}
+
+/**
+ * Writes rendered files into a fresh staging directory next to outputDir (same filesystem, so renames are atomic).
+ */
+function writeStaging(files, outputDir) {
+    const stagingDir = path.join(path.dirname(outputDir),
+        `.${path.basename(outputDir)}.staging-${crypto.randomBytes(4).toString('hex')}`);
+
+    try {
+        for (const file of files) {
+            const stagedPath = path.join(stagingDir, path.relative(outputDir, file.outputPath));
+            fs.mkdirSync(path.dirname(stagedPath), { recursive: true });
+            fs.writeFileSync(stagedPath, file.content);
+        }
+    } catch (error) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw error;
+    }
+    return stagingDir;
+}
+
+/**
+ * Moves staged files into outputDir.
+ * A new outputDir is swapped in with a single rename. An existing one keeps its other files
+ * (node_modules, build output); replaced files are backed up and restored if any move fails.
+ */
+function commitStaging(stagingDir, files, outputDir) {
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(path.dirname(outputDir), { recursive: true });
+        fs.renameSync(stagingDir, outputDir);
+        return;
+    }
+
+    const backupDir = `${stagingDir}.backup`;
+    const applied = [];
+    const createdDirs = [];
+
+    try {
+        for (const file of files) {
+            const relPath = path.relative(outputDir, file.outputPath);
+            const backupPath = path.join(backupDir, relPath);
+            const targetDir = path.dirname(file.outputPath);
+
+            if (!fs.existsSync(targetDir)) {
+                let missing = targetDir;
+                while (!fs.existsSync(path.dirname(missing))) missing = path.dirname(missing);
+                createdDirs.push(missing);
+                fs.mkdirSync(targetDir, { recursive: true });
+            }
+
+            const existed = fs.existsSync(file.outputPath);
+            if (existed) {
+                fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+                fs.renameSync(file.outputPath, backupPath);
+            }
+            applied.push({ target: file.outputPath, backupPath: existed ? backupPath : null });
+            fs.renameSync(path.join(stagingDir, relPath), file.outputPath);
+        }
+    } catch (error) {
+        console.error(`! Swap failed (${error.message}), restoring ${applied.length} file(s)`);
+        for (const { target, backupPath } of applied.reverse()) {
+            fs.rmSync(target, { force: true });
+            if (backupPath && fs.existsSync(backupPath)) fs.renameSync(backupPath, target);
+        }
+        createdDirs.reverse().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+        throw error;
+    } finally {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+}
+
+function describeFile(file) {
+    return {
+        path: file.path,
+        template: file.template,
+        pack: file.pack,
+        size: Buffer.byteLength(file.content, 'utf8'),
+        sha256: crypto.createHash('sha256').update(file.content, 'utf8').digest('hex'),
+        merge: file.merge,
+        ...(file.lcid ? { lcid: file.lcid, fallbacks: file.fallbacks } : {})
+    };
+}
+
+/**
+ * Compares a rendered file with the one currently in the output directory.
+ */
+function previewFile(file) {
+    const exists = fs.existsSync(file.outputPath);
+    const current = exists ? fs.readFileSync(file.outputPath, 'utf8') : '';
+    const status = !exists ? 'added' : current === file.content ? 'unchanged' : 'modified';
+
+    return {
+        ...describeFile(file),
+        status,
+        content: file.content,
+        diff: createUnifiedDiff(current, file.content, {
+            oldLabel: exists ? `a/${file.path}` : '/dev/null',
+            newLabel: `b/${file.path}`
+        })
+    };
+}
+
 /**
  * Generates files based on the provided plan and spec.
  * @param {object} input - { version, componentSpec, fileGenerationPlan }
  * @param {string} outputDir - Target directory for generation
  * @param {string} templatesDir - Directory containing .hbs templates
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Render in memory only and diff against outputDir; nothing is written
+ * @param {boolean} [options.overwrite] - Replace hand-edited files with the render instead of merging
+ * @param {string} [options.versionBump] - major|minor|patch, or auto (default) to infer it from the spec change
+ * @returns {{ dryRun: boolean, outputDir: string, files: object[], merge: object, verification: object, version: object, manifest?: string, summary?: object }}
+ *   files: { path, template, pack, size, sha256, merge } plus { status, content, diff } in dry-run mode
+ *   merge: { kept, merged, overwritten, conflicts } from reconcileWithBaseline
+ *   version: { component, version, previous, bump, reasons, requested, tracked } from resolveGenerationVersion
+ *   manifest: provenance manifest file written into outputDir (not in dry-run mode)
  */
-function generateFiles(input, outputDir, templatesDir) {
-    console.log('=== File Generator (Deterministic) ===\n');
+function generateFiles(input, outputDir, templatesDir, options = {}) {
+    const dryRun = options.dryRun === true;
+    console.log(`=== File Generator (Deterministic${dryRun ? ', Dry Run' : ''}) ===\n`);
 
     try {
-        const { version, componentSpec, fileGenerationPlan } = input;
-
-        // FIX: Dataverse requires 3-part version (1.0.0) but C# contract enforces 1.0.
-        // We upgrade the version in-memory here for file generation only.
-        if (componentSpec.version === '1.0') {
-            componentSpec.version = '1.0.0';
-            console.log('! Upgraded ComponentSpec version to 1.0.0 for file generation');
-        }
+        const { fileGenerationPlan } = input;
+        let { componentSpec } = input;
 
         // 1. Validation
         if (!componentSpec || !fileGenerationPlan) {
-            throw new Error('Missing componentSpec or fileGenerationPlan');
+            throw new GenerationPlanError([{ code: GENERATION_CODES.PLAN_INVALID, step: null, field: 'input',
+                message: 'Missing componentSpec or fileGenerationPlan' }]);
         }
         if (!fileGenerationPlan.steps || !Array.isArray(fileGenerationPlan.steps)) {
-            throw new Error('Invalid fileGenerationPlan: steps array missing');
+            throw new GenerationPlanError([{ code: GENERATION_CODES.PLAN_INVALID, step: null, field: 'fileGenerationPlan.steps',
+                message: 'Invalid fileGenerationPlan: steps array missing' }]);
+        }
+
+        // Dataverse requires a 3-part version (1.0.0) but the C# contract enforces 1.0, and rebuilds must
+        // increase it: the manifest gets the next version from the component's history (in memory only).
+        // The history is keyed by namespace.componentName, so an invalid spec is left to renderPlan,
+        // which reports its violations together with the plan's.
+        const version = validateSpec(componentSpec).length === 0
+            ? resolveGenerationVersion(componentSpec, { bump: options.versionBump })
+            : null;
+        if (version) {
+            componentSpec = { ...componentSpec, version: version.version };
+            console.log(`Version: ${version.version}` + (version.previous
+                ? ` (${version.bump === 'none' ? 'unchanged' : `${version.bump} bump`} from ${version.previous})`
+                : ` (${version.tracked ? 'first generation' : 'history disabled'})`));
+            version.reasons.filter(reason => reason.bump !== 'none').forEach(reason => console.log(`  ${reason.bump}: ${reason.change}`));
         }
 
         // Preview steps are now included in the C# FileGenerationPlan.
         
+        const steps = fileGenerationPlan.steps;
         console.log(`Component: ${componentSpec.componentName} (${componentSpec.componentType})`);
-        console.log(`Plan: ${fileGenerationPlan.steps.length} files to generate`);
+        console.log(`Plan: ${steps.length} files to generate`);
         console.log(`Output: ${outputDir}\n`);
 
-        // Ensure output dir exists
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
+        // 2. Validate + render the whole plan before anything touches disk
+        const resolvedOutputDir = path.resolve(outputDir);
+        const { files, violations } = renderPlan(componentSpec, steps, resolvedOutputDir, templatesDir);
+        if (violations.length > 0) {
+            violations.forEach(v => console.error(`    ${v.code}${v.step ? ` [step ${v.step}]` : ''} ${v.message}`));
+            throw new GenerationPlanError(violations);
         }
+        files.forEach(file => console.log(`[${file.order}/${steps.length}] ${dryRun ? 'Rendered' : 'Generating'} ${file.path}...`));
 
-        // 2. Execute Steps
-        for (const step of fileGenerationPlan.steps) {
-            const templateName = step.templateName;
-            const outputRelPath = step.outputPath;
-            
-            console.log(`[${step.order}/${fileGenerationPlan.steps.length}] Generating ${outputRelPath}...`);
+        // Carry hand edits over from the previous generation
+        const merge = reconcileWithBaseline(files, resolvedOutputDir, { overwrite: options.overwrite === true });
+        logReconciliation(merge);
 
-            // a. Load Template
-            const templatePath = path.join(templatesDir, templateName);
-            if (!fs.existsSync(templatePath)) {
-                throw new Error(`Template not found: ${templatePath}`);
-            }
-            const templateSource = fs.readFileSync(templatePath, 'utf8');
+        // Static checks on the rendered sources (manifest, resources, JSON, exports); reported, not enforced
+        const verification = verifyGeneratedSources(componentSpec, files, { outputDir: resolvedOutputDir });
+        console.log('');
+        logVerification(verification);
 
-            // b. Compile Template
-            const template = Handlebars.compile(templateSource);
-
-            // c. Render (Context = ComponentSpec)
-            const renderedContent = template(componentSpec);
-
-            // d. Write File
-            const outputPath = path.join(outputDir, outputRelPath);
-            const outputDirName = path.dirname(outputPath);
-            
-            if (!fs.existsSync(outputDirName)) {
-                fs.mkdirSync(outputDirName, { recursive: true });
-            }
+        if (dryRun) {
+            const previews = files.map(previewFile);
+            const count = status => previews.filter(f => f.status === status).length;
+            const summary = { added: count('added'), modified: count('modified'), unchanged: count('unchanged') };
+            console.log(`\n✓ Dry run complete: ${summary.added} added, ${summary.modified} modified, ${summary.unchanged} unchanged (nothing written).\n`);
+            return { dryRun, outputDir, files: previews, summary, merge, verification, version };
+        }
 
-            fs.writeFileSync(outputPath, renderedContent);
+        // 3. Stage (with the new baseline and provenance manifest), then swap into outputDir
+        const manifest = buildGenerationManifest(input, files, templatesDir, version);
+        const staged = [...files, ...baselineStateFiles(files, resolvedOutputDir, merge), {
+            path: MANIFEST_FILE,
+            outputPath: path.join(resolvedOutputDir, MANIFEST_FILE),
+            content: JSON.stringify(manifest, null, 2) + '\n'
+        }];
+        const stagingDir = writeStaging(staged, resolvedOutputDir);
+        commitStaging(stagingDir, staged, resolvedOutputDir);
+        if (merge.conflicts.length === 0) clearConflictReport(resolvedOutputDir);
+        recordGeneration(input.componentSpec, version, { outputDir: resolvedOutputDir });
 
-            // e. Log Strict
+        // Log Strict
+        for (const file of files) {
             console.log(JSON.stringify({
                 step: "GenerateFile",
-                template: templateName,
-                output: outputRelPath,
-                status: "Success"
+                template: file.template,
+                output: file.path,
+                status: "Success",
+                merge: file.merge
             }));
         }
 
-        console.log('\n✓ File generation complete.\n');
+        console.log(merge.conflicts.length > 0
+            ? `\n! File generation complete with merge conflicts in ${merge.conflicts.length} file(s).\n`
+            : '\n✓ File generation complete.\n');
+        return { dryRun, outputDir, files: files.map(describeFile), manifest: MANIFEST_FILE, merge, verification, version };
         
     } catch (error) {
         console.error(`\n❌ GENERATION FAILED: ${error.message}`);
-        process.exit(1);
+        throw toExecutorError(error, 'file-generation');
     }
 }
 
@@ -105,12 +528,16 @@ function generateFiles(input, outputDir, templatesDir) {
  * Main entry point
  */
 function main() {
-    const inputFilePath = process.argv[2];
-    const outputDir = process.argv[3];
-    const templatesDir = process.argv[4] || path.join(__dirname, '../ai-brain/templates');
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const overwrite = args.includes('--overwrite');
+    const bumpIndex = args.indexOf('--bump');
+    const versionBump = bumpIndex >= 0 ? args[bumpIndex + 1] : undefined;
+    const [inputFilePath, outputDir, templatesArg] = args.filter((arg, index) => !arg.startsWith('--') && (bumpIndex < 0 || index !== bumpIndex + 1));
+    const templatesDir = templatesArg || path.join(__dirname, '../ai-brain/templates');
 
     if (!inputFilePath || !outputDir) {
-        console.error('Usage: node file-generator.js <input-json-file> <output-dir> [templates-dir]');
+        console.error('Usage: node file-generator.js <input-json-file> <output-dir> [templates-dir] [--dry-run] [--overwrite] [--bump major|minor|patch]');
         process.exit(1);
     }
 
@@ -120,7 +547,14 @@ function main() {
     }
 
     const inputJson = JSON.parse(fs.readFileSync(inputFilePath, 'utf8'));
-    generateFiles(inputJson, outputDir, templatesDir);
+    try {
+        const result = generateFiles(inputJson, outputDir, templatesDir, { dryRun, overwrite, versionBump });
+        if (dryRun) {
+            result.files.filter(f => f.diff).forEach(f => process.stdout.write(f.diff));
+        }
+    } catch (error) {
+        process.exit(1);
+    }
 }
 
 // Run if called directly
@@ -128,4 +562,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { generateFiles };
+module.exports = { GENERATION_CODES, GenerationPlanError, generateFiles };
@@ -0,0 +1,121 @@
+/**
+ * Generation Baseline
+ * Keeps hand edits across regenerations.
+ *
+ * Every generation stores the files exactly as rendered under <outputDir>/.appweaver/baseline/.
+ * On the next run each rendered file is reconciled with the copy on disk:
+ *   not edited since last generation  -> new render
+ *   edited, render unchanged           -> edits kept
+ *   edited, render changed             -> three-way merge (conflicts get markers and are reported)
+ * Files without a baseline (generated before baselines existed) are overwritten, as before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeThreeWay } = require('./three-way-merge');
+
+const STATE_DIR = '.appweaver';
+const BASELINE_DIR = `${STATE_DIR}/baseline`;
+const CONFLICT_REPORT_FILE = `${STATE_DIR}/merge-conflicts.json`;
+
+function readIfExists(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+function baselinePath(outputDir, file) {
+    return path.join(outputDir, BASELINE_DIR, path.relative(outputDir, file.outputPath));
+}
+
+/**
+ * Reconciles rendered files with the output directory. Sets file.content to what should be written,
+ * file.rendered to the raw render and file.merge to generated | kept | merged | conflict | overwritten.
+ * @param {object[]} files - Rendered files ({ path, outputPath, content })
+ * @param {string} outputDir - Resolved output directory
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite] - Discard hand edits and write the render as-is
+ * @returns {{ kept: string[], merged: string[], overwritten: string[], conflicts: { path: string, blocks: object[] }[] }}
+ */
+function reconcileWithBaseline(files, outputDir, options = {}) {
+    const report = { kept: [], merged: [], overwritten: [], conflicts: [] };
+
+    for (const file of files) {
+        file.rendered = file.content;
+        file.merge = 'generated';
+
+        const current = readIfExists(file.outputPath);
+        if (current === null || current === file.rendered) continue;
+
+        const base = readIfExists(baselinePath(outputDir, file));
+        if (base === current) continue;
+        if (options.overwrite || base === null) {
+            file.merge = 'overwritten';
+            report.overwritten.push(file.path);
+            continue;
+        }
+
+        const { content, conflicts } = mergeThreeWay(base, current, file.rendered);
+        file.content = content;
+        if (conflicts.length > 0) {
+            file.merge = 'conflict';
+            report.conflicts.push({ path: file.path, blocks: conflicts });
+        } else if (content === current) {
+            file.merge = 'kept';
+            report.kept.push(file.path);
+        } else {
+            file.merge = 'merged';
+            report.merged.push(file.path);
+        }
+    }
+    return report;
+}
+
+/**
+ * Generator state files to stage alongside the output: the new baseline and, when needed, the conflict report.
+ * @returns {{ path: string, outputPath: string, content: string }[]}
+ */
+function baselineStateFiles(files, outputDir, report) {
+    const stateFiles = files.map(file => ({
+        path: `${BASELINE_DIR}/${file.path}`,
+        outputPath: baselinePath(outputDir, file),
+        content: file.rendered
+    }));
+    if (report.conflicts.length > 0) {
+        stateFiles.push({
+            path: CONFLICT_REPORT_FILE,
+            outputPath: path.join(outputDir, CONFLICT_REPORT_FILE),
+            content: JSON.stringify({ conflicts: report.conflicts }, null, 2) + '\n'
+        });
+    }
+    return stateFiles;
+}
+
+/**
+ * Removes a conflict report left by an earlier run once no conflicts remain.
+ */
+function clearConflictReport(outputDir) {
+    fs.rmSync(path.join(outputDir, CONFLICT_REPORT_FILE), { force: true });
+}
+
+/**
+ * @param {object} report - From reconcileWithBaseline
+ */
+function logReconciliation(report) {
+    report.kept.forEach(p => console.log(`! ${p}: hand edits kept (template output unchanged)`));
+    report.merged.forEach(p => console.log(`✓ ${p}: hand edits merged with regenerated output`));
+    report.overwritten.forEach(p => console.log(`! ${p}: hand edits replaced (no baseline, or overwrite requested)`));
+    report.conflicts.forEach(({ path: p, blocks }) =>
+        console.error(`❌ ${p}: ${blocks.length} merge conflict(s) at line ${blocks.map(b => b.line).join(', ')}`));
+    if (report.conflicts.length > 0) {
+        console.error(`   Resolve the conflict markers, see ${CONFLICT_REPORT_FILE}`);
+    }
+}
+
+module.exports = {
+    STATE_DIR,
+    BASELINE_DIR,
+    CONFLICT_REPORT_FILE,
+    reconcileWithBaseline,
+    baselineStateFiles,
+    clearConflictReport,
+    logReconciliation
+};
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * Generation Manifest
+ * Provenance record written next to the generated sources (generation-manifest.json):
+ * the AI Brain version, the ComponentSpec hash, the hash of every template used and of every output file.
+ *
+ * Builds add their artifact hashes and the new hashes of generated files they rewrite (buildOutputs).
+ *
+ * verifyGenerationManifest re-checks a working directory or ZIP against it and reports drift:
+ * output files edited, removed or added after generation, templates or brain changed since,
+ * or a spec that does not match the one the sources were generated from.
+ *
+ * Usage: node generation-manifest.js <working-dir|zip> [--templates-dir <dir>] [--input <input-json>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { STATE_DIR } = require('./generation-baseline');
+const { readZipEntries } = require('./zip-archive');
+
+const MANIFEST_FILE = 'generation-manifest.json';
+const MANIFEST_VERSION = 1;
+const GENERATOR = Object.freeze({ name: 'appweaver-file-generator', version: require('./package.json').version });
+
+// Build and tool output that is expected next to the sources and not tracked by the manifest
+const UNTRACKED_IGNORE = Object.freeze([
+    'node_modules', 'out', 'bin', 'obj', 'generated', 'preview', '_backup_files',
+    'package-lock.json', 'pcfconfig.json', 'build-report.json', 'build-log.jsonl', STATE_DIR
+]);
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted at every level, so equal specs hash equally regardless of key order.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {object} componentSpec
+ * @returns {string} sha256 of the canonical JSON
+ */
+function hashComponentSpec(componentSpec) {
+    return sha256(canonicalJson(componentSpec));
+}
+
+/**
+ * AI Brain version.json for a templates directory (<brain>/templates -> <brain>/version.json).
+ * @returns {{ version: string|null, schemaVersion: string|null }}
+ */
+function readBrainVersion(templatesDir) {
+    const versionPath = path.join(path.dirname(path.resolve(templatesDir)), 'version.json');
+    try {
+        const { version, schemaVersion } = JSON.parse(fs.readFileSync(versionPath, 'utf8'));
+        return { version: version || null, schemaVersion: schemaVersion || null };
+    } catch (error) {
+        return { version: null, schemaVersion: null };
+    }
+}
+
+/**
+ * Builds the manifest for one generation run.
+ * @param {object} input - { componentSpec, fileGenerationPlan } as passed to generateFiles
+ * @param {object[]} files - Files as written: { path, template, pack, templateSha256, content }
+ * @param {string} templatesDir
+ * @param {object} [version] - From resolveGenerationVersion: the version stamped into the sources
+ * @returns {object} Manifest document
+ */
+function buildGenerationManifest(input, files, templatesDir, version) {
+    const { componentSpec, fileGenerationPlan } = input;
+    const templates = new Map();
+    for (const file of files) {
+        templates.set(file.template, { template: file.template, pack: file.pack, sha256: file.templateSha256 });
+    }
+
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        generator: GENERATOR,
+        brain: readBrainVersion(templatesDir),
+        componentSpec: {
+            componentName: componentSpec.componentName,
+            namespace: componentSpec.namespace,
+            version: componentSpec.version,
+            sha256: hashComponentSpec(componentSpec)
+        },
+        componentVersion: version
+            ? { version: version.version, previous: version.previous, bump: version.bump, reasons: version.reasons }
+            : null,
+        plan: {
+            steps: fileGenerationPlan.steps.length,
+            sha256: sha256(canonicalJson(fileGenerationPlan))
+        },
+        templates: [...templates.values()].sort((a, b) => a.template.localeCompare(b.template)),
+        files: files
+            .map(file => ({
+                path: file.path.split(path.sep).join('/'),
+                template: file.template,
+                size: Buffer.byteLength(file.content, 'utf8'),
+                sha256: sha256(file.content)
+            }))
+            .sort((a, b) => a.path.localeCompare(b.path)),
+        artifacts: [],
+        buildOutputs: []
+    };
+}
+
+function readManifest(workingDir) {
+    const manifestPath = path.join(workingDir, MANIFEST_FILE);
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+}
+
+/**
+ * Generated files that are still exactly as generated. Taken before a build rewrites some of them,
+ * so only those (and not hand edits) are recorded as build outputs afterwards.
+ * @param {string} workingDir - Directory holding generation-manifest.json
+ * @param {string[]} relPaths - Candidate files ('/'-separated, relative to workingDir)
+ * @returns {string[]} The candidates unchanged since generation (none when there is no manifest)
+ */
+function unchangedGeneratedFiles(workingDir, relPaths) {
+    const manifest = readManifest(workingDir);
+    if (!manifest) return [];
+    return relPaths.filter(relPath => {
+        const file = (manifest.files || []).find(entry => entry.path === relPath);
+        const fullPath = path.join(workingDir, relPath);
+        return file !== undefined && fs.existsSync(fullPath) && sha256(fs.readFileSync(fullPath)) === file.sha256;
+    });
+}
+
+/**
+ * Records the current hash of generated files the build rewrote (package.json merge, manifest version stamp),
+ * so verifying the working directory after a build does not report them as modified.
+ * @param {string} workingDir - Directory holding generation-manifest.json
+ * @param {string[]} relPaths - From unchangedGeneratedFiles, taken before the build
+ * @returns {string[]} Files recorded (those the build actually changed)
+ */
+function recordBuildOutputs(workingDir, relPaths) {
+    const manifest = readManifest(workingDir);
+    if (!manifest) return [];
+    const recorded = [];
+    const buildOutputs = (manifest.buildOutputs || []).filter(entry => !relPaths.includes(entry.path));
+    for (const relPath of relPaths) {
+        const file = (manifest.files || []).find(entry => entry.path === relPath);
+        const fullPath = path.join(workingDir, relPath);
+        if (!file || !fs.existsSync(fullPath)) continue;
+        const content = fs.readFileSync(fullPath);
+        if (sha256(content) === file.sha256) continue;
+        buildOutputs.push({ path: relPath, size: content.length, sha256: sha256(content), recordedAt: new Date().toISOString() });
+        recorded.push(relPath);
+    }
+    manifest.buildOutputs = buildOutputs.sort((a, b) => a.path.localeCompare(b.path));
+    fs.writeFileSync(path.join(workingDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    return recorded;
+}
+
+/**
+ * Records a build artifact (solution ZIP inside the working directory) in its generation manifest,
+ * so the ZIP can later be verified against it.
+ * @param {string} workingDir - Directory holding generation-manifest.json
+ * @param {string} artifactPath - Artifact file inside workingDir
+ * @returns {boolean} false when the directory has no manifest (generated before manifests existed)
+ */
+function recordArtifact(workingDir, artifactPath) {
+    const manifestPath = path.join(workingDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return false;
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const relPath = path.relative(workingDir, artifactPath).split(path.sep).join('/');
+    const content = fs.readFileSync(artifactPath);
+    manifest.artifacts = (manifest.artifacts || []).filter(artifact => artifact.path !== relPath);
+    manifest.artifacts.push({ path: relPath, size: content.length, sha256: sha256(content), recordedAt: new Date().toISOString() });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return true;
+}
+
+/**
+ * Read access to a verification target: { kind, root, list(), read(relPath) }.
+ * A ZIP may carry its manifest in a subfolder; paths are then relative to that folder.
+ */
+function openDirectory(dir) {
+    const list = () => {
+        const files = [];
+        const walk = (current) => {
+            for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+                const fullPath = path.join(current, entry.name);
+                if (UNTRACKED_IGNORE.includes(entry.name)) continue;
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                } else if (entry.isFile()) {
+                    files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+                }
+            }
+        };
+        walk(dir);
+        return files;
+    };
+    const read = (relPath) => {
+        const fullPath = path.join(dir, relPath);
+        return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fs.readFileSync(fullPath) : null;
+    };
+    return { kind: 'directory', root: '', list, read };
+}
+
+function openZip(zipPath) {
+    const entries = new Map(readZipEntries(fs.readFileSync(zipPath)).map(entry => [entry.name, entry.data]));
+    const manifests = [...entries.keys()]
+        .filter(name => name === MANIFEST_FILE || name.endsWith(`/${MANIFEST_FILE}`))
+        .sort((a, b) => a.length - b.length);
+    const root = manifests.length > 0 ? manifests[0].slice(0, -MANIFEST_FILE.length) : '';
+
+    const list = () => [...entries.keys()]
+        .filter(name => name.startsWith(root))
+        .map(name => name.slice(root.length))
+        .filter(name => !UNTRACKED_IGNORE.includes(name.split('/')[0]));
+    const read = relPath => entries.get(root + relPath) || null;
+    return { kind: 'zip', root, list, read };
+}
+
+/**
+ * A solution ZIP built from a working directory does not contain the sources; it is checked
+ * against the artifact hash recorded in the manifest of the directory it sits in.
+ */
+function verifyArtifact(zipPath, report, add) {
+    const manifestPath = path.join(path.dirname(zipPath), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        add('manifest:present', 'fail', null, `No ${MANIFEST_FILE} inside the ZIP or next to it`);
+        return;
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    report.manifest = summarizeManifest(manifest);
+    const name = path.basename(zipPath);
+    const artifact = (manifest.artifacts || []).find(entry => entry.path === name);
+    if (!artifact) {
+        add(`artifact:${name}`, 'fail', name, `ZIP is not a recorded build artifact of ${manifestPath}`);
+        return;
+    }
+    const actual = sha256(fs.readFileSync(zipPath));
+    add(`artifact:${name}`, actual === artifact.sha256 ? 'pass' : 'fail', name, actual === artifact.sha256
+        ? 'Matches the recorded build artifact'
+        : `Modified after build (sha256 ${actual.slice(0, 12)}, recorded ${artifact.sha256.slice(0, 12)})`);
+}
+
+function summarizeManifest(manifest) {
+    return {
+        manifestVersion: manifest.manifestVersion,
+        generatedAt: manifest.generatedAt,
+        brain: manifest.brain,
+        componentSpec: manifest.componentSpec
+    };
+}
+
+function verifyTemplates(manifest, templatesDir, add) {
+    const brain = readBrainVersion(templatesDir);
+    const recorded = manifest.brain || {};
+    add('brain:version', brain.version === recorded.version ? 'pass' : 'warn', null, brain.version === recorded.version
+        ? `AI Brain ${brain.version || '(unversioned)'}`
+        : `Generated with AI Brain ${recorded.version}, templates now belong to ${brain.version}`);
+
+    for (const template of manifest.templates || []) {
+        const templatePath = path.join(path.resolve(templatesDir), template.template);
+        if (!fs.existsSync(templatePath)) {
+            add(`template:${template.template}`, 'warn', template.template, 'Template no longer exists');
+            continue;
+        }
+        const changed = sha256(fs.readFileSync(templatePath)) !== template.sha256;
+        add(`template:${template.template}`, changed ? 'warn' : 'pass', template.template,
+            changed ? 'Template changed since generation; regenerating would produce different output' : 'Template unchanged');
+    }
+}
+
+/**
+ * Re-checks a working directory or ZIP against its generation manifest.
+ * @param {string} targetPath - Working directory, source ZIP containing generation-manifest.json,
+ *   or solution ZIP recorded as an artifact in the manifest next to it
+ * @param {object} [options]
+ * @param {string} [options.templatesDir] - Also report template and brain drift against these templates
+ * @param {object} [options.componentSpec] - Also check the sources were generated from this spec
+ * @returns {{ status: 'passed'|'failed', target: string, kind: string, manifest: object|null,
+ *   checks: { id: string, status: 'pass'|'fail'|'warn', file: string|null, message: string }[],
+ *   summary: { passed: number, failed: number, warnings: number } }}
+ */
+function verifyGenerationManifest(targetPath, options = {}) {
+    const report = { status: 'passed', target: targetPath, kind: null, manifest: null, checks: [] };
+    const add = (id, status, file, message) => report.checks.push({ id, status, file, message });
+
+    const target = fs.statSync(targetPath).isDirectory() ? openDirectory(targetPath) : openZip(targetPath);
+    report.kind = target.kind;
+    const manifestContent = target.read(MANIFEST_FILE);
+
+    if (!manifestContent && target.kind === 'zip') {
+        verifyArtifact(targetPath, report, add);
+    } else if (!manifestContent) {
+        add('manifest:present', 'fail', MANIFEST_FILE, `No ${MANIFEST_FILE} in ${targetPath}`);
+    } else {
+        let manifest = null;
+        try {
+            manifest = JSON.parse(manifestContent.toString('utf8'));
+        } catch (error) {
+            add('manifest:parse', 'fail', MANIFEST_FILE, `Invalid ${MANIFEST_FILE}: ${error.message}`);
+        }
+        if (manifest) {
+            report.manifest = summarizeManifest(manifest);
+            verifyFiles(target, manifest, add);
+            if (options.templatesDir) verifyTemplates(manifest, options.templatesDir, add);
+            if (options.componentSpec) {
+                const matches = hashComponentSpec(options.componentSpec) === (manifest.componentSpec || {}).sha256;
+                add('spec', matches ? 'pass' : 'fail', null, matches
+                    ? 'Generated from the given ComponentSpec'
+                    : 'Generated from a different ComponentSpec');
+            }
+        }
+    }
+
+    const count = status => report.checks.filter(check => check.status === status).length;
+    report.summary = { passed: count('pass'), failed: count('fail'), warnings: count('warn') };
+    report.status = report.summary.failed > 0 ? 'failed' : 'passed';
+    return report;
+}
+
+function verifyFiles(target, manifest, add) {
+    const tracked = new Set([MANIFEST_FILE]);
+    const buildOutputs = new Map((manifest.buildOutputs || []).map(entry => [entry.path, entry]));
+    for (const file of manifest.files || []) {
+        tracked.add(file.path);
+        const content = target.read(file.path);
+        if (content === null) {
+            add(`file:${file.path}`, 'fail', file.path, 'Missing (removed after generation)');
+            continue;
+        }
+        const actual = sha256(content);
+        const rebuilt = buildOutputs.get(file.path);
+        if (actual !== file.sha256 && rebuilt && actual === rebuilt.sha256) {
+            add(`file:${file.path}`, 'pass', file.path, 'Rewritten by the build');
+            continue;
+        }
+        add(`file:${file.path}`, actual === file.sha256 ? 'pass' : 'fail', file.path, actual === file.sha256
+            ? 'Unchanged since generation'
+            : `Modified after generation (sha256 ${actual.slice(0, 12)}, recorded ${(rebuilt || file).sha256.slice(0, 12)})`);
+    }
+
+    for (const artifact of manifest.artifacts || []) {
+        tracked.add(artifact.path);
+        const content = target.read(artifact.path);
+        if (content === null) continue;
+        const matches = sha256(content) === artifact.sha256;
+        add(`artifact:${artifact.path}`, matches ? 'pass' : 'fail', artifact.path,
+            matches ? 'Matches the recorded build artifact' : 'Modified after build');
+    }
+
+    for (const relPath of target.list()) {
+        if (!tracked.has(relPath)) add(`untracked:${relPath}`, 'warn', relPath, 'Not produced by the generator');
+    }
+}
+
+/**
+ * Prints a verification report (✓/❌/! per check).
+ */
+function logManifestVerification(report) {
+    for (const check of report.checks) {
+        if (check.status === 'pass') continue;
+        console.log(`${check.status === 'fail' ? '❌' : '!'} ${check.id}: ${check.message}`);
+    }
+    const { passed, failed, warnings } = report.summary;
+    const marker = report.status === 'passed' ? '✓' : '❌';
+    console.log(`${marker} Generation manifest ${report.status}: ${passed} passed, ${failed} failed, ${warnings} warning(s)`);
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args.splice(index, 2)[1] : undefined;
+    };
+    const templatesDir = option('--templates-dir');
+    const inputFilePath = option('--input');
+    const [targetPath] = args;
+
+    if (!targetPath || !fs.existsSync(targetPath)) {
+        console.error('Usage: node generation-manifest.js <working-dir|zip> [--templates-dir <dir>] [--input <input-json>]');
+        process.exit(1);
+    }
+
+    const componentSpec = inputFilePath ? JSON.parse(fs.readFileSync(inputFilePath, 'utf8')).componentSpec : undefined;
+    try {
+        const report = verifyGenerationManifest(targetPath, { templatesDir, componentSpec });
+        logManifestVerification(report);
+        process.exit(report.status === 'passed' ? 0 : 1);
+    } catch (error) {
+        console.error(`❌ Verification failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashComponentSpec,
+    buildGenerationManifest,
+    recordArtifact,
+    unchangedGeneratedFiles,
+    recordBuildOutputs,
+    verifyGenerationManifest,
+    logManifestVerification
+};
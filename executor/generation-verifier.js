@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * Generation Verifier
+ * Checks rendered PCF sources before anything is built, so broken output fails in seconds
+ * instead of minutes later inside `pac`/`npm`.
+ * NO AI - Pure static checks on the generated files.
+ *
+ * Checks:
+ *   - ControlManifest.Input.xml is well-formed and its control matches the spec
+ *   - control-type matches the spec's mode; virtual controls declare the platform libraries
+ *   - every spec property is declared with a valid of-type and usage
+ *   - every spec data set is declared with its property sets
+ *   - manifest resource paths point at generated files
+ *   - package.json and tsconfig.json parse
+ *   - the code resource exports a class named after the constructor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONTROL_TYPES, platformLibraries, resolveControlType } = require('./control-modes');
+
+const MANIFEST_FILE = 'ControlManifest.Input.xml';
+
+// of-type values accepted by the PCF manifest schema
+const PCF_PROPERTY_TYPES = Object.freeze([
+    'Currency', 'DateAndTime.DateAndTime', 'DateAndTime.DateOnly', 'Decimal', 'Enum', 'FP',
+    'Lookup.Simple', 'Multiple', 'MultiSelectOptionSet', 'Object', 'OptionSet',
+    'SingleLine.Email', 'SingleLine.Phone', 'SingleLine.Text', 'SingleLine.TextArea',
+    'SingleLine.Ticker', 'SingleLine.URL', 'TwoOptions', 'Whole.None'
+]);
+const PCF_PROPERTY_USAGES = Object.freeze(['bound', 'input', 'output']);
+const PCF_PROPERTY_SET_USAGES = Object.freeze(['bound', 'input']);
+const RESOURCE_ELEMENTS = Object.freeze(['code', 'css', 'resx', 'img', 'html', 'platform-library']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decodes XML entities, rejecting unknown or unterminated ones.
+ */
+function decodeXml(text, offset) {
+    return text.replace(/&([^;\s&<]*);?/g, (match, name) => {
+        if (!match.endsWith(';')) throw new Error(`Unterminated entity '&${name}' near offset ${offset}`);
+        if (XML_ENTITIES[name] !== undefined) return XML_ENTITIES[name];
+        const numeric = name.match(/^#(x[0-9a-fA-F]+|[0-9]+)$/);
+        if (numeric) {
+            return String.fromCodePoint(numeric[1][0] === 'x' ? parseInt(numeric[1].slice(1), 16) : parseInt(numeric[1], 10));
+        }
+        throw new Error(`Unknown entity '&${name};' near offset ${offset}`);
+    });
+}
+
+/**
+ * Minimal well-formedness parser (elements, attributes, comments, processing instructions).
+ * @param {string} text
+ * @returns {{ name: string, attributes: object, children: object[] }} Root element
+ * @throws {Error} When the document is not well-formed
+ */
+function parseXml(text) {
+    const stack = [];
+    let root = null;
+    let index = 0;
+
+    while (index < text.length) {
+        const lt = text.indexOf('<', index);
+        const chunk = lt === -1 ? text.slice(index) : text.slice(index, lt);
+        if (chunk.trim() !== '') {
+            if (stack.length === 0) throw new Error(`Text outside the root element near offset ${index}`);
+            decodeXml(chunk, index);
+        }
+        if (lt === -1) break;
+
+        const skip = [['<?', '?>'], ['<!--', '-->'], ['<![CDATA[', ']]>'], ['<!DOCTYPE', '>']]
+            .find(([open]) => text.startsWith(open, lt));
+        if (skip) {
+            const end = text.indexOf(skip[1], lt + skip[0].length);
+            if (end === -1) throw new Error(`Unterminated ${skip[0]} near offset ${lt}`);
+            index = end + skip[1].length;
+            continue;
+        }
+
+        const gt = text.indexOf('>', lt);
+        if (gt === -1) throw new Error(`Unterminated tag near offset ${lt}`);
+        const tag = text.slice(lt + 1, gt);
+
+        if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            const open = stack.pop();
+            if (!open || open.name !== name) {
+                throw new Error(`Unexpected </${name}> near offset ${lt}${open ? ` (expected </${open.name}>)` : ''}`);
+            }
+        } else {
+            const selfClosing = tag.endsWith('/');
+            const body = selfClosing ? tag.slice(0, -1) : tag;
+            const nameMatch = body.match(/^([A-Za-z_][\w.:-]*)/);
+            if (!nameMatch) throw new Error(`Invalid tag near offset ${lt}`);
+
+            const element = { name: nameMatch[1], attributes: Object.create(null), children: [] };
+            const attributePattern = /\s+([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/y;
+            let consumed = nameMatch[1].length;
+            attributePattern.lastIndex = consumed;
+            let match;
+            while ((match = attributePattern.exec(body)) !== null) {
+                if (element.attributes[match[1]] !== undefined) {
+                    throw new Error(`Duplicate attribute '${match[1]}' on <${element.name}> near offset ${lt}`);
+                }
+                element.attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3], lt);
+                consumed = attributePattern.lastIndex;
+            }
+            if (body.slice(consumed).trim() !== '') {
+                throw new Error(`Malformed attributes on <${element.name}> near offset ${lt}`);
+            }
+
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                throw new Error(`Second root element <${element.name}> near offset ${lt}`);
+            } else {
+                root = element;
+            }
+            if (!selfClosing) stack.push(element);
+        }
+        index = gt + 1;
+    }
+
+    if (stack.length > 0) throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    if (!root) throw new Error('Document has no root element');
+    return root;
+}
+
+function findElements(element, name) {
+    return element.children.flatMap(child => [...(child.name === name ? [child] : []), ...findElements(child, name)]);
+}
+
+/**
+ * Compares a declared <property>/<property-set> with its spec entry.
+ * @returns {string[]} Problems, empty when they match
+ */
+function parameterProblems(element, specEntry, usages) {
+    const ofType = element.attributes['of-type'];
+    const usage = element.attributes.usage;
+    const problems = [];
+    if (!PCF_PROPERTY_TYPES.includes(ofType)) problems.push(`invalid of-type '${ofType}'`);
+    else if (specEntry.dataType && ofType !== specEntry.dataType) problems.push(`of-type '${ofType}' differs from spec dataType '${specEntry.dataType}'`);
+    if (!usages.includes(usage)) problems.push(`invalid usage '${usage}'`);
+    else if (specEntry.usage && usage !== specEntry.usage) problems.push(`usage '${usage}' differs from spec usage '${specEntry.usage}'`);
+    return problems;
+}
+
+function normalizeRelPath(relPath) {
+    return path.posix.normalize(relPath.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+/**
+ * Verifies rendered sources against the ComponentSpec.
+ * @param {object} componentSpec
+ * @param {{ path: string, content: string }[]} files - Rendered files, paths relative to the output directory
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Resources not in `files` may already exist here (kept from a previous run)
+ * @returns {{ status: 'passed'|'failed', checks: object[], summary: object }}
+ *   checks: [{ id, status: 'pass'|'fail'|'warn', file, message }]
+ */
+function verifyGeneratedSources(componentSpec, files, options = {}) {
+    const checks = [];
+    const check = (id, status, file, message) => checks.push({ id, status, file, message });
+    const sources = new Map(files.map(file => [normalizeRelPath(file.path).toLowerCase(), file]));
+    const source = relPath => sources.get(normalizeRelPath(relPath).toLowerCase()) || null;
+
+    // 1. package.json / tsconfig.json
+    for (const jsonFile of ['package.json', 'tsconfig.json']) {
+        const file = source(jsonFile);
+        if (!file) {
+            check(`json:${jsonFile}`, 'fail', jsonFile, `${jsonFile} was not generated`);
+            continue;
+        }
+        try {
+            JSON.parse(file.content);
+            check(`json:${jsonFile}`, 'pass', jsonFile, `${jsonFile} parses`);
+        } catch (error) {
+            check(`json:${jsonFile}`, 'fail', jsonFile, `${jsonFile} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    // 2. Manifest
+    const manifestFile = source(MANIFEST_FILE);
+    if (!manifestFile) {
+        check('manifest:parse', 'fail', MANIFEST_FILE, `${MANIFEST_FILE} was not generated`);
+        return summarize(checks);
+    }
+    let control;
+    try {
+        const root = parseXml(manifestFile.content);
+        const controls = root.name === 'manifest' ? root.children.filter(child => child.name === 'control') : [];
+        if (controls.length !== 1) {
+            throw new Error(`Expected <manifest> with exactly one <control>, found <${root.name}> with ${controls.length}`);
+        }
+        control = controls[0];
+        check('manifest:parse', 'pass', MANIFEST_FILE, 'Manifest is well-formed');
+    } catch (error) {
+        check('manifest:parse', 'fail', MANIFEST_FILE, `Manifest is not well-formed: ${error.message}`);
+        return summarize(checks);
+    }
+
+    for (const [attribute, expected] of [['namespace', componentSpec.namespace], ['constructor', componentSpec.componentName]]) {
+        const actual = control.attributes[attribute];
+        check(`manifest:${attribute}`, actual === expected ? 'pass' : 'fail', MANIFEST_FILE,
+            actual === expected
+                ? `control ${attribute} is '${actual}'`
+                : `control ${attribute} is '${actual}', spec expects '${expected}'`);
+    }
+
+    const expectedType = resolveControlType(componentSpec);
+    const controlType = control.attributes['control-type'] || CONTROL_TYPES.STANDARD;
+    check('manifest:control-type', controlType === expectedType ? 'pass' : 'fail', MANIFEST_FILE,
+        controlType === expectedType
+            ? `control-type is '${controlType}'`
+            : `control-type is '${controlType}', spec expects '${expectedType}'`);
+    const declaredLibraries = findElements(control, 'platform-library');
+    for (const library of platformLibraries(expectedType)) {
+        const declared = declaredLibraries.find(element => element.attributes.name === library.name);
+        const id = `manifest:platform-library:${library.name}`;
+        if (!declared) {
+            check(id, 'fail', MANIFEST_FILE, `Virtual control does not declare platform library ${library.name}`);
+        } else {
+            check(id, declared.attributes.version === library.version ? 'pass' : 'warn', MANIFEST_FILE,
+                `Platform library ${library.name} ${declared.attributes.version}` +
+                (declared.attributes.version === library.version ? '' : ` (platform provides ${library.version})`));
+        }
+    }
+
+    // 3. Properties
+    const declared = new Map(findElements(control, 'property').map(element => [element.attributes.name, element]));
+    for (const property of componentSpec.properties || []) {
+        const id = `manifest:property:${property.name}`;
+        const element = declared.get(property.name);
+        if (!element) {
+            check(id, 'fail', MANIFEST_FILE, `Spec property '${property.name}' is not declared in the manifest`);
+            continue;
+        }
+        const problems = parameterProblems(element, property, PCF_PROPERTY_USAGES);
+        check(id, problems.length === 0 ? 'pass' : 'fail', MANIFEST_FILE, problems.length === 0
+            ? `Property '${property.name}' is ${element.attributes['of-type']} (${element.attributes.usage})`
+            : `Property '${property.name}': ${problems.join('; ')}`);
+    }
+    const specNames = new Set((componentSpec.properties || []).map(property => property.name));
+    for (const name of declared.keys()) {
+        if (!specNames.has(name)) check(`manifest:property:${name}`, 'warn', MANIFEST_FILE, `Manifest property '${name}' is not in the spec`);
+    }
+
+    // 4. Data sets and their property sets
+    const declaredDataSets = new Map(findElements(control, 'data-set').map(element => [element.attributes.name, element]));
+    for (const dataSet of Array.isArray(componentSpec.dataSets) ? componentSpec.dataSets : []) {
+        const id = `manifest:data-set:${dataSet.name}`;
+        const element = declaredDataSets.get(dataSet.name);
+        if (!element) {
+            check(id, 'fail', MANIFEST_FILE, `Spec data set '${dataSet.name}' is not declared in the manifest`);
+            continue;
+        }
+        const columns = new Map(element.children.filter(child => child.name === 'property-set').map(child => [child.attributes.name, child]));
+        const problems = [];
+        for (const column of Array.isArray(dataSet.propertySets) ? dataSet.propertySets : []) {
+            const columnElement = columns.get(column.name);
+            if (!columnElement) {
+                problems.push(`property set '${column.name}' is not declared`);
+                continue;
+            }
+            parameterProblems(columnElement, column, PCF_PROPERTY_SET_USAGES)
+                .forEach(problem => problems.push(`property set '${column.name}': ${problem}`));
+        }
+        check(id, problems.length === 0 ? 'pass' : 'fail', MANIFEST_FILE, problems.length === 0
+            ? `Data set '${dataSet.name}' declares ${columns.size} property set(s)`
+            : `Data set '${dataSet.name}': ${problems.join('; ')}`);
+    }
+    const specDataSets = new Set((Array.isArray(componentSpec.dataSets) ? componentSpec.dataSets : []).map(dataSet => dataSet.name));
+    for (const name of declaredDataSets.keys()) {
+        if (!specDataSets.has(name)) check(`manifest:data-set:${name}`, 'warn', MANIFEST_FILE, `Manifest data set '${name}' is not in the spec`);
+    }
+
+    // 5. Resources
+    const resourcesElement = control.children.find(child => child.name === 'resources');
+    const resources = resourcesElement
+        ? resourcesElement.children.filter(child => RESOURCE_ELEMENTS.includes(child.name) && child.attributes.path)
+        : [];
+    if (!resources.some(resource => resource.name === 'code')) {
+        check('manifest:resources', 'fail', MANIFEST_FILE, 'Manifest declares no <code> resource');
+    }
+    for (const resource of resources) {
+        const relPath = resource.attributes.path;
+        const id = `resource:${resource.name}:${relPath}`;
+        const normalized = normalizeRelPath(relPath);
+        if (normalized.startsWith('../') || path.posix.isAbsolute(normalized)) {
+            check(id, 'fail', MANIFEST_FILE, `<${resource.name}> path '${relPath}' points outside the control`);
+        } else if (source(relPath)) {
+            check(id, 'pass', relPath, `<${resource.name}> path '${relPath}' was generated`);
+        } else if (options.outputDir && fs.existsSync(path.join(options.outputDir, normalized))) {
+            check(id, 'warn', relPath, `<${resource.name}> path '${relPath}' was not generated but exists in the output directory`);
+        } else {
+            check(id, 'fail', relPath, `<${resource.name}> path '${relPath}' does not match any generated file`);
+        }
+    }
+
+    // 6. Code resource exports the constructor class
+    const codeResource = resources.find(resource => resource.name === 'code');
+    const codeFile = codeResource ? source(codeResource.attributes.path) : null;
+    if (codeFile) {
+        const exportPattern = new RegExp(`export\\s+(?:default\\s+)?class\\s+${componentSpec.componentName}\\b`);
+        check('code:export', exportPattern.test(codeFile.content) ? 'pass' : 'fail', codeFile.path,
+            exportPattern.test(codeFile.content)
+                ? `${codeFile.path} exports class ${componentSpec.componentName}`
+                : `${codeFile.path} does not export class ${componentSpec.componentName}`);
+    }
+
+    return summarize(checks);
+}
+
+function summarize(checks) {
+    const count = status => checks.filter(c => c.status === status).length;
+    const summary = { passed: count('pass'), failed: count('fail'), warnings: count('warn') };
+    return { status: summary.failed === 0 ? 'passed' : 'failed', checks, summary };
+}
+
+/**
+ * Prints a verification report in the executor console style.
+ */
+function logVerification(report) {
+    for (const c of report.checks.filter(c => c.status !== 'pass')) {
+        console.log(`    ${c.status === 'fail' ? '❌' : '!'} ${c.message}`);
+    }
+    const { passed, failed, warnings } = report.summary;
+    console.log(`${report.status === 'passed' ? '✓' : '❌'} Verification ${report.status}: ${passed} passed, ${failed} failed, ${warnings} warning(s)`);
+}
+
+/**
+ * Main entry point: verifies an already generated output directory.
+ */
+function main() {
+    const [inputFilePath, outputDir] = process.argv.slice(2);
+    if (!inputFilePath || !outputDir) {
+        console.error('Usage: node generation-verifier.js <input-json-file> <output-dir>');
+        process.exit(1);
+    }
+
+    const { componentSpec } = JSON.parse(fs.readFileSync(inputFilePath, 'utf8'));
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(fullPath);
+            else files.push({ path: path.relative(outputDir, fullPath), content: fs.readFileSync(fullPath, 'utf8') });
+        }
+    };
+    walk(outputDir);
+
+    const report = verifyGeneratedSources(componentSpec, files);
+    logVerification(report);
+    process.exit(report.status === 'passed' ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { PCF_PROPERTY_TYPES, parseXml, verifyGeneratedSources, logVerification };
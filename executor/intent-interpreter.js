@@ -2,42 +2,111 @@
 
 /**
  * Intent Interpreter Adapter
- * Calls OpenAI (or compatible API) to interpret user input into GlobalIntent
+ * Calls the configured LLM provider (see llm-provider.js) to interpret user input into GlobalIntent
  * NO HALLUCINATION - Strict schema validation
+ *
+ * Modes (options.mode, default INTENT_INTERPRETER_MODE or 'llm'):
+ *   llm       - LLM interpretation, cross-checked against the rule-based interpreter
+ *   rules     - rule-based interpretation only (offline, no API key required)
+ *   prefilter - accept a confident, unambiguous rule result; otherwise fall back to 'llm'
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// OpenAI SDK
-const OpenAI = require('openai');
+const { readBrainJson, readBrainText } = require('./brain-files');
+const { createError } = require('./errors');
+const { getLlmProvider } = require('./llm-provider');
+const { completeWithRepair } = require('./llm-repair');
+const { SchemaValidationError, validateIntentResult } = require('./schema-validator');
+const { interpretIntentWithRules, crossCheckIntent } = require('./rule-interpreter');
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || process.env.GROK_API_KEY || 'mock-key-for-testing',
-    baseURL: process.env.OPENAI_BASE_URL || 'https://api.x.ai/v1' // Default to xAI if not set
-});
+const MODES = Object.freeze(['llm', 'rules', 'prefilter']);
+
+// Minimum rule confidence for the pre-filter to skip the LLM call
+const PREFILTER_MIN_CONFIDENCE = 0.85;
+
+/**
+ * A rule result is accepted without the LLM only when nothing about it is uncertain.
+ */
+function isConclusive(rulesResult) {
+    return rulesResult.confidence >= PREFILTER_MIN_CONFIDENCE &&
+        !rulesResult.needsClarification &&
+        rulesResult.unmappedPhrases.length === 0 &&
+        rulesResult.diagnostics.conflicts.length === 0;
+}
+
+/**
+ * Appends answered clarification questions to the raw user text given to the LLM.
+ */
+function withClarifications(userInput, clarifications) {
+    if (clarifications.length === 0) return userInput;
+    const lines = clarifications.map(c => `Q: ${c.question}\nA: ${c.answer}`);
+    return `${userInput}\n\nClarifications from the user:\n${lines.join('\n')}`;
+}
+
+function logResult(result) {
+    console.log('=== INTERPRETATION RESULT ===');
+    console.log(`Confidence: ${result.confidence}`);
+    console.log(`Needs Clarification: ${result.needsClarification}`);
+    console.log(`Unmapped Phrases: ${result.unmappedPhrases.join(', ') || 'none'}`);
+    console.log(`\nGlobalIntent:`);
+    console.log(JSON.stringify(result.globalIntent, null, 2));
+    console.log();
+}
 
 /**
  * Interprets user input into GlobalIntent
  * @param {string} userInput - Raw user text
  * @param {string} brainPath - Path to ai-brain directory
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'llm' | 'rules' | 'prefilter'
+ * @param {object[]} [options.clarifications] - Answered clarification questions (see clarification-session.js)
  * @returns {Promise<IntentInterpretationResult>}
  */
-async function interpretIntent(userInput, brainPath) {
+async function interpretIntent(userInput, brainPath, options = {}) {
+    const mode = options.mode || process.env.INTENT_INTERPRETER_MODE || 'llm';
     console.log('=== Intent Interpreter ===\n');
-    console.log(`User Input: "${userInput}"\n`);
+    console.log(`User Input: "${userInput}"`);
+    console.log(`Mode: ${mode}\n`);
 
     try {
+        if (!MODES.includes(mode)) {
+            throw createError('PCF-SYS-007', `Unknown interpreter mode '${mode}'. Expected one of: ${MODES.join(', ')}`, {
+                stage: 'intent-interpretation',
+                details: { field: 'mode', value: mode }
+            });
+        }
+
+        // STEP 0: Deterministic rule pass (intent-mapping + ambiguity-resolution rules)
+        console.log('STEP 0: Applying intent rules...');
+        const clarifications = options.clarifications || [];
+        const rulesResult = interpretIntentWithRules(userInput, brainPath, { clarifications });
+        console.log(`✓ Rules: confidence ${rulesResult.confidence}, ${rulesResult.diagnostics.matches.length} match(es), ` +
+            `${rulesResult.diagnostics.conflicts.length} conflict(s)\n`);
+
+        if (mode === 'rules' || (mode === 'prefilter' && isConclusive(rulesResult))) {
+            // The rules are code, not model output, but they must honour the same contract
+            const violations = validateIntentResult(rulesResult, brainPath);
+            if (violations.length > 0) {
+                throw new SchemaValidationError('PCF-INT-004', 'intent-interpretation', violations);
+            }
+            rulesResult.diagnostics.mode = mode;
+
+            logResult(rulesResult);
+            return rulesResult;
+        }
+
+        if (mode === 'prefilter') {
+            console.log('! Rule result not conclusive, calling LLM\n');
+        }
+
         // STEP 1: Load brain artifacts
         console.log('STEP 1: Loading brain artifacts...');
         
-        const promptPath = path.join(brainPath, 'prompts/intent-interpreter.prompt.md');
-        const schemaPath = path.join(brainPath, 'schemas/global-intent.schema.json');
-        const rulesPath = path.join(brainPath, 'intent/intent-mapping.rules.json');
-
-        const promptTemplate = fs.readFileSync(promptPath, 'utf8');
-        const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-        const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        const promptTemplate = readBrainText(brainPath, 'prompts/intent-interpreter.prompt.md');
+        const schema = readBrainJson(brainPath, 'schemas/global-intent.schema.json');
+        const rules = readBrainJson(brainPath, 'intent/intent-mapping.rules.json');
 
         console.log('✓ Artifacts loaded\n');
 
@@ -45,24 +114,18 @@ async function interpretIntent(userInput, brainPath) {
         console.log('STEP 2: Preparing LLM prompt...');
         
         const prompt = promptTemplate
-            .replace('{{RAW_USER_TEXT}}', userInput)
+            .replace('{{RAW_USER_TEXT}}', withClarifications(userInput, clarifications))
             .replace('{{GLOBAL_INTENT_SCHEMA_JSON}}', JSON.stringify(schema, null, 2))
             .replace('{{INTENT_MAPPING_RULES_JSON}}', JSON.stringify(rules, null, 2));
 
         console.log('✓ Prompt prepared\n');
 
-        // STEP 3: API Key Check & Mock Fallback
-        const apiKey = process.env.OPENAI_API_KEY || process.env.GROK_API_KEY;
-        let result;
-
-        if (!apiKey) {
-            console.error('❌ ERROR: OPENAI_API_KEY/GROK_API_KEY not found.');
-            throw new Error('API Key missing. Cannot interpret intent without valid API key.');
-        } else {
-            console.log('STEP 3: Calling OpenAI (Model: grok-4-fast)...');
-            
-            const systemPrompt = `ROLE
-You are Grok AI (grok-4-fast) operating inside a strictly governed enterprise pipeline.
+        // STEP 3: Call LLM (provider, model and credentials come from llm-provider.js)
+        const llm = getLlmProvider('intent');
+        console.log(`STEP 3: Calling LLM (Provider: ${llm.config.provider}, Model: ${llm.config.model})...`);
+
+        const systemPrompt = `ROLE
+You are a language model operating inside a strictly governed enterprise pipeline.
 You are NOT an autonomous agent.
 You act only as a bounded transformation engine under C# authority.
 
@@ -102,58 +165,41 @@ FINAL OPERATING PRINCIPLE
 You propose. C# decides. Execution happens elsewhere.
 You are a controlled assistant inside a deterministic system.`;
 
-            const response = await openai.chat.completions.create({
-                model: 'grok-4-fast',
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.2, // Determinism
-                response_format: { type: 'json_object' }
-            });
-
-            const llmOutput = response.choices[0].message.content;
-            console.log('✓ LLM response received\n');
-            
-            console.log('STEP 4: Parsing LLM output...');
-            result = JSON.parse(llmOutput);
-            result.version = "1.0"; // Force contract version
-        }
+        // STEP 4: Parse + validate (global-intent.schema.json + invariants), repairing invalid output
+        console.log(`STEP 4: Parsing and validating LLM output (up to ${llm.config.maxAttempts} attempts)...`);
+
+        const { result, attempts } = await completeWithRepair({
+            llm,
+            messages: [
+                {
+                    role: 'system',
+                    content: systemPrompt
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            validate: (parsed) => validateIntentResult(parsed, brainPath),
+            errorCode: 'PCF-INT-004',
+            stage: 'intent-interpretation'
+        });
+        result.version = "1.0"; // Force contract version
+        result.diagnostics = { mode, provider: llm.config.provider, model: llm.config.model, attempts };
 
-        console.log('✓ JSON parsed/loaded successfully\n');
+        console.log('✓ Contract validated\n');
 
-        // STEP 5: Validate contract
-        console.log('STEP 5: Validating output contract...');
-        
-        if (!result.hasOwnProperty('globalIntent')) {
-            throw new Error('Missing required field: globalIntent');
-        }
-        if (!result.hasOwnProperty('confidence')) {
-            throw new Error('Missing required field: confidence');
-        }
-        if (!result.hasOwnProperty('unmappedPhrases')) {
-            throw new Error('Missing required field: unmappedPhrases');
+        // Cross-check against the rules; disagreements are reported, never silently resolved
+        const crossCheck = crossCheckIntent(result, rulesResult);
+        result.diagnostics.crossCheck = { ...crossCheck, rulesConfidence: rulesResult.confidence };
+        if (!crossCheck.agrees) {
+            console.warn(`! LLM and intent rules disagree on ${crossCheck.disagreements.length} field(s)`);
+            crossCheck.disagreements.forEach(d => console.warn(`    ${d.pointer}: llm=${d.llm} rules=${d.rules}`));
+            console.log();
         }
-        if (!result.hasOwnProperty('needsClarification')) {
-            throw new Error('Missing required field: needsClarification');
-        }
-
-        console.log('✓ Contract validated\n');
 
-        // STEP 6: Log result
-        console.log('=== INTERPRETATION RESULT ===');
-        console.log(`Confidence: ${result.confidence}`);
-        console.log(`Needs Clarification: ${result.needsClarification}`);
-        console.log(`Unmapped Phrases: ${result.unmappedPhrases.join(', ') || 'none'}`);
-        console.log(`\nGlobalIntent:`);
-        console.log(JSON.stringify(result.globalIntent, null, 2));
-        console.log();
+        // STEP 5: Log result
+        logResult(result);
 
         return result;
 
@@ -169,8 +215,9 @@ You are a controlled assistant inside a deterministic system.`;
 async function main() {
     const userInput = process.argv[2] || 'Create a modern star rating component';
     const brainPath = process.argv[3] || path.join(__dirname, '../ai-brain');
+    const mode = process.argv[4];
 
-    const result = await interpretIntent(userInput, brainPath);
+    const result = await interpretIntent(userInput, brainPath, { mode });
 
     // Write result to file
     const outputPath = '/tmp/intent-result.json';
@@ -0,0 +1,385 @@
+/**
+ * Job Queue
+ * Runs long executor work (file generation, PCF builds) in background worker processes.
+ * The HTTP server only enqueues and reports state - it never blocks on a build.
+ *
+ * Build logs are also appended to build-log.jsonl in the working directory (next to build-report.json):
+ * one log entry per line, then { "end": <job snapshot> } when the job finishes. Logs of builds no longer
+ * in memory (after the retention time or a restart) are replayed from <work root>/<build id>/build-log.jsonl.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { fork } = require('child_process');
+const { createError } = require('./errors');
+const { ROOTS, resolveWithin } = require('./path-policy');
+
+const WORKER_PATH = path.join(__dirname, 'job-worker.js');
+
+const JOB_STATES = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+});
+
+/**
+ * Reads a positive integer setting from the environment.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or empty
+ * @param {object} [env]
+ * @returns {number}
+ * @throws {ExecutorError} PCF-SYS-003 when the value is not a positive integer
+ */
+function readIntegerSetting(name, fallback, env = process.env) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createError('PCF-SYS-003', `Invalid setting ${name}='${value}': expected a positive integer`, {
+            details: { variable: name, value }
+        });
+    }
+    return number;
+}
+
+const MAX_CONCURRENT_JOBS = readIntegerSetting('EXECUTOR_MAX_CONCURRENT_JOBS', 2);
+// Finished jobs are kept in memory for this long so the orchestrator can poll the result.
+const JOB_RETENTION_MS = readIntegerSetting('EXECUTOR_JOB_RETENTION_MS', 60 * 60 * 1000);
+
+// Upper bound on log entries retained per job (oldest entries are dropped first)
+const MAX_LOG_ENTRIES = readIntegerSetting('EXECUTOR_MAX_LOG_ENTRIES', 50000);
+
+const BUILD_LOG_FILE = 'build-log.jsonl';
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const pending = [];
+let runningCount = 0;
+
+/**
+ * Creates a job id in the same shape as C# build ids (job_yyyyMMddHHmmss_xxxxxx).
+ */
+function createJobId() {
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return `job_${timestamp}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Queues a job for background execution.
+ * @param {string} type - Job type handled by job-worker.js ('files' | 'build')
+ * @param {object} payload - Arguments forwarded to the worker
+ * @returns {object} Public job snapshot
+ */
+function enqueueJob(type, payload) {
+    const job = {
+        id: createJobId(),
+        type,
+        state: JOB_STATES.QUEUED,
+        step: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        // Build jobs can also be addressed by the build id (the working directory name)
+        buildId: payload.workingDir ? path.basename(payload.workingDir) : null,
+        logs: [],
+        nextLogSeq: 1,
+        logFile: payload.workingDir ? path.join(payload.workingDir, BUILD_LOG_FILE) : null,
+        logFd: null,
+        payload
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    console.log(`[jobs] Queued ${job.type} job ${job.id}`);
+
+    drainQueue();
+    return toSnapshot(job);
+}
+
+/**
+ * Returns the public snapshot of a job, or null if unknown.
+ * @param {string} jobId
+ */
+function getJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? toSnapshot(job) : null;
+}
+
+function findJobInMemory(id) {
+    if (jobs.has(id)) return jobs.get(id);
+
+    const matches = Array.from(jobs.values())
+        .filter(job => job.type === 'build' && job.buildId === id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return matches.length > 0 ? matches[0] : null;
+}
+
+/**
+ * Reads a persisted build log. A log without an end record belongs to a build the executor
+ * stopped during (restart or crash); it is reported as failed.
+ * @param {string} logFile
+ * @param {string} buildId
+ * @returns {{ entries: object[], snapshot: object }}
+ */
+function readBuildLog(logFile, buildId) {
+    const entries = [];
+    let end = null;
+    for (const line of fs.readFileSync(logFile, 'utf8').split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            continue; // last line cut short by a crash
+        }
+        if (record.end) end = record.end;
+        else entries.push(record);
+    }
+
+    const snapshot = end || {
+        id: null,
+        type: 'build',
+        state: JOB_STATES.FAILED,
+        step: entries.length > 0 ? entries[entries.length - 1].step : null,
+        createdAt: null,
+        startedAt: entries.length > 0 ? entries[0].timestamp : null,
+        finishedAt: null,
+        result: null,
+        error: createError('PCF-SYS-004', 'Build log ends without a result (the executor stopped during the build)', {
+            stage: 'build',
+            details: { logFile }
+        }).toJSON(),
+        buildId
+    };
+    return { entries, snapshot: { ...snapshot, logLines: entries.length } };
+}
+
+// <work root>/<build id>/build-log.jsonl of a build that is no longer in memory
+function findPersistedBuildLog(buildId) {
+    if (!buildId || buildId !== path.basename(buildId) || buildId === '.' || buildId === '..') return null;
+    for (const root of ROOTS.work) {
+        try {
+            const logFile = path.join(resolveWithin(root, buildId, 'buildId'), BUILD_LOG_FILE);
+            if (fs.existsSync(logFile)) return logFile;
+        } catch (error) {
+            // symlink leaving the root: not a build of this executor
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a build job by job id or by build id, preferring the most recent match.
+ * Falls back to the persisted build log when the build is no longer in memory.
+ * @param {string} id - Job id or build id (working directory name)
+ */
+function findBuildJob(id) {
+    const job = findJobInMemory(id);
+    if (job) return toSnapshot(job);
+
+    const logFile = findPersistedBuildLog(id);
+    return logFile ? readBuildLog(logFile, id).snapshot : null;
+}
+
+/**
+ * Replays the log of a job and then follows it until the job finishes.
+ * Entries no longer in memory are replayed from the persisted build log.
+ * @param {string} id - Job id or build id
+ * @param {object} handlers
+ * @param {number} [handlers.afterSeq] - Only entries with a greater sequence number are replayed
+ * @param {function} handlers.onEntry - Called with each log entry
+ * @param {function} handlers.onEnd - Called once with the final job snapshot
+ * @returns {function} Unsubscribe callback
+ */
+function followJobLogs(id, { afterSeq = 0, onEntry, onEnd }) {
+    const job = findJobInMemory(id);
+    if (!job) {
+        const logFile = findPersistedBuildLog(id);
+        if (!logFile) throw createError('PCF-SYS-008', `Job not found: ${id}`);
+        const { entries, snapshot } = readBuildLog(logFile, id);
+        for (const entry of entries) {
+            if (entry.seq > afterSeq) onEntry(entry);
+        }
+        onEnd(snapshot);
+        return () => {};
+    }
+
+    // Dropped from memory by MAX_LOG_ENTRIES but still on disk
+    const firstInMemory = job.logs.length > 0 ? job.logs[0].seq : job.nextLogSeq;
+    if (firstInMemory > afterSeq + 1 && job.logFile && fs.existsSync(job.logFile)) {
+        for (const entry of readBuildLog(job.logFile, job.buildId).entries) {
+            if (entry.seq > afterSeq && entry.seq < firstInMemory) onEntry(entry);
+        }
+    }
+    for (const entry of job.logs) {
+        if (entry.seq > afterSeq) onEntry(entry);
+    }
+
+    if (isFinished(job)) {
+        onEnd(toSnapshot(job));
+        return () => {};
+    }
+
+    const logListener = (entry) => onEntry(entry);
+    const endListener = () => {
+        unsubscribe();
+        onEnd(toSnapshot(job));
+    };
+    const unsubscribe = () => {
+        jobEvents.off(`log:${job.id}`, logListener);
+        jobEvents.off(`end:${job.id}`, endListener);
+    };
+
+    jobEvents.on(`log:${job.id}`, logListener);
+    jobEvents.on(`end:${job.id}`, endListener);
+    return unsubscribe;
+}
+
+/**
+ * Resolves with the final snapshot of a job once it has finished.
+ * @param {string} jobId
+ * @returns {Promise<object>}
+ */
+function waitForJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return Promise.reject(createError('PCF-SYS-008', `Job not found: ${jobId}`));
+    if (isFinished(job)) return Promise.resolve(toSnapshot(job));
+    return new Promise(resolve => jobEvents.once(`end:${jobId}`, () => resolve(toSnapshot(job))));
+}
+
+/**
+ * Lists all known jobs, newest first.
+ */
+function listJobs() {
+    return Array.from(jobs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toSnapshot);
+}
+
+function toSnapshot(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        step: job.step,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        result: job.result,
+        error: job.error,
+        buildId: job.buildId,
+        logLines: job.logs.length
+    };
+}
+
+function isFinished(job) {
+    return job.state === JOB_STATES.SUCCEEDED || job.state === JOB_STATES.FAILED;
+}
+
+function openBuildLog(job) {
+    if (!job.logFile) return;
+    try {
+        job.logFd = fs.openSync(job.logFile, 'w');
+    } catch (error) {
+        console.warn(`[jobs] Build log of ${job.id} is not persisted: ${error.message}`);
+    }
+}
+
+// Written synchronously, so a replay from disk sees every line already sent to followers
+function persistLog(job, record) {
+    if (job.logFd === null) return;
+    try {
+        fs.writeSync(job.logFd, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+        console.warn(`[jobs] Build log of ${job.id} is no longer persisted: ${error.message}`);
+        closeBuildLog(job);
+    }
+}
+
+function closeBuildLog(job) {
+    if (job.logFd === null) return;
+    try {
+        fs.closeSync(job.logFd);
+    } catch (error) {
+        // already unusable; nothing left to flush
+    }
+    job.logFd = null;
+}
+
+function appendLog(job, entry) {
+    const logEntry = { seq: job.nextLogSeq++, ...entry };
+    job.logs.push(logEntry);
+    if (job.logs.length > MAX_LOG_ENTRIES) job.logs.shift();
+    persistLog(job, logEntry);
+    jobEvents.emit(`log:${job.id}`, logEntry);
+}
+
+function drainQueue() {
+    while (runningCount < MAX_CONCURRENT_JOBS && pending.length > 0) {
+        runJob(pending.shift());
+    }
+}
+
+function runJob(job) {
+    runningCount++;
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date().toISOString();
+    console.log(`[jobs] Running ${job.type} job ${job.id}`);
+    openBuildLog(job);
+
+    // Each job gets its own process so a long or crashing build can never block or take down the server.
+    const worker = fork(WORKER_PATH, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+    let settled = false;
+
+    const finish = (state, result, error) => {
+        if (settled) return;
+        settled = true;
+        runningCount--;
+
+        job.state = state;
+        job.result = result || null;
+        job.error = error || null;
+        job.finishedAt = new Date().toISOString();
+        delete job.payload;
+        persistLog(job, { end: toSnapshot(job) });
+        closeBuildLog(job);
+        console.log(`[jobs] ${job.type} job ${job.id} ${state}`);
+        jobEvents.emit(`end:${job.id}`);
+
+        setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+        drainQueue();
+    };
+
+    worker.on('message', (message) => {
+        if (message.type === 'step') {
+            job.step = message.step;
+        } else if (message.type === 'log') {
+            appendLog(job, message.entry);
+        } else if (message.type === 'result') {
+            finish(JOB_STATES.SUCCEEDED, message.result);
+        } else if (message.type === 'error') {
+            finish(JOB_STATES.FAILED, null, message.error);
+        }
+    });
+
+    worker.on('error', (err) => {
+        finish(JOB_STATES.FAILED, null, createError('PCF-SYS-004', `Worker failed to start: ${err.message}`, { stage: job.type }).toJSON());
+    });
+
+    worker.on('exit', (code, signal) => {
+        finish(JOB_STATES.FAILED, null, createError('PCF-SYS-004', `Worker exited unexpectedly (code: ${code}, signal: ${signal})`, {
+            stage: job.type,
+            details: { exitCode: code, signal }
+        }).toJSON());
+    });
+
+    worker.send({ type: job.type, payload: job.payload });
+}
+
+module.exports = { JOB_STATES, readIntegerSetting, enqueueJob, getJob, findBuildJob, followJobLogs, listJobs, waitForJob };
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Job Worker
+ * Child process entry point used by job-queue.js.
+ * Runs exactly one executor job and reports progress, log lines and result over IPC.
+ */
+
+const { generateFiles } = require('./file-generator');
+const { buildPcf } = require('./build-executor');
+const { toExecutorError } = require('./errors');
+
+// Progress markers printed by the executors (e.g. "STEP 2: Building Control (NPM)...")
+const STEP_PATTERNS = [
+    /^\s*(STEP \d+: .*?)\.*$/,
+    /^\s*\[\d+\/\d+\] (Generating .*?)\.*$/
+];
+
+let currentStep = null;
+
+/**
+ * Sends one log entry to the parent, tagged with the step currently executing.
+ * @param {string} stream - 'stdout' | 'stderr'
+ * @param {string} line - Single line of output
+ * @param {string|null} command - Command that produced the line, null for executor messages
+ */
+function emitLog(stream, line, command) {
+    process.send({
+        type: 'log',
+        entry: {
+            timestamp: new Date().toISOString(),
+            step: currentStep ? currentStep.split(':')[0] : null,
+            stream,
+            command,
+            line
+        }
+    });
+}
+
+const handlers = {
+    files: ({ inputJson, outputDir, templatesDir, dryRun, overwrite, versionBump }) => {
+        if (dryRun) return generateFiles(inputJson, outputDir, templatesDir, { dryRun: true, overwrite, versionBump });
+        const { files, manifest, merge, verification, version } = generateFiles(inputJson, outputDir, templatesDir, { overwrite, versionBump });
+        return { outputDir, files, manifest, merge, verification, version };
+    },
+    build: ({ workingDir, componentName, packager, managed }) => buildPcf(workingDir, componentName, {
+        packager,
+        managed,
+        onOutput: (stream, line, command) => emitLog(stream, line, command)
+    })
+};
+
+/**
+ * Mirrors the executor's own console output into the job log and tracks step markers.
+ */
+function captureConsole() {
+    const wrap = (original, stream) => (...args) => {
+        const text = args.map(String).join(' ');
+        for (const line of text.split('\n')) {
+            for (const pattern of STEP_PATTERNS) {
+                const match = line.match(pattern);
+                if (match) {
+                    currentStep = match[1];
+                    process.send({ type: 'step', step: currentStep });
+                    break;
+                }
+            }
+            if (line.trim()) emitLog(stream, line, null);
+        }
+        original(...args);
+    };
+
+    console.log = wrap(console.log, 'stdout');
+    console.warn = wrap(console.warn, 'stderr');
+    console.error = wrap(console.error, 'stderr');
+}
+
+process.once('message', async ({ type, payload }) => {
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        captureConsole();
+        const result = await handler(payload);
+        process.send({ type: 'result', result: result || null }, () => process.exit(0));
+    } catch (error) {
+        // Same shape as the HTTP error responses, plus the build's command records
+        process.send({
+            type: 'error',
+            error: { ...toExecutorError(error, type).toJSON(), commands: error.commands, report: error.report }
+        }, () => process.exit(1));
+    }
+});
@@ -0,0 +1,257 @@
+/**
+ * LLM Provider Layer
+ * Single place where executor adapters (intent-interpreter, spec-generator) obtain a chat model.
+ * Supports OpenAI-compatible endpoints (OpenAI, xAI, ...), Azure OpenAI deployments
+ * and a file-backed fake provider for offline runs and CI.
+ *
+ * Configuration precedence (lowest → highest):
+ *   built-in defaults → config file "default" → config file "stages.<stage>"
+ *   → LLM_<KEY> env → LLM_<STAGE>_<KEY> env
+ * Keys: PROVIDER, MODEL, TEMPERATURE, TIMEOUT_MS, MAX_TOKENS, MAX_ATTEMPTS (e.g. LLM_SPEC_MODEL=grok-4).
+ * The config file path is read from EXECUTOR_LLM_CONFIG.
+ *
+ * When LLM_RECORD_DIR is set, every response from a real provider is also written to
+ * <dir>/<stage>/<messagesHash>.json, the layout the fake provider reads (see test-runner.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const { createError } = require('./errors');
+
+const STAGES = Object.freeze(['intent', 'spec']);
+
+const DEFAULT_CONFIG = Object.freeze({
+    provider: 'openai',
+    model: 'grok-4-fast',
+    temperature: 0.2, // Determinism
+    timeoutMs: 30000,
+    maxTokens: null,
+    maxAttempts: 3 // Self-repair budget, see llm-repair.js
+});
+
+const ENV_KEYS = Object.freeze({
+    provider: 'PROVIDER',
+    model: 'MODEL',
+    temperature: 'TEMPERATURE',
+    timeoutMs: 'TIMEOUT_MS',
+    maxTokens: 'MAX_TOKENS',
+    maxAttempts: 'MAX_ATTEMPTS'
+});
+
+const NUMERIC_KEYS = new Set(['temperature', 'timeoutMs', 'maxTokens', 'maxAttempts']);
+
+function loadConfigFile() {
+    const configPath = process.env.EXECUTOR_LLM_CONFIG;
+    if (!configPath) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw createError('PCF-SYS-003', `Invalid LLM config file ${configPath}: ${error.message}`, { cause: error });
+    }
+}
+
+function readEnvOverrides(prefix) {
+    const overrides = {};
+    for (const [key, envKey] of Object.entries(ENV_KEYS)) {
+        const name = `${prefix}${envKey}`;
+        const value = process.env[name];
+        if (value === undefined || value === '') continue;
+        if (!NUMERIC_KEYS.has(key)) {
+            overrides[key] = value;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw createError('PCF-SYS-003', `Invalid LLM setting ${name}='${value}': expected a number`, {
+                details: { variable: name, value }
+            });
+        }
+        overrides[key] = number;
+    }
+    return overrides;
+}
+
+/**
+ * Resolves the effective model settings for a pipeline stage.
+ * @param {string} stage - 'intent' | 'spec'
+ * @returns {{ stage, provider, model, temperature, timeoutMs, maxTokens, maxAttempts }}
+ */
+function resolveLlmConfig(stage) {
+    if (!STAGES.includes(stage)) {
+        throw createError('PCF-SYS-003', `Unknown LLM stage: ${stage}`);
+    }
+
+    const file = loadConfigFile();
+    return {
+        stage,
+        ...DEFAULT_CONFIG,
+        ...(file.default || {}),
+        ...((file.stages && file.stages[stage]) || {}),
+        ...readEnvOverrides('LLM_'),
+        ...readEnvOverrides(`LLM_${stage.toUpperCase()}_`)
+    };
+}
+
+function buildRequest(config, messages) {
+    const request = {
+        model: config.model,
+        messages,
+        temperature: config.temperature,
+        response_format: { type: 'json_object' }
+    };
+    if (config.maxTokens) request.max_tokens = config.maxTokens;
+    return request;
+}
+
+/**
+ * Sends one chat completion. API failures become retryable LLM errors:
+ * PCF-LLM-004 (timeout), PCF-LLM-005 (rate limit), PCF-LLM-001 (anything else), PCF-LLM-002 (no content).
+ */
+async function requestCompletion(client, config, messages) {
+    const fail = (code, message, status, cause) => createError(code, message, {
+        stage: `llm-${config.stage}`,
+        details: { provider: config.provider, model: config.model, status },
+        cause
+    });
+
+    let response;
+    try {
+        response = await client.chat.completions.create(buildRequest(config, messages));
+    } catch (error) {
+        const code = error instanceof OpenAI.APIConnectionTimeoutError ? 'PCF-LLM-004'
+            : error.status === 429 ? 'PCF-LLM-005'
+                : 'PCF-LLM-001';
+        throw fail(code, `${config.provider} request for ${config.model} failed: ${error.message}`, error.status || null, error);
+    }
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw fail('PCF-LLM-002', `${config.provider} response for ${config.model} has no message content`, null);
+    }
+    return choice.message.content;
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (OpenAI, xAI, local gateways).
+ */
+function createOpenAiProvider(config) {
+    const apiKey = process.env.OPENAI_API_KEY || process.env.GROK_API_KEY || process.env.XAI_API_KEY;
+    if (!apiKey) {
+        throw createError('PCF-SYS-003', 'API Key missing. Set OPENAI_API_KEY/GROK_API_KEY or choose another LLM provider.');
+    }
+
+    const client = new OpenAI({
+        apiKey,
+        baseURL: process.env.OPENAI_BASE_URL || 'https://api.x.ai/v1', // Default to xAI if not set
+        timeout: config.timeoutMs
+    });
+
+    return {
+        complete: messages => requestCompletion(client, config, messages)
+    };
+}
+
+/**
+ * Azure OpenAI: `model` is the deployment name.
+ */
+function createAzureProvider(config) {
+    const apiKey = process.env.AZURE_OPENAI_API_KEY;
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+    if (!apiKey || !endpoint) {
+        throw createError('PCF-SYS-003', 'Azure OpenAI requires AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT.');
+    }
+
+    const client = new OpenAI.AzureOpenAI({
+        apiKey,
+        endpoint,
+        deployment: config.model,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+        timeout: config.timeoutMs
+    });
+
+    return {
+        complete: messages => requestCompletion(client, config, messages)
+    };
+}
+
+/**
+ * Hash identifying a conversation, used to key fake-provider responses.
+ */
+function hashMessages(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+/**
+ * File-backed fake provider. Responses are read from LLM_FAKE_RESPONSES_DIR:
+ *   <dir>/<stage>/<messagesHash>.json   (exact conversation)
+ *   <dir>/<stage>.json                  (fallback for the stage)
+ * The file content is returned verbatim as the model output; a missing file is PCF-SYS-009.
+ */
+function createFakeProvider(config) {
+    const responsesDir = process.env.LLM_FAKE_RESPONSES_DIR;
+    if (!responsesDir) {
+        throw createError('PCF-SYS-003', 'Fake LLM provider requires LLM_FAKE_RESPONSES_DIR.');
+    }
+
+    return {
+        async complete(messages) {
+            const candidates = [
+                path.join(responsesDir, config.stage, `${hashMessages(messages)}.json`),
+                path.join(responsesDir, `${config.stage}.json`)
+            ];
+            const responsePath = candidates.find(candidate => fs.existsSync(candidate));
+            if (!responsePath) {
+                throw createError('PCF-SYS-009', `No fake LLM response for stage '${config.stage}' (looked for ${candidates.join(', ')})`, {
+                    stage: `llm-${config.stage}`,
+                    details: { provider: config.provider, candidates }
+                });
+            }
+            return fs.readFileSync(responsePath, 'utf8');
+        }
+    };
+}
+
+/**
+ * Wraps a provider so each response is saved as a fake-provider fixture.
+ */
+function recordResponses(provider, stage, recordDir) {
+    return async (messages) => {
+        const output = await provider.complete(messages);
+        const fixturePath = path.join(recordDir, stage, `${hashMessages(messages)}.json`);
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, output);
+        return output;
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    openai: createOpenAiProvider,
+    azure: createAzureProvider,
+    fake: createFakeProvider
+};
+
+/**
+ * Creates the chat model for a pipeline stage.
+ * @param {string} stage - 'intent' | 'spec'
+ * @returns {{ config: object, complete: (messages: object[]) => Promise<string> }}
+ */
+function getLlmProvider(stage) {
+    const config = resolveLlmConfig(stage);
+    const factory = PROVIDER_FACTORIES[config.provider];
+    if (!factory) {
+        throw createError('PCF-SYS-003', `Unknown LLM provider '${config.provider}'. Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    const provider = factory(config);
+    const recordDir = process.env.LLM_RECORD_DIR;
+    if (recordDir && config.provider !== 'fake') {
+        return { config, complete: recordResponses(provider, config.stage, recordDir) };
+    }
+
+    return { config, ...provider };
+}
+
+module.exports = { STAGES, getLlmProvider, hashMessages, resolveLlmConfig };
@@ -0,0 +1,82 @@
+/**
+ * LLM Self-Repair Loop
+ * Re-prompts the model with its own validation errors until the output parses and validates,
+ * or the attempt budget (llm config `maxAttempts`) is exhausted.
+ * Every attempt is kept so callers can report what the model produced and why it was rejected.
+ */
+
+const { SchemaValidationError } = require('./schema-validator');
+
+// Raw model output kept per attempt in diagnostics
+const MAX_RECORDED_OUTPUT = 4000;
+
+function buildRepairMessage(violations) {
+    const lines = violations.map(v => `- ${v.pointer || '/'} (${v.keyword}): ${v.message}`);
+    return [
+        'Your previous response was rejected by the validator.',
+        'Violations:',
+        ...lines,
+        '',
+        'Return the complete corrected JSON object only. Do not explain the changes.'
+    ].join('\n');
+}
+
+function parseOutput(output) {
+    try {
+        return { parsed: JSON.parse(output), violations: [] };
+    } catch (error) {
+        return { parsed: undefined, violations: [{ pointer: '', keyword: 'parse', message: `invalid JSON: ${error.message}` }] };
+    }
+}
+
+/**
+ * Calls the model and repairs invalid output by feeding violations back as a follow-up message.
+ * @param {object} options
+ * @param {object} options.llm - Provider from getLlmProvider()
+ * @param {object[]} options.messages - Initial chat messages
+ * @param {function} options.validate - (parsed) => violations[]
+ * @param {string} options.errorCode - Code used when all attempts fail (e.g. PCF-SPEC-004)
+ * @param {string} options.stage - Pipeline stage name used in the error
+ * @returns {Promise<{ result: object, attempts: object[] }>}
+ * @throws {SchemaValidationError} With `attempts` attached when every attempt failed
+ */
+async function completeWithRepair({ llm, messages, validate, errorCode, stage }) {
+    const maxAttempts = Math.max(1, llm.config.maxAttempts || 1);
+    const conversation = [...messages];
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const started = Date.now();
+        const output = await llm.complete(conversation);
+
+        let { parsed, violations } = parseOutput(output);
+        if (violations.length === 0) {
+            violations = validate(parsed);
+        }
+
+        attempts.push({
+            attempt,
+            durationMs: Date.now() - started,
+            valid: violations.length === 0,
+            violations,
+            output: output.length > MAX_RECORDED_OUTPUT ? `${output.slice(0, MAX_RECORDED_OUTPUT)}…` : output
+        });
+
+        if (violations.length === 0) {
+            console.log(`✓ Attempt ${attempt}/${maxAttempts} produced valid output`);
+            return { result: parsed, attempts };
+        }
+
+        console.warn(`! Attempt ${attempt}/${maxAttempts} rejected: ${violations.length} violation(s)`);
+        violations.forEach(v => console.warn(`    ${v.pointer || '/'} (${v.keyword}): ${v.message}`));
+
+        conversation.push(
+            { role: 'assistant', content: output },
+            { role: 'user', content: buildRepairMessage(violations) }
+        );
+    }
+
+    throw new SchemaValidationError(errorCode, stage, attempts[attempts.length - 1].violations, attempts);
+}
+
+module.exports = { completeWithRepair };
@@ -0,0 +1,168 @@
+/**
+ * Localization
+ * Per-language display strings for the generated resx files.
+ *
+ * The spec's own displayName/description texts are the default language (defaultLcid, 1033 unless set)
+ * and double as resx keys, so the manifest's *-key attributes resolve in every language.
+ * componentSpec.localizations adds translations per LCID:
+ *   { "1036": { displayName, description, properties: { <name>: { displayName, description } },
+ *               dataSets: { <name>: { displayName, description, propertySets: { <name>: { displayName, description } } } } } }
+ * A missing translation falls back to the default-language text.
+ */
+
+const DEFAULT_LCID = 1033;
+const LCID_PATTERN = /^[1-9][0-9]{3,4}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/**
+ * @param {object} componentSpec
+ * @returns {number} Default-language LCID
+ */
+function defaultLcid(componentSpec) {
+    return Number.isInteger(componentSpec.defaultLcid) ? componentSpec.defaultLcid : DEFAULT_LCID;
+}
+
+/**
+ * LCIDs to generate, default language first. A single entry means no localization.
+ * @param {object} componentSpec
+ * @returns {number[]}
+ */
+function specLanguages(componentSpec) {
+    const fallback = defaultLcid(componentSpec);
+    const translated = isPlainObject(componentSpec.localizations)
+        ? Object.keys(componentSpec.localizations)
+            .filter(lcid => LCID_PATTERN.test(lcid) && Number(lcid) !== fallback)
+            .map(Number)
+            .sort((a, b) => a - b)
+        : [];
+    return [fallback, ...translated];
+}
+
+/**
+ * Structural checks for defaultLcid/localizations.
+ * @param {object} componentSpec
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateLocalizations(componentSpec) {
+    const problems = [];
+    const add = (field, message) => problems.push({ field, message });
+
+    if (componentSpec.defaultLcid !== undefined &&
+        !(Number.isInteger(componentSpec.defaultLcid) && LCID_PATTERN.test(String(componentSpec.defaultLcid)))) {
+        add('componentSpec.defaultLcid', `defaultLcid must be a numeric LCID, got '${componentSpec.defaultLcid}'`);
+    }
+    if (componentSpec.localizations === undefined) return problems;
+    if (!isPlainObject(componentSpec.localizations)) {
+        add('componentSpec.localizations', 'localizations must be an object keyed by LCID');
+        return problems;
+    }
+
+    const propertyNames = new Set(asArray(componentSpec.properties).map(p => p.name));
+    const dataSets = new Map(asArray(componentSpec.dataSets).map(d => [d && d.name, d]));
+    for (const [lcid, strings] of Object.entries(componentSpec.localizations)) {
+        const field = `componentSpec.localizations.${lcid}`;
+        if (!LCID_PATTERN.test(lcid)) {
+            add(field, `Localization key '${lcid}' is not a numeric LCID`);
+            continue;
+        }
+        if (Number(lcid) === defaultLcid(componentSpec)) {
+            add(field, `LCID ${lcid} is the default language; its texts come from displayName/description`);
+            continue;
+        }
+        if (!isPlainObject(strings)) {
+            add(field, `Localization ${lcid} must be an object`);
+            continue;
+        }
+        for (const name of Object.keys(isPlainObject(strings.properties) ? strings.properties : {})) {
+            if (!propertyNames.has(name)) {
+                add(`${field}.properties.${name}`, `Localization ${lcid} translates unknown property '${name}'`);
+            }
+        }
+        for (const [name, dataSetStrings] of Object.entries(isPlainObject(strings.dataSets) ? strings.dataSets : {})) {
+            if (!dataSets.has(name)) {
+                add(`${field}.dataSets.${name}`, `Localization ${lcid} translates unknown data set '${name}'`);
+                continue;
+            }
+            const columns = new Set(asArray(dataSets.get(name).propertySets).map(p => p.name));
+            const propertySets = isPlainObject(dataSetStrings) && isPlainObject(dataSetStrings.propertySets) ? dataSetStrings.propertySets : {};
+            for (const column of Object.keys(propertySets)) {
+                if (!columns.has(column)) {
+                    add(`${field}.dataSets.${name}.propertySets.${column}`,
+                        `Localization ${lcid} translates unknown property set '${column}' of data set '${name}'`);
+                }
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Resx entries for one language: [{ key, value, comment }] plus the strings that fell back to the default.
+ * @param {object} componentSpec
+ * @param {number} lcid
+ * @returns {{ strings: object[], fallbacks: string[] }}
+ *   fallbacks: ids such as 'description', 'properties.value.displayName' or 'dataSets.records.propertySets.title.displayName'
+ */
+function buildResxStrings(componentSpec, lcid) {
+    const isDefault = lcid === defaultLcid(componentSpec);
+    const translation = (!isDefault && isPlainObject(componentSpec.localizations) && componentSpec.localizations[String(lcid)]) || {};
+    const propertyTranslations = isPlainObject(translation.properties) ? translation.properties : {};
+    const dataSetTranslations = isPlainObject(translation.dataSets) ? translation.dataSets : {};
+
+    const strings = [];
+    const fallbacks = [];
+    const seen = new Set();
+    const addString = (id, key, localized) => {
+        if (typeof key !== 'string' || key === '' || seen.has(key)) return;
+        seen.add(key);
+        const translated = typeof localized === 'string' && localized !== '';
+        if (!isDefault && !translated) fallbacks.push(id);
+        strings.push({ key, value: translated ? localized : key, comment: id });
+    };
+
+    addString('displayName', componentSpec.displayName, translation.displayName);
+    addString('description', componentSpec.description, translation.description);
+    for (const property of asArray(componentSpec.properties)) {
+        const localized = propertyTranslations[property.name] || {};
+        addString(`properties.${property.name}.displayName`, property.displayName, localized.displayName);
+        addString(`properties.${property.name}.description`, property.description, localized.description);
+    }
+    for (const dataSet of asArray(componentSpec.dataSets)) {
+        const localized = isPlainObject(dataSetTranslations[dataSet.name]) ? dataSetTranslations[dataSet.name] : {};
+        const columnTranslations = isPlainObject(localized.propertySets) ? localized.propertySets : {};
+        addString(`dataSets.${dataSet.name}.displayName`, dataSet.displayName, localized.displayName);
+        addString(`dataSets.${dataSet.name}.description`, dataSet.description, localized.description);
+        for (const column of asArray(dataSet.propertySets)) {
+            const localizedColumn = columnTranslations[column.name] || {};
+            addString(`dataSets.${dataSet.name}.propertySets.${column.name}.displayName`, column.displayName, localizedColumn.displayName);
+            addString(`dataSets.${dataSet.name}.propertySets.${column.name}.description`, column.description, localizedColumn.description);
+        }
+    }
+    return { strings, fallbacks };
+}
+
+/**
+ * Inserts the LCID before the extension: strings/StarRating.resx -> strings/StarRating.1036.resx
+ * @param {string} outputPath
+ * @param {number} lcid
+ */
+function languageOutputPath(outputPath, lcid) {
+    const match = outputPath.match(/^(.*?)(\.[^./\\]+)?$/);
+    return `${match[1]}.${lcid}${match[2] || ''}`;
+}
+
+module.exports = {
+    DEFAULT_LCID,
+    defaultLcid,
+    specLanguages,
+    validateLocalizations,
+    buildResxStrings,
+    languageOutputPath
+};
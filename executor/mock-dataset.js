@@ -0,0 +1,273 @@
+/**
+ * Mock DataSet
+ * Stand-in for ComponentFramework.PropertyTypes.DataSet used by the preview harness.
+ *
+ * Records, columns, paging, sorting, filtering and selection follow the platform contract:
+ * sorting and filter changes apply on refresh(), page loads replace the current page,
+ * and every change is reported through onChange (the harness answers with updateView).
+ *
+ * Loaded by preview/index.html as a plain script (window.MockDataSet) and requirable from Node.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MockDataSet = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SORT_DIRECTION = Object.freeze({ NONE: -1, ASCENDING: 0, DESCENDING: 1 });
+    const FILTER_OPERATOR = Object.freeze({ AND: 0, OR: 1 });
+    const DEFAULT_PAGE_SIZE = 25;
+
+    function isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    function toComparable(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (Array.isArray(value)) return value.join(', ');
+        if (value && typeof value === 'object') return String(value.name || '');
+        return value;
+    }
+
+    // Empty values order after any value
+    function compareValues(a, b) {
+        const left = toComparable(a);
+        const right = toComparable(b);
+        if (isEmpty(left) || isEmpty(right)) return isEmpty(left) - isEmpty(right);
+        if (typeof left === 'number' && typeof right === 'number') return left - right;
+        return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    function text(value) {
+        const comparable = toComparable(value);
+        return isEmpty(comparable) ? '' : String(comparable).toLowerCase();
+    }
+
+    // SQL LIKE with % and _ wildcards
+    function likePattern(pattern) {
+        const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    // ComponentFramework.PropertyHelper.DataSetApi.Types.ConditionOperator values the mock evaluates
+    const CONDITIONS = Object.freeze({
+        0: (value, operand) => compareValues(value, operand) === 0,
+        1: (value, operand) => compareValues(value, operand) !== 0,
+        2: (value, operand) => !isEmpty(value) && compareValues(value, operand) > 0,
+        3: (value, operand) => !isEmpty(value) && compareValues(value, operand) < 0,
+        4: (value, operand) => !isEmpty(value) && compareValues(value, operand) >= 0,
+        5: (value, operand) => !isEmpty(value) && compareValues(value, operand) <= 0,
+        6: (value, operand) => likePattern(operand).test(text(value)),
+        7: (value, operand) => !likePattern(operand).test(text(value)),
+        8: (value, operand) => [].concat(operand).some(item => compareValues(value, item) === 0),
+        9: (value, operand) => ![].concat(operand).some(item => compareValues(value, item) === 0),
+        12: value => isEmpty(value),
+        13: value => !isEmpty(value),
+        49: (value, operand) => text(value).includes(text(operand)),
+        50: (value, operand) => !text(value).includes(text(operand)),
+        54: (value, operand) => text(value).startsWith(text(operand)),
+        55: (value, operand) => !text(value).startsWith(text(operand)),
+        56: (value, operand) => text(value).endsWith(text(operand)),
+        57: (value, operand) => !text(value).endsWith(text(operand))
+    });
+
+    function matchesCondition(record, condition) {
+        const evaluate = CONDITIONS[condition.conditionOperator];
+        if (!evaluate) {
+            console.warn(`[MockDataSet] Condition operator ${condition.conditionOperator} is not simulated; condition ignored`);
+            return true;
+        }
+        return evaluate(record.values[condition.attributeName], condition.value);
+    }
+
+    function matchesFilter(record, filter) {
+        if (!filter) return true;
+        const results = [
+            ...(filter.conditions || []).map(condition => matchesCondition(record, condition)),
+            ...(filter.filters || []).map(child => matchesFilter(record, child))
+        ];
+        if (results.length === 0) return true;
+        return filter.filterOperator === FILTER_OPERATOR.OR ? results.some(Boolean) : results.every(Boolean);
+    }
+
+    /**
+     * Display text for a raw value, based on the column's of-type.
+     */
+    function formatValue(value, dataType) {
+        if (isEmpty(value)) return '';
+        if (Array.isArray(value)) return value.map(item => formatValue(item, null)).join(', ');
+        if (value && typeof value === 'object' && !(value instanceof Date)) return String(value.name || value.id || '');
+        switch (dataType) {
+            case 'TwoOptions': return value ? 'Yes' : 'No';
+            case 'Currency': return Number(value).toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+            case 'Decimal':
+            case 'FP':
+            case 'Whole.None': return Number(value).toLocaleString();
+            case 'DateAndTime.DateOnly': return new Date(value).toLocaleDateString();
+            case 'DateAndTime.DateAndTime': return new Date(value).toLocaleString();
+            default: return String(value);
+        }
+    }
+
+    /**
+     * @param {object[]} columns
+     * @param {object} source - { id?, ...values } or { id, values, formatted }
+     * @param {number} index
+     */
+    function normalizeRecord(columns, source, index) {
+        const hasValues = source && typeof source.values === 'object' && source.values !== null;
+        const values = { ...(hasValues ? source.values : source) };
+        const id = String(source && source.id !== undefined ? source.id : index + 1);
+        delete values.id;
+        const formatted = {};
+        for (const column of columns) {
+            const given = hasValues && source.formatted ? source.formatted[column.name] : undefined;
+            formatted[column.name] = given !== undefined ? String(given) : formatValue(values[column.name], column.dataType);
+        }
+        return { id, values, formatted };
+    }
+
+    function createEntityRecord(record, entityType, primaryColumn) {
+        return {
+            getRecordId: () => record.id,
+            getValue: columnName => (record.values[columnName] === undefined ? null : record.values[columnName]),
+            getFormattedValue: columnName => (record.formatted[columnName] !== undefined
+                ? record.formatted[columnName]
+                : formatValue(record.values[columnName], null)),
+            getNamedReference: () => ({
+                id: { guid: record.id },
+                etn: entityType,
+                name: primaryColumn ? record.formatted[primaryColumn] : record.id
+            })
+        };
+    }
+
+    /**
+     * Creates a mock data set.
+     * @param {object} options
+     * @param {string} options.name - Data set name from the manifest
+     * @param {object[]} options.columns - [{ name, displayName, dataType, order?, isHidden?, visualSizeFactor? }]
+     * @param {object[]} [options.records] - Sample records, keyed by column name
+     * @param {number} [options.pageSize] - Records per page (default 25)
+     * @param {string} [options.entityType] - Returned by getTargetEntityType()
+     * @param {function} [options.onChange] - Called after refresh, page loads and selection changes
+     * @returns {object} Object shaped like ComponentFramework.PropertyTypes.DataSet
+     */
+    function createMockDataSet(options) {
+        const entityType = options.entityType || options.name;
+        const columns = options.columns.map((column, index) => ({
+            name: column.name,
+            displayName: column.displayName || column.name,
+            dataType: column.dataType || 'SingleLine.Text',
+            alias: column.name,
+            order: column.order !== undefined ? column.order : index,
+            visualSizeFactor: column.visualSizeFactor || 100,
+            isHidden: column.isHidden === true,
+            isPrimary: index === 0,
+            disableSorting: false
+        }));
+        const primaryColumn = columns.length > 0 ? columns[0].name : null;
+        const allRecords = (options.records || []).map((record, index) => normalizeRecord(columns, record, index));
+        const notify = () => { if (typeof options.onChange === 'function') options.onChange(dataset); };
+
+        let pageSize = options.pageSize > 0 ? options.pageSize : DEFAULT_PAGE_SIZE;
+        let pageNumber = 1;
+        let filter = null;
+        let selectedIds = [];
+        let matching = [];
+
+        const lastPage = () => Math.max(1, Math.ceil(matching.length / pageSize));
+
+        // Recomputes the visible page from the current filter, sorting and paging
+        function apply() {
+            matching = allRecords.filter(record => matchesFilter(record, filter));
+            const sorts = dataset.sorting.filter(sort => sort.sortDirection !== SORT_DIRECTION.NONE);
+            if (sorts.length > 0) {
+                matching.sort((a, b) => {
+                    for (const sort of sorts) {
+                        const left = a.values[sort.name];
+                        const right = b.values[sort.name];
+                        // Empty values sort last in both directions, like the platform grid
+                        const empty = isEmpty(toComparable(left)) - isEmpty(toComparable(right));
+                        if (empty !== 0) return empty;
+                        const result = compareValues(left, right);
+                        if (result !== 0) return sort.sortDirection === SORT_DIRECTION.DESCENDING ? -result : result;
+                    }
+                    return 0;
+                });
+            }
+            pageNumber = Math.min(pageNumber, lastPage());
+            const page = matching.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+            dataset.sortedRecordIds = page.map(record => record.id);
+            dataset.records = {};
+            page.forEach(record => { dataset.records[record.id] = createEntityRecord(record, entityType, primaryColumn); });
+        }
+
+        function loadPage(number) {
+            pageNumber = Math.min(Math.max(1, number), lastPage());
+            apply();
+            notify();
+        }
+
+        const dataset = {
+            loading: false,
+            error: false,
+            errorMessage: '',
+            innerError: '',
+            columns,
+            records: {},
+            sortedRecordIds: [],
+            sorting: [],
+            linking: {
+                getLinkedEntities: () => [],
+                addLinkedEntity: () => console.warn('[MockDataSet] linking.addLinkedEntity is not simulated')
+            },
+            paging: {
+                get totalResultCount() { return matching.length; },
+                get hasNextPage() { return pageNumber < lastPage(); },
+                get hasPreviousPage() { return pageNumber > 1; },
+                get firstPageNumber() { return pageNumber; },
+                get lastPageNumber() { return pageNumber; },
+                get pageSize() { return pageSize; },
+                loadNextPage: () => loadPage(pageNumber + 1),
+                loadPreviousPage: () => loadPage(pageNumber - 1),
+                loadExactPage: number => loadPage(number),
+                setPageSize: size => { if (size > 0) pageSize = size; },
+                reset: () => { pageNumber = 1; }
+            },
+            filtering: {
+                getFilter: () => filter,
+                setFilter: expression => { filter = expression || null; },
+                clearFilter: () => { filter = null; }
+            },
+            refresh: () => {
+                apply();
+                notify();
+            },
+            getSelectedRecordIds: () => selectedIds.slice(),
+            setSelectedRecordIds: ids => {
+                const known = new Set(allRecords.map(record => record.id));
+                selectedIds = (ids || []).map(String).filter(id => known.has(id));
+                notify();
+            },
+            clearSelectedRecordIds: () => {
+                selectedIds = [];
+                notify();
+            },
+            getTargetEntityType: () => entityType,
+            getTitle: () => options.name,
+            getViewId: () => '00000000-0000-0000-0000-000000000000',
+            openDatasetItem: reference => console.log(`[MockDataSet] openDatasetItem(${reference && reference.id ? reference.id.guid : reference})`),
+            addColumn: () => console.warn('[MockDataSet] addColumn is not simulated')
+        };
+
+        apply();
+        return dataset;
+    }
+
+    return { SORT_DIRECTION, FILTER_OPERATOR, DEFAULT_PAGE_SIZE, createMockDataSet, formatValue };
+});
@@ -0,0 +1,149 @@
+/**
+ * Path Policy
+ * Sandboxes every filesystem path that arrives from a request or a plan.
+ * Paths must resolve inside a configured root, both lexically and after following symlinks.
+ * Work paths must be strictly inside a work root and outside the executor's own directories there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SystemError } = require('./errors');
+
+const PATH_POLICY_CODES = Object.freeze({
+    OUTSIDE_ROOT: 'PCF-SYS-005',
+    SYMLINK_ESCAPE: 'PCF-SYS-006'
+});
+
+/**
+ * Root sets per kind of path.
+ * - work:  build/output directories (outputDir, workingDir)
+ * - brain: read-only AI Brain content (brainPath, templatesDir)
+ * Override with EXECUTOR_WORK_ROOTS / EXECUTOR_BRAIN_ROOTS (separated by the platform path delimiter).
+ */
+const ROOTS = Object.freeze({
+    work: parseRoots(process.env.EXECUTOR_WORK_ROOTS, ['/tmp/pcf-build']),
+    brain: parseRoots(process.env.EXECUTOR_BRAIN_ROOTS, [path.join(__dirname, '../ai-brain')])
+});
+
+// Executor-owned directories under a work root (dependency-cache.js, component-versions.js)
+const RESERVED_WORK_DIRS = Object.freeze(['.dependency-store', '.version-history']);
+
+class PathPolicyError extends SystemError {
+    /**
+     * @param {string} code - PCF-SYS-005 | PCF-SYS-006
+     * @param {string} message
+     * @param {object} details - { field, path, roots }
+     */
+    constructor(code, message, details) {
+        super(code, message, { stage: 'path-policy', details });
+    }
+}
+
+function parseRoots(value, defaults) {
+    const roots = value ? value.split(path.delimiter).filter(Boolean) : defaults;
+    return roots.map(root => path.resolve(root));
+}
+
+function isWithin(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Realpath of target where only the deepest existing ancestor is resolved
+ * (the remainder does not exist yet and cannot be a symlink).
+ */
+function realpathOfExisting(target) {
+    let current = target;
+    while (!fs.existsSync(current)) {
+        const parent = path.dirname(current);
+        if (parent === current) return target;
+        current = parent;
+    }
+    return path.join(fs.realpathSync(current), path.relative(current, target));
+}
+
+/**
+ * Resolves targetPath and verifies it stays inside root, also after following symlinks.
+ * @param {string} root - Absolute root directory
+ * @param {string} targetPath - Path to check (absolute or relative to root)
+ * @param {string} field - Name of the request/plan field, used in the error
+ * @returns {string} Absolute resolved path
+ */
+function resolveWithin(root, targetPath, field) {
+    if (typeof targetPath !== 'string' || targetPath.length === 0 || targetPath.includes('\0')) {
+        throw new PathPolicyError(PATH_POLICY_CODES.OUTSIDE_ROOT, `Invalid path in '${field}'`, {
+            field, path: targetPath, roots: [root]
+        });
+    }
+
+    const resolved = path.resolve(root, targetPath);
+    if (!isWithin(root, resolved)) {
+        throw new PathPolicyError(
+            PATH_POLICY_CODES.OUTSIDE_ROOT,
+            `Path in '${field}' escapes its root: ${targetPath}`,
+            { field, path: targetPath, roots: [root] });
+    }
+
+    if (!isWithin(realpathOfExisting(root), realpathOfExisting(resolved))) {
+        throw new PathPolicyError(
+            PATH_POLICY_CODES.SYMLINK_ESCAPE,
+            `Path in '${field}' leaves its root through a symlink: ${targetPath}`,
+            { field, path: targetPath, roots: [root] });
+    }
+
+    return resolved;
+}
+
+/**
+ * Rejects a work root itself (builds move sibling directories aside and write next to their working directory)
+ * and the reserved executor directories under it.
+ */
+function assertWorkDirectory(root, resolved, inputPath, field) {
+    const relative = path.relative(root, resolved);
+    if (relative === '') {
+        throw new PathPolicyError(PATH_POLICY_CODES.OUTSIDE_ROOT,
+            `Path in '${field}' must be a directory inside a work root, not the root itself: ${inputPath}`,
+            { field, path: inputPath, roots: [root] });
+    }
+    const top = relative.split(path.sep)[0];
+    if (RESERVED_WORK_DIRS.includes(top)) {
+        throw new PathPolicyError(PATH_POLICY_CODES.OUTSIDE_ROOT,
+            `Path in '${field}' is inside the reserved directory ${top}: ${inputPath}`,
+            { field, path: inputPath, roots: [root], reserved: top });
+    }
+}
+
+/**
+ * Resolves a request path against the configured roots of the given kind.
+ * Work paths must lie strictly inside a root and outside RESERVED_WORK_DIRS; a brain root itself is allowed.
+ * @param {string} inputPath - Absolute path from the request body
+ * @param {'work'|'brain'} kind - Which root set applies
+ * @param {string} field - Request field name (e.g. 'outputDir')
+ * @returns {string} Absolute resolved path
+ */
+function resolveSandboxedPath(inputPath, kind, field) {
+    const roots = ROOTS[kind];
+    if (!roots) {
+        throw new Error(`Unknown path kind: ${kind}`);
+    }
+
+    let lastError = null;
+    for (const root of roots) {
+        if (typeof inputPath === 'string' && !isWithin(root, path.resolve(inputPath))) continue;
+        try {
+            const resolved = resolveWithin(root, inputPath, field);
+            if (kind === 'work') assertWorkDirectory(root, resolved, inputPath, field);
+            return resolved;
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError || new PathPolicyError(
+        PATH_POLICY_CODES.OUTSIDE_ROOT,
+        `Path in '${field}' is outside the allowed roots: ${inputPath}`,
+        { field, path: inputPath, roots });
+}
+
+module.exports = { PATH_POLICY_CODES, PathPolicyError, RESERVED_WORK_DIRS, ROOTS, resolveWithin, resolveSandboxedPath };
@@ -0,0 +1,51 @@
+/**
+ * PCF Naming Rules
+ * Validates identifiers before they reach the PAC CLI or a file name.
+ * Mirrors PCF_NAMING_001 in ai-brain/rules/pcf-core.rules.md.
+ */
+
+const { SpecError } = require('./errors');
+
+// Namespace: one or more dot-separated segments, each starting with a letter
+const NAMESPACE_PATTERN = /^[A-Za-z][A-Za-z0-9]*(\.[A-Za-z][A-Za-z0-9]*)*$/;
+// Constructor: a valid TypeScript class name without '_' or '$'
+const CONSTRUCTOR_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const MAX_IDENTIFIER_LENGTH = 100;
+
+class InvalidIdentifierError extends SpecError {
+    constructor(kind, value, rule) {
+        super('PCF-SPEC-001', `Invalid PCF ${kind} '${value}': ${rule}`, { details: { kind, value, rule } });
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+function assertPattern(kind, value, pattern, rule) {
+    if (typeof value !== 'string' || !pattern.test(value)) {
+        throw new InvalidIdentifierError(kind, value, rule);
+    }
+    if (value.length > MAX_IDENTIFIER_LENGTH) {
+        throw new InvalidIdentifierError(kind, value, `must be at most ${MAX_IDENTIFIER_LENGTH} characters`);
+    }
+    return value;
+}
+
+/**
+ * @param {string} namespace - Manifest namespace (e.g. "Bytestrone" or "Contoso.Controls")
+ * @returns {string} The namespace, unchanged
+ */
+function assertNamespace(namespace) {
+    return assertPattern('namespace', namespace, NAMESPACE_PATTERN,
+        'must be alphanumeric dot-separated segments, each starting with a letter');
+}
+
+/**
+ * @param {string} name - Manifest constructor / component name (e.g. "StarRating")
+ * @returns {string} The name, unchanged
+ */
+function assertConstructorName(name) {
+    return assertPattern('constructor', name, CONSTRUCTOR_PATTERN,
+        'must start with a letter and contain only letters and digits');
+}
+
+module.exports = { InvalidIdentifierError, assertNamespace, assertConstructorName };
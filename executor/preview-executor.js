@@ -4,27 +4,51 @@
  * Preview Executor for PCF Component
  * Generates a browser-based preview harness by wrapping the compiled bundle.
  * NO Rebuild - Pure wrapping of existing artifacts.
+ *
+ * Dataset controls get a mock DataSet per <data-set> (see mock-dataset.js), filled from
+ * sample-data.json in the build directory or, without one, from generated sample records.
+ * Virtual controls get React from a CDN in place of the platform library and the harness
+ * renders the element their updateView returns.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { CONTROL_TYPES } = require('./control-modes');
+const { createError, toExecutorError } = require('./errors');
+
+const PREVIEW_STAGE = 'preview';
+const SAMPLE_DATA_FILE = 'sample-data.json';
+const SAMPLE_RECORD_COUNT = 30;
+const MOCK_DATASET_SCRIPT = 'mock-dataset.js';
+// Stand-ins for the React platform library (same version the manifest requests)
+const REACT_SCRIPTS = Object.freeze([
+    'https://unpkg.com/react@16.14.0/umd/react.development.js',
+    'https://unpkg.com/react-dom@16.14.0/umd/react-dom.development.js'
+]);
+
+function previewError(message, details) {
+    return createError('PCF-PKG-001', message, { stage: PREVIEW_STAGE, details });
+}
 
-async function main() {
+/**
+ * Wraps a built control into preview/ (bundle.js, preview-runtime.js, index.html) inside buildDir.
+ * @param {string} buildId
+ * @param {string} buildDir - Build working directory (out/controls) or extracted solution (Controls)
+ * @param {object} [options]
+ * @param {string} [options.sampleDataPath] - Sample records for data sets (default: buildDir/sample-data.json when present)
+ * @returns {{ previewDir: string, indexPath: string, control: string, dataSets: string[] }}
+ * @throws {ExecutorError} PCF-SYS-008 when buildDir is missing, PCF-PKG-001 when the build output is incomplete,
+ *   PCF-SYS-007 when the sample data cannot be used
+ */
+function generatePreview(buildId, buildDir, options = {}) {
     console.log('=== Preview Executor (Bundle Wrapper) ===\n');
 
     try {
-        const buildId = process.argv[2];
-        const buildDir = process.argv[3] || `/tmp/pcf-build/${buildId}`; // Default path if not passed
-
-        if (!buildId) {
-            throw new Error('Usage: node preview-executor.js <buildId> [buildDir]');
-        }
-
         console.log(`Build ID: ${buildId}`);
         console.log(`Build Dir: ${buildDir}`);
 
         if (!fs.existsSync(buildDir)) {
-            throw new Error(`Build directory not found: ${buildDir}`);
+            throw createError('PCF-SYS-008', `Build directory not found: ${buildDir}`, { stage: PREVIEW_STAGE, details: { buildDir } });
         }
 
         // 1. Locate Control
@@ -37,13 +61,14 @@ async function main() {
                 controlsDir = altControlsDir;
                 console.log(`✓ Located controls directory at: ${controlsDir}`);
             } else {
-                 throw new Error(`Controls directory not found at ${controlsDir} or ${altControlsDir}`);
+                 throw previewError(`Controls directory not found at ${controlsDir} or ${altControlsDir}`);
             }
         }
 
         const controlFolders = fs.readdirSync(controlsDir).filter(f => fs.statSync(path.join(controlsDir, f)).isDirectory());
         if (controlFolders.length !== 1) {
-            throw new Error(`Expected exactly 1 control folder in ${controlsDir}, found ${controlFolders.length}: ${controlFolders.join(', ')}`);
+            throw previewError(`Expected exactly 1 control folder in ${controlsDir}, found ${controlFolders.length}: ${controlFolders.join(', ')}`,
+                { controlFolders });
         }
 
         const controlFolderName = controlFolders[0]; // e.g., Bytestrone.StarRating
@@ -53,26 +78,29 @@ async function main() {
         // 2. Parse Manifest for Metadata
         const manifestPath = path.join(controlDir, 'ControlManifest.xml');
         if (!fs.existsSync(manifestPath)) {
-            throw new Error(`ControlManifest.xml not found in ${controlDir}`);
+            throw previewError(`ControlManifest.xml not found in ${controlDir}`);
         }
         const manifestContent = fs.readFileSync(manifestPath, 'utf8');
 
         // Simple Regex Extraction (avoiding XML parser dependency for robustness/speed)
         const namespaceMatch = manifestContent.match(/namespace="([^"]+)"/);
         const constructorMatch = manifestContent.match(/constructor="([^"]+)"/);
-        const versionMatch = manifestContent.match(/version="([^"]+)"/);
+        const versionMatch = manifestContent.match(/<control\b[^>]*\sversion="([^"]+)"/);
+        const controlTypeMatch = manifestContent.match(/control-type="([^"]+)"/);
         
         const namespace = namespaceMatch ? namespaceMatch[1] : null;
         const constructorName = constructorMatch ? constructorMatch[1] : null;
         const version = versionMatch ? versionMatch[1] : '1.0.0';
+        const isVirtual = controlTypeMatch !== null && controlTypeMatch[1] === CONTROL_TYPES.VIRTUAL;
 
         if (!namespace || !constructorName) {
-            throw new Error('Failed to parse namespace or constructor from ControlManifest.xml');
+            throw previewError('Failed to parse namespace or constructor from ControlManifest.xml');
         }
 
         console.log(`  Namespace: ${namespace}`);
         console.log(`  Constructor: ${constructorName}`);
         console.log(`  Version: ${version}`);
+        console.log(`  Control Type: ${isVirtual ? CONTROL_TYPES.VIRTUAL : CONTROL_TYPES.STANDARD}`);
 
         // Extract Properties
         // <property name="value" display-name-key="..." description-key="..." of-type="..." usage="..." required="..." />
@@ -88,6 +116,12 @@ async function main() {
         }
         console.log(`  Properties: ${properties.map(p => p.name).join(', ')}`);
 
+        const dataSets = parseDataSets(manifestContent);
+        if (dataSets.length > 0) {
+            console.log(`  Data Sets: ${dataSets.map(d => `${d.name} (${d.columns.map(c => c.name).join(', ')})`).join('; ')}`);
+            loadSampleData(dataSets, options.sampleDataPath || path.join(buildDir, SAMPLE_DATA_FILE), Boolean(options.sampleDataPath));
+        }
+
         // 3. Prepare Preview Directory
         const previewDir = path.join(buildDir, 'preview');
         if (fs.existsSync(previewDir)) {
@@ -103,30 +137,140 @@ async function main() {
 
         if (fs.existsSync(flatBundle)) bundleSrc = flatBundle;
         else if (fs.existsSync(nestedBundle)) bundleSrc = nestedBundle;
-        else throw new Error('bundle.js not found in control directory');
+        else throw previewError('bundle.js not found in control directory');
 
         fs.copyFileSync(bundleSrc, path.join(previewDir, 'bundle.js'));
         console.log(`✓ Copied bundle.js`);
 
         // 5. Generate Runtime
-        const runtimeContent = generateRuntime(namespace, constructorName, properties);
+        const runtimeContent = generateRuntime(namespace, constructorName, properties, dataSets, isVirtual);
         fs.writeFileSync(path.join(previewDir, 'preview-runtime.js'), runtimeContent);
         console.log(`✓ Generated preview-runtime.js`);
+        if (dataSets.length > 0) {
+            fs.copyFileSync(path.join(__dirname, MOCK_DATASET_SCRIPT), path.join(previewDir, MOCK_DATASET_SCRIPT));
+            console.log(`✓ Copied ${MOCK_DATASET_SCRIPT}`);
+        }
 
         // 6. Generate Index
-        const indexContent = generateIndex(controlFolderName, version);
+        const indexContent = generateIndex(controlFolderName, version, dataSets.length > 0, isVirtual);
         fs.writeFileSync(path.join(previewDir, 'index.html'), indexContent);
         console.log(`✓ Generated index.html`);
 
-        console.log(`\nPREVIEW READY: ${path.join(previewDir, 'index.html')}\n`);
+        const indexPath = path.join(previewDir, 'index.html');
+        console.log(`\nPREVIEW READY: ${indexPath}\n`);
+        return { previewDir, indexPath, control: controlFolderName, dataSets: dataSets.map(d => d.name) };
 
     } catch (error) {
         console.error(`\n❌ PREVIEW FAILED: ${error.message}`);
-        process.exit(1);
+        throw toExecutorError(error, PREVIEW_STAGE);
+    }
+}
+
+/**
+ * Extracts <data-set> nodes and their <property-set> columns from a manifest.
+ * @param {string} manifestContent
+ * @returns {{ name: string, displayName: string, columns: object[] }[]} columns: [{ name, displayName, dataType, usage }]
+ */
+function parseDataSets(manifestContent) {
+    const attribute = (attributes, name) => {
+        const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`));
+        return match ? match[1] : null;
+    };
+    const dataSetRegex = /<data-set\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data-set>)/g;
+    const columnRegex = /<property-set\b([^>]*?)\/?>/g;
+
+    const dataSets = [];
+    let match;
+    while ((match = dataSetRegex.exec(manifestContent)) !== null) {
+        const columns = [];
+        let column;
+        while ((column = columnRegex.exec(match[2] || '')) !== null) {
+            columns.push({
+                name: attribute(column[1], 'name'),
+                displayName: attribute(column[1], 'display-name-key') || attribute(column[1], 'name'),
+                dataType: attribute(column[1], 'of-type') || 'SingleLine.Text',
+                usage: attribute(column[1], 'usage') || 'bound'
+            });
+        }
+        dataSets.push({
+            name: attribute(match[1], 'name'),
+            displayName: attribute(match[1], 'display-name-key') || attribute(match[1], 'name'),
+            columns: columns.filter(c => c.name)
+        });
+    }
+    return dataSets.filter(d => d.name);
+}
+
+/**
+ * Sample value for a column of the given of-type; index varies it per record.
+ */
+function sampleValue(column, index) {
+    const day = new Date(Date.UTC(2026, 0, 1 + (index * 3) % 365));
+    switch (column.dataType) {
+        case 'Whole.None': return (index * 7) % 100;
+        case 'Decimal':
+        case 'FP': return Math.round(((index * 13.7) % 100) * 100) / 100;
+        case 'Currency': return 100 + (index * 37) % 900;
+        case 'TwoOptions': return index % 3 === 0;
+        case 'DateAndTime.DateOnly': return day.toISOString().slice(0, 10);
+        case 'DateAndTime.DateAndTime': return day.toISOString();
+        case 'OptionSet': return ['New', 'Active', 'Done'][index % 3];
+        case 'MultiSelectOptionSet': return ['Red', 'Green', 'Blue'].filter((c, i) => (index + i) % 2 === 0);
+        case 'Lookup.Simple': return { id: `lookup-${(index % 5) + 1}`, name: `Related ${(index % 5) + 1}` };
+        default: return `${column.displayName} ${index + 1}`;
+    }
+}
+
+/**
+ * Attaches records (and optional pageSize/entityType) to every data set.
+ * sample-data.json: { "<dataSetName>": [records] | { records, pageSize, entityType } },
+ * or a plain records array when the control has a single data set.
+ * Data sets without sample data get generated records.
+ * @param {object[]} dataSets - From parseDataSets (mutated)
+ * @param {string} sampleDataPath
+ * @param {boolean} required - Fail when the file is missing (it was passed explicitly)
+ */
+function loadSampleData(dataSets, sampleDataPath, required) {
+    const sampleError = (message) => createError('PCF-SYS-007', message, { stage: PREVIEW_STAGE, details: { sampleDataPath } });
+    let sampleData = {};
+    if (fs.existsSync(sampleDataPath)) {
+        try {
+            sampleData = JSON.parse(fs.readFileSync(sampleDataPath, 'utf8'));
+        } catch (error) {
+            throw sampleError(`Sample data is not valid JSON: ${sampleDataPath} (${error.message})`);
+        }
+        if (Array.isArray(sampleData)) {
+            if (dataSets.length !== 1) {
+                throw sampleError(`Sample data is a records array but the control has ${dataSets.length} data sets; key it by data set name`);
+            }
+            sampleData = { [dataSets[0].name]: sampleData };
+        }
+        for (const name of Object.keys(sampleData)) {
+            if (!dataSets.some(d => d.name === name)) console.warn(`! ${SAMPLE_DATA_FILE}: no data set named '${name}'`);
+        }
+        console.log(`✓ Loaded sample data from ${sampleDataPath}`);
+    } else if (required) {
+        throw sampleError(`Sample data file not found: ${sampleDataPath}`);
+    }
+
+    for (const dataSet of dataSets) {
+        const entry = sampleData[dataSet.name];
+        const source = Array.isArray(entry) ? { records: entry } : (entry || {});
+        if (source.records !== undefined && !Array.isArray(source.records)) {
+            throw sampleError(`Sample data for '${dataSet.name}' must be an array of records`);
+        }
+        dataSet.pageSize = source.pageSize;
+        dataSet.entityType = source.entityType;
+        dataSet.records = source.records || Array.from({ length: SAMPLE_RECORD_COUNT }, (unused, index) => {
+            const record = { id: String(index + 1) };
+            dataSet.columns.forEach(column => { record[column.name] = sampleValue(column, index); });
+            return record;
+        });
+        console.log(`  ${dataSet.name}: ${dataSet.records.length} ${source.records ? 'sample' : 'generated'} record(s)`);
     }
 }
 
-function generateRuntime(namespace, constructorName, properties) {
+function generateRuntime(namespace, constructorName, properties, dataSets = [], isVirtual = false) {
     // Generate safe default values
     const mockState = {};
     properties.forEach(p => {
@@ -148,14 +292,28 @@ function generateRuntime(namespace, constructorName, properties) {
 console.log("Mock Runtime Initializing...");
 
 const MOCK_STATE = ${JSON.stringify(mockState, null, 2)};
+const MOCK_DATASETS = ${JSON.stringify(dataSets, null, 2)};
+const IS_VIRTUAL = ${isVirtual};
+const container = document.getElementById('pcf-container');
+
+// Standard controls render themselves; a virtual control's element is rendered here, as the platform would
+function renderView() {
+    const element = control.updateView(context);
+    if (IS_VIRTUAL) ReactDOM.render(element, container);
+}
 
 // Mock Context
 const context = {
     parameters: {},
     mode: {
         isControlDisabled: false,
-        isVisible: true
+        isVisible: true,
+        allocatedWidth: -1,
+        allocatedHeight: -1,
+        trackContainerResize: () => {},
+        setControlState: () => true
     },
+    updatedProperties: [],
     utils: {
         getEntityMetadata: () => ({}),
         getFormatter: () => ({})
@@ -173,6 +331,18 @@ Object.keys(MOCK_STATE).forEach(key => {
     };
 });
 
+// Mock Data Sets: every refresh, page load or selection change re-renders (like the platform)
+MOCK_DATASETS.forEach(definition => {
+    context.parameters[definition.name] = MockDataSet.createMockDataSet({
+        ...definition,
+        onChange: () => {
+            context.updatedProperties = [definition.name, 'dataset'];
+            renderView();
+            context.updatedProperties = [];
+        }
+    });
+});
+
 // Mock NotifyOutputChanged
 const notifyOutputChanged = () => {
     console.log("⚡ [PCF] notifyOutputChanged called");
@@ -185,7 +355,7 @@ const notifyOutputChanged = () => {
             MOCK_STATE[k] = outputs[k];
             context.parameters[k].raw = outputs[k]; // Sync back to context
             // Re-render to reflect change (like canvas apps do)
-            control.updateView(context);
+            renderView();
         }
     });
 };
@@ -200,15 +370,13 @@ try {
     
     control = new ${namespace}.${constructorName}();
     
-    const container = document.getElementById('pcf-container');
-    
     // Init
     console.log("Calling init()...");
     control.init(context, notifyOutputChanged, {}, container);
     
     // Initial View
     console.log("Calling updateView()...");
-    control.updateView(context);
+    renderView();
     
     if(window.removeLoading) window.removeLoading();
     console.log("✅ Control Ready");
@@ -220,7 +388,7 @@ try {
 `;
 }
 
-function generateIndex(title, version) {
+function generateIndex(title, version, hasDataSets, isVirtual) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -244,6 +412,11 @@ function generateIndex(title, version) {
             overflow: auto;
             position: relative;
         }
+        .container-wrapper.dataset {
+            width: 800px; /* Room for a grid */
+            height: 500px;
+            align-items: stretch;
+        }
         #pcf-container {
             width: 100%;
             height: 100%;
@@ -297,7 +470,7 @@ function generateIndex(title, version) {
 
     <div id="error-banner"></div>
 
-    <div class="container-wrapper">
+    <div class="container-wrapper${hasDataSets ? ' dataset' : ''}">
         <div id="loading">Loading Control...</div>
         <div id="pcf-container"></div>
     </div>
@@ -326,17 +499,48 @@ function generateIndex(title, version) {
         }
     </script>
 
-    <!-- Load Bundle -->
+    ${isVirtual ? `<!-- Platform Libraries (React; the bundle expects the platform's Reactv16 global) -->
+    ${REACT_SCRIPTS.map(src => `<script src="${src}" crossorigin></script>`).join('\n    ')}
+    <script>window.Reactv16 = window.React;</script>
+
+    ` : ''}<!-- Load Bundle -->
     <script src="bundle.js" onerror="console.error('Failed to load bundle.js'); document.getElementById('error-banner').style.display='block'; document.getElementById('error-banner').innerText='Failed to load bundle.js';"></script>
     
-    <!-- Load Runtime -->
+    ${hasDataSets ? `<!-- Load Mock DataSet -->
+    <script src="${MOCK_DATASET_SCRIPT}" onerror="console.error('Failed to load ${MOCK_DATASET_SCRIPT}');"></script>
+
+    ` : ''}<!-- Load Runtime -->
     <script src="preview-runtime.js" onerror="console.error('Failed to load preview-runtime.js'); document.getElementById('error-banner').style.display='block'; document.getElementById('error-banner').innerText='Failed to load preview-runtime.js';"></script>
 
 </body>
 </html>`;
 }
 
+/**
+ * Main entry point
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const sampleDataIndex = args.indexOf('--sample-data');
+    const sampleDataPath = sampleDataIndex === -1 ? undefined : args.splice(sampleDataIndex, 2)[1];
+    const buildId = args[0];
+    const buildDir = args[1] || `/tmp/pcf-build/${buildId}`; // Default path if not passed
+
+    if (!buildId || (sampleDataIndex !== -1 && !sampleDataPath)) {
+        console.error('Usage: node preview-executor.js <buildId> [buildDir] [--sample-data <file>]');
+        process.exit(1);
+    }
+
+    try {
+        generatePreview(buildId, buildDir, { sampleDataPath });
+    } catch (error) {
+        process.exit(1);
+    }
+}
+
 // Run if called directly
 if (require.main === module) {
     main();
 }
+
+module.exports = { SAMPLE_DATA_FILE, generatePreview, parseDataSets };
@@ -0,0 +1,468 @@
+/**
+ * Rule-Based Intent Interpreter
+ * Deterministic interpretation of user input using the ai-brain intent rules:
+ *   intent/intent-mapping.rules.json        (mappings, modifiers, contextual rules)
+ *   intent/ambiguity-resolution.rules.json  (conflict strategies, default assumptions)
+ * Produces the same envelope as the LLM interpreter, with diagnostics describing every match.
+ * Used offline, as a cross-check of the LLM result, and as a pre-filter before calling the LLM.
+ */
+
+const { readBrainJson } = require('./brain-files');
+const { CLARIFICATION_THRESHOLD } = require('./schema-validator');
+
+const CONFIDENCE_WEIGHTS = Object.freeze({ high: 0.9, medium: 0.7, low: 0.5 });
+
+const EXTRA_MATCH_BONUS = 0.03;
+const MAX_CONFIDENCE = 0.95;
+const COMPETING_PURPOSE_PENALTY = 0.15;
+const UNMAPPED_PHRASE_PENALTY = 0.05;
+const MAX_UNMAPPED_PENALTY = 0.2;
+const NO_MATCH_CONFIDENCE = 0.2;
+// Upper bound when a reject-with-clarification conflict is found
+const CONFLICT_CONFIDENCE = 0.5;
+
+// Ambiguity-resolution scenario that settles conflicting values for each path
+const CONFLICT_SCENARIOS = Object.freeze({
+    'behavior.interactivity': 'Conflicting interactivity requirements',
+    'uiIntent.visualStyle': 'Vague visual style description'
+});
+
+// Words that carry no intent on their own and are never reported as unmapped
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'i', 'we', 'me', 'my', 'our', 'it', "it's", 'its', 'this', 'that', "that's", 'these', 'those',
+    'is', 'are', 'be', 'to', 'of', 'for', 'with', 'as', 'and', 'or', 'but', 'in', 'on', 'by', 'from',
+    'need', 'want', 'like', 'would', 'please', 'create', 'make', 'build', 'add', 'give', 'get',
+    'control', 'component', 'field', 'widget', 'thing', 'something',
+    'user', 'users', 'can', 'should', 'will', 'so', 'also', 'just', 'only', 'nothing',
+    // "collect/enter/input" only confirm editable input (contextual rule), which is the default
+    'collect', 'enter', 'input'
+]);
+
+// A modifier right after one of these is negated ("nothing fancy", "not editable") and does not apply
+const NEGATION_WORDS = new Set(['no', 'not', 'nothing', 'without', 'never', 'non']);
+
+function loadRules(brainPath) {
+    return {
+        mapping: readBrainJson(brainPath, 'intent/intent-mapping.rules.json'),
+        ambiguity: readBrainJson(brainPath, 'intent/ambiguity-resolution.rules.json')
+    };
+}
+
+function normalizeInput(userInput) {
+    return String(userInput).toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whole-word, plural-tolerant pattern: "stars" matches "star"/"stars", "read-only" matches "read only".
+ */
+function compilePattern(pattern) {
+    const words = pattern.toLowerCase().split(/[\s-]+/).filter(Boolean)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const last = words.length - 1;
+    if (/[a-z]$/.test(words[last])) {
+        words[last] = `${words[last].replace(/s$/, '')}s?`;
+    }
+    return new RegExp(`(?<![a-z0-9])${words.join('[\\s-]+')}(?![a-z0-9])`, 'g');
+}
+
+function findMatches(text, patterns, source) {
+    const matches = [];
+    for (const pattern of patterns) {
+        for (const m of text.matchAll(compilePattern(pattern))) {
+            matches.push({ source, pattern, text: m[0], start: m.index, end: m.index + m[0].length });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Values a user can name outright for each path a modifier sets ("editable", "standard"): the modifier
+ * values plus the default assumption, except values that are already a modifier pattern.
+ * @returns {{ path: string, value: string }[]}
+ */
+function collectValueTerms(mapping, ambiguity) {
+    const modifiers = Object.values(mapping.modifiers || {});
+    const patterns = new Set(modifiers.flatMap(modifier => modifier.patterns.map(pattern => pattern.toLowerCase())));
+    const terms = new Map();
+    for (const modifier of modifiers) {
+        for (const [target, value] of Object.entries(modifier.applies)) {
+            const defaults = (ambiguity.defaultAssumptions || {})[target];
+            for (const candidate of [value, defaults]) {
+                if (typeof candidate === 'string' && !patterns.has(candidate.toLowerCase())) {
+                    terms.set(`${target}=${candidate}`, { path: target, value: candidate });
+                }
+            }
+        }
+    }
+    return [...terms.values()];
+}
+
+/**
+ * Splits out modifier matches negated by the word before them. Negated matches still cover their
+ * words and the negation (they are not unmapped), but assign nothing.
+ * @returns {{ applied: object[], negated: object[] }}
+ */
+function partitionNegatedModifiers(text, matches) {
+    const applied = [];
+    const negated = [];
+    for (const match of matches) {
+        const previous = match.source.kind !== 'mapping' && text.slice(0, match.start).match(/([a-z]+)[\s-]*$/);
+        if (previous && NEGATION_WORDS.has(previous[1])) {
+            negated.push({ ...match, start: match.start - previous[0].length }); // the negation is covered too
+        } else {
+            applied.push(match);
+        }
+    }
+    return { applied, negated };
+}
+
+/**
+ * Drops matches contained in a longer match ("select date" wins over "select").
+ * Named values are matches of their own kind but give way to a longer modifier match.
+ */
+function dropShadowedMatches(matches) {
+    const assigns = kind => kind === 'modifier' || kind === 'value';
+    return matches.filter(match => !matches.some(other =>
+        other !== match &&
+        other.start <= match.start && other.end >= match.end &&
+        (other.end - other.start) > (match.end - match.start) &&
+        (other.source.kind === match.source.kind || (assigns(other.source.kind) && assigns(match.source.kind)))
+    ));
+}
+
+function describeSource(source) {
+    if (source.kind === 'mapping') return `mapping:${source.index}`;
+    return source.kind === 'value' ? `value:${source.path}` : `modifier:${source.name}`;
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = Array.isArray(value) ? [...value] : value;
+}
+
+function findUnmappedPhrases(text, matches) {
+    const covered = (start, end) => matches.some(m => m.start < end && m.end > start);
+    const phrases = [];
+    let current = [];
+
+    for (const token of text.matchAll(/[a-z0-9]+(?:'[a-z]+)?/g)) {
+        const word = token[0];
+        const start = token.index;
+        const ignorable = covered(start, start + word.length) || FILLER_WORDS.has(word) || /^\d+$/.test(word);
+        if (ignorable) {
+            if (current.length) phrases.push(current.join(' '));
+            current = [];
+        } else {
+            current.push(word);
+        }
+    }
+    if (current.length) phrases.push(current.join(' '));
+    return phrases;
+}
+
+/**
+ * Scores each mapping that matched and orders them best-first.
+ * Ties between classifications follow the "prefer-input-over-display" conflict resolution.
+ */
+function rankCandidates(mappings, matches, ambiguity) {
+    const preferInput = (ambiguity.conflictResolution || [])
+        .some(rule => rule.resolution === 'prefer-input-over-display');
+
+    const candidates = mappings
+        .map((mapping, index) => {
+            const hits = matches.filter(m => m.source.kind === 'mapping' && m.source.index === index);
+            return {
+                index,
+                classification: mapping.intent.classification,
+                primaryPurpose: mapping.intent.uiIntent.primaryPurpose,
+                capabilityHint: mapping.capabilityHint || null,
+                weight: CONFIDENCE_WEIGHTS[mapping.confidence] || CONFIDENCE_WEIGHTS.low,
+                patterns: [...new Set(hits.map(h => h.pattern))],
+                hits: hits.length
+            };
+        })
+        .filter(candidate => candidate.hits > 0);
+
+    candidates.sort((a, b) => {
+        if (b.weight !== a.weight) return b.weight - a.weight;
+        if (preferInput && a.classification !== b.classification) {
+            if (a.classification === 'input-control') return -1;
+            if (b.classification === 'input-control') return 1;
+        }
+        if (b.hits !== a.hits) return b.hits - a.hits;
+        return a.index - b.index;
+    });
+    return candidates;
+}
+
+/**
+ * Contextual rule: a display term used with a rating term means a read-only rating display.
+ */
+function applyDisplayRatingRule(candidates) {
+    const display = candidates.find(c => c.classification === 'display-control');
+    const rating = candidates.find(c => c.primaryPurpose === 'collect-rating');
+    if (!display || !rating) return null;
+
+    return {
+        rule: 'display-with-rating-term',
+        classification: 'display-control',
+        primaryPurpose: display.primaryPurpose,
+        capabilityHint: rating.capabilityHint,
+        weight: Math.max(display.weight, rating.weight),
+        assignments: [{ path: 'behavior.interactivity', value: 'read-only', source: 'contextual:display-with-rating-term' }]
+    };
+}
+
+/**
+ * Purpose question from the "Multiple primaryPurpose candidates" disambiguation rule.
+ * Options are the matched purposes, or every mapped purpose when nothing (or only one) matched.
+ */
+function buildPurposeQuestion(rules, candidates = []) {
+    const rule = (rules.ambiguity.disambiguationQuestions || []).find(q => q.trigger === 'Multiple primaryPurpose candidates');
+    const options = candidates.length > 1
+        ? [...new Set(candidates.map(c => c.primaryPurpose))]
+        : [...new Set(rules.mapping.mappings.map(m => m.intent.uiIntent.primaryPurpose))];
+    return {
+        kind: 'purpose',
+        question: rule ? rule.question : 'What is the main purpose of this control?',
+        options
+    };
+}
+
+/**
+ * Values the user chose in answers to conflict questions: { 'behavior.interactivity': 'editable' }.
+ * An answer resolves a path only when it names exactly one value for it.
+ */
+function resolveConflictAnswers(clarifications, modifiers) {
+    const answered = {};
+    for (const clarification of clarifications.filter(c => c.kind === 'conflict' && c.path)) {
+        const answer = normalizeInput(clarification.answer || '');
+        const values = new Set();
+        for (const [name, modifier] of Object.entries(modifiers || {})) {
+            if (modifier.applies[clarification.path] === undefined) continue;
+            if (findMatches(answer, modifier.patterns, { kind: 'modifier', name }).length > 0) {
+                values.add(modifier.applies[clarification.path]);
+            }
+        }
+        for (const option of clarification.options || []) {
+            if (findMatches(answer, [option], { kind: 'option' }).length > 0) values.add(option);
+        }
+        if (values.size === 1) answered[clarification.path] = [...values][0];
+    }
+    return answered;
+}
+
+/**
+ * Interprets user input with the brain's intent rules only (no LLM).
+ * @param {string} userInput - Raw user text
+ * @param {string} brainPath - Path to ai-brain directory
+ * @param {object} [options]
+ * @param {object[]} [options.clarifications] - Answered questions: [{ kind, question, answer, path?, phrase?, options? }]
+ *   'purpose' and 'unmapped' answers extend the input; 'conflict' answers pick the value for `path`;
+ *   answered 'unmapped' phrases no longer count against confidence.
+ * @returns {IntentInterpretationResult} Envelope plus `clarificationQuestions` and rule diagnostics
+ */
+function interpretIntentWithRules(userInput, brainPath, options = {}) {
+    const rules = loadRules(brainPath);
+    const { mapping, ambiguity } = rules;
+    const clarifications = options.clarifications || [];
+
+    const original = normalizeInput(userInput);
+    const extraText = clarifications.filter(c => c.kind !== 'conflict' && c.answer).map(c => normalizeInput(c.answer));
+    const text = [original, ...extraText].join('. ');
+
+    // Match mappings, modifiers and values named outright
+    const rawMatches = [
+        ...mapping.mappings.flatMap((rule, index) => findMatches(text, rule.patterns, { kind: 'mapping', index })),
+        ...Object.entries(mapping.modifiers || {}).flatMap(([name, modifier]) =>
+            findMatches(text, modifier.patterns, { kind: 'modifier', name })),
+        ...collectValueTerms(mapping, ambiguity).flatMap(term =>
+            findMatches(text, [term.value], { kind: 'value', path: term.path, value: term.value }))
+    ];
+    const { applied: matches, negated } = partitionNegatedModifiers(text, dropShadowedMatches(rawMatches));
+
+    const answered = resolveConflictAnswers(clarifications, mapping.modifiers);
+    const candidates = rankCandidates(mapping.mappings, matches, ambiguity);
+
+    // An explicit purpose answer takes precedence over pattern weights
+    const purposeAnswers = clarifications.filter(c => c.kind === 'purpose' && c.answer)
+        .map(c => rankCandidates(mapping.mappings, dropShadowedMatches(
+            mapping.mappings.flatMap((rule, index) => findMatches(normalizeInput(c.answer), rule.patterns, { kind: 'mapping', index }))
+        ), ambiguity)[0])
+        .filter(Boolean);
+    const chosenPurpose = purposeAnswers.length > 0 ? purposeAnswers[purposeAnswers.length - 1].primaryPurpose : null;
+
+    // The user clarified the control is editable: the display/rating contextual rule no longer applies
+    const contextual = !chosenPurpose && answered['behavior.interactivity'] !== 'editable'
+        ? applyDisplayRatingRule(candidates)
+        : null;
+    const best = chosenPurpose ? candidates.find(c => c.primaryPurpose === chosenPurpose) : candidates[0];
+    const clarificationQuestions = [];
+    const adjustments = [];
+
+    // Classification
+    const chosen = contextual || best || null;
+    let confidence = chosen ? chosen.weight : NO_MATCH_CONFIDENCE;
+    if (!chosen) {
+        adjustments.push({ reason: 'no-mapping-matched', delta: NO_MATCH_CONFIDENCE });
+    }
+
+    if (chosen) {
+        const supporting = matches.filter(m => m.source.kind === 'mapping').length - 1;
+        if (supporting > 0) {
+            const bonus = Math.min(supporting * EXTRA_MATCH_BONUS, MAX_CONFIDENCE - confidence);
+            if (bonus > 0) {
+                confidence += bonus;
+                adjustments.push({ reason: 'supporting-matches', delta: bonus });
+            }
+        }
+
+        // Other purposes that are neither the winner nor absorbed by the contextual rule or an answer
+        const absorbed = contextual ? ['display-value', 'collect-rating'] : [chosen.primaryPurpose];
+        if (answered['behavior.interactivity']) absorbed.push('display-value');
+        const competing = chosenPurpose
+            ? []
+            : [...new Set(candidates.map(c => c.primaryPurpose))].filter(p => !absorbed.includes(p));
+        if (competing.length > 0) {
+            confidence -= COMPETING_PURPOSE_PENALTY;
+            adjustments.push({ reason: 'competing-primary-purpose', delta: -COMPETING_PURPOSE_PENALTY, competing });
+        }
+    }
+
+    // Modifier, named-value and contextual assignments, grouped by target path
+    const assignments = [
+        ...(contextual ? contextual.assignments : []),
+        ...matches.filter(m => m.source.kind === 'modifier').flatMap(m =>
+            Object.entries(mapping.modifiers[m.source.name].applies)
+                .map(([target, value]) => ({ path: target, value, source: `modifier:${m.source.name}`, pattern: m.pattern }))),
+        ...matches.filter(m => m.source.kind === 'value').map(m =>
+            ({ path: m.source.path, value: m.source.value, source: `value:${m.source.path}`, pattern: m.pattern }))
+    ];
+    const byPath = new Map();
+    for (const assignment of assignments) {
+        if (!byPath.has(assignment.path)) byPath.set(assignment.path, []);
+        byPath.get(assignment.path).push(assignment);
+    }
+
+    // Resolve conflicting assignments: clarification answers first, then ambiguity-resolution strategies
+    const resolved = { ...answered };
+    const conflicts = [];
+    for (const [target, entries] of byPath) {
+        const values = [...new Set(entries.map(e => e.value))];
+        if (answered[target] !== undefined) continue;
+        if (values.length === 1) {
+            resolved[target] = values[0];
+            continue;
+        }
+
+        const strategy = (ambiguity.resolutionStrategies || []).find(s => s.scenario === CONFLICT_SCENARIOS[target]);
+        const conflict = { path: target, values, sources: entries.map(e => e.source), strategy: strategy ? strategy.strategy : null };
+        conflicts.push(conflict);
+
+        if (strategy && strategy.fallback !== undefined) {
+            resolved[target] = strategy.fallback;
+            conflict.resolvedTo = strategy.fallback;
+        } else {
+            clarificationQuestions.push({
+                kind: 'conflict',
+                path: target,
+                question: (strategy && strategy.clarificationPrompt) || `Which value should apply to ${target}: ${values.join(' or ')}?`,
+                options: values
+            });
+            if (confidence > CONFLICT_CONFIDENCE) {
+                adjustments.push({ reason: 'unresolved-conflict', delta: CONFLICT_CONFIDENCE - confidence, path: target });
+                confidence = CONFLICT_CONFIDENCE;
+            }
+        }
+    }
+
+    // Unmapped phrases (only the user's request counts; answered phrases are acknowledged)
+    const acknowledged = new Set(clarifications.filter(c => c.kind === 'unmapped').map(c => c.phrase));
+    const unmappedPhrases = findUnmappedPhrases(original, [...matches, ...negated].filter(m => m.end <= original.length))
+        .filter(phrase => !acknowledged.has(phrase));
+    if (unmappedPhrases.length > 0) {
+        const penalty = Math.min(unmappedPhrases.length * UNMAPPED_PHRASE_PENALTY, MAX_UNMAPPED_PENALTY);
+        confidence -= penalty;
+        adjustments.push({ reason: 'unmapped-phrases', delta: -penalty });
+    }
+
+    confidence = Math.round(Math.max(0, Math.min(confidence, MAX_CONFIDENCE)) * 100) / 100;
+    const needsClarification = confidence < CLARIFICATION_THRESHOLD || clarificationQuestions.length > 0;
+
+    if (needsClarification && clarificationQuestions.length === 0 && (!chosen || candidates.length > 1)) {
+        clarificationQuestions.push(buildPurposeQuestion(rules, candidates));
+    }
+
+    // Build GlobalIntent: defaults → classification → resolved modifiers
+    const globalIntent = {};
+    for (const [target, value] of Object.entries(ambiguity.defaultAssumptions || {})) {
+        setPath(globalIntent, target, value);
+    }
+    globalIntent.componentType = (chosen && chosen.capabilityHint) || 'unknown';
+    if (chosen) {
+        globalIntent.classification = chosen.classification;
+        setPath(globalIntent, 'uiIntent.primaryPurpose', chosen.primaryPurpose);
+        if (chosen.classification === 'display-control') {
+            // Display controls are read-only unless a modifier says otherwise
+            setPath(globalIntent, 'behavior.interactivity', 'read-only');
+        }
+    }
+    setPath(globalIntent, 'uiIntent.dataBinding', 'single-value');
+    for (const [target, value] of Object.entries(resolved)) {
+        setPath(globalIntent, target, value);
+    }
+    const readOnly = globalIntent.behavior && globalIntent.behavior.interactivity === 'read-only';
+    setPath(globalIntent, 'interaction.inputMethod', readOnly ? ['none'] : ['click', 'keyboard']);
+
+    return {
+        globalIntent,
+        confidence,
+        unmappedPhrases,
+        needsClarification,
+        clarificationQuestions,
+        version: '1.0',
+        diagnostics: {
+            mode: 'rules',
+            matches: matches.map(m => ({ source: describeSource(m.source), pattern: m.pattern, text: m.text })),
+            candidates: candidates.map(({ index, hits, ...candidate }) => candidate),
+            negated: negated.map(m => ({ source: describeSource(m.source), pattern: m.pattern, text: m.text })),
+            contextualRule: contextual ? contextual.rule : null,
+            conflicts,
+            adjustments
+        }
+    };
+}
+
+// Fields compared when cross-checking an LLM interpretation against the rules
+const CROSS_CHECK_FIELDS = Object.freeze([
+    { pointer: '/globalIntent/classification', get: r => r.globalIntent && r.globalIntent.classification },
+    { pointer: '/globalIntent/uiIntent/primaryPurpose', get: r => r.globalIntent && r.globalIntent.uiIntent && r.globalIntent.uiIntent.primaryPurpose },
+    { pointer: '/globalIntent/componentType', get: r => r.globalIntent && r.globalIntent.componentType, skipUnknown: true },
+    { pointer: '/globalIntent/behavior/interactivity', get: r => r.globalIntent && r.globalIntent.behavior && r.globalIntent.behavior.interactivity, optional: true },
+    { pointer: '/needsClarification', get: r => r.needsClarification }
+]);
+
+/**
+ * Compares an LLM interpretation with the rule-based one.
+ * Fields the rules could not determine (undefined, or componentType 'unknown') are not compared,
+ * nor are optional fields the LLM left out.
+ * @returns {{ agrees: boolean, disagreements: { pointer, llm, rules }[] }}
+ */
+function crossCheckIntent(llmResult, rulesResult) {
+    const disagreements = [];
+    for (const field of CROSS_CHECK_FIELDS) {
+        const rules = field.get(rulesResult);
+        if (rules === undefined || (field.skipUnknown && rules === 'unknown')) continue;
+        const llm = field.get(llmResult);
+        if (field.optional && llm === undefined) continue;
+        if (llm !== rules) disagreements.push({ pointer: field.pointer, llm: llm === undefined ? null : llm, rules });
+    }
+    return { agrees: disagreements.length === 0, disagreements };
+}
+
+module.exports = { interpretIntentWithRules, crossCheckIntent, buildPurposeQuestion, loadRules };
@@ -0,0 +1,156 @@
+/**
+ * Schema Validator
+ * Validates LLM outputs against the authoritative ai-brain JSON Schemas
+ * and enforces cross-field invariants the schemas cannot express.
+ * Violations are reported as { pointer, keyword, message } (pointer = JSON Pointer into the output).
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const { readBrainJson } = require('./brain-files');
+const { ExecutorError } = require('./errors');
+
+// Below this confidence the interpreter must ask for clarification
+const CLARIFICATION_THRESHOLD = 0.6;
+
+const SCHEMA_FILES = Object.freeze({
+    globalIntent: 'schemas/global-intent.schema.json',
+    componentSpec: 'schemas/component-spec.schema.json'
+});
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiledSchemas = new Map();
+
+class SchemaValidationError extends ExecutorError {
+    /**
+     * @param {string} code - PCF-INT-004 | PCF-SPEC-004
+     * @param {string} stage - Pipeline stage that produced the output
+     * @param {object[]} violations - [{ pointer, keyword, message }]
+     * @param {object[]} [attempts] - LLM attempts that produced the rejected output (see llm-repair.js)
+     */
+    constructor(code, stage, violations, attempts) {
+        super(code, `${stage} output failed validation with ${violations.length} violation(s): ` +
+            violations.map(v => `${v.pointer || '/'} ${v.message}`).join('; '), {
+            stage,
+            details: { violations, ...(attempts ? { attempts } : {}) }
+        });
+        this.violations = violations;
+        this.attempts = attempts;
+    }
+}
+
+function getValidator(brainPath, schemaKey) {
+    const schemaPath = path.resolve(brainPath, SCHEMA_FILES[schemaKey]);
+    if (!compiledSchemas.has(schemaPath)) {
+        const schema = readBrainJson(brainPath, SCHEMA_FILES[schemaKey]);
+        // Brains at different paths may reuse the same $id; compile each as an anonymous schema
+        delete schema.$id;
+        compiledSchemas.set(schemaPath, ajv.compile(schema));
+    }
+    return compiledSchemas.get(schemaPath);
+}
+
+function toViolation(error, basePointer) {
+    const pointer = error.keyword === 'required'
+        ? `${basePointer}${error.instancePath}/${error.params.missingProperty}`
+        : `${basePointer}${error.instancePath}`;
+    const allowed = error.keyword === 'enum' ? ` (${error.params.allowedValues.join(', ')})` : '';
+    return { pointer, keyword: error.keyword, message: `${error.message}${allowed}` };
+}
+
+/**
+ * Validates data against one of the ai-brain schemas.
+ * @param {string} brainPath - Path to ai-brain directory
+ * @param {'globalIntent'|'componentSpec'} schemaKey
+ * @param {*} data
+ * @param {string} [basePointer] - Pointer prefix when data is nested in a larger document
+ * @returns {object[]} Violations (empty when valid)
+ */
+function validateAgainstSchema(brainPath, schemaKey, data, basePointer = '') {
+    const validate = getValidator(brainPath, schemaKey);
+    return validate(data) ? [] : validate.errors.map(error => toViolation(error, basePointer));
+}
+
+/**
+ * Validates an intent interpretation result: { globalIntent, confidence, unmappedPhrases, needsClarification }.
+ * @returns {object[]} Violations (empty when valid)
+ */
+function validateIntentResult(result, brainPath) {
+    const violations = [];
+    const add = (pointer, keyword, message) => violations.push({ pointer, keyword, message });
+
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+        add('', 'type', 'must be object');
+        return violations;
+    }
+
+    for (const field of ['globalIntent', 'confidence', 'unmappedPhrases', 'needsClarification']) {
+        if (!Object.prototype.hasOwnProperty.call(result, field)) add(`/${field}`, 'required', `Missing required field: ${field}`);
+    }
+    if ('confidence' in result && (typeof result.confidence !== 'number' || result.confidence < 0 || result.confidence > 1)) {
+        add('/confidence', 'range', 'must be a number between 0.0 and 1.0');
+    }
+    if ('unmappedPhrases' in result &&
+        (!Array.isArray(result.unmappedPhrases) || result.unmappedPhrases.some(p => typeof p !== 'string'))) {
+        add('/unmappedPhrases', 'type', 'must be an array of strings');
+    }
+    if ('needsClarification' in result && typeof result.needsClarification !== 'boolean') {
+        add('/needsClarification', 'type', 'must be boolean');
+    }
+
+    // Invariant: low confidence must always ask for clarification
+    if (typeof result.confidence === 'number' && result.confidence < CLARIFICATION_THRESHOLD && result.needsClarification !== true) {
+        add('/needsClarification', 'invariant',
+            `must be true when confidence (${result.confidence}) is below ${CLARIFICATION_THRESHOLD}`);
+    }
+
+    // A clarification request may carry a partial intent; a final intent must satisfy the schema
+    if (result.globalIntent !== undefined && result.needsClarification !== true) {
+        violations.push(...validateAgainstSchema(brainPath, 'globalIntent', result.globalIntent, '/globalIntent'));
+    }
+
+    return violations;
+}
+
+/**
+ * Validates a generated ComponentSpec against the schema and the requested capability.
+ * @param {object} spec - LLM output
+ * @param {object} capability - Capability the spec was generated for
+ * @param {string} brainPath
+ * @returns {object[]} Violations (empty when valid)
+ */
+function validateSpecResult(spec, capability, brainPath) {
+    const violations = validateAgainstSchema(brainPath, 'componentSpec', spec);
+    if (spec === null || typeof spec !== 'object') return violations;
+
+    // Invariant: property names are unique (they become manifest property names)
+    const seen = new Set();
+    (Array.isArray(spec.properties) ? spec.properties : []).forEach((prop, index) => {
+        if (!prop || typeof prop.name !== 'string') return;
+        if (seen.has(prop.name)) {
+            violations.push({ pointer: `/properties/${index}/name`, keyword: 'invariant', message: `duplicate property name '${prop.name}'` });
+        }
+        seen.add(prop.name);
+    });
+
+    // Invariant: the spec must target the capability it was generated for
+    const requested = capability && capability.capabilityId;
+    const declared = spec.capabilities && spec.capabilities.capabilityId;
+    if (requested && declared && declared !== requested) {
+        violations.push({
+            pointer: '/capabilities/capabilityId',
+            keyword: 'invariant',
+            message: `must match requested capability '${requested}' (got '${declared}')`
+        });
+    }
+
+    return violations;
+}
+
+module.exports = {
+    CLARIFICATION_THRESHOLD,
+    SchemaValidationError,
+    validateAgainstSchema,
+    validateIntentResult,
+    validateSpecResult
+};
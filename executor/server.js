@@ -1,12 +1,20 @@
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const { interpretIntent } = require('./intent-interpreter');
 const { generateSpec } = require('./spec-generator');
-const { generateFiles } = require('./file-generator');
-const { buildPcf } = require('./build-executor');
+const { createError, toErrorResponse } = require('./errors');
+const { verifyGenerationManifest } = require('./generation-manifest');
+const { resolveSandboxedPath } = require('./path-policy');
+const { listTemplatePacks } = require('./template-packs');
+const { resolvePackager } = require('./solution-packager');
+const { assertVersionBump } = require('./component-versions');
+const { createSession, answerSession, getSession } = require('./clarification-session');
+const { JOB_STATES, readIntegerSetting, enqueueJob, getJob, findBuildJob, followJobLogs, listJobs, waitForJob } = require('./job-queue');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
+const SSE_HEARTBEAT_MS = readIntegerSetting('EXECUTOR_SSE_HEARTBEAT_MS', 15000);
 
 // Increase payload limit for large plans/specs
 app.use(express.json({ limit: '50mb' }));
@@ -17,22 +25,91 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Sends an error in the standard error response format (see errors.js).
+ * Errors without a code are reported as PCF-SYS-004 with the given stage.
+ */
+function sendError(res, error, stage) {
+    const { httpStatus, body } = toErrorResponse(error, stage);
+    if (httpStatus >= 500) {
+        console.error(`${stage} failed (${body.error.code}):`, error);
+    } else {
+        console.warn(`Request rejected (${body.error.code}): ${body.error.message}`);
+    }
+    return res.status(httpStatus).json(body);
+}
+
+/**
+ * Rejects a request that lacks required body fields (PCF-SYS-007).
+ */
+function sendMissingFields(res, stage, fields) {
+    return sendError(res, createError('PCF-SYS-007', `Missing ${fields.join(' or ')}`, { details: { fields } }), stage);
+}
+
 /**
  * POST /interpret
- * Body: { userInput, brainPath }
+ * Body: { userInput, brainPath, mode? }  mode: 'llm' | 'rules' | 'prefilter'
  */
 app.post('/interpret', async (req, res) => {
     try {
-        const { userInput, brainPath } = req.body;
+        const { userInput, brainPath, mode } = req.body;
         if (!userInput || !brainPath) {
-            return res.status(400).json({ error: 'Missing userInput or brainPath' });
+            return sendMissingFields(res, 'intent-interpretation', ['userInput', 'brainPath']);
         }
 
-        const result = await interpretIntent(userInput, brainPath);
+        const result = await interpretIntent(userInput, resolveSandboxedPath(brainPath, 'brain', 'brainPath'), { mode });
         res.json(result);
     } catch (error) {
-        console.error('Interpret Error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'intent-interpretation');
+    }
+});
+
+/**
+ * POST /interpret/sessions
+ * Body: { userInput, brainPath, mode? }
+ * Starts a clarification session; the response carries open questions while state is 'awaiting-answer'.
+ */
+app.post('/interpret/sessions', async (req, res) => {
+    try {
+        const { userInput, brainPath, mode } = req.body;
+        if (!userInput || !brainPath) {
+            return sendMissingFields(res, 'intent-clarification', ['userInput', 'brainPath']);
+        }
+
+        const session = await createSession({
+            userInput,
+            brainPath: resolveSandboxedPath(brainPath, 'brain', 'brainPath'),
+            mode
+        });
+        res.status(201).json(session);
+    } catch (error) {
+        sendError(res, error, 'intent-clarification');
+    }
+});
+
+/**
+ * GET /interpret/sessions/:id
+ */
+app.get('/interpret/sessions/:id', (req, res) => {
+    const session = getSession(req.params.id);
+    if (!session) {
+        return sendError(res, createError('PCF-SYS-008', `Session not found: ${req.params.id}`), 'intent-clarification');
+    }
+    res.json(session);
+});
+
+/**
+ * POST /interpret/sessions/:id/answer
+ * Body: { questionId?, answer } or { answers: [{ questionId?, answer }] }
+ * Re-interprets with all answers so far.
+ */
+app.post('/interpret/sessions/:id/answer', async (req, res) => {
+    try {
+        const { answers, questionId, answer } = req.body;
+        const session = await answerSession(req.params.id, answers || [{ questionId, answer }]);
+        res.json(session);
+    } catch (error) {
+        sendError(res, error, 'intent-clarification');
     }
 });
 
@@ -44,58 +121,193 @@ app.post('/spec', async (req, res) => {
     try {
         const { inputJson, brainPath } = req.body;
         if (!inputJson || !brainPath) {
-            return res.status(400).json({ error: 'Missing inputJson or brainPath' });
+            return sendMissingFields(res, 'spec-generation', ['inputJson', 'brainPath']);
         }
 
-        const result = await generateSpec(inputJson, brainPath);
+        const result = await generateSpec(inputJson, resolveSandboxedPath(brainPath, 'brain', 'brainPath'));
         res.json(result);
     } catch (error) {
-        console.error('Spec Error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'spec-generation');
     }
 });
 
 /**
  * POST /files
- * Body: { inputJson, outputDir, templatesDir }
+ * Body: { inputJson, outputDir, templatesDir, dryRun?, overwrite?, versionBump?: 'major'|'minor'|'patch'|'auto' }
+ * Returns 202 with a jobId; poll GET /jobs/:id for the outcome.
+ * Hand edits in outputDir are merged into the regenerated files unless overwrite: true.
+ * The manifest version is bumped from the component's version history (inferred from the spec change by default).
+ * With dryRun: true the plan is rendered in memory by a files job and returned (200) when the job finishes,
+ * with per-file size, sha256, content and a unified diff against outputDir. Nothing is written.
  */
-app.post('/files', (req, res) => {
+app.post('/files', async (req, res) => {
     try {
-        const { inputJson, outputDir, templatesDir } = req.body;
+        const { inputJson, outputDir, templatesDir, dryRun, overwrite, versionBump } = req.body;
         if (!inputJson || !outputDir) {
-            return res.status(400).json({ error: 'Missing inputJson or outputDir' });
+            return sendMissingFields(res, 'file-generation', ['inputJson', 'outputDir']);
         }
+        const bump = assertVersionBump(versionBump);
 
         // Default templates dir relative to server.js
-        const effectiveTemplatesDir = templatesDir || path.join(__dirname, '../ai-brain/templates');
+        const effectiveTemplatesDir = templatesDir
+            ? resolveSandboxedPath(templatesDir, 'brain', 'templatesDir')
+            : path.join(__dirname, '../ai-brain/templates');
+
+        const job = enqueueJob('files', {
+            inputJson,
+            outputDir: resolveSandboxedPath(outputDir, 'work', 'outputDir'),
+            templatesDir: effectiveTemplatesDir,
+            dryRun: dryRun === true,
+            overwrite: overwrite === true,
+            versionBump: bump
+        });
+
+        // Rendering stays in the worker; the request only waits for it
+        if (dryRun === true) {
+            const finished = await waitForJob(job.id);
+            if (finished.state === JOB_STATES.FAILED) {
+                const { code, message, stage, details, userMessage } = finished.error;
+                throw createError(code, message, { stage, details, userMessage });
+            }
+            return res.json(finished.result);
+        }
+
+        res.status(202).json({ jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}` });
+    } catch (error) {
+        sendError(res, error, 'file-generation');
+    }
+});
 
-        // generateFiles is synchronous
-        generateFiles(inputJson, outputDir, effectiveTemplatesDir);
-        res.json({ status: 'Success' });
+/**
+ * GET /templates
+ * Query: templatesDir? (defaults to ai-brain/templates)
+ * Lists template packs with their manifests and, per template, the pack it resolves from
+ * (capability -> generic -> root fallback).
+ */
+app.get('/templates', (req, res) => {
+    try {
+        const templatesDir = req.query.templatesDir
+            ? resolveSandboxedPath(req.query.templatesDir, 'brain', 'templatesDir')
+            : path.join(__dirname, '../ai-brain/templates');
+        res.json({ templatesDir, packs: listTemplatePacks(templatesDir) });
     } catch (error) {
-        console.error('Files Error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'templates');
+    }
+});
+
+/**
+ * POST /verify
+ * Body: { path, templatesDir?, inputJson? }
+ * Re-checks a working directory or ZIP against its generation-manifest.json and returns the report
+ * ({ status, kind, manifest, checks, summary }). templatesDir adds template/brain drift checks,
+ * inputJson checks the sources were generated from inputJson.componentSpec.
+ */
+app.post('/verify', (req, res) => {
+    try {
+        const { path: targetPath, templatesDir, inputJson } = req.body;
+        if (!targetPath) {
+            return sendMissingFields(res, 'verification', ['path']);
+        }
+
+        const target = resolveSandboxedPath(targetPath, 'work', 'path');
+        if (!fs.existsSync(target)) {
+            return sendError(res, createError('PCF-SYS-008', `Not found: ${targetPath}`, { details: { path: targetPath } }), 'verification');
+        }
+        const report = verifyGenerationManifest(target, {
+            templatesDir: templatesDir ? resolveSandboxedPath(templatesDir, 'brain', 'templatesDir') : undefined,
+            componentSpec: inputJson ? inputJson.componentSpec : undefined
+        });
+        res.json(report);
+    } catch (error) {
+        sendError(res, error, 'verification');
     }
 });
 
 /**
  * POST /build
- * Body: { workingDir, componentName }
+ * Body: { workingDir, componentName, packager?: 'pac'|'node', managed?: boolean }
+ * Returns 202 with a jobId; poll GET /jobs/:id for the outcome.
  */
 app.post('/build', (req, res) => {
     try {
-        const { workingDir, componentName } = req.body;
+        const { workingDir, componentName, packager, managed } = req.body;
         if (!workingDir || !componentName) {
-            return res.status(400).json({ error: 'Missing workingDir or componentName' });
+            return sendMissingFields(res, 'build', ['workingDir', 'componentName']);
         }
 
-        // buildPcf is synchronous
-        buildPcf(workingDir, componentName);
-        res.json({ status: 'Success' });
+        const job = enqueueJob('build', {
+            workingDir: resolveSandboxedPath(workingDir, 'work', 'workingDir'),
+            componentName,
+            packager: resolvePackager(packager),
+            managed: managed === true
+        });
+        res.status(202).json({ jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}` });
     } catch (error) {
-        console.error('Build Error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'build');
+    }
+});
+
+/**
+ * GET /jobs
+ * Lists known jobs (queued, running and recently finished).
+ */
+app.get('/jobs', (req, res) => {
+    res.json(listJobs());
+});
+
+/**
+ * GET /jobs/:id
+ * Returns { id, type, state, step, createdAt, startedAt, finishedAt, result, error }.
+ */
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return sendError(res, createError('PCF-SYS-008', `Job not found: ${req.params.id}`), 'jobs');
     }
+    res.json(job);
+});
+
+/**
+ * GET /builds/:id/logs
+ * Server-Sent Events stream of build output. `id` is the job id or the build id.
+ * Replays everything captured so far, then follows the build until it finishes.
+ * Finished builds no longer in memory are replayed from their build-log.jsonl (by build id).
+ * Events: `log` ({ seq, timestamp, step, stream, command, line }) and a final `end` (job snapshot).
+ * A `:` comment line is sent every EXECUTOR_SSE_HEARTBEAT_MS so proxies keep quiet streams open.
+ */
+app.get('/builds/:id/logs', (req, res) => {
+    const job = findBuildJob(req.params.id);
+    if (!job) {
+        return sendError(res, createError('PCF-SYS-008', `Build not found: ${req.params.id}`), 'build');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Reconnecting EventSource clients resume after the last entry they saw
+    const afterSeq = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+    const heartbeat = setInterval(() => res.write(':\n\n'), SSE_HEARTBEAT_MS);
+
+    const unsubscribe = followJobLogs(req.params.id, {
+        afterSeq,
+        onEntry: (entry) => {
+            res.write(`id: ${entry.seq}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+        },
+        onEnd: (snapshot) => {
+            clearInterval(heartbeat);
+            res.write(`event: end\ndata: ${JSON.stringify(snapshot)}\n\n`);
+            res.end();
+        }
+    });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 });
 
 // Health check
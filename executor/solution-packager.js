@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+/**
+ * Solution Packager
+ * Builds Dataverse solution ZIPs (unmanaged, optionally managed) straight from a built control folder,
+ * without PAC CLI or the .NET SDK:
+ *
+ *   solution.xml            publisher, version and the CustomControl root component
+ *   customizations.xml      the CustomControl entry
+ *   [Content_Types].xml     one default content type per file extension
+ *   Controls/<namespace>.<constructor>/...   ControlManifest.xml, bundle.js, css/, strings/, ...
+ *
+ * Used by buildPcf when the packager is 'node' (EXECUTOR_SOLUTION_PACKAGER or options.packager).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ExecutorError, createError } = require('./errors');
+const { writeZip } = require('./zip-archive');
+
+const PACKAGERS = Object.freeze({
+    PAC: 'pac',
+    NODE: 'node'
+});
+
+const DEFAULT_LANGUAGE_CODE = 1033;
+const DEFAULT_VERSION = '1.0.0.0';
+const CUSTOM_CONTROL_COMPONENT_TYPE = 66;
+const ORGANIZATION_VERSION = '9.2.0.0';
+const CONTENT_TYPE = 'application/octet-stream';
+const VERSION_PATTERN = /^\d+(\.\d+){1,3}$/;
+
+/**
+ * Packager for a build: the requested one, else EXECUTOR_SOLUTION_PACKAGER, else 'pac'.
+ * @param {string} [requested]
+ * @param {object} [env]
+ * @returns {'pac'|'node'}
+ * @throws {ExecutorError} PCF-SYS-007 for an unknown packager
+ */
+function resolvePackager(requested, env = process.env) {
+    const packager = requested || env.EXECUTOR_SOLUTION_PACKAGER || PACKAGERS.PAC;
+    if (!Object.values(PACKAGERS).includes(packager)) {
+        throw createError('PCF-SYS-007', `Unknown solution packager '${packager}' (expected ${Object.values(PACKAGERS).join(' or ')})`, {
+            details: { packager }
+        });
+    }
+    return packager;
+}
+
+/**
+ * Customization prefix derived from the namespace: 2-8 lowercase alphanumerics.
+ * @param {string} namespace
+ * @returns {string}
+ */
+function publisherPrefix(namespace) {
+    let prefix = namespace.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+    if (prefix.length > 8) prefix = prefix.substring(0, 8);
+    if (prefix.length < 2) prefix = 'comp'; // fallback
+    return prefix;
+}
+
+// Option value prefix (10000-99999), stable per customization prefix
+function optionValuePrefix(prefix) {
+    const hash = crypto.createHash('sha256').update(prefix, 'utf8').digest();
+    return 10000 + (hash.readUInt32BE(0) % 90000);
+}
+
+/**
+ * Solution version: major.minor[.build[.revision]], padded to four parts.
+ * @param {string} [version]
+ * @returns {string}
+ */
+function solutionVersion(version) {
+    const value = String(version || DEFAULT_VERSION).trim();
+    if (!VERSION_PATTERN.test(value)) {
+        throw createError('PCF-PKG-003', `Invalid solution version '${value}' (expected major.minor[.build[.revision]])`, {
+            details: { version: value }
+        });
+    }
+    const parts = value.split('.');
+    while (parts.length < 4) parts.push('0');
+    return parts.join('.');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads namespace, constructor and version from a built ControlManifest.xml.
+ * @param {string} controlDir - Built control folder (out/controls/<Control>)
+ * @returns {{ namespace: string, constructor: string, version: string|null }}
+ */
+function readControlIdentity(controlDir) {
+    const manifestPath = path.join(controlDir, 'ControlManifest.xml');
+    if (!fs.existsSync(manifestPath)) {
+        throw createError('PCF-PKG-001', `ControlManifest.xml not found in built control folder ${controlDir}`, {
+            details: { controlDir }
+        });
+    }
+    const manifest = fs.readFileSync(manifestPath, 'utf8');
+    const control = manifest.match(/<control\b[^>]*>/);
+    const attribute = name => {
+        const match = control && control[0].match(new RegExp(`\\s${name}="([^"]+)"`));
+        return match ? match[1] : null;
+    };
+    const identity = { namespace: attribute('namespace'), constructor: attribute('constructor'), version: attribute('version') };
+    if (!identity.namespace || !identity.constructor) {
+        throw createError('PCF-PKG-001', `ControlManifest.xml in ${controlDir} has no <control namespace constructor>`, {
+            details: { controlDir }
+        });
+    }
+    return identity;
+}
+
+/**
+ * Files of the built control, relative '/'-separated paths (symlinks are not followed).
+ */
+function collectControlFiles(controlDir) {
+    const files = [];
+    const walk = relDir => {
+        for (const entry of fs.readdirSync(path.join(controlDir, relDir), { withFileTypes: true })) {
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) walk(relPath);
+            else if (entry.isFile()) files.push(relPath);
+        }
+    };
+    walk('');
+    return files.sort();
+}
+
+function solutionXml(solution) {
+    const address = number => `        <Address>
+          <AddressNumber>${number}</AddressNumber>
+          <AddressTypeCode>1</AddressTypeCode>
+          <City xsi:nil="true"></City>
+          <County xsi:nil="true"></County>
+          <Country xsi:nil="true"></Country>
+          <Fax xsi:nil="true"></Fax>
+          <FreightTermsCode xsi:nil="true"></FreightTermsCode>
+          <ImportSequenceNumber xsi:nil="true"></ImportSequenceNumber>
+          <Latitude xsi:nil="true"></Latitude>
+          <Line1 xsi:nil="true"></Line1>
+          <Line2 xsi:nil="true"></Line2>
+          <Line3 xsi:nil="true"></Line3>
+          <Longitude xsi:nil="true"></Longitude>
+          <Name xsi:nil="true"></Name>
+          <PostalCode xsi:nil="true"></PostalCode>
+          <PostOfficeBox xsi:nil="true"></PostOfficeBox>
+          <PrimaryContactName xsi:nil="true"></PrimaryContactName>
+          <ShippingMethodCode>1</ShippingMethodCode>
+          <StateOrProvince xsi:nil="true"></StateOrProvince>
+          <Telephone1 xsi:nil="true"></Telephone1>
+          <Telephone2 xsi:nil="true"></Telephone2>
+          <Telephone3 xsi:nil="true"></Telephone3>
+          <TimeZoneRuleVersionNumber xsi:nil="true"></TimeZoneRuleVersionNumber>
+          <UPSZone xsi:nil="true"></UPSZone>
+          <UTCOffset xsi:nil="true"></UTCOffset>
+          <UTCConversionTimeZoneCode xsi:nil="true"></UTCConversionTimeZoneCode>
+        </Address>`;
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ImportExportXml version="${ORGANIZATION_VERSION}" SolutionPackageVersion="9.2" languagecode="${solution.languageCode}" generatedBy="CrmLive" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" OrganizationVersion="${ORGANIZATION_VERSION}" OrganizationSchemaType="Standard" CRMServerServiceabilityVersion="${ORGANIZATION_VERSION}">
+  <SolutionManifest>
+    <UniqueName>${escapeXml(solution.uniqueName)}</UniqueName>
+    <LocalizedNames>
+      <LocalizedName description="${escapeXml(solution.displayName)}" languagecode="${solution.languageCode}" />
+    </LocalizedNames>
+    <Descriptions />
+    <Version>${solution.version}</Version>
+    <Managed>${solution.managed ? 1 : 0}</Managed>
+    <Publisher>
+      <UniqueName>${escapeXml(solution.publisher.uniqueName)}</UniqueName>
+      <LocalizedNames>
+        <LocalizedName description="${escapeXml(solution.publisher.displayName)}" languagecode="${solution.languageCode}" />
+      </LocalizedNames>
+      <Descriptions />
+      <EMailAddress xsi:nil="true"></EMailAddress>
+      <SupportingWebsiteUrl xsi:nil="true"></SupportingWebsiteUrl>
+      <CustomizationPrefix>${solution.publisher.prefix}</CustomizationPrefix>
+      <CustomizationOptionValuePrefix>${solution.publisher.optionValuePrefix}</CustomizationOptionValuePrefix>
+      <Addresses>
+${address(1)}
+${address(2)}
+      </Addresses>
+    </Publisher>
+    <RootComponents>
+      <RootComponent type="${CUSTOM_CONTROL_COMPONENT_TYPE}" schemaName="${escapeXml(solution.controlName)}" behavior="0" />
+    </RootComponents>
+    <MissingDependencies />
+  </SolutionManifest>
+</ImportExportXml>
+`;
+}
+
+function customizationsXml(solution) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ImportExportXml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" OrganizationVersion="${ORGANIZATION_VERSION}" OrganizationSchemaType="Standard" CRMServerServiceabilityVersion="${ORGANIZATION_VERSION}">
+  <Entities />
+  <Roles />
+  <Workflows />
+  <FieldSecurityProfiles />
+  <Templates />
+  <EntityMaps />
+  <EntityRelationships />
+  <OrganizationSettings />
+  <optionsets />
+  <CustomControls>
+    <CustomControl>
+      <Name>${escapeXml(solution.controlName)}</Name>
+      <FileName>/${escapeXml(solution.controlFolder)}/ControlManifest.xml</FileName>
+    </CustomControl>
+  </CustomControls>
+  <EntityDataProviders />
+  <Languages>
+    <Language>${solution.languageCode}</Language>
+  </Languages>
+</ImportExportXml>
+`;
+}
+
+function contentTypesXml(names) {
+    const extensions = new Set(['xml']);
+    const overrides = [];
+    for (const name of names) {
+        const base = name.split('/').pop();
+        const dot = base.lastIndexOf('.');
+        if (dot > 0) extensions.add(base.slice(dot + 1).toLowerCase());
+        else overrides.push(name);
+    }
+    const defaults = [...extensions].sort()
+        .map(extension => `<Default Extension="${escapeXml(extension)}" ContentType="${CONTENT_TYPE}" />`);
+    const parts = overrides.map(name => `<Override PartName="/${escapeXml(name)}" ContentType="${CONTENT_TYPE}" />`);
+    return `<?xml version="1.0" encoding="utf-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">${defaults.join('')}${parts.join('')}</Types>`;
+}
+
+/**
+ * Describes the solution for a built control.
+ * @param {string} controlDir - Built control folder
+ * @param {object} [options] - See packageSolution
+ * @returns {object} { uniqueName, displayName, version, languageCode, controlName, controlFolder, publisher, files }
+ */
+function describeSolution(controlDir, options = {}) {
+    const identity = readControlIdentity(controlDir);
+    const prefix = options.publisherPrefix || publisherPrefix(identity.namespace);
+    const controlName = `${identity.namespace}.${identity.constructor}`;
+    const uniqueName = options.solutionName || `${identity.constructor}_Solution`;
+    return {
+        uniqueName,
+        displayName: options.displayName || uniqueName,
+        version: solutionVersion(options.version || identity.version || DEFAULT_VERSION),
+        languageCode: options.languageCode || DEFAULT_LANGUAGE_CODE,
+        controlName,
+        controlFolder: `Controls/${controlName}`,
+        publisher: {
+            uniqueName: (options.publisherName || identity.namespace).replace(/[^a-zA-Z0-9_]/g, ''),
+            displayName: options.publisherName || identity.namespace,
+            prefix,
+            optionValuePrefix: optionValuePrefix(prefix)
+        },
+        files: collectControlFiles(controlDir)
+    };
+}
+
+/**
+ * ZIP entries of one solution package.
+ * @param {string} controlDir
+ * @param {object} solution - From describeSolution
+ * @param {boolean} managed
+ * @returns {{ name: string, data: Buffer|string }[]}
+ */
+function solutionEntries(controlDir, solution, managed) {
+    const controlEntries = solution.files.map(relPath => ({
+        name: `${solution.controlFolder}/${relPath}`,
+        data: fs.readFileSync(path.join(controlDir, ...relPath.split('/')))
+    }));
+    const xmlEntries = [
+        { name: 'solution.xml', data: solutionXml({ ...solution, managed }) },
+        { name: 'customizations.xml', data: customizationsXml(solution) }
+    ];
+    const names = [...xmlEntries, ...controlEntries].map(entry => entry.name);
+    return [{ name: '[Content_Types].xml', data: contentTypesXml(names) }, ...xmlEntries, ...controlEntries];
+}
+
+/**
+ * Writes <solutionName>.zip (and <solutionName>_managed.zip when requested) for a built control.
+ * @param {string} controlDir - Built control folder containing ControlManifest.xml
+ * @param {string} outputDir - Created if missing
+ * @param {object} [options]
+ * @param {string} [options.solutionName] - Unique name (default <constructor>_Solution)
+ * @param {string} [options.displayName] - Localized solution name (default: the unique name)
+ * @param {string} [options.version] - Solution version (default: the control version)
+ * @param {string} [options.publisherName] - Default: the control namespace
+ * @param {string} [options.publisherPrefix] - Default: derived from the namespace
+ * @param {number} [options.languageCode] - Base language (default 1033)
+ * @param {boolean} [options.managed] - Also write the managed package
+ * @returns {{ solutionZip: string, managedZip: string|null, solutionName: string, version: string, controlName: string, files: number }}
+ */
+function packageSolution(controlDir, outputDir, options = {}) {
+    const solution = describeSolution(controlDir, options);
+    if (!solution.files.includes('bundle.js') && !solution.files.includes('css/bundle.js')) {
+        throw createError('PCF-PKG-001', `bundle.js not found in built control folder ${controlDir}`, { details: { controlDir } });
+    }
+
+    const write = (fileName, managed) => {
+        const zipPath = path.join(outputDir, fileName);
+        try {
+            fs.mkdirSync(outputDir, { recursive: true });
+            fs.writeFileSync(zipPath, writeZip(solutionEntries(controlDir, solution, managed)));
+        } catch (error) {
+            if (error instanceof ExecutorError) throw error;
+            throw createError('PCF-PKG-002', `Cannot write solution package ${zipPath}: ${error.message}`, { cause: error });
+        }
+        console.log(`✓ ${managed ? 'Managed' : 'Unmanaged'} solution written: ${zipPath}`);
+        return zipPath;
+    };
+
+    console.log(`Solution: ${solution.uniqueName} ${solution.version} (publisher ${solution.publisher.uniqueName}, prefix ${solution.publisher.prefix})`);
+    console.log(`Control: ${solution.controlName} (${solution.files.length} files)`);
+    const solutionZip = write(`${solution.uniqueName}.zip`, false);
+    const managedZip = options.managed ? write(`${solution.uniqueName}_managed.zip`, true) : null;
+    return {
+        solutionZip,
+        managedZip,
+        solutionName: solution.uniqueName,
+        version: solution.version,
+        controlName: solution.controlName,
+        files: solution.files.length
+    };
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--managed') options.managed = true;
+        else if (args[i] === '--version') options.version = args[++i];
+        else if (args[i] === '--publisher') options.publisherName = args[++i];
+        else if (args[i] === '--prefix') options.publisherPrefix = args[++i];
+        else positional.push(args[i]);
+    }
+    const [controlDir, outputDir] = positional;
+
+    if (!controlDir || !outputDir) {
+        console.error('Usage: node solution-packager.js <built-control-dir> <output-dir> [--managed] [--version x.y.z] [--publisher Name] [--prefix abc]');
+        process.exit(1);
+    }
+
+    try {
+        const result = packageSolution(path.resolve(controlDir), path.resolve(outputDir), options);
+        console.log(JSON.stringify(result, null, 2));
+    } catch (error) {
+        console.error(`❌ ${error.code ? `[${error.code}] ` : ''}${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    PACKAGERS,
+    resolvePackager,
+    publisherPrefix,
+    solutionVersion,
+    describeSolution,
+    packageSolution
+};
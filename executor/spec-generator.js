@@ -2,20 +2,18 @@
 
 /**
  * Spec Generator Adapter
- * Calls OpenAI (or compatible API) to generate ComponentSpec from GlobalIntent + Capability
+ * Calls the configured LLM provider (see llm-provider.js) to generate ComponentSpec from GlobalIntent + Capability
  * NO HALLUCINATION - Strict schema validation
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// OpenAI SDK
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || process.env.GROK_API_KEY || 'mock-key-for-testing',
-    baseURL: process.env.OPENAI_BASE_URL || 'https://api.x.ai/v1' // Default to xAI if not set
-});
+const { readBrainText } = require('./brain-files');
+const { createError } = require('./errors');
+const { getLlmProvider } = require('./llm-provider');
+const { completeWithRepair } = require('./llm-repair');
+const { validateSpecResult } = require('./schema-validator');
 
 const SUPPORTED_VERSION = '1.0';
 
@@ -32,7 +30,10 @@ async function generateSpec(inputJson, brainPath) {
         const { globalIntent, capability } = inputJson;
 
         if (!globalIntent || !capability) {
-            throw new Error('Input must contain globalIntent and capability');
+            throw createError('PCF-SYS-007', 'Input must contain globalIntent and capability', {
+                stage: 'spec-generation',
+                details: { field: 'inputJson' }
+            });
         }
 
         console.log(`Intent Classification: ${globalIntent.classification}`);
@@ -41,10 +42,9 @@ async function generateSpec(inputJson, brainPath) {
         // STEP 1: Load brain artifacts
         console.log('STEP 1: Loading brain artifacts...');
         
-        const promptPath = path.join(brainPath, 'prompts/spec-generator.prompt.md');
         const schemaPath = path.join(brainPath, 'schemas/component-spec.schema.json');
 
-        const promptTemplate = fs.readFileSync(promptPath, 'utf8');
+        const promptTemplate = readBrainText(brainPath, 'prompts/spec-generator.prompt.md');
         let schema; 
         try {
              schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
@@ -65,18 +65,12 @@ async function generateSpec(inputJson, brainPath) {
 
         console.log('✓ Prompt prepared\n');
 
-        // STEP 3: API Key Check & Mock Fallback
-        const apiKey = process.env.OPENAI_API_KEY || process.env.GROK_API_KEY;
-        let result;
-
-        if (!apiKey) {
-            console.error('❌ ERROR: OPENAI_API_KEY/GROK_API_KEY not found.');
-            throw new Error('API Key missing. Cannot generate spec without valid API key.');
-        } else {
-            console.log('STEP 3: Calling OpenAI (Model: grok-4-fast)...');
-            
-            const systemPrompt = `ROLE
-You are Grok AI (grok-4-fast) operating inside a strictly governed enterprise pipeline.
+        // STEP 3: Call LLM (provider, model and credentials come from llm-provider.js)
+        const llm = getLlmProvider('spec');
+        console.log(`STEP 3: Calling LLM (Provider: ${llm.config.provider}, Model: ${llm.config.model})...`);
+
+        const systemPrompt = `ROLE
+You are a language model operating inside a strictly governed enterprise pipeline.
 You are NOT an autonomous agent.
 You act only as a bounded transformation engine under C# authority.
 
@@ -101,7 +95,7 @@ Fully conforms to schema. Respects capability constraints. Uses minimal safe def
 
 OUTPUT CONTRACT (JSON ONLY)
 {
-  "version": "1.0.0",
+  "version": "1.0",
   "componentType": "",
   "displayName": "",
   "description": "",
@@ -137,51 +131,36 @@ Your output may be rejected. Rejection is expected behavior. Correctness > Compl
 FINAL OPERATING PRINCIPLE
 You propose. C# decides. Execution happens elsewhere.`;
 
-            const response = await openai.chat.completions.create({
-                model: 'grok-4-fast',
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.2, // Determinism
-                response_format: { type: 'json_object' }
-            });
-
-            const llmOutput = response.choices[0].message.content;
-            console.log('✓ LLM response received\n');
-            console.log('RAW LLM OUTPUT:', llmOutput); // DEBUG LOG
-            
-            console.log('STEP 4: Parsing LLM output...');
-            result = JSON.parse(llmOutput);
-        }
-
-        console.log('✓ JSON parsed/loaded successfully\n');
-
-        // STEP 5: Validate contract (version check)
-        console.log('STEP 5: Validating output contract...');
-        
-        if (!result.version || result.version !== '1.0') {
-             console.error('FAILED RESULT:', JSON.stringify(result, null, 2));
-             throw new Error(`Invalid version: ${result.version || 'MISSING'}. Expected 1.0`);
-        }
-        if (!result.componentType) {
-             console.error('FAILED RESULT:', JSON.stringify(result, null, 2));
-             throw new Error('Missing componentType');
-        }
+        // STEP 4: Parse + validate (component-spec.schema.json + invariants), repairing invalid output
+        console.log(`STEP 4: Parsing and validating LLM output (up to ${llm.config.maxAttempts} attempts)...`);
+
+        const { result, attempts } = await completeWithRepair({
+            llm,
+            messages: [
+                {
+                    role: 'system',
+                    content: systemPrompt
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            validate: (parsed) => validateSpecResult(parsed, capability, brainPath),
+            errorCode: 'PCF-SPEC-004',
+            stage: 'specification-generation'
+        });
 
         console.log('✓ Contract validated\n');
 
-        // STEP 6: Log result
+        // STEP 5: Log result
         console.log('=== GENERATION RESULT ===');
         console.log(JSON.stringify(result, null, 2));
         console.log();
 
+        // Diagnostics are metadata for the caller; the C# ComponentSpec contract ignores them
+        result.diagnostics = { provider: llm.config.provider, model: llm.config.model, attempts };
+
         return result;
 
     } catch (error) {
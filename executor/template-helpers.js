@@ -0,0 +1,255 @@
+/**
+ * Template Helpers
+ * Standard Handlebars helper library for PCF templates and context-aware default escaping.
+ *
+ * Handlebars HTML-escapes every {{value}}, which is wrong for most generated files
+ * (JSON gets &quot;, TypeScript gets &#x27;). Each template declares its output language and
+ * {{value}} is escaped for that language instead; {{{value}}} stays raw.
+ */
+
+const { Visitor } = require('handlebars');
+
+const OUTPUT_LANGUAGES = Object.freeze(['xml', 'json', 'ts', 'css', 'markdown', 'text', 'html']);
+
+// Internal helper the compiler rewrites escaped mustaches to
+const ESCAPE_HELPER = '__escapeFor';
+
+const XML_TEXT_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const XML_ATTR_ENTITIES = { ...XML_TEXT_ENTITIES, '"': '&quot;', "'": '&apos;' };
+
+function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (value && typeof value.toHTML === 'function') return value.toHTML();
+    return String(value);
+}
+
+function escapeXmlText(value) {
+    return toText(value).replace(/[&<>]/g, ch => XML_TEXT_ENTITIES[ch]);
+}
+
+function escapeXmlAttr(value) {
+    return toText(value).replace(/[&<>"']/g, ch => XML_ATTR_ENTITIES[ch]).replace(/[\r\n\t]/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// JSON allows raw U+2028/U+2029 in strings, older JavaScript parsers do not
+function escapeLineSeparators(text) {
+    return text.replace(/[\u2028\u2029]/g, ch => `\\u${ch.charCodeAt(0).toString(16)}`);
+}
+
+/**
+ * Double-quoted string literal valid in both JSON and TypeScript.
+ */
+function quoteString(value) {
+    return escapeLineSeparators(JSON.stringify(toText(value)));
+}
+
+// Contents of a string literal: safe inside "...", '...' and `...`
+function escapeTsStringContent(value) {
+    return quoteString(value).slice(1, -1)
+        .replace(/'/g, "\\'")
+        .replace(/`/g, '\\`')
+        .replace(/\$\{/g, '\\${');
+}
+
+function escapeJsonStringContent(value) {
+    return quoteString(value).slice(1, -1);
+}
+
+// CSS escape: anything outside [A-Za-z0-9_-] and non-ASCII becomes a hex escape
+function escapeCss(value) {
+    return toText(value).replace(/[^A-Za-z0-9_\-\u00A0-\uFFFF]/g, ch => `\\${ch.charCodeAt(0).toString(16)} `);
+}
+
+const ESCAPERS = Object.freeze({
+    xml: escapeXmlAttr,
+    json: escapeJsonStringContent,
+    ts: escapeTsStringContent,
+    css: escapeCss,
+    markdown: toText,
+    text: toText
+});
+
+/**
+ * Default output language for a template without a declared one, from its file name.
+ * @param {string} templateName - e.g. 'ControlManifest.Input.xml.hbs'
+ * @returns {string} One of OUTPUT_LANGUAGES
+ */
+function inferLanguage(templateName) {
+    const ext = templateName.replace(/\.hbs$/, '').split('.').pop().toLowerCase();
+    switch (ext) {
+        case 'xml':
+        case 'resx':
+            return 'xml';
+        case 'json':
+            return 'json';
+        case 'ts':
+        case 'tsx':
+            return 'ts';
+        case 'css':
+            return 'css';
+        case 'md':
+            return 'markdown';
+        default:
+            return 'html';
+    }
+}
+
+function splitWords(value) {
+    return toText(value)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function pluralizeWord(word) {
+    if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+    return `${word}s`;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Handlebars passes its options object as the last argument
+function withoutOptions(args) {
+    return args.slice(0, -1);
+}
+
+/**
+ * Looks up a capability parameter: spec customization first, then the capability definition default.
+ */
+function lookupCapabilityParam(root, capability, name) {
+    const customizations = root && root.capabilities && root.capabilities.customizations;
+    if (customizations && !isMissing(customizations[name])) return customizations[name];
+    if (!capability || !Array.isArray(capability.supportedFeatures)) return undefined;
+
+    const enabled = root && root.capabilities && Array.isArray(root.capabilities.features) ? root.capabilities.features : [];
+    // Prefer features the spec enabled when two features declare the same parameter
+    const features = [...capability.supportedFeatures].sort((a, b) =>
+        Number(enabled.includes(b.featureId)) - Number(enabled.includes(a.featureId)));
+    for (const feature of features) {
+        const parameter = feature.parameters && feature.parameters[name];
+        if (parameter && parameter.default !== undefined) return parameter.default;
+    }
+    return undefined;
+}
+
+/**
+ * Builds the helper set. SafeString marks output that must not be escaped again.
+ */
+function createHelpers(SafeString) {
+    return {
+        eq: (a, b) => a === b,
+
+        // {{xmlAttr value}} / {{xmlText value}}: explicit XML escaping
+        xmlAttr: value => new SafeString(escapeXmlAttr(value)),
+        xmlText: value => new SafeString(escapeXmlText(value)),
+
+        // {{json value}} or {{json value 2}}: JSON literal (strings are quoted)
+        json: (...args) => {
+            const [value, indent] = withoutOptions(args);
+            const text = JSON.stringify(value === undefined ? null : value, null, typeof indent === 'number' ? indent : undefined);
+            return new SafeString(escapeLineSeparators(text));
+        },
+
+        // {{tsString value}}: double-quoted TypeScript string literal
+        tsString: value => new SafeString(quoteString(value)),
+
+        pascalCase: value => splitWords(value).map(capitalize).join(''),
+        camelCase: value => splitWords(value).map((word, i) => (i === 0 ? word.toLowerCase() : capitalize(word))).join(''),
+        kebabCase: value => splitWords(value).map(word => word.toLowerCase()).join('-'),
+
+        // {{pluralize "star"}} -> stars; {{pluralize "star" count}} keeps the singular for 1
+        pluralize: (...args) => {
+            const [word, count] = withoutOptions(args);
+            return count === 1 || count === '1' ? toText(word) : pluralizeWord(toText(word));
+        },
+
+        // {{default value "fallback"}}
+        default: (...args) => {
+            const [value, fallback] = withoutOptions(args);
+            return isMissing(value) ? fallback : value;
+        },
+
+        // {{capabilityParam "maxStars" 5}}: spec customization -> capability default -> fallback
+        capabilityParam: (...args) => {
+            const options = args[args.length - 1];
+            const [name, fallback] = withoutOptions(args);
+            const value = lookupCapabilityParam(options.data.root, options.data.capability, name);
+            return value === undefined ? fallback : value;
+        },
+
+        // {{#ifIn value "a" "b"}}...{{else}}...{{/ifIn}} or {{#ifIn value list}}
+        ifIn: function (...args) {
+            const options = args[args.length - 1];
+            const [value, ...candidates] = withoutOptions(args);
+            const set = candidates.length === 1 && Array.isArray(candidates[0]) ? candidates[0] : candidates;
+            return set.includes(value) ? options.fn(this) : options.inverse(this);
+        },
+
+        // Output of escaping helpers (SafeString) is already final
+        [ESCAPE_HELPER]: (language, value) => (value instanceof SafeString ? value.toHTML() : ESCAPERS[language](value))
+    };
+}
+
+/**
+ * Registers the helper library on a Handlebars environment.
+ * @param {object} handlebars - Handlebars (or Handlebars.create())
+ * @returns {string[]} Names of the public helpers
+ */
+function registerTemplateHelpers(handlebars) {
+    const helpers = createHelpers(handlebars.SafeString);
+    handlebars.registerHelper(helpers);
+    return Object.keys(helpers).filter(name => name !== ESCAPE_HELPER);
+}
+
+/**
+ * Parses a template and rewrites every escaped mustache so it is escaped for the output language.
+ * @param {object} handlebars - Environment the helpers are registered on
+ * @param {string} source - Template source
+ * @param {string} language - One of OUTPUT_LANGUAGES ('html' keeps Handlebars' own escaping)
+ * @returns {object|string} AST (or the source unchanged for html) to pass to handlebars.compile
+ */
+function prepareTemplate(handlebars, source, language) {
+    if (!OUTPUT_LANGUAGES.includes(language)) {
+        throw new Error(`Unknown template output language: ${language}`);
+    }
+    if (language === 'html') return source;
+
+    const ast = handlebars.parse(source);
+    const rewriter = new Visitor();
+    rewriter.mutating = true;
+    rewriter.MustacheStatement = function (node) {
+        if (!node.escaped) return undefined;
+
+        const isHelperCall = node.params.length > 0 || node.hash ||
+            (node.path.type === 'PathExpression' && !node.path.data && node.path.parts.length === 1 &&
+                Object.prototype.hasOwnProperty.call(handlebars.helpers, node.path.original));
+        const value = isHelperCall
+            ? { type: 'SubExpression', path: node.path, params: node.params, hash: node.hash, loc: node.loc }
+            : node.path;
+
+        return {
+            ...node,
+            path: { type: 'PathExpression', data: false, depth: 0, parts: [ESCAPE_HELPER], original: ESCAPE_HELPER, loc: node.loc },
+            params: [{ type: 'StringLiteral', value: language, original: language, loc: node.loc }, value],
+            hash: undefined,
+            escaped: false
+        };
+    };
+    rewriter.accept(ast);
+    return ast;
+}
+
+module.exports = {
+    OUTPUT_LANGUAGES,
+    inferLanguage,
+    registerTemplateHelpers,
+    prepareTemplate
+};
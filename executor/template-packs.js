@@ -0,0 +1,245 @@
+/**
+ * Template Packs
+ * Resolves plan template names against capability-scoped template packs.
+ *
+ * A pack is a directory under templates/ with a pack.json manifest declaring its files (and their output language),
+ * the ComponentSpec fields they read and the Handlebars helpers they call.
+ * The templates root is itself the "root" pack. Lookups fall back
+ * capability pack -> generic pack -> root pack, so a new capability only needs to ship
+ * the templates it actually customises.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PathPolicyError, resolveWithin } = require('./path-policy');
+const { OUTPUT_LANGUAGES } = require('./template-helpers');
+
+const PACK_MANIFEST_FILE = 'pack.json';
+const GENERIC_PACK_ID = 'generic';
+const ROOT_PACK_ID = 'root';
+
+function readManifest(manifestPath) {
+    try {
+        return { manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')), problems: [] };
+    } catch (error) {
+        return { manifest: null, problems: [`Invalid ${PACK_MANIFEST_FILE}: ${error.message}`] };
+    }
+}
+
+/**
+ * Normalises a manifest into { id, dir, displayName, capabilityId, files, requiredSpecFields, helpers, problems, valid }.
+ * files: Map of template name -> { template, path, description, language, exists }
+ */
+function loadPack(id, dir, manifestPath) {
+    const { manifest, problems } = readManifest(manifestPath);
+    const pack = {
+        id,
+        dir,
+        displayName: id,
+        capabilityId: null,
+        files: new Map(),
+        requiredSpecFields: [],
+        helpers: [],
+        problems,
+        valid: manifest !== null
+    };
+    if (!manifest) return pack;
+
+    if (manifest.packId !== id) {
+        problems.push(`Manifest packId '${manifest.packId}' does not match pack '${id}'`);
+        pack.valid = false;
+    }
+    pack.displayName = manifest.displayName || id;
+    pack.capabilityId = manifest.capabilityId || null;
+    pack.requiredSpecFields = Array.isArray(manifest.requiredSpecFields) ? manifest.requiredSpecFields : [];
+    pack.helpers = Array.isArray(manifest.helpers) ? manifest.helpers : [];
+
+    if (!Array.isArray(manifest.files)) {
+        problems.push('Manifest files must be an array');
+        pack.valid = false;
+        return pack;
+    }
+    for (const entry of manifest.files) {
+        const file = typeof entry === 'string' ? { template: entry } : entry;
+        if (!file || typeof file.template !== 'string') {
+            problems.push('Manifest file entries require a template name');
+            continue;
+        }
+        if (file.language !== undefined && !OUTPUT_LANGUAGES.includes(file.language)) {
+            problems.push(`Template ${file.template} declares unknown language '${file.language}' (expected ${OUTPUT_LANGUAGES.join(', ')})`);
+            pack.valid = false;
+            continue;
+        }
+        try {
+            const filePath = resolveWithin(dir, file.template, `${id}/${PACK_MANIFEST_FILE}`);
+            pack.files.set(file.template, {
+                ...file,
+                path: filePath,
+                exists: fs.existsSync(filePath)
+            });
+        } catch (error) {
+            if (!(error instanceof PathPolicyError)) throw error;
+            problems.push(error.message);
+        }
+    }
+    for (const { template, exists } of pack.files.values()) {
+        if (!exists) problems.push(`Declared template is missing: ${template}`);
+    }
+    return pack;
+}
+
+/**
+ * A templates directory without a root manifest is treated as a legacy layout:
+ * every file in it resolves from the root pack and nothing is required.
+ */
+function loadImplicitRootPack(dir) {
+    return {
+        id: ROOT_PACK_ID,
+        dir,
+        displayName: 'Templates root',
+        capabilityId: null,
+        files: null,
+        requiredSpecFields: [],
+        helpers: [],
+        problems: [],
+        valid: true,
+        implicit: true
+    };
+}
+
+/**
+ * Loads every pack under templatesDir.
+ * @param {string} templatesDir
+ * @returns {Map<string, object>} packs by id (root pack included)
+ */
+function loadTemplatePacks(templatesDir) {
+    const dir = path.resolve(templatesDir);
+    const packs = new Map();
+
+    const rootManifest = path.join(dir, PACK_MANIFEST_FILE);
+    packs.set(ROOT_PACK_ID, fs.existsSync(rootManifest)
+        ? loadPack(ROOT_PACK_ID, dir, rootManifest)
+        : loadImplicitRootPack(dir));
+
+    if (!fs.existsSync(dir)) return packs;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const manifestPath = path.join(dir, entry.name, PACK_MANIFEST_FILE);
+        if (fs.existsSync(manifestPath)) {
+            packs.set(entry.name, loadPack(entry.name, path.join(dir, entry.name), manifestPath));
+        }
+    }
+    return packs;
+}
+
+function findInPack(pack, name) {
+    if (pack.files) return pack.files.get(name) || null;
+
+    const filePath = path.join(pack.dir, name);
+    return fs.existsSync(filePath) ? { template: name, path: filePath, exists: true } : null;
+}
+
+function packChain(packs, preferredId) {
+    const chain = [];
+    for (const id of [preferredId, GENERIC_PACK_ID, ROOT_PACK_ID]) {
+        if (id && packs.has(id) && !chain.includes(id)) chain.push(id);
+    }
+    return chain;
+}
+
+/**
+ * Lookups to try for a plan template name, most specific first: [{ packId, name }].
+ * A pack prefix in the plan ("star-rating/index.ts.hbs") takes precedence over the spec's capability.
+ * A prefix naming the spec's capability without a pack (yet) still falls back to generic/root.
+ */
+function lookupOrder(packs, templateName, capabilityId) {
+    const [first, ...rest] = templateName.split('/');
+    const unprefixed = rest.join('/');
+
+    if (rest.length > 0 && first !== ROOT_PACK_ID && packs.has(first)) {
+        return packChain(packs, first).map(packId => ({ packId, name: unprefixed }));
+    }
+    if (rest.length > 0 && first === capabilityId) {
+        // Legacy layouts keep capability folders without a manifest inside the root
+        return [{ packId: ROOT_PACK_ID, name: templateName },
+            ...packChain(packs, null).map(packId => ({ packId, name: unprefixed }))];
+    }
+    return packChain(packs, capabilityId).map(packId => ({ packId, name: templateName }));
+}
+
+function resolveInOrder(packs, lookups) {
+    const searched = [];
+    for (const [index, { packId, name }] of lookups.entries()) {
+        searched.push(packs.get(packId));
+        const file = findInPack(packs.get(packId), name);
+        if (file) return { name, pack: packs.get(packId), file, fallback: index > 0, searched };
+    }
+    return { name: lookups.length > 0 ? lookups[lookups.length - 1].name : null, pack: null, file: null, fallback: false, searched };
+}
+
+/**
+ * Resolves a plan template name to a file, falling back capability -> generic -> root.
+ * @param {Map<string, object>} packs - From loadTemplatePacks
+ * @param {string} templateName - Plan templateName, optionally prefixed with a pack id
+ * @param {string} [capabilityId] - componentSpec.capabilities.capabilityId
+ * @returns {{ name: string, chain: string[], pack: object|null, file: object|null, fallback: boolean, searched: object[] }}
+ *   pack/file are null when no pack in the chain declares the template; searched lists the packs consulted
+ */
+function resolveTemplate(packs, templateName, capabilityId) {
+    const lookups = lookupOrder(packs, templateName, capabilityId);
+    return {
+        ...resolveInOrder(packs, lookups),
+        chain: [...new Set(lookups.map(lookup => lookup.packId))]
+    };
+}
+
+/**
+ * Describes every pack and which pack each known template resolves from.
+ * @param {string} templatesDir
+ * @returns {object[]} [{ id, displayName, capabilityId, implicit, valid, requiredSpecFields, helpers, files, coverage, problems }]
+ */
+function listTemplatePacks(templatesDir) {
+    const packs = loadTemplatePacks(templatesDir);
+    const declared = new Set();
+    for (const pack of packs.values()) {
+        if (pack.files) pack.files.forEach((file, name) => declared.add(name));
+    }
+    const templateNames = [...declared].sort();
+
+    return [...packs.values()].map(pack => {
+        const coverage = templateNames.map(name => {
+            const chain = pack.id === ROOT_PACK_ID ? [ROOT_PACK_ID] : packChain(packs, pack.id);
+            const lookups = chain.map(packId => ({ packId, name }));
+            const { pack: source } = resolveInOrder(packs, lookups);
+            return { template: name, source: source ? source.id : null };
+        });
+        return {
+            id: pack.id,
+            displayName: pack.displayName,
+            capabilityId: pack.capabilityId,
+            implicit: pack.implicit === true,
+            valid: pack.valid,
+            requiredSpecFields: pack.requiredSpecFields,
+            helpers: pack.helpers,
+            files: pack.files
+                ? [...pack.files.values()].map(({ template, description, language, exists }) => ({ template, description, language, exists }))
+                : [],
+            coverage: {
+                own: coverage.filter(c => c.source === pack.id).length,
+                inherited: coverage.filter(c => c.source && c.source !== pack.id).length,
+                missing: coverage.filter(c => !c.source).length,
+                templates: coverage
+            },
+            problems: pack.problems
+        };
+    });
+}
+
+module.exports = {
+    PACK_MANIFEST_FILE,
+    GENERIC_PACK_ID,
+    ROOT_PACK_ID,
+    loadTemplatePacks,
+    resolveTemplate,
+    listTemplatePacks
+};
@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+
+/**
+ * Test Case Runner
+ * Feeds ai-brain/test-cases through the Node pipeline (interpretIntent → capability lookup → generateSpec)
+ * and compares outcome, stage, intent, capability and spec expectations.
+ *
+ * LLM calls are replayed from fixtures via the fake provider (see llm-provider.js):
+ *   <fixtures>/<caseId>/<stage>/<messagesHash>.json   (recorded with --record)
+ *   <fixtures>/<caseId>/<stage>.json                  (one response for the stage, as committed)
+ * A missing fixture fails the case; a changed prompt or rule file changes the hash, so re-record after such changes.
+ *
+ * Capability matching also rejects input that asks for one of the capability's forbidden behaviors.
+ *
+ * --intent-mode rules is fully deterministic: intents come from the rule interpreter and the run stops after
+ * capability matching (spec generation needs a model). A check a mode cannot meet is listed with the reason in
+ * "notApplicable": { "<mode>": { "<check>": "<reason>" } } and skipped in that mode; expectations never change.
+ * Checks that only the C# orchestrator can make (or that need a stage the mode does not run) are skipped.
+ *
+ * Usage:
+ *   node test-runner.js [--record] [--intent-mode llm|rules|prefilter] [--case <id>]...
+ *                       [--fixtures <dir>] [--report <file>] [--brain <dir>] [--verbose]
+ *   --record   Calls the configured real provider and rewrites the fixtures of every selected case
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { interpretIntent } = require('./intent-interpreter');
+const { generateSpec } = require('./spec-generator');
+const { interpretIntentWithRules } = require('./rule-interpreter');
+const { resolveLlmConfig } = require('./llm-provider');
+
+const CASE_FILES = Object.freeze(['happy-paths.json', 'edge-cases.json', 'rejection-cases.json']);
+
+const STAGES = Object.freeze({
+    INTENT: 'intent-interpretation',
+    CAPABILITY: 'capability-matching',
+    SPEC: 'specification-generation'
+});
+
+// Stages that only run in the C# orchestrator; expectations about them cannot be checked here
+const ORCHESTRATOR_STAGES = Object.freeze(['rules-validation', 'validation']);
+
+// Words that say nothing about a behavior; the capability's own name words are ignored as well
+const BEHAVIOR_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'to', 'for', 'from', 'of', 'on', 'in', 'with', 'by', 'that', 'and', 'or', 'than', 'more',
+    'use', 'using', 'control', 'component', 'i', 'need', 'want', 'create', 'make'
+]);
+
+const DEFAULT_BRAIN_PATH = path.join(__dirname, '../ai-brain');
+const DEFAULT_REPORT_PATH = '/tmp/test-case-report.json';
+
+function parseArgs(argv) {
+    const options = {
+        record: false,
+        intentMode: 'llm',
+        caseIds: [],
+        brainPath: DEFAULT_BRAIN_PATH,
+        fixturesDir: null,
+        reportPath: DEFAULT_REPORT_PATH,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--record': options.record = true; break;
+            case '--intent-mode': options.intentMode = next(); break;
+            case '--case': options.caseIds.push(next()); break;
+            case '--brain': options.brainPath = path.resolve(next()); break;
+            case '--fixtures': options.fixturesDir = path.resolve(next()); break;
+            case '--report': options.reportPath = path.resolve(next()); break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    options.fixturesDir = options.fixturesDir || path.join(options.brainPath, 'test-cases/fixtures');
+    if (options.record && options.intentMode !== 'llm') {
+        throw new Error('--record requires --intent-mode llm');
+    }
+    return options;
+}
+
+function loadCases(brainPath, caseIds) {
+    const cases = CASE_FILES.flatMap(file => {
+        const content = JSON.parse(fs.readFileSync(path.join(brainPath, 'test-cases', file), 'utf8'));
+        return content.testCases.map(testCase => ({ ...testCase, file }));
+    });
+    if (caseIds.length === 0) return cases;
+
+    const unknown = caseIds.filter(id => !cases.some(c => c.id === id));
+    if (unknown.length > 0) throw new Error(`Unknown test case(s): ${unknown.join(', ')}`);
+    return cases.filter(c => caseIds.includes(c.id));
+}
+
+/**
+ * Silences the adapters' progress output unless --verbose is set.
+ */
+async function quietly(verbose, fn) {
+    if (verbose) return fn();
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+/**
+ * Points the LLM provider at the case's fixture directory for the duration of fn.
+ */
+async function withFixtureEnv(caseDir, record, fn) {
+    const keys = ['LLM_PROVIDER', 'LLM_FAKE_RESPONSES_DIR', 'LLM_RECORD_DIR'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    if (record) {
+        process.env.LLM_RECORD_DIR = caseDir;
+    } else {
+        process.env.LLM_PROVIDER = 'fake';
+        process.env.LLM_FAKE_RESPONSES_DIR = caseDir;
+    }
+    try {
+        return await fn();
+    } finally {
+        for (const key of keys) {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        }
+    }
+}
+
+/**
+ * Capability lookup against the registry: componentType first, then the primaryPurpose index.
+ * @returns {object|null} Capability definition, or null when nothing matches
+ */
+function resolveCapability(globalIntent, brainPath) {
+    const registry = JSON.parse(fs.readFileSync(path.join(brainPath, 'capabilities/registry.index.json'), 'utf8'));
+    const purpose = globalIntent.uiIntent && globalIntent.uiIntent.primaryPurpose;
+
+    const entry = registry.capabilities.find(c => c.capabilityId === globalIntent.componentType) ||
+        registry.capabilities.find(c => ((registry.index.byPrimaryPurpose || {})[purpose] || []).includes(c.capabilityId));
+    if (!entry) return null;
+
+    return JSON.parse(fs.readFileSync(path.join(brainPath, 'capabilities', entry.file), 'utf8'));
+}
+
+/**
+ * Significant word stems: "Animated star transitions" → ['anim', 'star', 'transit'].
+ */
+function stemWords(text, ignored = new Set()) {
+    // Quantities ("500ms", "2-second") are compared as durations, not as words
+    return (String(text).toLowerCase().replace(/\d+(?:\.\d+)?[\s-]*[a-z]*/g, ' ').match(/[a-z][a-z0-9]*/g) || [])
+        .filter(word => !BEHAVIOR_STOP_WORDS.has(word))
+        .map(word => word.replace(/(ations?|ated|ions?|ing|ed|es|s)$/, stem => (word.length - stem.length >= 3 ? '' : stem)))
+        .filter(stem => !ignored.has(stem));
+}
+
+/**
+ * Durations in milliseconds: "2-second" → 2000, "500ms" → 500.
+ */
+function parseDurations(text) {
+    const units = { ms: 1, millisecond: 1, milliseconds: 1, s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000 };
+    return [...String(text).toLowerCase().matchAll(/(\d+(?:\.\d+)?)[\s-]*(milliseconds?|ms|seconds?|secs?|s)\b/g)]
+        .map(m => Number(m[1]) * units[m[2]]);
+}
+
+/**
+ * The first forbidden behavior of the capability the input asks for: it shares two word stems with the
+ * behavior, or one stem and a duration above the behavior's limit ("2-second animation" vs "exceeding 500ms").
+ * @returns {object|null} The capability's forbidden entry: { behavior, reason, alternative }
+ */
+function findForbiddenBehavior(userInput, capability) {
+    const ignored = new Set(stemWords([capability.capabilityId, capability.componentType, capability.displayName].join(' ')));
+    const requested = new Set(stemWords(userInput, ignored));
+    const durations = parseDurations(userInput);
+
+    return (capability.forbidden || []).find(forbidden => {
+        const shared = stemWords(forbidden.behavior, ignored).filter(stem => requested.has(stem));
+        if (shared.length >= 2) return true;
+        const limits = parseDurations(forbidden.behavior);
+        return shared.length === 1 && limits.length > 0 && durations.some(duration => duration > Math.min(...limits));
+    }) || null;
+}
+
+/**
+ * Rejection message from the "forbidden in capability" conflict resolution rule.
+ */
+function forbiddenMessage(forbidden, brainPath) {
+    const rules = JSON.parse(fs.readFileSync(path.join(brainPath, 'intent/ambiguity-resolution.rules.json'), 'utf8'));
+    const rule = (rules.conflictResolution || []).find(r => r.conflict === 'User requests feature explicitly forbidden in capability');
+    const template = rule ? rule.message : "The requested feature '{feature}' is not supported because: {reason}. Alternative: {alternative}";
+    return template
+        .replace('{feature}', forbidden.behavior)
+        .replace('{reason}', forbidden.reason)
+        .replace('{alternative}', forbidden.alternative);
+}
+
+function toActualError(error) {
+    return { code: error.code || null, message: error.message };
+}
+
+/**
+ * Runs one case through the pipeline and records where and how it stopped.
+ */
+async function runPipeline(testCase, options) {
+    const { brainPath } = options;
+    const actual = {
+        outcome: null,
+        stage: STAGES.INTENT,
+        error: null,
+        questions: [],
+        intent: null,
+        capabilityId: null,
+        spec: null,
+        specSkipped: false,
+        missingFixture: false
+    };
+
+    const stop = (outcome, error) => {
+        if (error && error.code === 'PCF-SYS-009') {
+            actual.outcome = 'incomplete';
+            actual.missingFixture = true;
+        } else {
+            actual.outcome = outcome;
+        }
+        actual.error = error ? toActualError(error) : null;
+        return actual;
+    };
+
+    // Stage 1: intent interpretation
+    let intentResult;
+    try {
+        intentResult = await interpretIntent(testCase.userInput, brainPath, { mode: options.intentMode });
+    } catch (error) {
+        return stop('rejected', error);
+    }
+    actual.intent = intentResult.globalIntent || null;
+
+    if (intentResult.needsClarification) {
+        const questions = intentResult.clarificationQuestions ||
+            interpretIntentWithRules(testCase.userInput, brainPath).clarificationQuestions;
+        actual.questions = questions.map(q => q.question);
+        return stop('clarification-needed', null);
+    }
+
+    // Stage 2: capability matching
+    actual.stage = STAGES.CAPABILITY;
+    const capability = resolveCapability(actual.intent, brainPath);
+    if (!capability) {
+        return stop('rejected', { code: null, message: 'No capability matches the intent' });
+    }
+    actual.capabilityId = capability.capabilityId;
+    const forbidden = findForbiddenBehavior(testCase.userInput, capability);
+    if (forbidden) {
+        return stop('rejected', { code: null, message: forbiddenMessage(forbidden, brainPath) });
+    }
+
+    // Stage 3: spec generation (needs a model, so the deterministic rules mode ends here)
+    if (options.intentMode === 'rules') {
+        actual.specSkipped = true;
+        return stop('success', null);
+    }
+    actual.stage = STAGES.SPEC;
+    try {
+        actual.spec = await generateSpec({ globalIntent: actual.intent, capability }, brainPath);
+    } catch (error) {
+        return stop('rejected', error);
+    }
+
+    return stop('success', null);
+}
+
+/**
+ * Skips the checks the case lists as not applicable in the intent mode (see "notApplicable").
+ */
+function applyNotApplicable(checks, testCase, intentMode) {
+    const reasons = (testCase.notApplicable || {})[intentMode] || {};
+    return checks.map(check => (reasons[check.check]
+        ? { ...check, status: 'skipped', note: `not applicable in ${intentMode} mode: ${reasons[check.check]}` }
+        : check));
+}
+
+/**
+ * Pointers where `actual` differs from the (partial) `expected` object.
+ */
+function diffPartial(expected, actual, pointer = '') {
+    if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+        return Object.entries(expected).flatMap(([key, value]) =>
+            diffPartial(value, actual && typeof actual === 'object' ? actual[key] : undefined, `${pointer}/${key}`));
+    }
+    return JSON.stringify(expected) === JSON.stringify(actual)
+        ? []
+        : [{ pointer, expected, actual: actual === undefined ? null : actual }];
+}
+
+function checkOutcome(testCase, actual) {
+    const expected = testCase.expectedOutcome;
+    const expectedStage = testCase.expectedError && testCase.expectedError.stage;
+    const check = { check: 'outcome', expected: expectedStage ? `${expected} at ${expectedStage}` : expected };
+    const describe = actual.outcome === 'success' ? 'success' : `${actual.outcome} at ${actual.stage}`;
+
+    if (actual.outcome === 'incomplete') {
+        return { ...check, status: 'fail', actual: describe, note: `no recorded LLM response for ${actual.stage} (npm run test:record)` };
+    }
+    if (actual.specSkipped && expectedStage === STAGES.SPEC) {
+        return { ...check, status: 'skipped', actual: describe, note: 'specification generation is not run in rules mode' };
+    }
+
+    if (expected === 'rejected') {
+        // The pipeline stops for clarification at intent-interpretation; that is the rejection there
+        const stoppedAtStage = actual.stage === expectedStage &&
+            (actual.outcome === 'rejected' || actual.outcome === 'clarification-needed');
+        if (stoppedAtStage) return { ...check, status: 'pass', actual: describe };
+
+        if (actual.outcome === 'success' && ORCHESTRATOR_STAGES.includes(expectedStage)) {
+            return { ...check, status: 'skipped', actual: describe, note: `${expectedStage} runs in the C# orchestrator` };
+        }
+        return { ...check, status: 'fail', actual: describe };
+    }
+
+    if (expected === 'clarification-needed') {
+        return { ...check, status: actual.outcome === 'clarification-needed' ? 'pass' : 'fail', actual: describe };
+    }
+
+    // success, success-with-downgrade, success-with-warning
+    return { ...check, status: actual.outcome === 'success' ? 'pass' : 'fail', actual: describe };
+}
+
+/**
+ * Compares a pipeline run with the case expectations.
+ * @returns {object[]} Checks: { check, status: 'pass'|'fail'|'skipped', expected, actual, note? }
+ *   A check is skipped only when the mode does not run the stage it needs (or the C# orchestrator makes it);
+ *   a stage that should have run but produced nothing fails the check.
+ */
+function evaluateCase(testCase, actual) {
+    const checks = [checkOutcome(testCase, actual)];
+    const unavailableUnless = (available, check, note) => {
+        if (available) return null;
+        if (actual.specSkipped && check.stage === STAGES.SPEC) {
+            return { ...check, status: 'skipped', note: 'specification generation is not run in rules mode' };
+        }
+        return { ...check, status: 'fail', note };
+    };
+
+    if (testCase.expectedIntent) {
+        const check = { check: 'intent', expected: testCase.expectedIntent };
+        const unavailable = unavailableUnless(actual.intent, check, 'no intent produced');
+        if (unavailable) {
+            checks.push(unavailable);
+        } else {
+            const mismatches = diffPartial(testCase.expectedIntent, actual.intent);
+            checks.push({ ...check, status: mismatches.length === 0 ? 'pass' : 'fail', actual: mismatches });
+        }
+    }
+
+    if (testCase.expectedCapability) {
+        const check = { check: 'capability', expected: testCase.expectedCapability };
+        checks.push(unavailableUnless(actual.capabilityId, check, 'capability matching not reached') ||
+            { ...check, status: actual.capabilityId === testCase.expectedCapability ? 'pass' : 'fail', actual: actual.capabilityId });
+    }
+
+    if (testCase.expectedProperties) {
+        const check = { check: 'properties', stage: STAGES.SPEC, expected: testCase.expectedProperties };
+        const unavailable = unavailableUnless(actual.spec, check, 'no spec generated');
+        if (unavailable) {
+            checks.push(unavailable);
+        } else {
+            const specProperties = actual.spec.properties || [];
+            const missing = testCase.expectedProperties.filter(expected =>
+                !specProperties.some(prop => diffPartial(expected, prop).length === 0));
+            checks.push({ ...check, status: missing.length === 0 ? 'pass' : 'fail', actual: { missing } });
+        }
+    }
+
+    if (testCase.expectedCustomizations) {
+        const check = { check: 'customizations', stage: STAGES.SPEC, expected: testCase.expectedCustomizations };
+        const unavailable = unavailableUnless(actual.spec, check, 'no spec generated');
+        if (unavailable) {
+            checks.push(unavailable);
+        } else {
+            const customizations = (actual.spec.capabilities && actual.spec.capabilities.customizations) || {};
+            const mismatches = diffPartial(testCase.expectedCustomizations, customizations);
+            checks.push({ ...check, status: mismatches.length === 0 ? 'pass' : 'fail', actual: mismatches });
+        }
+    }
+
+    for (const key of ['expectedDowngrades', 'expectedWarnings']) {
+        if (testCase[key]) {
+            checks.push({ check: key.replace('expected', '').toLowerCase(), status: 'skipped', expected: testCase[key],
+                note: 'reported by the C# validator' });
+        }
+    }
+
+    const question = testCase.clarificationQuestion || (testCase.expectedError && testCase.expectedError.clarificationNeeded);
+    if (question && actual.outcome === 'clarification-needed') {
+        checks.push({
+            check: 'clarification-question',
+            status: actual.questions.includes(question) ? 'pass' : 'fail',
+            expected: question,
+            actual: actual.questions
+        });
+    }
+
+    return checks;
+}
+
+function caseStatus(checks) {
+    if (checks.some(c => c.status === 'fail')) return 'fail';
+    return checks.some(c => c.status === 'pass') ? 'pass' : 'skipped';
+}
+
+async function runCase(testCase, options) {
+    const caseDir = path.join(options.fixturesDir, testCase.id);
+    if (options.record) {
+        fs.rmSync(caseDir, { recursive: true, force: true });
+    }
+
+    const actual = await withFixtureEnv(caseDir, options.record, () =>
+        quietly(options.verbose, () => runPipeline(testCase, options)));
+    const checks = applyNotApplicable(evaluateCase(testCase, actual), testCase, options.intentMode);
+
+    return {
+        id: testCase.id,
+        name: testCase.name,
+        file: testCase.file,
+        status: caseStatus(checks),
+        actual: {
+            outcome: actual.outcome,
+            stage: actual.stage,
+            error: actual.error,
+            expectedReason: testCase.expectedError ? testCase.expectedError.reason : null,
+            capabilityId: actual.capabilityId,
+            questions: actual.questions
+        },
+        checks
+    };
+}
+
+/**
+ * Runs the selected test cases and writes the report.
+ * @param {object} options - See parseArgs()
+ * @returns {Promise<object>} Report
+ */
+async function runTestCases(options) {
+    console.log('=== AI Brain Test Cases ===\n');
+    console.log(`Brain: ${options.brainPath}`);
+    console.log(`Fixtures: ${options.fixturesDir}${options.record ? ' (recording)' : ''}`);
+    console.log(`Intent mode: ${options.intentMode}\n`);
+
+    if (options.record && ['intent', 'spec'].some(stage => resolveLlmConfig(stage).provider === 'fake')) {
+        throw new Error('--record needs a real LLM provider (LLM_PROVIDER is fake)');
+    }
+
+    const cases = loadCases(options.brainPath, options.caseIds);
+    const results = [];
+
+    for (const testCase of cases) {
+        const result = await runCase(testCase, options);
+        results.push(result);
+
+        const marker = { pass: '✓', fail: '❌', skipped: '!' }[result.status];
+        console.log(`${marker} ${result.id} ${result.name} (${result.status})`);
+        result.checks.filter(c => c.status !== 'pass').forEach(c =>
+            console.log(`    ${c.check}: ${c.status}${c.note ? ` - ${c.note}` : ''}`));
+    }
+
+    const count = status => results.filter(r => r.status === status).length;
+    const report = {
+        generatedAt: new Date().toISOString(),
+        brainPath: options.brainPath,
+        fixturesDir: options.fixturesDir,
+        intentMode: options.intentMode,
+        recorded: options.record,
+        summary: { total: results.length, passed: count('pass'), failed: count('fail'), skipped: count('skipped') },
+        cases: results
+    };
+
+    fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+    console.log(`\n${report.summary.passed} passed, ${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+    console.log(`Report written to: ${options.reportPath}\n`);
+    return report;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    const report = await runTestCases(parseArgs(process.argv.slice(2)));
+    process.exit(report.summary.failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { runTestCases, evaluateCase, resolveCapability, findForbiddenBehavior };
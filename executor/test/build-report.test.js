@@ -0,0 +1,105 @@
+/**
+ * Build Report tests: the installed package inventory, the CycloneDX SBOM built from it,
+ * and step timings with their commands in build-report.json.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const { REPORT_FILE, buildSbom, collectInstalledPackages, createBuildReport } = require('../build-report');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'build-report-'));
+
+function install(workingDir, relPath, packageJson) {
+    const dir = path.join(workingDir, relPath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(packageJson));
+}
+
+/** Working directory with a shipped, a scoped, a nested and a dev-only package. */
+function workingDir(name) {
+    const dir = path.join(sandbox, name);
+    install(dir, 'node_modules/react', { name: 'react', version: '16.14.0', license: 'MIT' });
+    install(dir, 'node_modules/@fluentui/react-components', { name: '@fluentui/react-components', version: '9.46.2', license: { type: 'MIT' } });
+    install(dir, 'node_modules/pcf-scripts', { name: 'pcf-scripts', version: '1.30.0', licenses: [{ type: 'MIT' }, 'Apache-2.0'] });
+    install(dir, 'node_modules/pcf-scripts/node_modules/loose-envify', { name: 'loose-envify', version: '1.4.0', license: 'SEE LICENSE IN LICENSE.md' });
+    install(dir, 'node_modules/loose-envify', { name: 'loose-envify', version: '1.4.0', license: 'SEE LICENSE IN LICENSE.md' });
+    install(dir, 'node_modules/unlicensed', { name: 'unlicensed', version: '0.1.0' });
+    fs.mkdirSync(path.join(dir, 'node_modules/.bin'));
+    fs.mkdirSync(path.join(dir, 'node_modules/not-a-package'));
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), JSON.stringify({
+        packages: {
+            'node_modules/pcf-scripts': { dev: true },
+            'node_modules/pcf-scripts/node_modules/loose-envify': { dev: true }
+        }
+    }));
+    return dir;
+}
+
+describe('build-report', () => {
+    after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    it('collects every installed package with its install path and dev flag', () => {
+        const packages = collectInstalledPackages(workingDir('inventory'));
+        assert.deepEqual(packages.map(pkg => [pkg.path, pkg.license, pkg.dev]), [
+            ['node_modules/@fluentui/react-components', 'MIT', false],
+            ['node_modules/loose-envify', 'SEE LICENSE IN LICENSE.md', false],
+            ['node_modules/pcf-scripts', 'MIT OR Apache-2.0', true],
+            ['node_modules/pcf-scripts/node_modules/loose-envify', 'SEE LICENSE IN LICENSE.md', true],
+            ['node_modules/react', 'MIT', false],
+            ['node_modules/unlicensed', null, false]
+        ]);
+        assert.deepEqual(collectInstalledPackages(path.join(sandbox, 'missing')), []);
+    });
+
+    it('builds a CycloneDX SBOM with one component per package version', () => {
+        const sbom = buildSbom(collectInstalledPackages(workingDir('sbom')), { name: 'StarRating', version: '1.0.0.3' });
+
+        assert.equal(sbom.bomFormat, 'CycloneDX');
+        assert.equal(sbom.specVersion, '1.5');
+        assert.match(sbom.serialNumber, /^urn:uuid:[0-9a-f-]{36}$/);
+        assert.deepEqual(sbom.metadata.component, { type: 'application', 'bom-ref': 'StarRating', name: 'StarRating', version: '1.0.0.3' });
+
+        const components = Object.fromEntries(sbom.components.map(component => [component.name, component]));
+        assert.equal(sbom.components.length, 5);
+        assert.equal(components['@fluentui/react-components'].purl, 'pkg:npm/%40fluentui/react-components@9.46.2');
+        assert.equal(components['loose-envify'].scope, 'required');
+        assert.equal(components['pcf-scripts'].scope, 'excluded');
+        assert.deepEqual(components.react.licenses, [{ license: { id: 'MIT' } }]);
+        assert.deepEqual(components['pcf-scripts'].licenses, [{ expression: 'MIT OR Apache-2.0' }]);
+        assert.deepEqual(components['loose-envify'].licenses, [{ license: { name: 'SEE LICENSE IN LICENSE.md' } }]);
+        assert.deepEqual(components.unlicensed.licenses, []);
+    });
+
+    it('records step timings with the commands run in each step, and the failure', () => {
+        const dir = workingDir('report');
+        const runner = { records: [] };
+        const recorder = createBuildReport(runner, { workingDir: dir, componentName: 'StarRating', packager: 'node' });
+
+        recorder.begin('npm-install');
+        runner.records.push({ command: 'npm ci', exitCode: 0, startedAt: new Date().toISOString(), durationMs: 12, stdout: 'added 5 packages' });
+        recorder.begin('pcf-build');
+        runner.records.push({ command: 'npm run build', exitCode: 1, startedAt: new Date().toISOString(), durationMs: 7 });
+        recorder.set({ component: 'Contoso.StarRating', version: { solutionVersion: '1.0.0.3' } });
+        const error = Object.assign(new Error('Build tool command failed'), { code: 'PCF-PKG-004', stage: 'build' });
+        const reportPath = recorder.write({ status: 'failed', error });
+
+        assert.equal(reportPath, path.join(dir, REPORT_FILE));
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        assert.equal(report.status, 'failed');
+        assert.equal(report.buildId, 'report');
+        assert.deepEqual(report.error, { code: 'PCF-PKG-004', stage: 'build', message: 'Build tool command failed' });
+        assert.deepEqual(report.steps.map(step => [step.name, step.status, step.commands.map(command => command.command)]), [
+            ['npm-install', 'succeeded', ['npm ci']],
+            ['pcf-build', 'failed', ['npm run build']]
+        ]);
+        assert.ok(report.steps.every(step => step.durationMs >= 0 && step.finishedAt));
+        assert.equal(report.steps[0].commands[0].stdout, undefined);
+        assert.equal(report.tools.node, process.version.slice(1));
+        assert.equal(report.sbom.metadata.component.name, 'Contoso.StarRating');
+        assert.deepEqual(report.dependencySummary, { packages: 5, shipped: 4, devOnly: 1, withoutLicense: 1 });
+    });
+});
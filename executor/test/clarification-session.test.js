@@ -0,0 +1,83 @@
+/**
+ * Clarification Session tests: questions from the rules and unmapped phrases, answers re-interpreting
+ * the request until it resolves or the turn budget is spent, and the session errors.
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+// The turn budget is read when the module loads
+process.env.EXECUTOR_CLARIFICATION_MAX_TURNS = '2';
+const { SESSION_STATES, answerSession, createSession, getSession } = require('../clarification-session');
+
+const BRAIN_PATH = path.join(__dirname, '../../ai-brain');
+
+const start = userInput => createSession({ userInput, brainPath: BRAIN_PATH, mode: 'rules' });
+
+describe('clarification-session', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => mock.restoreAll());
+
+    it('resolves a confident request without questions', async () => {
+        const session = await start('A 5-star rating control');
+        assert.match(session.id, /^ses_\d{14}_[0-9a-f]{6}$/);
+        assert.equal(session.state, SESSION_STATES.RESOLVED);
+        assert.deepEqual(session.questions, []);
+        assert.equal(getSession(session.id).result.globalIntent.componentType, 'star-rating');
+    });
+
+    it('asks about a conflict and resolves with the answer', async () => {
+        const session = await start('Read-only editable rating control');
+        assert.equal(session.state, SESSION_STATES.AWAITING_ANSWER);
+        assert.deepEqual(session.questions.map(q => [q.id, q.kind, q.path]), [['q1', 'conflict', 'behavior.interactivity']]);
+
+        const answered = await answerSession(session.id, [{ questionId: 'q1', answer: 'editable' }]);
+        assert.equal(answered.state, SESSION_STATES.RESOLVED);
+        assert.equal(answered.turn, 1);
+        assert.equal(answered.result.globalIntent.behavior.interactivity, 'editable');
+        assert.equal(answered.clarifications[0].answer, 'editable');
+    });
+
+    it('asks about unmapped phrases and keeps the ids of questions still open', async () => {
+        const session = await start('a hologram thing');
+        assert.deepEqual(session.questions.map(q => [q.id, q.kind]), [['q1', 'purpose'], ['q2', 'unmapped']]);
+        assert.equal(session.questions[1].phrase, 'hologram');
+
+        const next = await answerSession(session.id, [{ questionId: 'q2', answer: 'ignore' }]);
+        assert.deepEqual(next.questions.map(q => [q.id, q.kind]), [['q1', 'purpose']]);
+
+        const resolved = await answerSession(session.id, [{ answer: 'collect a rating' }]);
+        assert.equal(resolved.state, SESSION_STATES.RESOLVED);
+        assert.equal(resolved.result.globalIntent.uiIntent.primaryPurpose, 'collect-rating');
+        assert.deepEqual(resolved.history.map(turn => turn.needsClarification), [true, true, false]);
+    });
+
+    it('stops once the turn budget is spent', async () => {
+        const session = await start('make something');
+        await answerSession(session.id, [{ answer: 'not sure' }]);
+        const exhausted = await answerSession(session.id, [{ answer: 'still not sure' }]);
+        assert.equal(exhausted.state, SESSION_STATES.EXHAUSTED);
+        assert.equal(exhausted.maxTurns, 2);
+        assert.deepEqual(exhausted.questions, []);
+
+        await assert.rejects(answerSession(session.id, [{ answer: 'rating' }]),
+            error => error.code === 'PCF-INT-005' && error.reason === 'closed');
+    });
+
+    it('rejects unknown sessions and invalid answers', async () => {
+        assert.equal(getSession('ses_missing'), null);
+        await assert.rejects(answerSession('ses_missing', [{ answer: 'x' }]), error => error.code === 'PCF-SYS-008');
+
+        const session = await start('make something');
+        for (const answers of [[], [{ answer: '  ' }], [{ questionId: 'q9', answer: 'rating' }]]) {
+            await assert.rejects(answerSession(session.id, answers),
+                error => error.code === 'PCF-INT-001' && error.reason === 'invalid-answer');
+        }
+        assert.equal(getSession(session.id).turn, 0);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Command Runner and PCF naming tests: arguments reach the process verbatim, failures carry the output tail,
+ * and identifiers are validated before they reach a command line.
+ */
+
+const assert = require('node:assert/strict');
+const os = require('os');
+const { after, before, describe, it, mock } = require('node:test');
+
+const { CommandFailedError, createCommandRunner, formatCommand } = require('../command-runner');
+const { InvalidIdentifierError, assertConstructorName, assertNamespace } = require('../pcf-naming');
+
+const NODE = process.execPath;
+
+describe('command-runner', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(process.stdout, 'write', () => true);
+        mock.method(process.stderr, 'write', () => true);
+    });
+
+    after(() => mock.restoreAll());
+
+    it('passes arguments verbatim without a shell', async () => {
+        const lines = [];
+        const runner = createCommandRunner({ onOutput: (stream, line) => lines.push(`${stream}:${line}`) });
+        const hostile = '$(touch pwned); `id` && echo "x" | cat > y';
+        const record = await runner.run(NODE, ['-e', 'console.log(process.argv[1])', hostile], os.tmpdir());
+
+        assert.equal(record.exitCode, 0);
+        assert.equal(record.stdout, `${hostile}\n`);
+        assert.deepEqual(lines, [`stdout:${hostile}`]);
+        assert.equal(runner.records.length, 1);
+        assert.ok(record.durationMs >= 0);
+    });
+
+    it('rejects with the exit code and the output tail', async () => {
+        const runner = createCommandRunner();
+        const script = 'for (let i = 1; i <= 30; i++) console.error("line " + i); process.exit(3)';
+        await assert.rejects(runner.run(NODE, ['-e', script], os.tmpdir()), error => {
+            assert.ok(error instanceof CommandFailedError);
+            assert.equal(error.code, 'PCF-PKG-004');
+            assert.equal(error.details.exitCode, 3);
+            assert.equal(error.details.outputTail.length, 20);
+            assert.equal(error.details.outputTail[19], 'line 30');
+            return true;
+        });
+        assert.equal(runner.records[0].exitCode, 3);
+    });
+
+    it('rejects a command that cannot be started', async () => {
+        const runner = createCommandRunner();
+        await assert.rejects(runner.run('pcf-no-such-tool', [], os.tmpdir()),
+            error => error instanceof CommandFailedError && error.details.exitCode === null);
+    });
+
+    it('refuses arguments that are not an array of strings', () => {
+        const runner = createCommandRunner();
+        assert.throws(() => runner.run(NODE, '-v', os.tmpdir()), TypeError);
+        assert.throws(() => runner.run(NODE, ['-e', 1], os.tmpdir()), TypeError);
+    });
+
+    it('quotes arguments with whitespace or quotes for logs', () => {
+        assert.equal(formatCommand('pac', ['pcf', 'init', '--name', 'My Control']), 'pac pcf init --name "My Control"');
+        assert.equal(formatCommand('npm', ['install']), 'npm install');
+    });
+});
+
+describe('pcf-naming', () => {
+    it('accepts namespaces and constructor names PCF allows', () => {
+        assert.equal(assertNamespace('Contoso'), 'Contoso');
+        assert.equal(assertNamespace('Contoso.Controls2'), 'Contoso.Controls2');
+        assert.equal(assertConstructorName('StarRating'), 'StarRating');
+    });
+
+    it('rejects identifiers that could break a command line or a file name', () => {
+        for (const value of ['', '1Contoso', 'Contoso..Controls', 'Contoso.', 'Con toso', 'a;rm -rf', '../x', undefined]) {
+            assert.throws(() => assertNamespace(value), error => error instanceof InvalidIdentifierError && error.code === 'PCF-SPEC-001');
+        }
+        for (const value of ['Star_Rating', 'Star.Rating', '$Star', 'Star Rating']) {
+            assert.throws(() => assertConstructorName(value), InvalidIdentifierError);
+        }
+    });
+
+    it('limits identifiers to 100 characters', () => {
+        assert.equal(assertConstructorName(`A${'b'.repeat(99)}`).length, 100);
+        assert.throws(() => assertConstructorName(`A${'b'.repeat(100)}`), error => /at most 100/.test(error.message));
+    });
+});
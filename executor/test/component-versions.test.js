@@ -0,0 +1,201 @@
+/**
+ * Component Versions tests: semver bump rules, inferred bumps and the generation/build history.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it, mock } = require('node:test');
+
+const {
+    BUMPS, assertVersionBump, bumpVersion, inferVersionBump, normalizeVersion,
+    recordBuild, recordGeneration, reserveBuildVersion, resolveGenerationVersion
+} = require('../component-versions');
+
+const SPEC = Object.freeze({
+    namespace: 'Contoso.Controls',
+    componentName: 'StarRating',
+    description: 'Star rating',
+    properties: [
+        { name: 'value', ofType: 'Whole.None', usage: 'bound', required: true },
+        { name: 'maxStars', ofType: 'Whole.None', usage: 'input' }
+    ]
+});
+
+function withProperties(properties, extra = {}) {
+    return { ...SPEC, ...extra, properties };
+}
+
+function generate(componentSpec, storeDir, bump) {
+    const versioning = resolveGenerationVersion(componentSpec, { bump, storeDir });
+    recordGeneration(componentSpec, versioning, {}, storeDir);
+    return versioning;
+}
+
+describe('component-versions', () => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'component-versions-'));
+    let stores = 0;
+    const newStore = () => path.join(sandbox, `store-${++stores}`);
+
+    after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    describe('bump rules', () => {
+        it('bumps major, minor and patch and keeps the version for none', () => {
+            assert.equal(bumpVersion('1.2.3', BUMPS.MAJOR), '2.0.0');
+            assert.equal(bumpVersion('1.2.3', BUMPS.MINOR), '1.3.0');
+            assert.equal(bumpVersion('1.2.3', BUMPS.PATCH), '1.2.4');
+            assert.equal(bumpVersion('1.2.3', BUMPS.NONE), '1.2.3');
+        });
+
+        it('normalizes spec and manifest versions to three parts', () => {
+            assert.equal(normalizeVersion('1'), '1.0.0');
+            assert.equal(normalizeVersion('1.0'), '1.0.0');
+            assert.equal(normalizeVersion(' 2.3.4 '), '2.3.4');
+            assert.equal(normalizeVersion('1.2.3.4'), null);
+            assert.equal(normalizeVersion('v1'), null);
+            assert.equal(normalizeVersion(undefined), null);
+        });
+
+        it('accepts the requestable rules and rejects the rest', () => {
+            assert.equal(assertVersionBump(undefined), BUMPS.AUTO);
+            for (const bump of [BUMPS.MAJOR, BUMPS.MINOR, BUMPS.PATCH, BUMPS.AUTO]) assert.equal(assertVersionBump(bump), bump);
+            assert.throws(() => assertVersionBump('none'), error => error.code === 'PCF-SYS-007');
+            assert.throws(() => assertVersionBump('huge'), error => error.code === 'PCF-SYS-007' && error.details.versionBump === 'huge');
+        });
+    });
+
+    describe('inferVersionBump', () => {
+        const storeDir = newStore();
+        generate(SPEC, storeDir);
+        const previous = JSON.parse(fs.readFileSync(path.join(storeDir, 'Contoso.Controls.StarRating.json'), 'utf8')).generations[0];
+
+        it('keeps the version without a previous generation or for an identical spec', () => {
+            assert.equal(inferVersionBump(null, SPEC).bump, BUMPS.NONE);
+            assert.equal(inferVersionBump(previous, { ...SPEC, version: '9.9.9' }).bump, BUMPS.NONE);
+        });
+
+        it('infers major for a removed property, a type or usage change and a newly required property', () => {
+            assert.equal(inferVersionBump(previous, withProperties([SPEC.properties[0]])).bump, BUMPS.MAJOR);
+            assert.equal(inferVersionBump(previous, withProperties([
+                { ...SPEC.properties[0], ofType: 'Decimal' }, SPEC.properties[1]
+            ])).bump, BUMPS.MAJOR);
+            assert.equal(inferVersionBump(previous, withProperties([
+                SPEC.properties[0], { ...SPEC.properties[1], usage: 'bound' }
+            ])).bump, BUMPS.MAJOR);
+            assert.equal(inferVersionBump(previous, withProperties([
+                SPEC.properties[0], { ...SPEC.properties[1], required: true }
+            ])).bump, BUMPS.MAJOR);
+        });
+
+        it('infers minor for an added property', () => {
+            const { bump, reasons } = inferVersionBump(previous, withProperties([
+                ...SPEC.properties, { name: 'readOnly', ofType: 'TwoOptions', usage: 'input' }
+            ]));
+            assert.equal(bump, BUMPS.MINOR);
+            assert.deepEqual(reasons, [{ bump: BUMPS.MINOR, change: "property 'readOnly' added" }]);
+        });
+
+        it('infers patch for a change outside the interface or a property becoming optional', () => {
+            assert.equal(inferVersionBump(previous, { ...SPEC, description: 'Five-star rating' }).bump, BUMPS.PATCH);
+            assert.equal(inferVersionBump(previous, withProperties([
+                { ...SPEC.properties[0], required: false }, SPEC.properties[1]
+            ])).bump, BUMPS.PATCH);
+        });
+
+        it('takes the highest rule when several changes apply', () => {
+            const { bump, reasons } = inferVersionBump(previous, withProperties([
+                { name: 'score', ofType: 'Whole.None', usage: 'bound' }
+            ], { description: 'Score' }));
+            assert.equal(bump, BUMPS.MAJOR);
+            assert.ok(reasons.some(reason => reason.bump === BUMPS.MINOR));
+        });
+    });
+
+    describe('generation history', () => {
+        it('starts at 1.0.0 and keeps the version for an unchanged regeneration', () => {
+            const storeDir = newStore();
+            assert.equal(generate(SPEC, storeDir).version, '1.0.0');
+            const again = generate(SPEC, storeDir);
+            assert.equal(again.version, '1.0.0');
+            assert.equal(again.previous, '1.0.0');
+            assert.equal(again.bump, BUMPS.NONE);
+        });
+
+        it('bumps by the inferred rule, then by the requested one', () => {
+            const storeDir = newStore();
+            generate(SPEC, storeDir);
+            assert.equal(generate({ ...SPEC, description: 'Changed' }, storeDir).version, '1.0.1');
+            assert.equal(generate(withProperties([...SPEC.properties, { name: 'color', ofType: 'SingleLine.Text', usage: 'input' }]), storeDir).version, '1.1.0');
+            const requested = generate(withProperties([...SPEC.properties, { name: 'color', ofType: 'SingleLine.Text', usage: 'input' }]), storeDir, BUMPS.MAJOR);
+            assert.equal(requested.version, '2.0.0');
+            assert.equal(requested.reasons[0].change, 'requested by caller');
+        });
+
+        it('lets a spec with a higher version win over the history', () => {
+            const storeDir = newStore();
+            generate(SPEC, storeDir);
+            assert.equal(generate({ ...SPEC, version: '3.0', description: 'Changed' }, storeDir).version, '3.0.0');
+        });
+
+        it('does not track versions when history is disabled', () => {
+            const versioning = resolveGenerationVersion({ ...SPEC, version: '1.4' }, { storeDir: null });
+            assert.equal(versioning.version, '1.4.0');
+            assert.equal(versioning.tracked, false);
+        });
+
+        it('refuses a history that cannot be parsed instead of restarting at 1.0.0', () => {
+            const storeDir = newStore();
+            fs.mkdirSync(storeDir);
+            fs.writeFileSync(path.join(storeDir, 'Contoso.Controls.StarRating.json'), '{ broken');
+            assert.throws(() => resolveGenerationVersion(SPEC, { storeDir }), error => error.code === 'PCF-SYS-003');
+        });
+
+        it('rejects component names that are not valid identifiers', () => {
+            assert.throws(() => resolveGenerationVersion({ ...SPEC, componentName: '../evil' }, { storeDir: newStore() }));
+        });
+    });
+
+    describe('build history', () => {
+        it('counts build numbers per manifest version', () => {
+            const storeDir = newStore();
+            const first = reserveBuildVersion('Contoso.Controls', 'StarRating', '1.0', storeDir);
+            assert.equal(first.solutionVersion, '1.0.0.1');
+            recordBuild(first, {}, storeDir);
+            const second = reserveBuildVersion('Contoso.Controls', 'StarRating', '1.0.0', storeDir);
+            assert.equal(second.solutionVersion, '1.0.0.2');
+            recordBuild(second, {}, storeDir);
+            assert.equal(reserveBuildVersion('Contoso.Controls', 'StarRating', '1.1.0', storeDir).solutionVersion, '1.1.0.1');
+        });
+
+        it('never hands out a reserved build number again, even before the build is recorded', () => {
+            const storeDir = newStore();
+            const numbers = [1, 2, 3].map(() => reserveBuildVersion('Contoso.Controls', 'StarRating', '2.0.0', storeDir).buildNumber);
+            assert.deepEqual(numbers, [1, 2, 3]);
+
+            // A failed build (reserved, never recorded) leaves a gap instead of a duplicate
+            recordBuild({ component: 'Contoso.Controls.StarRating', version: '2.0.0', buildNumber: 3, solutionVersion: '2.0.0.3' }, {}, storeDir);
+            assert.equal(reserveBuildVersion('Contoso.Controls', 'StarRating', '2.0.0', storeDir).solutionVersion, '2.0.0.4');
+            assert.equal(reserveBuildVersion('Contoso.Controls', 'StarRating', '2.0.1', storeDir).solutionVersion, '2.0.1.1');
+        });
+
+        it('skips a number another build claimed after the reservations were read', () => {
+            const storeDir = newStore();
+            const dir = path.join(storeDir, 'Contoso.Controls.StarRating.builds');
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, '1.0.0.1'), '{}');
+            const readdir = mock.method(fs, 'readdirSync', () => []); // the claim lands between listing and creating
+            try {
+                assert.equal(reserveBuildVersion('Contoso.Controls', 'StarRating', '1.0.0', storeDir).buildNumber, 2);
+            } finally {
+                readdir.mock.restore();
+            }
+        });
+
+        it('always uses build number 1 when history is disabled', () => {
+            const versioning = reserveBuildVersion('Contoso.Controls', 'StarRating', 'not-a-version', null);
+            assert.equal(versioning.solutionVersion, '1.0.0.1');
+            assert.equal(versioning.tracked, false);
+        });
+    });
+});
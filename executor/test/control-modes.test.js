@@ -0,0 +1,68 @@
+/**
+ * Control Modes tests: resolving standard and virtual controls from the spec, and what generateFiles
+ * renders for each mode (manifest, platform libraries, control class, dependencies).
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { CONTROL_TYPES, PLATFORM_LIBRARIES, platformLibraries, resolveControlType } = require('../control-modes');
+const { generateFiles } = require('../file-generator');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+function render(controlType) {
+    const componentSpec = { ...INPUT.componentSpec, interaction: { ...INPUT.componentSpec.interaction, controlType } };
+    const result = generateFiles({ ...INPUT, componentSpec }, path.join(__dirname, 'unused-output'), TEMPLATES_DIR, { dryRun: true });
+    const content = file => result.files.find(f => f.path === file).content;
+    return { result, manifest: content('ControlManifest.Input.xml'), index: content('index.ts'), packageJson: JSON.parse(content('package.json')) };
+}
+
+describe('control-modes', () => {
+    it('resolves the control type from the spec interaction', () => {
+        const withType = controlType => resolveControlType({ interaction: { controlType } });
+        assert.equal(withType('virtual'), CONTROL_TYPES.VIRTUAL);
+        assert.equal(withType('react'), CONTROL_TYPES.VIRTUAL);
+        assert.equal(withType('standard'), CONTROL_TYPES.STANDARD);
+        assert.equal(withType('Virtual'), CONTROL_TYPES.STANDARD);
+        assert.equal(resolveControlType({}), CONTROL_TYPES.STANDARD);
+        assert.equal(resolveControlType(undefined), CONTROL_TYPES.STANDARD);
+    });
+
+    it('requests the platform libraries for virtual controls only', () => {
+        assert.deepEqual(platformLibraries(CONTROL_TYPES.VIRTUAL), PLATFORM_LIBRARIES);
+        assert.deepEqual(platformLibraries(CONTROL_TYPES.STANDARD), []);
+        assert.ok(Object.isFrozen(PLATFORM_LIBRARIES[0]));
+    });
+
+    describe('generateFiles', () => {
+        before(() => mock.method(console, 'log', () => {}));
+
+        after(() => mock.restoreAll());
+
+        it('renders a standard control that bundles its own React', () => {
+            const { result, manifest, index, packageJson } = render(undefined);
+            assert.match(manifest, /control-type="standard"/);
+            assert.doesNotMatch(manifest, /<platform-library/);
+            assert.match(index, /implements ComponentFramework\.StandardControl</);
+            assert.ok(packageJson.dependencies['react-dom']);
+            assert.equal(result.verification.status, 'passed');
+        });
+
+        it('renders a virtual control on the platform React and Fluent', () => {
+            const { result, manifest, index, packageJson } = render('virtual');
+            assert.match(manifest, /control-type="virtual"/);
+            for (const library of PLATFORM_LIBRARIES) {
+                assert.match(manifest, new RegExp(`<platform-library name="${library.name}" version="${library.version.replace(/\./g, '\\.')}" />`));
+            }
+            assert.match(index, /implements ComponentFramework\.ReactControl</);
+            assert.equal(packageJson.dependencies.react, '16.14.0');
+            assert.equal(packageJson.dependencies['react-dom'], undefined);
+            assert.equal(result.verification.status, 'passed');
+            assert.ok(result.verification.checks.some(check => check.id === 'manifest:platform-library:Fluent' && check.status === 'pass'));
+        });
+    });
+});
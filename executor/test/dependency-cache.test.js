@@ -0,0 +1,182 @@
+/**
+ * Dependency Cache tests: key stability, store miss then hit, the private hard-linked node_modules,
+ * and entry updates that never expose a partial entry.json or remove an existing entry.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+const { dependencyKey, installDependencies, resolveCacheConfig } = require('../dependency-cache');
+
+const PACKAGE_JSON = {
+    name: 'star-rating',
+    version: '1.0.0',
+    dependencies: { react: '16.14.0' },
+    devDependencies: { 'pcf-scripts': '^1', typescript: '^4.9' }
+};
+
+/** Stands in for npm install: writes a package and a .bin link, and records every call. */
+function fakeRunner() {
+    const calls = [];
+    return {
+        calls,
+        async run(command, args, cwd) {
+            calls.push({ command, args, cwd });
+            const packageDir = path.join(cwd, 'node_modules', 'left-pad');
+            fs.mkdirSync(packageDir, { recursive: true });
+            fs.writeFileSync(path.join(packageDir, 'index.js'), 'module.exports = 1;');
+            fs.mkdirSync(path.join(cwd, 'node_modules', '.bin'), { recursive: true });
+            fs.symlinkSync('../left-pad/index.js', path.join(cwd, 'node_modules', '.bin', 'left-pad'));
+            fs.writeFileSync(path.join(cwd, 'package-lock.json'), '{}');
+            return { exitCode: 0 };
+        }
+    };
+}
+
+describe('dependency-cache', () => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-cache-'));
+    const storeDir = path.join(sandbox, 'store');
+    const config = { storeDir, npmCache: null, offline: false };
+
+    function workingDir(name, packageJson = PACKAGE_JSON) {
+        const dir = path.join(sandbox, name);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(packageJson, null, 2));
+        return dir;
+    }
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    describe('dependencyKey', () => {
+        it('ignores key order and fields that do not affect the install', () => {
+            const reordered = {
+                devDependencies: { typescript: '^4.9', 'pcf-scripts': '^1' },
+                dependencies: { react: '16.14.0' },
+                name: 'other-control',
+                version: '2.0.0',
+                scripts: { build: 'pcf-scripts build' }
+            };
+            assert.equal(dependencyKey(reordered), dependencyKey(PACKAGE_JSON));
+        });
+
+        it('changes with any dependency section', () => {
+            const key = dependencyKey(PACKAGE_JSON);
+            assert.notEqual(dependencyKey({ ...PACKAGE_JSON, dependencies: { react: '17.0.0' } }), key);
+            assert.notEqual(dependencyKey({ ...PACKAGE_JSON, overrides: { react: '16.14.0' } }), key);
+            assert.notEqual(dependencyKey({ ...PACKAGE_JSON, optionalDependencies: { fsevents: '*' } }), key);
+        });
+    });
+
+    describe('resolveCacheConfig', () => {
+        it('reads the store, npm cache and offline switch from the environment', () => {
+            const resolved = resolveCacheConfig({ EXECUTOR_DEPENDENCY_STORE: storeDir, EXECUTOR_NPM_CACHE: 'npm-cache', EXECUTOR_NPM_OFFLINE: '1' });
+            assert.deepEqual(resolved, { storeDir, npmCache: path.resolve('npm-cache'), offline: true });
+        });
+
+        it('disables the store with off', () => {
+            assert.equal(resolveCacheConfig({ EXECUTOR_DEPENDENCY_STORE: 'off' }).storeDir, null);
+        });
+    });
+
+    describe('installDependencies', () => {
+        it('installs and stores on a miss', async () => {
+            const runner = fakeRunner();
+            const dir = workingDir('first');
+            const result = await installDependencies(dir, runner, config);
+
+            assert.equal(result.status, 'miss');
+            assert.equal(result.stored, true);
+            assert.deepEqual(runner.calls, [{ command: 'npm', args: ['install'], cwd: dir }]);
+            assert.ok(fs.existsSync(path.join(storeDir, result.key, 'node_modules', 'left-pad', 'index.js')));
+            assert.ok(fs.existsSync(path.join(storeDir, result.key, 'entry.json')));
+        });
+
+        it('skips npm install on a hit and builds a private tree of hard links', async () => {
+            const runner = fakeRunner();
+            const dir = workingDir('second');
+            const result = await installDependencies(dir, runner, config);
+            const nodeModules = path.join(dir, 'node_modules');
+
+            assert.equal(result.status, 'hit');
+            assert.equal(runner.calls.length, 0);
+            assert.ok(fs.lstatSync(nodeModules).isDirectory());
+            assert.equal(fs.statSync(path.join(nodeModules, 'left-pad', 'index.js')).nlink, 2);
+            assert.equal(fs.readlinkSync(path.join(nodeModules, '.bin', 'left-pad')), '../left-pad/index.js');
+            assert.ok(fs.existsSync(path.join(dir, 'package-lock.json')));
+            assert.equal(JSON.parse(fs.readFileSync(path.join(result.entryDir, 'entry.json'), 'utf8')).hits, 1);
+        });
+
+        it('replaces entry.json by rename when recording a hit', async () => {
+            const entryFile = path.join(storeDir, dependencyKey(PACKAGE_JSON), 'entry.json');
+            const before = fs.statSync(entryFile).ino;
+            await installDependencies(workingDir('hit-again'), fakeRunner(), config);
+
+            assert.notEqual(fs.statSync(entryFile).ino, before);
+            assert.equal(JSON.parse(fs.readFileSync(entryFile, 'utf8')).hits, 2);
+            assert.deepEqual(fs.readdirSync(path.dirname(entryFile)).sort(), ['entry.json', 'node_modules', 'package-lock.json']);
+        });
+
+        it('keeps files a build writes into node_modules out of the store entry', async () => {
+            const dir = workingDir('third');
+            const result = await installDependencies(dir, fakeRunner(), config);
+            fs.mkdirSync(path.join(dir, 'node_modules', '.cache'));
+            fs.writeFileSync(path.join(dir, 'node_modules', '.cache', 'webpack.json'), '{}');
+
+            assert.equal(fs.existsSync(path.join(result.entryDir, 'node_modules', '.cache')), false);
+        });
+
+        it('replaces a node_modules link left by an earlier build', async () => {
+            const dir = workingDir('fourth');
+            const key = dependencyKey(PACKAGE_JSON);
+            fs.symlinkSync(path.join(storeDir, key, 'node_modules'), path.join(dir, 'node_modules'));
+            await installDependencies(dir, fakeRunner(), config);
+
+            assert.equal(fs.lstatSync(path.join(dir, 'node_modules')).isSymbolicLink(), false);
+        });
+
+        it('leaves an existing incomplete entry directory in place on a miss', async () => {
+            const packageJson = { ...PACKAGE_JSON, dependencies: { react: '18.2.0' } };
+            const entryDir = path.join(storeDir, dependencyKey(packageJson));
+            fs.mkdirSync(entryDir, { recursive: true });
+            fs.writeFileSync(path.join(entryDir, 'entry.json'), '{"key":"being pre-populated"}');
+
+            const runner = fakeRunner();
+            const result = await installDependencies(workingDir('incomplete', packageJson), runner, config);
+            assert.equal(result.status, 'miss');
+            assert.equal(result.stored, false);
+            assert.equal(runner.calls.length, 1);
+            assert.deepEqual(fs.readdirSync(entryDir), ['entry.json']);
+            assert.ok(!fs.readdirSync(storeDir).some(name => name.includes('.staging-')));
+        });
+
+        it('misses for a different dependency set', async () => {
+            const runner = fakeRunner();
+            const result = await installDependencies(workingDir('other', { ...PACKAGE_JSON, dependencies: { react: '17.0.0' } }), runner, config);
+            assert.equal(result.status, 'miss');
+            assert.equal(runner.calls.length, 1);
+        });
+
+        it('passes the npm cache and offline flags to npm install', async () => {
+            const runner = fakeRunner();
+            const npmCache = path.join(sandbox, 'npm-cache');
+            await installDependencies(workingDir('offline'), runner, { storeDir: null, npmCache, offline: true });
+            assert.deepEqual(runner.calls[0].args, ['install', '--cache', npmCache, '--offline']);
+
+            const preferOffline = fakeRunner();
+            const result = await installDependencies(workingDir('prefer-offline'), preferOffline, { storeDir: null, npmCache, offline: false });
+            assert.deepEqual(preferOffline.calls[0].args, ['install', '--cache', npmCache, '--prefer-offline']);
+            assert.equal(result.status, 'disabled');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Errors tests: the code catalog, category classes, the standard error response, brain file errors
+ * and library entry points rejecting with typed errors instead of exiting.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+const {
+    ERROR_CATALOG,
+    ExecutorError,
+    GenerationError,
+    LlmError,
+    SystemError,
+    createError,
+    toErrorResponse,
+    toExecutorError
+} = require('../errors');
+const { readBrainJson, readBrainText } = require('../brain-files');
+const { buildPcf } = require('../build-executor');
+const { interpretIntent } = require('../intent-interpreter');
+
+const ERROR_CODES_DOC = path.join(__dirname, '../../docs/reference/error-codes.md');
+
+describe('errors', () => {
+    it('catalogs exactly the codes of the error code reference', () => {
+        const documented = [...new Set(fs.readFileSync(ERROR_CODES_DOC, 'utf8').match(/PCF-[A-Z]+-\d{3}/g))].sort();
+        assert.deepEqual(Object.keys(ERROR_CATALOG).sort(), documented);
+    });
+
+    it('creates the category class for a code with the catalog texts', () => {
+        const cause = new Error('socket hang up');
+        const error = createError('PCF-LLM-004', 'Timed out after 30s', { stage: 'spec-generation', details: { ms: 30000 }, cause });
+
+        assert.ok(error instanceof LlmError);
+        assert.ok(error instanceof ExecutorError);
+        assert.equal(error.name, 'LlmError');
+        assert.equal(error.cause, cause);
+        assert.equal(error.retryable, true);
+        assert.equal(error.httpStatus, 504);
+        assert.deepEqual(error.toJSON(), {
+            code: 'PCF-LLM-004',
+            stage: 'spec-generation',
+            message: 'Timed out after 30s',
+            userMessage: 'Language model call timed out',
+            suggestion: 'Retry later',
+            retryable: true,
+            details: { ms: 30000 }
+        });
+
+        const generation = createError('PCF-GEN-002', 'Render failed', { userMessage: 'Template README.md.hbs is broken' });
+        assert.ok(generation instanceof GenerationError);
+        assert.equal(generation.userMessage, 'Template README.md.hbs is broken');
+        assert.equal(generation.retryable, false);
+        assert.equal(generation.httpStatus, 422);
+    });
+
+    it('wraps unknown errors as internal errors and keeps executor errors', () => {
+        const wrapped = toExecutorError(new TypeError('x is undefined'), 'file-generation');
+        assert.ok(wrapped instanceof SystemError);
+        assert.equal(wrapped.code, 'PCF-SYS-004');
+        assert.equal(wrapped.stage, 'file-generation');
+
+        const original = createError('PCF-SPEC-001', 'Bad name');
+        assert.equal(toExecutorError(original, 'spec-generation'), original);
+        assert.equal(original.stage, 'spec-generation');
+    });
+
+    it('builds the standard error response', () => {
+        const { httpStatus, body } = toErrorResponse(createError('PCF-SYS-008', 'Job not found'));
+        assert.equal(httpStatus, 404);
+        assert.equal(body.status, 'error');
+        assert.equal(body.error.code, 'PCF-SYS-008');
+        assert.equal(toErrorResponse('boom').body.error.message, 'boom');
+    });
+
+    describe('brain-files', () => {
+        const brainPath = fs.mkdtempSync(path.join(os.tmpdir(), 'errors-brain-'));
+
+        after(() => fs.rmSync(brainPath, { recursive: true, force: true }));
+
+        it('reports a missing brain file as PCF-SYS-001 and unparsable JSON as PCF-SYS-002', () => {
+            fs.writeFileSync(path.join(brainPath, 'broken.json'), '{ "a": ');
+            assert.equal(readBrainText(brainPath, 'broken.json'), '{ "a": ');
+            assert.throws(() => readBrainText(brainPath, 'missing.md'),
+                error => error.code === 'PCF-SYS-001' && error.details.file === 'missing.md' && error.cause.code === 'ENOENT');
+            assert.throws(() => readBrainJson(brainPath, 'broken.json'),
+                error => error.code === 'PCF-SYS-002' && /broken\.json/.test(error.message));
+        });
+    });
+
+    describe('library entry points', () => {
+        before(() => {
+            mock.method(console, 'log', () => {});
+            mock.method(console, 'error', () => {});
+            mock.method(process, 'exit', code => {
+                throw new Error(`process.exit(${code}) called`);
+            });
+        });
+
+        after(() => mock.restoreAll());
+
+        it('reject with typed errors instead of exiting', async () => {
+            const emptyBrain = fs.mkdtempSync(path.join(os.tmpdir(), 'errors-empty-'));
+            try {
+                await assert.rejects(interpretIntent('A star rating', emptyBrain, { mode: 'telepathy' }),
+                    error => error.code === 'PCF-SYS-007' && error.stage === 'intent-interpretation');
+                await assert.rejects(interpretIntent('A star rating', emptyBrain, { mode: 'rules' }),
+                    error => error.code === 'PCF-SYS-001' && error.details.file === 'intent/intent-mapping.rules.json');
+                await assert.rejects(buildPcf(path.join(emptyBrain, 'missing'), 'StarRating'),
+                    error => error.code === 'PCF-SYS-008' && error.httpStatus === 404);
+            } finally {
+                fs.rmSync(emptyBrain, { recursive: true, force: true });
+            }
+            assert.equal(process.exit.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * File Generator tests: the whole plan is validated before anything is written, output is staged and swapped in,
+ * and a failed swap restores the previous files.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { GenerationPlanError, generateFiles } = require('../file-generator');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'file-generator-'));
+
+function withSteps(steps) {
+    return { ...INPUT, fileGenerationPlan: { ...INPUT.fileGenerationPlan, steps } };
+}
+
+function snapshot(dir) {
+    return Object.fromEntries(fs.readdirSync(dir, { recursive: true })
+        .filter(name => fs.statSync(path.join(dir, name)).isFile())
+        .map(name => [name, fs.readFileSync(path.join(dir, name), 'utf8')]));
+}
+
+describe('file-generator', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    it('generates every planned file and the provenance manifest', () => {
+        const outputDir = path.join(sandbox, 'fresh');
+        const result = generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+
+        assert.equal(result.dryRun, false);
+        assert.equal(result.manifest, 'generation-manifest.json');
+        for (const file of result.files) {
+            assert.ok(fs.existsSync(path.join(outputDir, file.path)), file.path);
+            assert.match(file.sha256, /^[0-9a-f]{64}$/);
+        }
+        assert.ok(fs.existsSync(path.join(outputDir, 'generation-manifest.json')));
+        assert.deepEqual(fs.readdirSync(sandbox), ['fresh']);
+    });
+
+    it('reports every plan violation at once and writes nothing', () => {
+        const outputDir = path.join(sandbox, 'invalid');
+        const steps = [
+            ...INPUT.fileGenerationPlan.steps,
+            { order: 20, templateName: 'missing.hbs', outputPath: 'missing.txt' },
+            { order: 21, templateName: 'README.md.hbs', outputPath: 'readme.MD' },
+            { order: 22, templateName: 'README.md.hbs', outputPath: '../outside.md' },
+            { order: 23 }
+        ];
+
+        assert.throws(() => generateFiles(withSteps(steps), outputDir, TEMPLATES_DIR), error => {
+            assert.ok(error instanceof GenerationPlanError);
+            assert.equal(error.code, 'PCF-GEN-004');
+            assert.deepEqual(error.violations.map(v => [v.step, v.code]), [
+                [20, 'PCF-GEN-001'],
+                [21, 'PCF-GEN-004'],
+                [22, 'PCF-SYS-005'],
+                [23, 'PCF-GEN-004']
+            ]);
+            return true;
+        });
+        assert.equal(fs.existsSync(outputDir), false);
+    });
+
+    it('rejects input without a spec or plan', () => {
+        assert.throws(() => generateFiles({ componentSpec: INPUT.componentSpec }, path.join(sandbox, 'x'), TEMPLATES_DIR),
+            error => error.code === 'PCF-GEN-004' && error.violations[0].field === 'input');
+    });
+
+    it('keeps unrelated files of an existing output directory', () => {
+        const outputDir = path.join(sandbox, 'existing');
+        generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+        fs.mkdirSync(path.join(outputDir, 'node_modules'));
+        fs.writeFileSync(path.join(outputDir, 'node_modules', 'keep.js'), '1');
+
+        generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+        assert.ok(fs.existsSync(path.join(outputDir, 'node_modules', 'keep.js')));
+    });
+
+    it('restores the previous files when the swap fails midway', () => {
+        const outputDir = path.join(sandbox, 'rollback');
+        generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+        const before = snapshot(outputDir);
+
+        const rename = fs.renameSync;
+        let staged = 0;
+        const renameMock = mock.method(fs, 'renameSync', (from, to) => {
+            if (String(from).includes('.staging-') && !String(from).includes('.backup') && ++staged === 3) {
+                throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+            }
+            return rename(from, to);
+        });
+        const changed = { ...INPUT, componentSpec: { ...INPUT.componentSpec, description: 'Rate products with stars' } };
+        try {
+            assert.throws(() => generateFiles(changed, outputDir, TEMPLATES_DIR), error => error.code === 'PCF-SYS-004' && /disk full/.test(error.message));
+        } finally {
+            renameMock.mock.restore();
+        }
+
+        assert.deepEqual(snapshot(outputDir), before);
+        assert.deepEqual(fs.readdirSync(sandbox).filter(name => name.includes('.staging-')), []);
+    });
+});
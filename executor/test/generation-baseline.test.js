@@ -0,0 +1,95 @@
+/**
+ * Generation Baseline tests: regeneration keeps, merges, overwrites or reports conflicts for hand-edited files.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { generateFiles } = require('../file-generator');
+const { BASELINE_DIR, CONFLICT_REPORT_FILE } = require('../generation-baseline');
+const { MARKERS } = require('../three-way-merge');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+const withSpec = changes => ({ ...INPUT, componentSpec: { ...INPUT.componentSpec, ...changes } });
+
+describe('generation-baseline', () => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-baseline-'));
+    let outputDir;
+    let readme;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    function freshOutput(name) {
+        outputDir = path.join(sandbox, name);
+        readme = path.join(outputDir, 'README.md');
+        generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+    }
+
+    const mergeOf = (result, file) => result.files.find(f => f.path === file).merge;
+
+    it('stores the rendered files as the baseline', () => {
+        freshOutput('baseline');
+        assert.equal(fs.readFileSync(path.join(outputDir, BASELINE_DIR, 'README.md'), 'utf8'), fs.readFileSync(readme, 'utf8'));
+    });
+
+    it('keeps hand edits when the render is unchanged', () => {
+        freshOutput('kept');
+        fs.appendFileSync(readme, '\nHand-written notes\n');
+        const edited = fs.readFileSync(readme, 'utf8');
+
+        const result = generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+        assert.equal(mergeOf(result, 'README.md'), 'kept');
+        assert.deepEqual(result.merge.kept, ['README.md']);
+        assert.equal(fs.readFileSync(readme, 'utf8'), edited);
+    });
+
+    it('merges hand edits with a changed render', () => {
+        freshOutput('merged');
+        fs.appendFileSync(readme, '\nHand-written notes\n');
+
+        const result = generateFiles(withSpec({ displayName: 'Product Rating' }), outputDir, TEMPLATES_DIR);
+        assert.equal(mergeOf(result, 'README.md'), 'merged');
+        const content = fs.readFileSync(readme, 'utf8');
+        assert.ok(content.startsWith('# Product Rating\n'));
+        assert.ok(content.endsWith('Hand-written notes\n'));
+    });
+
+    it('writes markers and a conflict report for overlapping edits, and clears the report once resolved', () => {
+        freshOutput('conflict');
+        fs.writeFileSync(readme, fs.readFileSync(readme, 'utf8').replace('Rate things with stars', 'My own description'));
+
+        const result = generateFiles(withSpec({ description: 'Rate products with stars' }), outputDir, TEMPLATES_DIR);
+        assert.equal(mergeOf(result, 'README.md'), 'conflict');
+        assert.ok(fs.readFileSync(readme, 'utf8').includes(`${MARKERS.edited}\nMy own description\n`));
+        const report = JSON.parse(fs.readFileSync(path.join(outputDir, CONFLICT_REPORT_FILE), 'utf8'));
+        assert.deepEqual(report.conflicts.map(conflict => conflict.path), ['README.md']);
+
+        generateFiles(withSpec({ description: 'Rate products with stars' }), outputDir, TEMPLATES_DIR, { overwrite: true });
+        assert.ok(!fs.readFileSync(readme, 'utf8').includes(MARKERS.edited));
+        assert.equal(fs.existsSync(path.join(outputDir, CONFLICT_REPORT_FILE)), false);
+    });
+
+    it('overwrites edited files that have no baseline', () => {
+        freshOutput('overwritten');
+        fs.rmSync(path.join(outputDir, BASELINE_DIR), { recursive: true });
+        fs.appendFileSync(readme, '\nHand-written notes\n');
+
+        const result = generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+        assert.deepEqual(result.merge.overwritten, ['README.md']);
+        assert.ok(!fs.readFileSync(readme, 'utf8').includes('Hand-written notes'));
+    });
+});
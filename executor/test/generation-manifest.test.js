@@ -0,0 +1,153 @@
+/**
+ * Generation Manifest tests: provenance hashes, tamper detection in working directories and ZIPs,
+ * template drift, build outputs and recorded build artifacts.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { generateFiles } = require('../file-generator');
+const {
+    MANIFEST_FILE,
+    hashComponentSpec,
+    recordArtifact,
+    recordBuildOutputs,
+    unchangedGeneratedFiles,
+    verifyGenerationManifest
+} = require('../generation-manifest');
+const { writeZip } = require('../zip-archive');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-manifest-'));
+
+function generate(name) {
+    const outputDir = path.join(sandbox, name);
+    generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+    return outputDir;
+}
+
+const byStatus = (report, status) => report.checks.filter(check => check.status === status).map(check => check.id);
+
+function zipDirectory(dir, prefix) {
+    const entries = fs.readdirSync(dir, { recursive: true })
+        .filter(name => fs.statSync(path.join(dir, name)).isFile())
+        .map(name => ({ name: `${prefix}${name.split(path.sep).join('/')}`, data: fs.readFileSync(path.join(dir, name)) }));
+    return writeZip(entries);
+}
+
+describe('generation-manifest', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    it('hashes specs independently of key order', () => {
+        assert.equal(hashComponentSpec({ a: 1, b: { c: [1, 2], d: 'x' } }), hashComponentSpec({ b: { d: 'x', c: [1, 2] }, a: 1 }));
+        assert.notEqual(hashComponentSpec({ a: 1 }), hashComponentSpec({ a: 2 }));
+    });
+
+    it('records the spec, templates and every generated file', () => {
+        const outputDir = generate('record');
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+
+        assert.equal(manifest.componentSpec.sha256, hashComponentSpec(INPUT.componentSpec));
+        assert.equal(manifest.brain.version, require('../../ai-brain/version.json').version);
+        assert.equal(manifest.files.length, INPUT.fileGenerationPlan.steps.length);
+        assert.ok(manifest.templates.every(template => /^[0-9a-f]{64}$/.test(template.sha256)));
+    });
+
+    it('passes an untouched working directory and the spec it was generated from', () => {
+        const outputDir = generate('untouched');
+        fs.mkdirSync(path.join(outputDir, 'node_modules'));
+        fs.writeFileSync(path.join(outputDir, 'node_modules', 'x.js'), '');
+
+        const report = verifyGenerationManifest(outputDir, { templatesDir: TEMPLATES_DIR, componentSpec: INPUT.componentSpec });
+        assert.equal(report.status, 'passed');
+        assert.deepEqual(byStatus(report, 'warn'), []);
+        assert.equal(report.manifest.componentSpec.componentName, 'StarRating');
+    });
+
+    it('detects edited, removed and added files and a different spec', () => {
+        const outputDir = generate('tampered');
+        fs.appendFileSync(path.join(outputDir, 'index.ts'), '\n// patched\n');
+        fs.rmSync(path.join(outputDir, 'README.md'));
+        fs.writeFileSync(path.join(outputDir, 'extra.js'), '');
+
+        const spec = { ...INPUT.componentSpec, description: 'Something else' };
+        const report = verifyGenerationManifest(outputDir, { componentSpec: spec });
+        assert.equal(report.status, 'failed');
+        assert.deepEqual(byStatus(report, 'fail'), ['file:index.ts', 'file:README.md', 'spec']);
+        assert.deepEqual(byStatus(report, 'warn'), ['untracked:extra.js']);
+        assert.match(report.checks.find(check => check.id === 'file:index.ts').message, /^Modified after generation/);
+    });
+
+    it('warns about templates changed since generation', () => {
+        const brainDir = path.join(sandbox, 'brain');
+        fs.cpSync(path.dirname(TEMPLATES_DIR), brainDir, { recursive: true, filter: source => !source.includes('test-cases') });
+        const outputDir = generate('drift');
+        fs.appendFileSync(path.join(brainDir, 'templates', 'README.md.hbs'), '\nMore docs\n');
+
+        const report = verifyGenerationManifest(outputDir, { templatesDir: path.join(brainDir, 'templates') });
+        assert.equal(report.status, 'passed');
+        assert.deepEqual(byStatus(report, 'warn'), ['template:README.md.hbs']);
+    });
+
+    it('accepts generated files the build rewrote, but not later edits', () => {
+        const outputDir = generate('rebuilt');
+        const unchanged = unchangedGeneratedFiles(outputDir, ['package.json', 'missing.json']);
+        assert.deepEqual(unchanged, ['package.json']);
+
+        fs.appendFileSync(path.join(outputDir, 'package.json'), ' ');
+        assert.deepEqual(recordBuildOutputs(outputDir, unchanged), ['package.json']);
+        const report = verifyGenerationManifest(outputDir);
+        assert.equal(report.status, 'passed');
+        assert.equal(report.checks.find(check => check.id === 'file:package.json').message, 'Rewritten by the build');
+
+        fs.appendFileSync(path.join(outputDir, 'package.json'), ' ');
+        assert.deepEqual(byStatus(verifyGenerationManifest(outputDir), 'fail'), ['file:package.json']);
+    });
+
+    it('verifies a source ZIP with the manifest in a subfolder', () => {
+        const outputDir = generate('zipped');
+        const zipPath = path.join(sandbox, 'sources.zip');
+        fs.writeFileSync(zipPath, zipDirectory(outputDir, 'StarRating/'));
+        const report = verifyGenerationManifest(zipPath);
+        assert.equal(report.kind, 'zip');
+        assert.equal(report.status, 'passed');
+
+        fs.appendFileSync(path.join(outputDir, 'index.ts'), '// patched\n');
+        fs.writeFileSync(zipPath, zipDirectory(outputDir, 'StarRating/'));
+        assert.deepEqual(byStatus(verifyGenerationManifest(zipPath), 'fail'), ['file:index.ts']);
+    });
+
+    it('verifies a solution ZIP against the artifact recorded in the manifest next to it', () => {
+        const outputDir = generate('artifact');
+        const zipPath = path.join(outputDir, 'StarRatingSolution.zip');
+        fs.writeFileSync(zipPath, writeZip([{ name: 'solution.xml', data: '<ImportExportXml />' }]));
+
+        assert.equal(recordArtifact(outputDir, zipPath), true);
+        assert.equal(verifyGenerationManifest(outputDir).status, 'passed');
+        assert.deepEqual(byStatus(verifyGenerationManifest(zipPath), 'pass'), ['artifact:StarRatingSolution.zip']);
+
+        fs.writeFileSync(zipPath, writeZip([{ name: 'solution.xml', data: '<ImportExportXml version="2" />' }]));
+        assert.deepEqual(byStatus(verifyGenerationManifest(zipPath), 'fail'), ['artifact:StarRatingSolution.zip']);
+        assert.deepEqual(byStatus(verifyGenerationManifest(outputDir), 'fail'), ['artifact:StarRatingSolution.zip']);
+    });
+
+    it('fails a target without a manifest', () => {
+        const dir = fs.mkdtempSync(path.join(sandbox, 'empty-'));
+        assert.deepEqual(byStatus(verifyGenerationManifest(dir), 'fail'), ['manifest:present']);
+        assert.equal(recordArtifact(dir, path.join(dir, 'x.zip')), false);
+    });
+});
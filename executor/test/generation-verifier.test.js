@@ -0,0 +1,149 @@
+/**
+ * Generation Verifier tests: the XML well-formedness parser and the manifest, resource, JSON and export checks.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { parseXml, verifyGeneratedSources } = require('../generation-verifier');
+
+const SPEC = {
+    namespace: 'Contoso',
+    componentName: 'StarRating',
+    properties: [
+        { name: 'value', dataType: 'Whole.None', usage: 'bound' },
+        { name: 'disabled', dataType: 'TwoOptions', usage: 'input' }
+    ]
+};
+
+function manifest({ control = 'namespace="Contoso" constructor="StarRating" version="1.0.0"', body } = {}) {
+    return `<?xml version="1.0" encoding="utf-8" ?>
+<manifest>
+  <control ${control}>
+    ${body !== undefined ? body : `<property name="value" of-type="Whole.None" usage="bound" />
+    <property name="disabled" of-type="TwoOptions" usage="input" />`}
+    <resources>
+      <code path="index.ts" order="1" />
+      <css path="css/StarRating.css" order="1" />
+    </resources>
+  </control>
+</manifest>`;
+}
+
+function sources(overrides = {}) {
+    const files = {
+        'ControlManifest.Input.xml': manifest(),
+        'package.json': '{ "name": "star-rating" }',
+        'tsconfig.json': '{}',
+        'index.ts': 'export class StarRating implements ComponentFramework.StandardControl<IInputs, IOutputs> {}',
+        'css/StarRating.css': '.star {}',
+        ...overrides
+    };
+    return Object.entries(files).filter(([, content]) => content !== null).map(([file, content]) => ({ path: file, content }));
+}
+
+const failures = report => report.checks.filter(c => c.status === 'fail').map(c => c.id);
+const warnings = report => report.checks.filter(c => c.status === 'warn').map(c => c.id);
+
+describe('generation-verifier', () => {
+    describe('parseXml', () => {
+        it('parses elements, attributes and entities', () => {
+            const root = parseXml('<?xml version="1.0"?><!-- c --><a x="1 &amp; 2"><b y=\'&#65;\'/>text &lt;</a>');
+            assert.equal(root.name, 'a');
+            assert.equal(root.attributes.x, '1 & 2');
+            assert.equal(root.children[0].attributes.y, 'A');
+        });
+
+        it('rejects documents that are not well-formed', () => {
+            for (const [xml, message] of [
+                ['<a><b></a>', /Unexpected <\/a>.*expected <\/b>/],
+                ['<a>', /Unclosed element <a>/],
+                ['<a x="1" x="2"/>', /Duplicate attribute 'x'/],
+                ['<a>&nbsp;</a>', /Unknown entity '&nbsp;'/],
+                ['<a x="a & b"/>', /Unterminated entity/],
+                ['<a/><b/>', /Second root element <b>/],
+                ['<a x=1/>', /Malformed attributes/],
+                ['', /no root element/]
+            ]) {
+                assert.throws(() => parseXml(xml), message, xml);
+            }
+        });
+    });
+
+    describe('verifyGeneratedSources', () => {
+        it('passes sources that match the spec', () => {
+            const report = verifyGeneratedSources(SPEC, sources());
+            assert.equal(report.status, 'passed');
+            assert.deepEqual(report.summary, { passed: 11, failed: 0, warnings: 0 });
+        });
+
+        it('stops at a manifest that is missing or not well-formed', () => {
+            for (const content of [null, manifest().replace('</control>', '')]) {
+                const report = verifyGeneratedSources(SPEC, sources({ 'ControlManifest.Input.xml': content }));
+                assert.deepEqual(failures(report), ['manifest:parse']);
+                assert.equal(report.checks.length, 3);
+            }
+        });
+
+        it('compares the control and its properties with the spec', () => {
+            const report = verifyGeneratedSources({ ...SPEC, interaction: { controlType: 'virtual' } }, sources({
+                'ControlManifest.Input.xml': manifest({
+                    control: 'namespace="Fabrikam" constructor="StarRating"',
+                    body: `<property name="value" of-type="Whole" usage="bound" />
+    <property name="extra" of-type="SingleLine.Text" usage="input" />`
+                })
+            }));
+            assert.deepEqual(failures(report), [
+                'manifest:namespace',
+                'manifest:control-type',
+                'manifest:platform-library:React',
+                'manifest:platform-library:Fluent',
+                'manifest:property:value',
+                'manifest:property:disabled'
+            ]);
+            assert.deepEqual(warnings(report), ['manifest:property:extra']);
+            assert.match(report.checks.find(c => c.id === 'manifest:property:value').message, /invalid of-type 'Whole'/);
+        });
+
+        it('checks data sets and their property sets', () => {
+            const spec = {
+                ...SPEC,
+                dataSets: [{ name: 'items', propertySets: [{ name: 'title', dataType: 'SingleLine.Text', usage: 'bound' }, { name: 'score' }] }]
+            };
+            const body = `<property name="value" of-type="Whole.None" usage="bound" />
+    <property name="disabled" of-type="TwoOptions" usage="input" />
+    <data-set name="items"><property-set name="title" of-type="SingleLine.Text" usage="output" /></data-set>`;
+            const report = verifyGeneratedSources(spec, sources({ 'ControlManifest.Input.xml': manifest({ body }) }));
+            assert.deepEqual(failures(report), ['manifest:data-set:items']);
+            assert.match(report.checks.find(c => c.id === 'manifest:data-set:items').message,
+                /property set 'title': invalid usage 'output'; property set 'score' is not declared/);
+        });
+
+        it('checks resources, JSON files and the exported class', () => {
+            const files = sources({
+                'package.json': '{ "name": ',
+                'tsconfig.json': null,
+                'index.ts': 'export class Rating {}',
+                'css/StarRating.css': null
+            });
+            const report = verifyGeneratedSources(SPEC, files);
+            assert.deepEqual(failures(report), ['json:package.json', 'json:tsconfig.json', 'resource:css:css/StarRating.css', 'code:export']);
+        });
+
+        it('warns about a resource kept in the output directory instead of failing', () => {
+            const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-verifier-'));
+            try {
+                fs.mkdirSync(path.join(outputDir, 'css'));
+                fs.writeFileSync(path.join(outputDir, 'css', 'StarRating.css'), '');
+                const report = verifyGeneratedSources(SPEC, sources({ 'css/StarRating.css': null }), { outputDir });
+                assert.equal(report.status, 'passed');
+                assert.deepEqual(warnings(report), ['resource:css:css/StarRating.css']);
+            } finally {
+                fs.rmSync(outputDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
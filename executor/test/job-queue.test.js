@@ -0,0 +1,148 @@
+/**
+ * Job Queue tests: jobs run in worker processes, report their outcome, and dry runs return the preview;
+ * build logs are persisted and replayed from build-log.jsonl once the job has left memory.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+
+// ROOTS is read when the module loads; workers inherit the environment
+process.env.EXECUTOR_WORK_ROOTS = sandbox;
+process.env.EXECUTOR_VERSION_STORE = 'off';
+// Finished jobs leave memory right away, so log replay has to come from disk
+process.env.EXECUTOR_JOB_RETENTION_MS = '1';
+const {
+    JOB_STATES, enqueueJob, findBuildJob, followJobLogs, getJob, listJobs, readIntegerSetting, waitForJob
+} = require('../job-queue');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+function collectLogs(id, afterSeq = 0) {
+    return new Promise(resolve => {
+        const entries = [];
+        followJobLogs(id, { afterSeq, onEntry: entry => entries.push(entry), onEnd: snapshot => resolve({ entries, snapshot }) });
+    });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('job-queue', () => {
+    before(() => mock.method(console, 'log', () => {}));
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    it('queues a job and reports it by id', () => {
+        const job = enqueueJob('unknown', {});
+        assert.match(job.id, /^job_\d{14}_[0-9a-f]{6}$/);
+        assert.ok([JOB_STATES.QUEUED, JOB_STATES.RUNNING].includes(job.state));
+        assert.equal(getJob(job.id).type, 'unknown');
+        assert.ok(listJobs().some(listed => listed.id === job.id));
+        assert.equal(getJob('job_missing'), null);
+    });
+
+    it('fails a job the worker cannot run with a typed error', async () => {
+        const job = enqueueJob('unknown', {});
+        const finished = await waitForJob(job.id);
+        assert.equal(finished.state, JOB_STATES.FAILED);
+        assert.equal(finished.error.code, 'PCF-SYS-004');
+        assert.match(finished.error.message, /Unknown job type/);
+        assert.ok(finished.finishedAt);
+    });
+
+    it('renders a dry run in the worker and writes nothing', async () => {
+        const outputDir = path.join(sandbox, 'dry-run');
+        const job = enqueueJob('files', { inputJson: INPUT, outputDir, templatesDir: TEMPLATES_DIR, dryRun: true });
+        const finished = await waitForJob(job.id);
+
+        assert.equal(finished.state, JOB_STATES.SUCCEEDED, JSON.stringify(finished.error));
+        assert.equal(finished.result.dryRun, true);
+        assert.ok(finished.result.files.some(file => file.path === 'ControlManifest.Input.xml' && file.status === 'added'));
+        assert.equal(fs.existsSync(outputDir), false);
+    });
+
+    it('generates files in the worker', async () => {
+        const outputDir = path.join(sandbox, 'generated');
+        const finished = await waitForJob(enqueueJob('files', { inputJson: INPUT, outputDir, templatesDir: TEMPLATES_DIR }).id);
+
+        assert.equal(finished.state, JOB_STATES.SUCCEEDED, JSON.stringify(finished.error));
+        assert.equal(finished.result.outputDir, outputDir);
+        assert.ok(fs.existsSync(path.join(outputDir, 'ControlManifest.Input.xml')));
+    });
+
+    it('rejects waiting for an unknown job', async () => {
+        await assert.rejects(waitForJob('job_missing'), error => error.code === 'PCF-SYS-008');
+    });
+
+    describe('readIntegerSetting', () => {
+        it('reads positive integers and falls back when unset', () => {
+            assert.equal(readIntegerSetting('HEARTBEAT', 15000, {}), 15000);
+            assert.equal(readIntegerSetting('HEARTBEAT', 15000, { HEARTBEAT: '' }), 15000);
+            assert.equal(readIntegerSetting('HEARTBEAT', 15000, { HEARTBEAT: '500' }), 500);
+        });
+
+        it('rejects values that are not positive integers', () => {
+            for (const value of ['abc', '15s', '0', '-1', '1.5']) {
+                assert.throws(() => readIntegerSetting('HEARTBEAT', 15000, { HEARTBEAT: value }),
+                    error => error.code === 'PCF-SYS-003' && error.details.variable === 'HEARTBEAT');
+            }
+        });
+    });
+
+    describe('build logs', () => {
+        it('persists a build log with an end record and replays it after the job left memory', async () => {
+            const workingDir = path.join(sandbox, 'build-1');
+            fs.mkdirSync(workingDir);
+            const job = enqueueJob('build', { workingDir, componentName: 'StarRating' });
+            const finished = await waitForJob(job.id);
+            assert.equal(finished.state, JOB_STATES.FAILED);
+            await delay(20);
+            assert.equal(getJob(job.id), null);
+
+            const lines = fs.readFileSync(path.join(workingDir, 'build-log.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines[lines.length - 1].end.id, job.id);
+
+            const { entries, snapshot } = await collectLogs('build-1');
+            assert.equal(entries.length, lines.length - 1);
+            assert.deepEqual(entries.map(entry => entry.seq), entries.map((entry, i) => i + 1));
+            assert.ok(entries.some(entry => /ControlManifest\.Input\.xml not found/.test(entry.line)));
+            assert.equal(snapshot.id, job.id);
+            assert.equal(snapshot.error.code, 'PCF-PKG-001');
+            assert.equal(findBuildJob('build-1').id, job.id);
+        });
+
+        it('resumes a replay after the last seen entry', async () => {
+            const { entries } = await collectLogs('build-1', 3);
+            assert.equal(entries[0].seq, 4);
+        });
+
+        it('reports a log without an end record as an interrupted build', async () => {
+            const workingDir = path.join(sandbox, 'build-2');
+            fs.mkdirSync(workingDir);
+            const entry = { seq: 1, timestamp: '2026-01-01T00:00:00.000Z', step: 'STEP 2', stream: 'stdout', command: 'npm', line: 'installing' };
+            fs.writeFileSync(path.join(workingDir, 'build-log.jsonl'), `${JSON.stringify(entry)}\n{"seq":2,"line":"cut sh`);
+
+            const { entries, snapshot } = await collectLogs('build-2');
+            assert.deepEqual(entries, [entry]);
+            assert.equal(snapshot.state, JOB_STATES.FAILED);
+            assert.equal(snapshot.error.code, 'PCF-SYS-004');
+            assert.equal(snapshot.step, 'STEP 2');
+            assert.equal(snapshot.buildId, 'build-2');
+        });
+
+        it('only looks up build ids directly under a work root', () => {
+            assert.equal(findBuildJob('..'), null);
+            assert.equal(findBuildJob('build-1/../build-1'), null);
+            assert.equal(findBuildJob('missing'), null);
+            assert.throws(() => followJobLogs('missing', { onEntry() {}, onEnd() {} }), error => error.code === 'PCF-SYS-008');
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * LLM Provider tests: per-stage config precedence, numeric override validation and the file-backed fake provider.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, describe, it } = require('node:test');
+
+const { getLlmProvider, hashMessages, resolveLlmConfig } = require('../llm-provider');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-provider-'));
+const savedEnv = { ...process.env };
+
+function setEnv(values) {
+    Object.assign(process.env, values);
+}
+
+describe('llm-provider', () => {
+    afterEach(() => {
+        for (const key of Object.keys(process.env)) {
+            if (!(key in savedEnv)) delete process.env[key];
+        }
+        Object.assign(process.env, savedEnv);
+    });
+
+    after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    describe('resolveLlmConfig', () => {
+        it('applies defaults, the config file, then global and stage environment overrides', () => {
+            const configPath = path.join(sandbox, 'llm.json');
+            fs.writeFileSync(configPath, JSON.stringify({
+                default: { model: 'file-model', temperature: 0.5 },
+                stages: { spec: { model: 'spec-model', maxTokens: 4000 } }
+            }));
+            setEnv({ EXECUTOR_LLM_CONFIG: configPath, LLM_TEMPERATURE: '0.1', LLM_SPEC_MAX_ATTEMPTS: '5' });
+
+            const intent = resolveLlmConfig('intent');
+            assert.equal(intent.model, 'file-model');
+            assert.equal(intent.temperature, 0.1);
+            assert.equal(intent.maxAttempts, 3);
+
+            const spec = resolveLlmConfig('spec');
+            assert.equal(spec.model, 'spec-model');
+            assert.equal(spec.maxTokens, 4000);
+            assert.equal(spec.maxAttempts, 5);
+            assert.equal(spec.provider, 'openai');
+            assert.equal(spec.timeoutMs, 30000);
+        });
+
+        it('rejects numeric overrides that are not numbers', () => {
+            setEnv({ LLM_INTENT_TIMEOUT_MS: '30s' });
+            assert.throws(() => resolveLlmConfig('intent'),
+                error => error.code === 'PCF-SYS-003' && error.details.variable === 'LLM_INTENT_TIMEOUT_MS');
+            assert.equal(resolveLlmConfig('spec').timeoutMs, 30000);
+        });
+
+        it('rejects an unknown stage and an unreadable config file', () => {
+            assert.throws(() => resolveLlmConfig('build'), error => error.code === 'PCF-SYS-003');
+            const configPath = path.join(sandbox, 'broken.json');
+            fs.writeFileSync(configPath, '{ model: ');
+            setEnv({ EXECUTOR_LLM_CONFIG: configPath });
+            assert.throws(() => resolveLlmConfig('intent'), error => error.code === 'PCF-SYS-003');
+        });
+    });
+
+    describe('getLlmProvider', () => {
+        const messages = [{ role: 'system', content: 'rules' }, { role: 'user', content: 'a star rating' }];
+
+        it('replays the response recorded for the exact conversation, then the stage fallback', async () => {
+            const responsesDir = path.join(sandbox, 'responses');
+            fs.mkdirSync(path.join(responsesDir, 'intent'), { recursive: true });
+            fs.writeFileSync(path.join(responsesDir, 'intent', `${hashMessages(messages)}.json`), '{"exact":true}');
+            fs.writeFileSync(path.join(responsesDir, 'intent.json'), '{"fallback":true}');
+            setEnv({ LLM_PROVIDER: 'fake', LLM_FAKE_RESPONSES_DIR: responsesDir });
+
+            const llm = getLlmProvider('intent');
+            assert.equal(llm.config.provider, 'fake');
+            assert.equal(await llm.complete(messages), '{"exact":true}');
+            assert.equal(await llm.complete([{ role: 'user', content: 'other' }]), '{"fallback":true}');
+        });
+
+        it('fails with PCF-SYS-009 when no response was recorded', async () => {
+            setEnv({ LLM_PROVIDER: 'fake', LLM_FAKE_RESPONSES_DIR: path.join(sandbox, 'empty') });
+            await assert.rejects(getLlmProvider('spec').complete(messages),
+                error => error.code === 'PCF-SYS-009' && error.stage === 'llm-spec' && error.details.candidates.length === 2);
+        });
+
+        it('keys conversations by content', () => {
+            assert.equal(hashMessages(messages), hashMessages(JSON.parse(JSON.stringify(messages))));
+            assert.notEqual(hashMessages(messages), hashMessages([...messages, { role: 'user', content: 'more' }]));
+        });
+
+        it('rejects unknown providers and providers without credentials', () => {
+            setEnv({ LLM_PROVIDER: 'carrier-pigeon' });
+            assert.throws(() => getLlmProvider('intent'), error => error.code === 'PCF-SYS-003' && /carrier-pigeon/.test(error.message));
+
+            for (const key of ['OPENAI_API_KEY', 'GROK_API_KEY', 'XAI_API_KEY', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT']) delete process.env[key];
+            setEnv({ LLM_PROVIDER: 'openai' });
+            assert.throws(() => getLlmProvider('intent'), error => error.code === 'PCF-SYS-003');
+            setEnv({ LLM_PROVIDER: 'azure' });
+            assert.throws(() => getLlmProvider('intent'), error => error.code === 'PCF-SYS-003');
+            setEnv({ LLM_PROVIDER: 'fake' });
+            delete process.env.LLM_FAKE_RESPONSES_DIR;
+            assert.throws(() => getLlmProvider('intent'), error => error.code === 'PCF-SYS-003');
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * LLM Self-Repair tests: invalid output is fed back with its violations until it validates or the budget runs out.
+ */
+
+const assert = require('node:assert/strict');
+const { after, before, describe, it, mock } = require('node:test');
+
+const { completeWithRepair } = require('../llm-repair');
+const { SchemaValidationError } = require('../schema-validator');
+
+/** Provider that returns the scripted outputs in order and records each conversation it saw. */
+function scriptedLlm(outputs, maxAttempts = 3) {
+    const conversations = [];
+    return {
+        conversations,
+        config: { maxAttempts },
+        async complete(messages) {
+            conversations.push(messages);
+            return outputs[conversations.length - 1];
+        }
+    };
+}
+
+const validate = parsed => (parsed.version === '1.0' ? [] : [{ pointer: '/version', keyword: 'const', message: "must be '1.0'" }]);
+const MESSAGES = [{ role: 'system', content: 'contract' }, { role: 'user', content: 'spec please' }];
+
+describe('llm-repair', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => mock.restoreAll());
+
+    it('returns valid output from the first attempt', async () => {
+        const llm = scriptedLlm(['{"version":"1.0"}']);
+        const { result, attempts } = await completeWithRepair({ llm, messages: MESSAGES, validate, errorCode: 'PCF-SPEC-004', stage: 'spec-generation' });
+        assert.deepEqual(result, { version: '1.0' });
+        assert.equal(attempts.length, 1);
+        assert.equal(attempts[0].valid, true);
+    });
+
+    it('feeds parse errors and violations back to the model', async () => {
+        const llm = scriptedLlm(['not json', '{"version":"1.0.0"}', '{"version":"1.0"}']);
+        const { result, attempts } = await completeWithRepair({ llm, messages: MESSAGES, validate, errorCode: 'PCF-SPEC-004', stage: 'spec-generation' });
+
+        assert.deepEqual(result, { version: '1.0' });
+        assert.deepEqual(attempts.map(attempt => attempt.valid), [false, false, true]);
+        assert.equal(attempts[0].violations[0].keyword, 'parse');
+
+        const third = llm.conversations[2];
+        assert.equal(third.length, MESSAGES.length + 4);
+        assert.deepEqual(third[MESSAGES.length + 2], { role: 'assistant', content: '{"version":"1.0.0"}' });
+        assert.match(third[MESSAGES.length + 3].content, /\/version \(const\): must be '1\.0'/);
+        assert.equal(MESSAGES.length, 2, 'the caller\'s messages are not modified');
+    });
+
+    it('throws the last violations with every attempt once the budget is spent', async () => {
+        const llm = scriptedLlm(['{}', '{"version":"2"}'], 2);
+        await assert.rejects(
+            completeWithRepair({ llm, messages: MESSAGES, validate, errorCode: 'PCF-INT-004', stage: 'intent-interpretation' }),
+            error => {
+                assert.ok(error instanceof SchemaValidationError);
+                assert.equal(error.code, 'PCF-INT-004');
+                assert.equal(error.attempts.length, 2);
+                assert.equal(error.details.attempts[1].output, '{"version":"2"}');
+                return true;
+            });
+        assert.equal(llm.conversations.length, 2);
+    });
+
+    it('makes at least one attempt and truncates long outputs in the record', async () => {
+        const long = `{"version":"1.1","padding":"${'x'.repeat(5000)}"}`;
+        const llm = scriptedLlm([long], 0);
+        await assert.rejects(completeWithRepair({ llm, messages: MESSAGES, validate, errorCode: 'PCF-SPEC-004', stage: 'spec-generation' }),
+            error => error.attempts.length === 1 && error.attempts[0].output.length < long.length && error.attempts[0].output.endsWith('…'));
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Localization tests: language selection, translation fallback to the default language, spec validation
+ * and the per-language resx files generateFiles renders.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { generateFiles } = require('../file-generator');
+const { buildResxStrings, languageOutputPath, specLanguages, validateLocalizations } = require('../localization');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+const SPEC = {
+    displayName: 'Star Rating',
+    description: 'Rate things with stars',
+    properties: [{ name: 'value', displayName: 'Value', description: 'Current rating' }],
+    dataSets: [{ name: 'items', displayName: 'Items', propertySets: [{ name: 'title', displayName: 'Title' }] }],
+    localizations: {
+        1036: {
+            displayName: 'Notation',
+            properties: { value: { displayName: 'Valeur', description: '' } },
+            dataSets: { items: { propertySets: { title: { displayName: 'Titre' } } } }
+        },
+        1031: { description: 'Mit Sternen bewerten' }
+    }
+};
+
+const values = strings => Object.fromEntries(strings.map(entry => [entry.comment, entry.value]));
+
+describe('localization', () => {
+    it('lists the default language first, then the translations by LCID', () => {
+        assert.deepEqual(specLanguages(SPEC), [1033, 1031, 1036]);
+        assert.deepEqual(specLanguages({ ...SPEC, defaultLcid: 1036 }), [1036, 1031]);
+        assert.deepEqual(specLanguages({ displayName: 'X' }), [1033]);
+    });
+
+    it('uses the spec texts as keys and default-language values', () => {
+        const { strings, fallbacks } = buildResxStrings(SPEC, 1033);
+        assert.deepEqual(fallbacks, []);
+        assert.ok(strings.every(entry => entry.key === entry.value));
+        assert.equal(strings.length, 6);
+    });
+
+    it('falls back to the default-language text for each missing or empty translation', () => {
+        const { strings, fallbacks } = buildResxStrings(SPEC, 1036);
+        assert.deepEqual(values(strings), {
+            displayName: 'Notation',
+            description: 'Rate things with stars',
+            'properties.value.displayName': 'Valeur',
+            'properties.value.description': 'Current rating',
+            'dataSets.items.displayName': 'Items',
+            'dataSets.items.propertySets.title.displayName': 'Titre'
+        });
+        assert.deepEqual(fallbacks, ['description', 'properties.value.description', 'dataSets.items.displayName']);
+        assert.equal(strings.find(entry => entry.comment === 'displayName').key, 'Star Rating');
+    });
+
+    it('inserts the LCID before the extension', () => {
+        assert.equal(languageOutputPath('strings/StarRating.resx', 1036), 'strings/StarRating.1036.resx');
+        assert.equal(languageOutputPath('strings/Strings', 1036), 'strings/Strings.1036');
+    });
+
+    it('reports malformed LCIDs and translations of unknown fields', () => {
+        const problems = validateLocalizations({
+            ...SPEC,
+            defaultLcid: 'en',
+            localizations: {
+                fr: {},
+                1033: { displayName: 'Star Rating' },
+                1036: { properties: { rating: {} }, dataSets: { rows: {}, items: { propertySets: { score: {} } } } },
+                1031: 'Sterne'
+            }
+        });
+        assert.deepEqual(problems.map(problem => problem.field), [
+            'componentSpec.defaultLcid',
+            'componentSpec.localizations.1031',
+            'componentSpec.localizations.1033',
+            'componentSpec.localizations.1036.properties.rating',
+            'componentSpec.localizations.1036.dataSets.rows',
+            'componentSpec.localizations.1036.dataSets.items.propertySets.score',
+            'componentSpec.localizations.fr'
+        ]);
+        assert.deepEqual(validateLocalizations({ ...SPEC, localizations: [] }).map(problem => problem.field), ['componentSpec.localizations']);
+    });
+
+    describe('generateFiles', () => {
+        const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'localization-'));
+
+        before(() => mock.method(console, 'log', () => {}));
+
+        after(() => {
+            mock.restoreAll();
+            fs.rmSync(sandbox, { recursive: true, force: true });
+        });
+
+        it('renders one resx file per language and keeps a single file for an unlocalized spec', () => {
+            const resx = input => generateFiles(input, path.join(sandbox, 'out'), TEMPLATES_DIR, { dryRun: true }).files
+                .filter(file => file.path.endsWith('.resx'));
+
+            assert.deepEqual(resx(INPUT).map(file => file.path), ['strings/StarRating.resx']);
+
+            const localized = { ...INPUT, componentSpec: { ...INPUT.componentSpec, localizations: { 1036: { displayName: 'Notation' } } } };
+            const files = resx(localized);
+            assert.deepEqual(files.map(file => file.path), ['strings/StarRating.1033.resx', 'strings/StarRating.1036.resx']);
+            assert.match(files[1].content, /<data name="Star Rating"[^>]*>\s*<value>Notation<\/value>/);
+            assert.match(files[1].content, /<value>Rate things with stars<\/value>/);
+        });
+    });
+});
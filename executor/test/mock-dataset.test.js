@@ -0,0 +1,142 @@
+/**
+ * Mock DataSet tests: paging, sorting and filtering on refresh, selection and formatting as the preview
+ * harness uses them, and the data-set declarations generateFiles renders.
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { generateFiles } = require('../file-generator');
+const { FILTER_OPERATOR, SORT_DIRECTION, createMockDataSet, formatValue } = require('../mock-dataset');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+const COLUMNS = [
+    { name: 'title', dataType: 'SingleLine.Text' },
+    { name: 'score', dataType: 'Whole.None' },
+    { name: 'active', dataType: 'TwoOptions' }
+];
+const RECORDS = [
+    { title: 'Gamma', score: 3, active: true },
+    { title: 'alpha', score: 10, active: false },
+    { title: 'Beta', score: null, active: true },
+    { id: 'x', title: 'Delta', score: 7, active: true },
+    { title: 'Epsilon', score: 1, active: false }
+];
+
+function createDataSet(options = {}) {
+    const changes = [];
+    const dataset = createMockDataSet({ name: 'items', columns: COLUMNS, records: RECORDS, onChange: ds => changes.push(ds), ...options });
+    return { dataset, changes };
+}
+
+const titles = dataset => dataset.sortedRecordIds.map(id => dataset.records[id].getValue('title'));
+
+describe('mock-dataset', () => {
+    it('exposes records, columns and formatted values like the platform data set', () => {
+        const { dataset } = createDataSet();
+        assert.deepEqual(dataset.sortedRecordIds, ['1', '2', '3', 'x', '5']);
+        assert.deepEqual(dataset.columns.map(column => [column.name, column.isPrimary]), [['title', true], ['score', false], ['active', false]]);
+
+        const record = dataset.records.x;
+        assert.equal(record.getRecordId(), 'x');
+        assert.equal(record.getValue('missing'), null);
+        assert.equal(record.getFormattedValue('active'), 'Yes');
+        assert.deepEqual(record.getNamedReference(), { id: { guid: 'x' }, etn: 'items', name: 'Delta' });
+        assert.equal(dataset.records['3'].getFormattedValue('score'), '');
+    });
+
+    it('pages through the records and reports each page load', () => {
+        const { dataset, changes } = createDataSet({ pageSize: 2 });
+        assert.equal(dataset.paging.totalResultCount, 5);
+        assert.deepEqual(titles(dataset), ['Gamma', 'alpha']);
+        assert.equal(dataset.paging.hasPreviousPage, false);
+
+        dataset.paging.loadNextPage();
+        assert.deepEqual(titles(dataset), ['Beta', 'Delta']);
+        dataset.paging.loadExactPage(9);
+        assert.deepEqual(titles(dataset), ['Epsilon']);
+        assert.equal(dataset.paging.hasNextPage, false);
+        assert.equal(changes.length, 2);
+    });
+
+    it('applies sorting and filters on refresh, with empty values last', () => {
+        const { dataset, changes } = createDataSet();
+        dataset.sorting.push({ name: 'score', sortDirection: SORT_DIRECTION.DESCENDING });
+        assert.deepEqual(titles(dataset), ['Gamma', 'alpha', 'Beta', 'Delta', 'Epsilon']);
+
+        dataset.refresh();
+        assert.deepEqual(titles(dataset), ['alpha', 'Delta', 'Gamma', 'Epsilon', 'Beta']);
+
+        dataset.filtering.setFilter({
+            filterOperator: FILTER_OPERATOR.OR,
+            conditions: [
+                { attributeName: 'title', conditionOperator: 6, value: '%ta' },
+                { attributeName: 'score', conditionOperator: 2, value: 5 }
+            ]
+        });
+        dataset.refresh();
+        assert.deepEqual(titles(dataset), ['alpha', 'Delta', 'Beta']);
+
+        dataset.filtering.clearFilter();
+        dataset.sorting.length = 0;
+        dataset.refresh();
+        assert.deepEqual(titles(dataset), ['Gamma', 'alpha', 'Beta', 'Delta', 'Epsilon']);
+        assert.equal(changes.length, 3);
+    });
+
+    it('ignores condition operators it does not simulate', () => {
+        const { dataset } = createDataSet();
+        mock.method(console, 'warn', () => {});
+        try {
+            dataset.filtering.setFilter({ conditions: [{ attributeName: 'title', conditionOperator: 99, value: 'x' }] });
+            dataset.refresh();
+            assert.equal(console.warn.mock.callCount(), 5);
+        } finally {
+            console.warn.mock.restore();
+        }
+        assert.equal(dataset.paging.totalResultCount, 5);
+    });
+
+    it('selects known records only', () => {
+        const { dataset, changes } = createDataSet();
+        dataset.setSelectedRecordIds(['x', 2, 'unknown']);
+        assert.deepEqual(dataset.getSelectedRecordIds(), ['x', '2']);
+        dataset.clearSelectedRecordIds();
+        assert.deepEqual(dataset.getSelectedRecordIds(), []);
+        assert.equal(changes.length, 2);
+    });
+
+    it('formats values by column type', () => {
+        assert.equal(formatValue(false, 'TwoOptions'), 'No');
+        assert.equal(formatValue(['a', { name: 'b' }], 'MultiSelectOptionSet'), 'a, b');
+        assert.equal(formatValue({ id: 'guid', name: 'Contoso' }, 'Lookup.Simple'), 'Contoso');
+        assert.equal(formatValue(undefined, 'Whole.None'), '');
+    });
+
+    describe('generateFiles', () => {
+        before(() => mock.method(console, 'log', () => {}));
+
+        after(() => mock.restoreAll());
+
+        it('declares the spec data sets and their property sets in the manifest', () => {
+            const componentSpec = {
+                ...INPUT.componentSpec,
+                dataSets: [{
+                    name: 'items',
+                    displayName: 'Items',
+                    propertySets: [{ name: 'title', displayName: 'Title', dataType: 'SingleLine.Text', usage: 'bound' }]
+                }]
+            };
+            const result = generateFiles({ ...INPUT, componentSpec }, path.join(__dirname, 'unused-output'), TEMPLATES_DIR, { dryRun: true });
+            const manifest = result.files.find(file => file.path === 'ControlManifest.Input.xml').content;
+
+            assert.match(manifest, /<data-set name="items" display-name-key="Items">\s*<property-set name="title"[^>]*of-type="SingleLine.Text" usage="bound"/);
+            assert.equal(result.verification.status, 'passed');
+            assert.ok(result.verification.checks.some(check => check.id === 'manifest:data-set:items' && check.status === 'pass'));
+        });
+    });
+});
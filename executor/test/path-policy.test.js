@@ -0,0 +1,106 @@
+/**
+ * Path Policy tests: lexical escapes, symlink escapes and sibling-prefix roots.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'path-policy-'));
+const root = path.join(sandbox, 'pcf-build');
+const sibling = path.join(sandbox, 'pcf-build-evil');
+const outside = path.join(sandbox, 'outside');
+
+// ROOTS is read when the module loads
+process.env.EXECUTOR_WORK_ROOTS = root;
+const { PATH_POLICY_CODES, PathPolicyError, RESERVED_WORK_DIRS, resolveWithin, resolveSandboxedPath } = require('../path-policy');
+
+function assertRejected(fn, code) {
+    assert.throws(fn, error => error instanceof PathPolicyError && error.code === code);
+}
+
+describe('path-policy', () => {
+    before(() => {
+        for (const dir of [root, sibling, outside, path.join(root, 'job', 'src')]) fs.mkdirSync(dir, { recursive: true });
+        fs.symlinkSync(outside, path.join(root, 'job', 'escape'));
+        fs.symlinkSync(path.join(root, 'job', 'src'), path.join(root, 'job', 'inside'));
+    });
+
+    after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    describe('resolveWithin', () => {
+        it('resolves relative paths inside the root', () => {
+            assert.equal(resolveWithin(root, 'job/src/index.ts', 'outputPath'), path.join(root, 'job', 'src', 'index.ts'));
+            assert.equal(resolveWithin(root, 'job/../job/src', 'outputPath'), path.join(root, 'job', 'src'));
+            assert.equal(resolveWithin(root, '.', 'outputPath'), root);
+        });
+
+        it('rejects .. escapes', () => {
+            assertRejected(() => resolveWithin(root, '../outside/file', 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveWithin(root, 'job/../../outside', 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects absolute paths outside the root', () => {
+            assertRejected(() => resolveWithin(root, outside, 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects a sibling directory sharing the root as a prefix', () => {
+            assertRejected(() => resolveWithin(root, sibling, 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveWithin(root, '../pcf-build-evil/x', 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects empty and NUL-containing paths', () => {
+            assertRejected(() => resolveWithin(root, '', 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveWithin(root, 'job/a\0b', 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveWithin(root, undefined, 'outputPath'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects paths that leave the root through a symlink, also for files not created yet', () => {
+            assertRejected(() => resolveWithin(root, 'job/escape', 'outputPath'), PATH_POLICY_CODES.SYMLINK_ESCAPE);
+            assertRejected(() => resolveWithin(root, 'job/escape/new/file.ts', 'outputPath'), PATH_POLICY_CODES.SYMLINK_ESCAPE);
+        });
+
+        it('accepts symlinks that stay inside the root', () => {
+            assert.equal(resolveWithin(root, 'job/inside/index.ts', 'outputPath'), path.join(root, 'job', 'inside', 'index.ts'));
+        });
+
+        it('reports the field in the error details', () => {
+            assert.throws(() => resolveWithin(root, '../x', 'templateName'),
+                error => error.details.field === 'templateName' && error.stage === 'path-policy');
+        });
+    });
+
+    describe('resolveSandboxedPath', () => {
+        it('accepts paths under a configured root', () => {
+            assert.equal(resolveSandboxedPath(path.join(root, 'job'), 'work', 'workingDir'), path.join(root, 'job'));
+        });
+
+        it('rejects a work root itself', () => {
+            assertRejected(() => resolveSandboxedPath(root, 'work', 'workingDir'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveSandboxedPath(`${root}/job/..`, 'work', 'workingDir'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects the reserved executor directories under a work root', () => {
+            for (const reserved of RESERVED_WORK_DIRS) {
+                assert.throws(() => resolveSandboxedPath(path.join(root, reserved), 'work', 'workingDir'),
+                    error => error.code === PATH_POLICY_CODES.OUTSIDE_ROOT && error.details.reserved === reserved);
+                assertRejected(() => resolveSandboxedPath(path.join(root, reserved, 'entry'), 'work', 'outputDir'),
+                    PATH_POLICY_CODES.OUTSIDE_ROOT);
+            }
+            assert.equal(resolveSandboxedPath(path.join(root, 'job', '.version-history'), 'work', 'outputDir'),
+                path.join(root, 'job', '.version-history'));
+        });
+
+        it('rejects paths outside every root, including sibling prefixes', () => {
+            assertRejected(() => resolveSandboxedPath(sibling, 'work', 'workingDir'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+            assertRejected(() => resolveSandboxedPath(`${root}/../outside`, 'work', 'workingDir'), PATH_POLICY_CODES.OUTSIDE_ROOT);
+        });
+
+        it('rejects symlink escapes under a root', () => {
+            assertRejected(() => resolveSandboxedPath(path.join(root, 'job', 'escape'), 'work', 'workingDir'),
+                PATH_POLICY_CODES.SYMLINK_ESCAPE);
+        });
+    });
+});
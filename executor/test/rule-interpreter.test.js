@@ -0,0 +1,115 @@
+/**
+ * Rule Interpreter tests: mappings, modifiers, negation, conflict strategies and clarification questions
+ * against the ai-brain intent rules, plus the LLM cross-check.
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { buildPurposeQuestion, crossCheckIntent, interpretIntentWithRules, loadRules } = require('../rule-interpreter');
+
+const BRAIN_PATH = path.join(__dirname, '../../ai-brain');
+
+const interpret = (input, options) => interpretIntentWithRules(input, BRAIN_PATH, options);
+
+describe('rule-interpreter', () => {
+    describe('interpretIntentWithRules', () => {
+        it('maps a rating request to the star-rating input control with the default assumptions', () => {
+            const result = interpret('A 5-star rating control');
+            assert.equal(result.needsClarification, false);
+            assert.equal(result.globalIntent.classification, 'input-control');
+            assert.equal(result.globalIntent.uiIntent.primaryPurpose, 'collect-rating');
+            assert.equal(result.globalIntent.componentType, 'star-rating');
+            assert.equal(result.globalIntent.behavior.interactivity, 'editable');
+            assert.equal(result.globalIntent.accessibility.wcagLevel, 'AA');
+            assert.deepEqual(result.globalIntent.interaction.inputMethod, ['click', 'keyboard']);
+            assert.equal(result.version, '1.0');
+        });
+
+        it('applies the display-with-rating contextual rule', () => {
+            const result = interpret('Show average rating');
+            assert.equal(result.diagnostics.contextualRule, 'display-with-rating-term');
+            assert.equal(result.globalIntent.classification, 'display-control');
+            assert.equal(result.globalIntent.behavior.interactivity, 'read-only');
+            assert.deepEqual(result.globalIntent.interaction.inputMethod, ['none']);
+            assert.deepEqual(result.unmappedPhrases, ['average']);
+        });
+
+        it('applies modifiers and ignores negated ones', () => {
+            assert.equal(interpret('Required rating field').globalIntent.behavior.validation, 'required');
+
+            const result = interpret('Rating control, nothing fancy');
+            assert.equal(result.globalIntent.uiIntent.visualStyle, 'standard');
+            assert.deepEqual(result.diagnostics.negated, [{ source: 'modifier:rich', pattern: 'fancy', text: 'fancy' }]);
+            assert.deepEqual(result.unmappedPhrases, []);
+        });
+
+        it('settles conflicting visual styles with the default-to-standard fallback', () => {
+            const result = interpret('Simple but fancy rating control');
+            assert.equal(result.needsClarification, false);
+            assert.equal(result.globalIntent.uiIntent.visualStyle, 'standard');
+            assert.equal(result.diagnostics.conflicts[0].strategy, 'default-to-standard');
+            assert.equal(result.diagnostics.conflicts[0].resolvedTo, 'standard');
+        });
+
+        it('asks about conflicting interactivity and applies the answer', () => {
+            const result = interpret('Read-only editable rating control');
+            assert.equal(result.needsClarification, true);
+            assert.equal(result.confidence, 0.5);
+            assert.deepEqual(result.clarificationQuestions, [{
+                kind: 'conflict',
+                path: 'behavior.interactivity',
+                question: 'Should this control be editable by users or display-only?',
+                options: ['read-only', 'editable']
+            }]);
+            assert.ok(result.diagnostics.conflicts[0].sources.includes('value:behavior.interactivity'));
+
+            const answered = interpret('Read-only editable rating control', {
+                clarifications: [{ ...result.clarificationQuestions[0], answer: 'Editable please' }]
+            });
+            assert.equal(answered.needsClarification, false);
+            assert.equal(answered.globalIntent.behavior.interactivity, 'editable');
+        });
+
+        it('asks for the purpose when nothing matches and uses the answer', () => {
+            const result = interpret('make something');
+            assert.equal(result.needsClarification, true);
+            assert.equal(result.globalIntent.componentType, 'unknown');
+            assert.equal(result.clarificationQuestions[0].kind, 'purpose');
+            assert.equal(result.clarificationQuestions[0].question, 'What is the main purpose of this control?');
+            assert.ok(result.clarificationQuestions[0].options.includes('display-value'));
+
+            const answered = interpret('make something', { clarifications: [{ kind: 'purpose', answer: 'collect a rating' }] });
+            assert.equal(answered.globalIntent.uiIntent.primaryPurpose, 'collect-rating');
+        });
+
+        it('lowers confidence for unmapped phrases', () => {
+            const result = interpret('rating with a hologram');
+            assert.deepEqual(result.unmappedPhrases, ['hologram']);
+            assert.ok(result.diagnostics.adjustments.some(adjustment => adjustment.reason === 'unmapped-phrases'));
+            assert.ok(result.confidence < interpret('rating').confidence);
+        });
+    });
+
+    it('builds the purpose question from the disambiguation rule', () => {
+        const rules = loadRules(BRAIN_PATH);
+        const question = buildPurposeQuestion(rules, [{ primaryPurpose: 'collect-number' }, { primaryPurpose: 'collect-date' }]);
+        assert.deepEqual(question, { kind: 'purpose', question: 'What is the main purpose of this control?', options: ['collect-number', 'collect-date'] });
+    });
+
+    describe('crossCheckIntent', () => {
+        const rules = interpret('A 5-star rating control');
+
+        it('agrees when the fields the rules determined match', () => {
+            const llm = { globalIntent: { ...rules.globalIntent, behavior: undefined }, needsClarification: false };
+            assert.deepEqual(crossCheckIntent(llm, rules), { agrees: true, disagreements: [] });
+        });
+
+        it('reports each disagreeing field', () => {
+            const llm = { globalIntent: { ...rules.globalIntent, classification: 'display-control' }, needsClarification: true };
+            assert.deepEqual(crossCheckIntent(llm, rules).disagreements.map(d => d.pointer),
+                ['/globalIntent/classification', '/needsClarification']);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Schema Validator tests: intent and spec outputs against the ai-brain schemas plus the cross-field invariants.
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { CLARIFICATION_THRESHOLD, SchemaValidationError, validateIntentResult, validateSpecResult } = require('../schema-validator');
+
+const BRAIN_PATH = path.join(__dirname, '../../ai-brain');
+const SPEC = require('./fixtures/star-rating-input.json').componentSpec;
+
+const INTENT = Object.freeze({
+    classification: 'input-control',
+    componentType: 'star-rating',
+    uiIntent: { primaryPurpose: 'collect-rating' },
+    interaction: { inputMethod: ['click'] }
+});
+
+function intentResult(overrides = {}) {
+    return { globalIntent: INTENT, confidence: 0.9, unmappedPhrases: [], needsClarification: false, ...overrides };
+}
+
+const pointers = violations => violations.map(violation => violation.pointer);
+
+describe('schema-validator', () => {
+    describe('validateIntentResult', () => {
+        it('accepts a complete, confident intent', () => {
+            assert.deepEqual(validateIntentResult(intentResult(), BRAIN_PATH), []);
+        });
+
+        it('reports missing envelope fields and wrong types', () => {
+            assert.deepEqual(pointers(validateIntentResult({ globalIntent: INTENT }, BRAIN_PATH)),
+                ['/confidence', '/unmappedPhrases', '/needsClarification']);
+            assert.deepEqual(pointers(validateIntentResult(intentResult({ confidence: 1.5, unmappedPhrases: [1] }), BRAIN_PATH)),
+                ['/confidence', '/unmappedPhrases']);
+            assert.deepEqual(validateIntentResult([], BRAIN_PATH), [{ pointer: '', keyword: 'type', message: 'must be object' }]);
+        });
+
+        it('requires clarification below the confidence threshold', () => {
+            const violations = validateIntentResult(intentResult({ confidence: CLARIFICATION_THRESHOLD - 0.1 }), BRAIN_PATH);
+            assert.deepEqual(violations.map(violation => violation.keyword), ['invariant']);
+            assert.equal(violations[0].pointer, '/needsClarification');
+        });
+
+        it('validates a final intent against the schema with pointers into the output', () => {
+            const violations = validateIntentResult(intentResult({
+                globalIntent: { ...INTENT, classification: 'spaceship', uiIntent: {} }
+            }), BRAIN_PATH);
+            assert.deepEqual(pointers(violations).sort(), ['/globalIntent/classification', '/globalIntent/uiIntent/primaryPurpose']);
+            assert.match(violations.find(violation => violation.keyword === 'enum').message, /input-control/);
+        });
+
+        it('lets a clarification request carry a partial intent', () => {
+            const result = intentResult({ globalIntent: { componentType: 'unknown' }, confidence: 0.3, needsClarification: true });
+            assert.deepEqual(validateIntentResult(result, BRAIN_PATH), []);
+        });
+    });
+
+    describe('validateSpecResult', () => {
+        const capability = { capabilityId: 'star-rating' };
+
+        it('accepts a spec matching the schema and its capability', () => {
+            assert.deepEqual(validateSpecResult(SPEC, capability, BRAIN_PATH), []);
+        });
+
+        it('rejects duplicate property names', () => {
+            const spec = { ...SPEC, properties: [SPEC.properties[0], { ...SPEC.properties[1], name: SPEC.properties[0].name }] };
+            const violations = validateSpecResult(spec, capability, BRAIN_PATH);
+            assert.deepEqual(violations, [{ pointer: '/properties/1/name', keyword: 'invariant', message: "duplicate property name 'value'" }]);
+        });
+
+        it('rejects a spec generated for another capability', () => {
+            const violations = validateSpecResult(SPEC, { capabilityId: 'generic' }, BRAIN_PATH);
+            assert.deepEqual(pointers(violations), ['/capabilities/capabilityId']);
+        });
+
+        it('reports schema violations for a malformed spec', () => {
+            const withoutName = { ...SPEC };
+            delete withoutName.componentName;
+            assert.ok(pointers(validateSpecResult(withoutName, capability, BRAIN_PATH)).includes('/componentName'));
+        });
+    });
+
+    it('summarizes violations in the error', () => {
+        const error = new SchemaValidationError('PCF-SPEC-004', 'spec-generation', [{ pointer: '/version', keyword: 'enum', message: 'must be equal to one of the allowed values' }]);
+        assert.equal(error.code, 'PCF-SPEC-004');
+        assert.equal(error.details.violations.length, 1);
+        assert.match(error.message, /1 violation\(s\): \/version must be equal/);
+    });
+});
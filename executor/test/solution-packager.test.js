@@ -0,0 +1,157 @@
+/**
+ * ZIP writer and Node solution packager tests: archive round trip, package layout, solution.xml and customizations.xml.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+const { ExecutorError } = require('../errors');
+const { describeSolution, packageSolution, publisherPrefix, resolvePackager, solutionVersion } = require('../solution-packager');
+const { ZipFormatError, readZipEntries, writeZip } = require('../zip-archive');
+
+const MANIFEST = `<?xml version="1.0" encoding="utf-8" ?>
+<manifest>
+  <control namespace="Contoso.Controls" constructor="StarRating" version="1.2.0" display-name-key="StarRating" control-type="standard">
+    <property name="value" display-name-key="Value" of-type="Whole.None" usage="bound" />
+  </control>
+</manifest>
+`;
+
+function entryMap(zipPath) {
+    return new Map(readZipEntries(fs.readFileSync(zipPath)).map(entry => [entry.name, entry.data.toString('utf8')]));
+}
+
+describe('zip-archive', () => {
+    it('round-trips stored and deflated entries with UTF-8 names', () => {
+        const entries = [
+            { name: 'small.txt', data: 'x' },
+            { name: 'dir/repeated.txt', data: 'abc'.repeat(1000) },
+            { name: 'Ünïcode/名前.xml', data: Buffer.from('<a/>') }
+        ];
+        const read = readZipEntries(writeZip(entries));
+        assert.deepEqual(read.map(entry => entry.name), entries.map(entry => entry.name));
+        read.forEach((entry, i) => assert.equal(entry.data.toString('utf8'), entries[i].data.toString()));
+    });
+
+    it('deflates only when that is smaller', () => {
+        const repeated = writeZip([{ name: 'a.txt', data: 'a'.repeat(10000) }]);
+        assert.ok(repeated.length < 1000);
+        assert.equal(repeated.readUInt16LE(8), 8);
+        assert.equal(writeZip([{ name: 'b.txt', data: 'b' }]).readUInt16LE(8), 0);
+    });
+
+    it('normalizes backslashes and rejects duplicate names', () => {
+        assert.equal(readZipEntries(writeZip([{ name: 'a\\b.txt', data: '' }]))[0].name, 'a/b.txt');
+        assert.throws(() => writeZip([{ name: 'a/b', data: '1' }, { name: 'a\\b', data: '2' }]), ZipFormatError);
+    });
+
+    it('rejects data that is not a ZIP archive', () => {
+        assert.throws(() => readZipEntries(Buffer.from('not a zip archive at all, but long enough')), ZipFormatError);
+        assert.throws(() => readZipEntries(Buffer.alloc(4)), ZipFormatError);
+    });
+});
+
+describe('solution-packager', () => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'solution-packager-'));
+    const controlDir = path.join(sandbox, 'out', 'controls', 'StarRating');
+    const outputDir = path.join(sandbox, 'out', 'solution');
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        fs.mkdirSync(path.join(controlDir, 'strings'), { recursive: true });
+        fs.writeFileSync(path.join(controlDir, 'ControlManifest.xml'), MANIFEST);
+        fs.writeFileSync(path.join(controlDir, 'bundle.js'), 'var control = 1;');
+        fs.writeFileSync(path.join(controlDir, 'strings', 'StarRating.1033.resx'), '<root/>');
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    });
+
+    it('resolves the packager from the request, then the environment', () => {
+        assert.equal(resolvePackager(undefined, {}), 'pac');
+        assert.equal(resolvePackager(undefined, { EXECUTOR_SOLUTION_PACKAGER: 'node' }), 'node');
+        assert.equal(resolvePackager('pac', { EXECUTOR_SOLUTION_PACKAGER: 'node' }), 'pac');
+        assert.throws(() => resolvePackager('msbuild', {}), error => error instanceof ExecutorError && error.code === 'PCF-SYS-007');
+    });
+
+    it('pads solution versions to four parts and rejects invalid ones', () => {
+        assert.equal(solutionVersion('1.2'), '1.2.0.0');
+        assert.equal(solutionVersion('1.2.3.4'), '1.2.3.4');
+        assert.throws(() => solutionVersion('1.x'), error => error.code === 'PCF-PKG-003');
+        assert.throws(() => solutionVersion('1.2.3.4.5'), error => error.code === 'PCF-PKG-003');
+    });
+
+    it('derives a 2-8 character publisher prefix from the namespace', () => {
+        assert.equal(publisherPrefix('Contoso.Controls'), 'contosoc');
+        assert.equal(publisherPrefix('A'), 'comp');
+    });
+
+    it('describes the solution from the built manifest', () => {
+        const solution = describeSolution(controlDir);
+        assert.equal(solution.uniqueName, 'StarRating_Solution');
+        assert.equal(solution.version, '1.2.0.0');
+        assert.equal(solution.controlName, 'Contoso.Controls.StarRating');
+        assert.equal(solution.controlFolder, 'Controls/Contoso.Controls.StarRating');
+        assert.equal(solution.publisher.uniqueName, 'ContosoControls');
+        assert.ok(solution.publisher.optionValuePrefix >= 10000 && solution.publisher.optionValuePrefix <= 99999);
+        assert.deepEqual(solution.files, ['ControlManifest.xml', 'bundle.js', 'strings/StarRating.1033.resx']);
+    });
+
+    it('writes the solution package layout', () => {
+        const result = packageSolution(controlDir, outputDir, { version: '1.2.0.7' });
+        assert.equal(result.solutionZip, path.join(outputDir, 'StarRating_Solution.zip'));
+        assert.equal(result.managedZip, null);
+        assert.equal(result.version, '1.2.0.7');
+
+        const entries = entryMap(result.solutionZip);
+        assert.deepEqual([...entries.keys()], [
+            '[Content_Types].xml',
+            'solution.xml',
+            'customizations.xml',
+            'Controls/Contoso.Controls.StarRating/ControlManifest.xml',
+            'Controls/Contoso.Controls.StarRating/bundle.js',
+            'Controls/Contoso.Controls.StarRating/strings/StarRating.1033.resx'
+        ]);
+        assert.equal(entries.get('Controls/Contoso.Controls.StarRating/bundle.js'), 'var control = 1;');
+
+        const contentTypes = entries.get('[Content_Types].xml');
+        for (const extension of ['js', 'resx', 'xml']) assert.match(contentTypes, new RegExp(`<Default Extension="${extension}"`));
+    });
+
+    it('writes solution.xml with the version, publisher and the control as root component', () => {
+        const solution = entryMap(path.join(outputDir, 'StarRating_Solution.zip')).get('solution.xml');
+        assert.match(solution, /<UniqueName>StarRating_Solution<\/UniqueName>/);
+        assert.match(solution, /<Version>1\.2\.0\.7<\/Version>/);
+        assert.match(solution, /<Managed>0<\/Managed>/);
+        assert.match(solution, /<CustomizationPrefix>contosoc<\/CustomizationPrefix>/);
+        assert.match(solution, /<RootComponent type="66" schemaName="Contoso\.Controls\.StarRating" behavior="0" \/>/);
+        assert.equal((solution.match(/<Address>/g) || []).length, 2);
+    });
+
+    it('registers the control in customizations.xml', () => {
+        const customizations = entryMap(path.join(outputDir, 'StarRating_Solution.zip')).get('customizations.xml');
+        assert.match(customizations, /<Name>Contoso\.Controls\.StarRating<\/Name>/);
+        assert.match(customizations, /<FileName>\/Controls\/Contoso\.Controls\.StarRating\/ControlManifest\.xml<\/FileName>/);
+        assert.match(customizations, /<Language>1033<\/Language>/);
+    });
+
+    it('also writes the managed package on request', () => {
+        const result = packageSolution(controlDir, outputDir, { managed: true, solutionName: 'Ratings' });
+        assert.equal(result.managedZip, path.join(outputDir, 'Ratings_managed.zip'));
+        assert.match(entryMap(result.managedZip).get('solution.xml'), /<Managed>1<\/Managed>/);
+        assert.match(entryMap(result.solutionZip).get('solution.xml'), /<Managed>0<\/Managed>/);
+    });
+
+    it('refuses a control folder without a bundle or manifest', () => {
+        const empty = path.join(sandbox, 'empty');
+        fs.mkdirSync(empty);
+        assert.throws(() => packageSolution(empty, outputDir), error => error.code === 'PCF-PKG-001');
+        fs.writeFileSync(path.join(empty, 'ControlManifest.xml'), MANIFEST);
+        assert.throws(() => packageSolution(empty, outputDir), error => error.code === 'PCF-PKG-001' && /bundle\.js/.test(error.message));
+    });
+});
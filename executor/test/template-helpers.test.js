@@ -0,0 +1,87 @@
+/**
+ * Template Helpers tests: per-language default escaping, the explicit escaping helpers and the naming helpers.
+ */
+
+const assert = require('node:assert/strict');
+const Handlebars = require('handlebars');
+const { describe, it } = require('node:test');
+
+const { inferLanguage, prepareTemplate, registerTemplateHelpers } = require('../template-helpers');
+
+const handlebars = Handlebars.create();
+const HELPERS = registerTemplateHelpers(handlebars);
+
+function render(source, language, context = {}, data = {}) {
+    return handlebars.compile(prepareTemplate(handlebars, source, language))(context, { data });
+}
+
+const HOSTILE = `a"b'c<d>&\`\${x}\u2028`;
+
+describe('template-helpers', () => {
+    it('infers the output language from the template name', () => {
+        assert.deepEqual(
+            ['ControlManifest.Input.xml.hbs', 'strings.resx.hbs', 'package.json.hbs', 'index.ts.hbs', 'Control.tsx.hbs', 'styles.css.hbs', 'README.md.hbs', 'page.html.hbs']
+                .map(inferLanguage),
+            ['xml', 'xml', 'json', 'ts', 'ts', 'css', 'markdown', 'html']);
+    });
+
+    describe('default escaping', () => {
+        it('escapes {{value}} for the output language', () => {
+            assert.equal(render('<a t="{{v}}"/>', 'xml', { v: HOSTILE }), '<a t="a&quot;b&apos;c&lt;d&gt;&amp;`${x}\u2028"/>');
+            assert.equal(render('{"v": "{{v}}"}', 'json', { v: HOSTILE }), '{"v": "a\\"b\'c<d>&`${x}\\u2028"}');
+            assert.equal(render("const v = '{{v}}';", 'ts', { v: HOSTILE }), "const v = 'a\\\"b\\'c<d>&\\`\\${x}\\u2028';");
+            assert.equal(render('.{{v}} {}', 'css', { v: 'a b;}' }), '.a\\20 b\\3b \\7d  {}');
+            assert.equal(render('# {{v}}', 'markdown', { v: HOSTILE }), `# ${HOSTILE}`);
+        });
+
+        it('keeps HTML escaping for html templates and never escapes triple mustaches', () => {
+            assert.equal(render('{{v}}', 'html', { v: '<b>' }), '&lt;b&gt;');
+            assert.equal(render('{{{v}}}', 'json', { v: '"raw"' }), '"raw"');
+        });
+
+        it('escapes helper output once, and not again when the helper already escaped it', () => {
+            assert.equal(render('"{{default v "x\'y"}}"', 'ts', {}), '"x\\\'y"');
+            assert.equal(render('{{json v}}', 'json', { v: { a: '<"' } }), '{"a":"<\\""}');
+            assert.equal(render('<a t="{{xmlAttr v}}">{{xmlText v}}</a>', 'xml', { v: '"<\n' }), '<a t="&quot;&lt;&#10;">"&lt;\n</a>');
+        });
+
+        it('rejects an unknown output language', () => {
+            assert.throws(() => prepareTemplate(handlebars, '{{v}}', 'cobol'), /Unknown template output language: cobol/);
+        });
+    });
+
+    describe('helpers', () => {
+        it('registers the public helpers only', () => {
+            assert.ok(HELPERS.includes('capabilityParam'));
+            assert.ok(!HELPERS.some(name => name.startsWith('__')));
+        });
+
+        it('converts names between cases and pluralizes', () => {
+            assert.equal(render('{{pascalCase v}} {{camelCase v}} {{kebabCase v}}', 'text', { v: 'star-rating XMLControl' }),
+                'StarRatingXmlControl starRatingXmlControl star-rating-xml-control');
+            assert.equal(render('{{pluralize "star"}} {{pluralize "star" 1}} {{pluralize "category"}} {{pluralize "box"}}', 'text'),
+                'stars star categories boxes');
+        });
+
+        it('branches on membership with ifIn', () => {
+            const source = '{{#ifIn v "a" "b"}}in{{else}}out{{/ifIn}} {{#ifIn v list}}in{{else}}out{{/ifIn}}';
+            assert.equal(render(source, 'text', { v: 'b', list: ['c'] }), 'in out');
+        });
+
+        it('reads capability parameters from the spec, then the enabled feature defaults', () => {
+            const capability = {
+                supportedFeatures: [
+                    { featureId: 'basic', parameters: { maxStars: { default: 5 } } },
+                    { featureId: 'large', parameters: { maxStars: { default: 10 } } }
+                ]
+            };
+            const source = '{{capabilityParam "maxStars" 3}} {{capabilityParam "unknown" 3}}';
+            const spec = features => ({ capabilities: { features, customizations: {} } });
+
+            assert.equal(render(source, 'text', spec(['basic']), { capability }), '5 3');
+            assert.equal(render(source, 'text', spec(['large']), { capability }), '10 3');
+            assert.equal(render(source, 'text', { capabilities: { features: [], customizations: { maxStars: 7 } } }, { capability }), '7 3');
+            assert.equal(render(source, 'text', spec([])), '3 3');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Template Packs tests: capability -> generic -> root resolution, pack prefixes, legacy layouts,
+ * manifest problems and the coverage listing.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const { listTemplatePacks, loadTemplatePacks, resolveTemplate } = require('../template-packs');
+
+const BRAIN_TEMPLATES = path.join(__dirname, '../../ai-brain/templates');
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'template-packs-'));
+
+/** Writes a templates directory: { 'pack.json': {...}, 'generic/index.ts.hbs': '...' }. */
+function templatesDir(name, files) {
+    const dir = path.join(sandbox, name);
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+}
+
+const manifest = (packId, files, extra = {}) => ({ packId, files, ...extra });
+
+describe('template-packs', () => {
+    after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    describe('resolveTemplate', () => {
+        const packs = loadTemplatePacks(BRAIN_TEMPLATES);
+        const resolve = (name, capabilityId) => {
+            const resolution = resolveTemplate(packs, name, capabilityId);
+            return resolution.pack && `${resolution.pack.id}:${resolution.name}`;
+        };
+
+        it('prefers the capability pack, then generic, then root', () => {
+            assert.equal(resolve('index.ts.hbs', 'star-rating'), 'star-rating:index.ts.hbs');
+            assert.equal(resolve('index.ts.hbs', 'color-picker'), 'generic:index.ts.hbs');
+            assert.equal(resolve('README.md.hbs', 'star-rating'), 'root:README.md.hbs');
+            assert.deepEqual(resolveTemplate(packs, 'README.md.hbs', 'star-rating').chain, ['star-rating', 'generic', 'root']);
+        });
+
+        it('lets a pack prefix in the plan override the capability', () => {
+            assert.equal(resolve('star-rating/styles.css.hbs', 'color-picker'), 'star-rating:styles.css.hbs');
+            assert.equal(resolve('generic/index.ts.hbs', 'star-rating'), 'generic:index.ts.hbs');
+        });
+
+        it('reports the packs searched when nothing declares the template', () => {
+            const resolution = resolveTemplate(packs, 'missing.hbs', 'star-rating');
+            assert.equal(resolution.file, null);
+            assert.deepEqual(resolution.searched.map(pack => pack.id), ['star-rating', 'generic', 'root']);
+        });
+    });
+
+    it('treats a templates directory without manifests as one implicit root pack', () => {
+        const dir = templatesDir('legacy', { 'index.ts.hbs': 'x', 'star-rating/index.ts.hbs': 'y' });
+        const packs = loadTemplatePacks(dir);
+        assert.deepEqual([...packs.keys()], ['root']);
+        assert.equal(packs.get('root').implicit, true);
+
+        const prefixed = resolveTemplate(packs, 'star-rating/index.ts.hbs', 'star-rating');
+        assert.equal(prefixed.file.path, path.join(dir, 'star-rating/index.ts.hbs'));
+        assert.equal(resolveTemplate(packs, 'star-rating/README.md.hbs', 'star-rating').file, null);
+        assert.equal(resolveTemplate(packs, 'index.ts.hbs', 'star-rating').file.path, path.join(dir, 'index.ts.hbs'));
+    });
+
+    it('records manifest problems and marks broken packs invalid', () => {
+        const dir = templatesDir('broken', {
+            'pack.json': manifest('root', ['README.md.hbs', '../escape.hbs', { description: 'no name' }]),
+            'README.md.hbs': '',
+            'renamed/pack.json': manifest('other', []),
+            'badlang/pack.json': manifest('badlang', [{ template: 'a.hbs', language: 'cobol' }]),
+            'unparsable/pack.json': '{ files: ',
+            'gaps/pack.json': manifest('gaps', ['declared.hbs'])
+        });
+        const packs = loadTemplatePacks(dir);
+
+        assert.equal(packs.get('root').valid, true);
+        assert.equal(packs.get('root').problems.length, 2);
+        assert.equal(packs.get('renamed').valid, false);
+        assert.match(packs.get('renamed').problems[0], /packId 'other'/);
+        assert.equal(packs.get('badlang').valid, false);
+        assert.equal(packs.get('unparsable').valid, false);
+        assert.equal(packs.get('gaps').valid, true);
+        assert.deepEqual(packs.get('gaps').problems, ['Declared template is missing: declared.hbs']);
+    });
+
+    it('lists own, inherited and missing templates per pack', () => {
+        const dir = templatesDir('listing', {
+            'pack.json': manifest('root', ['README.md.hbs', 'index.ts.hbs']),
+            'README.md.hbs': '',
+            'index.ts.hbs': '',
+            'generic/pack.json': manifest('generic', ['index.ts.hbs', 'Control.tsx.hbs']),
+            'generic/index.ts.hbs': '',
+            'generic/Control.tsx.hbs': '',
+            'gauge/pack.json': manifest('gauge', [{ template: 'styles.css.hbs', language: 'css' }], { capabilityId: 'gauge' }),
+            'gauge/styles.css.hbs': ''
+        });
+        const listing = Object.fromEntries(listTemplatePacks(dir).map(pack => [pack.id, pack]));
+
+        assert.deepEqual(Object.keys(listing).sort(), ['gauge', 'generic', 'root']);
+        assert.deepEqual(listing.gauge.coverage.own, 1);
+        assert.deepEqual(listing.gauge.coverage.inherited, 3);
+        assert.equal(listing.gauge.capabilityId, 'gauge');
+        assert.deepEqual(listing.gauge.files, [{ template: 'styles.css.hbs', description: undefined, language: 'css', exists: true }]);
+        assert.deepEqual(listing.root.coverage.templates.filter(t => !t.source).map(t => t.template), ['Control.tsx.hbs', 'styles.css.hbs']);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Test Runner tests: forbidden-behavior matching at capability matching and case evaluation.
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { evaluateCase, findForbiddenBehavior } = require('../test-runner');
+
+const CAPABILITY = require('../../ai-brain/capabilities/star-rating.capability.json');
+
+const behaviorFor = input => (findForbiddenBehavior(input, CAPABILITY) || {}).behavior || null;
+
+describe('test-runner', () => {
+    describe('findForbiddenBehavior', () => {
+        it('matches input sharing two words with a forbidden behavior', () => {
+            assert.equal(behaviorFor('Rating that posts to an external API on every call'), 'External API calls for rating submission');
+            assert.equal(behaviorFor('Rating using Font Awesome icons from CDN'), 'Custom icon fonts loaded from CDN');
+        });
+
+        it('matches one shared word when a duration exceeds the behavior limit', () => {
+            assert.equal(behaviorFor('Rating with 2-second star animation'), 'Animated star transitions exceeding 500ms');
+            assert.equal(behaviorFor('Rating with a 300ms star animation'), null);
+        });
+
+        it('ignores the capability name and single shared words', () => {
+            assert.equal(behaviorFor('I want a 15-star rating system'), null);
+            assert.equal(behaviorFor('Rating control that is required before submission'), null);
+        });
+    });
+
+    describe('evaluateCase', () => {
+        const rejected = { id: 'CASE', expectedOutcome: 'rejected', expectedError: { stage: 'capability-matching' } };
+        const actual = { outcome: 'success', stage: 'capability-matching', questions: [], intent: {}, capabilityId: 'star-rating', specSkipped: true };
+
+        it('fails an expected capability-matching rejection that succeeds', () => {
+            assert.equal(evaluateCase(rejected, actual)[0].status, 'fail');
+            assert.equal(evaluateCase(rejected, { ...actual, outcome: 'rejected' })[0].status, 'pass');
+        });
+
+        it('skips checks that need a stage the mode does not run', () => {
+            const checks = evaluateCase({ id: 'CASE', expectedOutcome: 'success', expectedCustomizations: { maxStars: 10 } }, actual);
+            assert.deepEqual(checks.map(check => check.status), ['pass', 'skipped']);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Three-Way Merge tests: one-sided changes merge cleanly, overlapping changes conflict, nothing is lost.
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { MARKERS, mergeThreeWay } = require('../three-way-merge');
+
+const lines = (...values) => values.map(value => `${value}\n`).join('');
+
+describe('three-way-merge', () => {
+    const base = lines('a', 'b', 'c', 'd', 'e');
+
+    it('takes the fresh render when nothing was edited', () => {
+        const fresh = lines('a', 'B', 'c', 'd', 'e');
+        assert.deepEqual(mergeThreeWay(base, base, fresh), { content: fresh, conflicts: [] });
+    });
+
+    it('keeps the edit when the render did not change', () => {
+        const edited = lines('a', 'b', 'c', 'D', 'e');
+        assert.deepEqual(mergeThreeWay(base, edited, base), { content: edited, conflicts: [] });
+    });
+
+    it('combines edits and render changes in different regions', () => {
+        const edited = lines('a', 'b', 'c', 'd', 'e', 'hand-written');
+        const fresh = lines('generated', 'a', 'b', 'c', 'd', 'e');
+        assert.deepEqual(mergeThreeWay(base, edited, fresh), {
+            content: lines('generated', 'a', 'b', 'c', 'd', 'e', 'hand-written'),
+            conflicts: []
+        });
+    });
+
+    it('merges an identical change on both sides without a conflict', () => {
+        const changed = lines('a', 'b', 'X', 'd', 'e');
+        assert.deepEqual(mergeThreeWay(base, changed, lines('a', 'b', 'X', 'd', 'e', 'f')), {
+            content: lines('a', 'b', 'X', 'd', 'e', 'f'),
+            conflicts: []
+        });
+    });
+
+    it('takes a deletion from one side', () => {
+        const edited = lines('a', 'c', 'd', 'e');
+        const fresh = lines('a', 'b', 'c', 'd', 'E');
+        assert.equal(mergeThreeWay(base, edited, fresh).content, lines('a', 'c', 'd', 'E'));
+    });
+
+    it('marks overlapping changes as a conflict with all three sides', () => {
+        const edited = lines('a', 'b', 'mine', 'd', 'e');
+        const fresh = lines('a', 'b', 'theirs', 'd', 'e');
+        const { content, conflicts } = mergeThreeWay(base, edited, fresh);
+
+        assert.deepEqual(conflicts, [{ line: 3, edited: 1, base: 1, fresh: 1 }]);
+        assert.equal(content, lines('a', 'b',
+            MARKERS.edited, 'mine', MARKERS.base, 'c', MARKERS.separator, 'theirs', MARKERS.fresh,
+            'd', 'e'));
+    });
+
+    it('reports the merged line of every conflict block', () => {
+        const edited = lines('A1', 'b', 'c', 'd', 'E1');
+        const fresh = lines('A2', 'b', 'c', 'd', 'E2');
+        const { content, conflicts } = mergeThreeWay(base, edited, fresh);
+        const mergedLines = content.split('\n');
+
+        assert.equal(conflicts.length, 2);
+        for (const conflict of conflicts) assert.equal(mergedLines[conflict.line - 1], MARKERS.edited);
+    });
+
+    it('never loses a line from the edited or the fresh side', () => {
+        const edited = lines('a', 'keep-me', 'c', 'mine', 'e', 'tail-edit');
+        const fresh = lines('head-fresh', 'a', 'b', 'c', 'theirs', 'e');
+        const { content } = mergeThreeWay(base, edited, fresh);
+        for (const line of ['keep-me', 'mine', 'tail-edit', 'head-fresh', 'theirs']) {
+            assert.ok(content.includes(`${line}\n`), `merged content lost '${line}'`);
+        }
+    });
+
+    it('puts markers on their own line when a side lacks a final newline', () => {
+        const { content, conflicts } = mergeThreeWay('x', 'mine', 'theirs');
+        assert.equal(conflicts.length, 1);
+        assert.equal(content, `${MARKERS.edited}\nmine\n${MARKERS.base}\nx\n${MARKERS.separator}\ntheirs\n${MARKERS.fresh}\n`);
+    });
+});
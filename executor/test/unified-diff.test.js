@@ -0,0 +1,94 @@
+/**
+ * Unified Diff tests: hunks, headers and newline handling, and the dry-run previews generateFiles builds with them.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it, mock } = require('node:test');
+
+process.env.EXECUTOR_VERSION_STORE = 'off';
+const { generateFiles } = require('../file-generator');
+const { createUnifiedDiff, diffLines, splitLines } = require('../unified-diff');
+
+const INPUT = require('./fixtures/star-rating-input.json');
+const TEMPLATES_DIR = path.join(__dirname, '../../ai-brain/templates');
+
+describe('unified-diff', () => {
+    it('keeps line endings when splitting', () => {
+        assert.deepEqual(splitLines('a\nb'), ['a\n', 'b']);
+        assert.deepEqual(splitLines(''), []);
+    });
+
+    it('produces a minimal edit script', () => {
+        const ops = diffLines(['a\n', 'b\n', 'c\n'], ['a\n', 'c\n', 'd\n']);
+        assert.deepEqual(ops.map(op => `${op.type}${op.line.trim()}`), [' a', '-b', ' c', '+d']);
+    });
+
+    it('returns nothing for identical texts', () => {
+        assert.equal(createUnifiedDiff('same\n', 'same\n'), '');
+    });
+
+    it('writes headers and a hunk with context', () => {
+        assert.equal(createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { oldLabel: 'a/x', newLabel: 'b/x' }),
+            '--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    });
+
+    it('diffs a new file against an empty range', () => {
+        assert.equal(createUnifiedDiff('', 'one\ntwo\n', { oldLabel: '/dev/null', newLabel: 'b/x' }),
+            '--- /dev/null\n+++ b/x\n@@ -0,0 +1,2 @@\n+one\n+two\n');
+    });
+
+    it('marks a missing final newline as a change', () => {
+        assert.equal(createUnifiedDiff('x\n', 'x'), '--- a\n+++ b\n@@ -1 +1 @@\n-x\n+x\n\\ No newline at end of file\n');
+    });
+
+    it('splits distant changes into separate hunks', () => {
+        const lines = Array.from({ length: 20 }, (_, i) => `l${i}\n`);
+        const changed = [...lines];
+        changed[1] = 'X\n';
+        changed[18] = 'Y\n';
+        const hunks = createUnifiedDiff(lines.join(''), changed.join(''), { context: 2 }).split('\n').filter(line => line.startsWith('@@'));
+        assert.deepEqual(hunks, ['@@ -1,4 +1,4 @@', '@@ -17,4 +17,4 @@']);
+    });
+
+    describe('generateFiles dry run', () => {
+        const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'unified-diff-'));
+        const outputDir = path.join(sandbox, 'StarRating');
+
+        before(() => {
+            mock.method(console, 'log', () => {});
+            mock.method(console, 'error', () => {});
+        });
+
+        after(() => {
+            mock.restoreAll();
+            fs.rmSync(sandbox, { recursive: true, force: true });
+        });
+
+        it('previews every file as added and writes nothing', () => {
+            const result = generateFiles(INPUT, outputDir, TEMPLATES_DIR, { dryRun: true });
+            assert.equal(result.dryRun, true);
+            assert.equal(result.summary.added, result.files.length);
+            assert.equal(result.manifest, undefined);
+            const manifest = result.files.find(file => file.path === 'ControlManifest.Input.xml');
+            assert.ok(manifest.diff.startsWith('--- /dev/null\n+++ b/ControlManifest.Input.xml\n'));
+            assert.equal(fs.existsSync(outputDir), false);
+        });
+
+        it('reports only the files a spec change modifies', () => {
+            generateFiles(INPUT, outputDir, TEMPLATES_DIR);
+            const changed = { ...INPUT, componentSpec: { ...INPUT.componentSpec, description: 'Rate products with stars' } };
+            const result = generateFiles(changed, outputDir, TEMPLATES_DIR, { dryRun: true });
+
+            assert.equal(result.summary.added, 0);
+            assert.ok(result.summary.modified > 0);
+            assert.ok(result.summary.unchanged > 0);
+            const modified = result.files.filter(file => file.status === 'modified');
+            assert.ok(modified.every(file => file.diff.includes('+') && file.diff.startsWith(`--- a/${file.path}`)));
+            assert.ok(result.files.filter(file => file.status === 'unchanged').every(file => file.diff === ''));
+            assert.notEqual(fs.readFileSync(path.join(outputDir, modified[0].path), 'utf8'), modified[0].content);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Three-Way Merge
+ * Line-based diff3 merge used when regenerating a component whose files were edited by hand.
+ *   base   - what the generator wrote last time (baseline)
+ *   edited - what is on disk now
+ *   fresh  - what the generator renders now
+ * Changes on only one side are taken as-is; overlapping changes become conflict blocks with markers.
+ */
+
+const { diffLines, splitLines } = require('./unified-diff');
+
+const MARKERS = Object.freeze({
+    edited: '<<<<<<< edited',
+    base: '||||||| previous generation',
+    separator: '=======',
+    fresh: '>>>>>>> regenerated'
+});
+
+/**
+ * For every base line, the index of the matching line in the other text (-1 when deleted/changed).
+ */
+function matchIndexes(baseLines, otherLines) {
+    const matches = new Array(baseLines.length).fill(-1);
+    for (const op of diffLines(baseLines, otherLines)) {
+        if (op.type === ' ') matches[op.oldIndex] = op.newIndex;
+    }
+    return matches;
+}
+
+/**
+ * Splits the three texts into alternating stable and changed chunks.
+ * @returns {{ base: string[], edited: string[], fresh: string[], stable: boolean }[]}
+ */
+function diff3Chunks(baseLines, editedLines, freshLines) {
+    const toEdited = matchIndexes(baseLines, editedLines);
+    const toFresh = matchIndexes(baseLines, freshLines);
+    const chunks = [];
+    let o = 0;
+    let a = 0;
+    let b = 0;
+
+    while (o < baseLines.length || a < editedLines.length || b < freshLines.length) {
+        // Lines unchanged in both edited and fresh
+        let length = 0;
+        while (o + length < baseLines.length && toEdited[o + length] === a + length && toFresh[o + length] === b + length) {
+            length++;
+        }
+        if (length > 0) {
+            const lines = baseLines.slice(o, o + length);
+            chunks.push({ base: lines, edited: lines, fresh: lines, stable: true });
+            o += length;
+            a += length;
+            b += length;
+            continue;
+        }
+
+        // Changed region: up to the next base line both sides still contain
+        let next = o;
+        while (next < baseLines.length && (toEdited[next] === -1 || toFresh[next] === -1)) next++;
+        const editedEnd = next < baseLines.length ? toEdited[next] : editedLines.length;
+        const freshEnd = next < baseLines.length ? toFresh[next] : freshLines.length;
+        chunks.push({
+            base: baseLines.slice(o, next),
+            edited: editedLines.slice(a, editedEnd),
+            fresh: freshLines.slice(b, freshEnd),
+            stable: false
+        });
+        o = next;
+        a = editedEnd;
+        b = freshEnd;
+    }
+    return chunks;
+}
+
+function sameLines(left, right) {
+    return left.length === right.length && left.every((line, i) => line === right[i]);
+}
+
+// Marker lines must start on their own line even when a section lacks a final newline
+function section(lines) {
+    const text = lines.join('');
+    return text === '' || text.endsWith('\n') ? text : `${text}\n`;
+}
+
+/**
+ * Merges hand edits with a fresh render.
+ * @param {string} base - Previously generated content
+ * @param {string} edited - Current content on disk
+ * @param {string} fresh - Newly rendered content
+ * @returns {{ content: string, conflicts: { line: number, edited: number, base: number, fresh: number }[] }}
+ *   conflicts: 1-based line of each conflict block in the merged content and the line counts of its sides
+ */
+function mergeThreeWay(base, edited, fresh) {
+    if (edited === base || edited === fresh) return { content: fresh, conflicts: [] };
+    if (fresh === base) return { content: edited, conflicts: [] };
+
+    const output = [];
+    const conflicts = [];
+    let line = 1;
+    const emit = (text) => {
+        output.push(text);
+        line += (text.match(/\n/g) || []).length;
+    };
+
+    for (const chunk of diff3Chunks(splitLines(base), splitLines(edited), splitLines(fresh))) {
+        if (chunk.stable || sameLines(chunk.edited, chunk.fresh)) {
+            emit(chunk.edited.join(''));
+        } else if (sameLines(chunk.base, chunk.edited)) {
+            emit(chunk.fresh.join(''));
+        } else if (sameLines(chunk.base, chunk.fresh)) {
+            emit(chunk.edited.join(''));
+        } else {
+            conflicts.push({ line, edited: chunk.edited.length, base: chunk.base.length, fresh: chunk.fresh.length });
+            emit(`${MARKERS.edited}\n${section(chunk.edited)}${MARKERS.base}\n${section(chunk.base)}` +
+                `${MARKERS.separator}\n${section(chunk.fresh)}${MARKERS.fresh}\n`);
+        }
+    }
+    return { content: output.join(''), conflicts };
+}
+
+module.exports = { MARKERS, mergeThreeWay };
@@ -0,0 +1,105 @@
+/**
+ * Unified Diff
+ * Minimal line-based unified diff (LCS) used to preview generated files against what is on disk.
+ * No external dependency: generated PCF files are small, so a quadratic LCS table is affordable.
+ */
+
+const DEFAULT_CONTEXT = 3;
+// Above this many table cells the files are shown as a full replacement instead of a minimal diff
+const MAX_LCS_CELLS = 4000000;
+
+// Lines keep their "\n" so a missing final newline counts as a change
+function splitLines(text) {
+    return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', line, oldIndex, newIndex }].
+ */
+function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+        return [
+            ...oldLines.map((line, i) => ({ type: '-', line, oldIndex: i, newIndex: 0 })),
+            ...newLines.map((line, j) => ({ type: '+', line, oldIndex: n, newIndex: j }))
+        ];
+    }
+
+    // lcs[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = oldLines[i] === newLines[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && oldLines[i] === newLines[j]) {
+            ops.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+        } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+            ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+        } else {
+            ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+        }
+    }
+    return ops;
+}
+
+function hunkRange(start, count) {
+    // An empty range points at the line before it (0 for an empty file)
+    return count === 0 ? `${start},0` : count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Creates a unified diff between two texts.
+ * @param {string} oldText - Current content ('' when the file does not exist)
+ * @param {string} newText - Proposed content
+ * @param {object} [options]
+ * @param {string} [options.oldLabel] - Header label for the old file (e.g. 'a/index.ts' or '/dev/null')
+ * @param {string} [options.newLabel] - Header label for the new file
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @returns {string} Diff text, or '' when the contents are identical
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+    if (oldText === newText) return '';
+
+    const { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = options;
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changed = ops.map((op, index) => ({ op, index })).filter(({ op }) => op.type !== ' ');
+
+    // Group changes whose context windows overlap into hunks
+    const hunks = [];
+    for (const { index } of changed) {
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length - 1, index + context);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            hunks.push({ start, end });
+        }
+    }
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const { start, end } of hunks) {
+        const slice = ops.slice(start, end + 1);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        output.push(`@@ -${hunkRange(slice[0].oldIndex, oldCount)} +${hunkRange(slice[0].newIndex, newCount)} @@`);
+        for (const op of slice) {
+            output.push(`${op.type}${op.line.replace(/\n$/, '')}`);
+            if (!op.line.endsWith('\n')) output.push('\\ No newline at end of file');
+        }
+    }
+    return `${output.join('\n')}\n`;
+}
+
+module.exports = { createUnifiedDiff, diffLines, splitLines };
@@ -0,0 +1,194 @@
+/**
+ * ZIP Archive
+ * Minimal reader and writer for ZIP files (stored and deflated entries, no ZIP64, no encryption).
+ * Enough to inspect generated source archives and to write solution packages without zip/unzip binaries.
+ */
+
+const zlib = require('zlib');
+const { PackagingError } = require('./errors');
+
+const SIGNATURES = Object.freeze({
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_FILE: 0x02014b50,
+    END_OF_CENTRAL_DIR: 0x06054b50
+});
+
+const METHODS = Object.freeze({
+    STORED: 0,
+    DEFLATED: 8
+});
+
+// End-of-central-directory record: 22 bytes plus a comment of up to 65535 bytes
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+const VERSION_NEEDED = 20; // 2.0: deflate
+const UTF8_FLAG = 0x800;
+const ZIP32_LIMIT = 0xffffffff;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ZipFormatError extends PackagingError {
+    constructor(message) {
+        super('PCF-PKG-003', message);
+    }
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT);
+    for (let offset = buffer.length - EOCD_SIZE; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === SIGNATURES.END_OF_CENTRAL_DIR) return offset;
+    }
+    throw new ZipFormatError('Not a ZIP archive (end of central directory not found)');
+}
+
+function inflateEntry(name, method, compressed) {
+    if (method === METHODS.STORED) return compressed;
+    if (method === METHODS.DEFLATED) return zlib.inflateRawSync(compressed);
+    throw new ZipFormatError(`Unsupported compression method ${method} for ${name}`);
+}
+
+/**
+ * Reads every file entry of a ZIP archive (directory entries are skipped).
+ * @param {Buffer} buffer - Archive contents
+ * @returns {{ name: string, data: Buffer }[]} name: path inside the archive, always '/'-separated
+ * @throws {ZipFormatError} When the archive is malformed or uses unsupported features
+ */
+function readZipEntries(buffer) {
+    if (buffer.length < EOCD_SIZE) throw new ZipFormatError('Not a ZIP archive (too small)');
+
+    const eocd = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    const directoryOffset = buffer.readUInt32LE(eocd + 16);
+    if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+        throw new ZipFormatError('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== SIGNATURES.CENTRAL_FILE) {
+            throw new ZipFormatError(`Corrupt central directory at entry ${i}`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString((flags & 0x800) ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new ZipFormatError(`Encrypted entry not supported: ${name}`);
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== SIGNATURES.LOCAL_FILE) {
+            throw new ZipFormatError(`Corrupt local header for ${name}`);
+        }
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) {
+            throw new ZipFormatError(`Truncated entry: ${name}`);
+        }
+        entries.push({ name, data: inflateEntry(name, method, buffer.subarray(dataStart, dataStart + compressedSize)) });
+    }
+    return entries;
+}
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields of a Date (local time, 2-second resolution, 1980 epoch)
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Writes a ZIP archive. Entries are deflated unless that does not make them smaller.
+ * @param {{ name: string, data: Buffer|string }[]} entries - name: '/'-separated path inside the archive
+ * @param {object} [options]
+ * @param {Date} [options.modified] - Timestamp for every entry (default: now); fix it for reproducible archives
+ * @returns {Buffer}
+ * @throws {ZipFormatError} When the archive would need ZIP64 or names repeat
+ */
+function writeZip(entries, options = {}) {
+    const { time, date } = dosDateTime(options.modified || new Date());
+    const localParts = [];
+    const centralParts = [];
+    const names = new Set();
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = entry.name.replace(/\\/g, '/');
+        if (names.has(name)) throw new ZipFormatError(`Duplicate entry: ${name}`);
+        names.add(name);
+
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const method = deflated.length < data.length ? METHODS.DEFLATED : METHODS.STORED;
+        const stored = method === METHODS.DEFLATED ? deflated : data;
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+        if (data.length >= ZIP32_LIMIT || offset + stored.length >= ZIP32_LIMIT) {
+            throw new ZipFormatError(`Archive too large for ZIP32 at ${name}`);
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(SIGNATURES.LOCAL_FILE, 0);
+        local.writeUInt16LE(VERSION_NEEDED, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, nameBuffer, stored);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(SIGNATURES.CENTRAL_FILE, 0);
+        central.writeUInt16LE(VERSION_NEEDED, 4);
+        central.writeUInt16LE(VERSION_NEEDED, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + stored.length;
+    }
+    if (names.size >= 0xffff) throw new ZipFormatError('Too many entries for ZIP32');
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const eocd = Buffer.alloc(EOCD_SIZE);
+    eocd.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIR, 0);
+    eocd.writeUInt16LE(names.size, 8);
+    eocd.writeUInt16LE(names.size, 10);
+    eocd.writeUInt32LE(centralSize, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, ...centralParts, eocd]);
+}
+
+module.exports = { ZipFormatError, readZipEntries, writeZip };
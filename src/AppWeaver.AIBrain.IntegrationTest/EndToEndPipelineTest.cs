@@ -77,7 +77,11 @@ public class EndToEndPipelineTest
             // So result.BuildId IS the directory name.
             
             var buildDir = Path.Combine("/tmp/pcf-build", result.BuildId);
-            var zipPath = Path.Combine(buildDir, $"{result.ComponentSpec.ComponentName}_{result.BuildId}.zip");
+            // {ComponentName}_{solutionVersion}_{buildId}.zip, the solution version stamped by the executor
+            var zipPath = Directory.Exists(buildDir)
+                ? Directory.GetFiles(buildDir, $"{result.ComponentSpec.ComponentName}_*_{result.BuildId}.zip").FirstOrDefault()
+                    ?? Path.Combine(buildDir, $"{result.ComponentSpec.ComponentName}_{result.BuildId}.zip")
+                : Path.Combine(buildDir, $"{result.ComponentSpec.ComponentName}_{result.BuildId}.zip");
 
             Console.WriteLine($"\nVerifying Artifacts in: {buildDir}");
             
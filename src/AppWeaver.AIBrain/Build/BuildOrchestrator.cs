@@ -83,12 +83,9 @@ public class BuildOrchestrator : IBuildOrchestrator
             await ExecuteNodeScriptAsync("build-executor.js", $"\"{workingDir}\" \"{spec.ComponentName}\"", cancellationToken);
 
             // STEP 5: Verify ZIP Output
-            // The executor is expected to create: {ComponentName}_{buildId}.zip OR just a zip in the folder
-            // Let's assume standard PCF packing or strict naming.
-            // Requirement says: "bin/Release/*.zip" or specifically named.
-            // Part 2 spec says: "zip -r {ComponentName}_{buildId}.zip ."
-            var expectedZipName = $"{spec.ComponentName}_{buildId}.zip";
-            var outputZipPath = Path.Combine(workingDir, expectedZipName);
+            // The executor creates {ComponentName}_{solutionVersion}_{buildId}.zip (version dots as underscores);
+            // executors without version management created {ComponentName}_{buildId}.zip.
+            var outputZipPath = FindArtifactZip(workingDir, spec.ComponentName, buildId);
 
             if (!File.Exists(outputZipPath))
             {
@@ -120,6 +117,19 @@ public class BuildOrchestrator : IBuildOrchestrator
         }
     }
 
+    /// <summary>
+    /// Newest versioned artifact of the build, or the legacy unversioned path when there is none.
+    /// </summary>
+    private static string FindArtifactZip(string workingDir, string componentName, string buildId)
+    {
+        var versioned = Directory.Exists(workingDir)
+            ? Directory.GetFiles(workingDir, $"{componentName}_*_{buildId}.zip")
+                .OrderByDescending(File.GetLastWriteTimeUtc)
+                .FirstOrDefault()
+            : null;
+        return versioned ?? Path.Combine(workingDir, $"{componentName}_{buildId}.zip");
+    }
+
     private async Task ExecuteNodeScriptAsync(string scriptName, string arguments, CancellationToken cancellationToken)
     {
         var executorUrl = Environment.GetEnvironmentVariable("EXECUTOR_URL");
@@ -143,6 +153,7 @@ public class BuildOrchestrator : IBuildOrchestrator
                     var payload = new { inputJson = inputObj, outputDir = workingDir };
                     var response = await client.PostAsJsonAsync($"{executorUrl.TrimEnd('/')}/files", payload, cancellationToken);
                     response.EnsureSuccessStatusCode();
+                    await WaitForJobAsync(client, executorUrl, response, cancellationToken);
                     return;
                 }
                 else if (scriptName == "build-executor.js")
@@ -155,6 +166,7 @@ public class BuildOrchestrator : IBuildOrchestrator
                     var payload = new { workingDir, componentName };
                     var response = await client.PostAsJsonAsync($"{executorUrl.TrimEnd('/')}/build", payload, cancellationToken);
                     response.EnsureSuccessStatusCode();
+                    await WaitForJobAsync(client, executorUrl, response, cancellationToken);
                     return;
                 }
             }
@@ -203,6 +215,49 @@ public class BuildOrchestrator : IBuildOrchestrator
         }
     }
 
+    /// <summary>
+    /// Polls the executor job created by a /files or /build call until it finishes.
+    /// </summary>
+    private static async Task WaitForJobAsync(
+        HttpClient client,
+        string executorUrl,
+        HttpResponseMessage acceptedResponse,
+        CancellationToken cancellationToken)
+    {
+        var accepted = await acceptedResponse.Content.ReadFromJsonAsync<JsonElement>(cancellationToken: cancellationToken);
+        var jobId = accepted.GetProperty("jobId").GetString();
+        var jobUrl = $"{executorUrl.TrimEnd('/')}/jobs/{jobId}";
+        var deadline = DateTime.UtcNow.AddMinutes(15);
+
+        while (DateTime.UtcNow < deadline)
+        {
+            var job = await client.GetFromJsonAsync<JsonElement>(jobUrl, cancellationToken);
+            var state = job.GetProperty("state").GetString();
+
+            if (state == "succeeded")
+            {
+                return;
+            }
+            if (state == "failed")
+            {
+                var error = job.GetProperty("error");
+                var message = error.ValueKind == JsonValueKind.Object && error.TryGetProperty("message", out var m)
+                    ? m.GetString()
+                    : "Unknown executor error";
+                var code = error.ValueKind == JsonValueKind.Object && error.TryGetProperty("code", out var c)
+                    ? c.GetString()
+                    : null;
+                throw new BuildOrchestrationException(code is null
+                    ? $"Executor job {jobId} failed: {message}"
+                    : $"Executor job {jobId} failed [{code}]: {message}");
+            }
+
+            await Task.Delay(TimeSpan.FromSeconds(2), cancellationToken);
+        }
+
+        throw new BuildOrchestrationException($"Executor job {jobId} did not finish in time");
+    }
+
     private string[] ParseArgs(string arguments)
     {
         // Simple split strictly for this usage
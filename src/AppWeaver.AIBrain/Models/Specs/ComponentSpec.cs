@@ -50,6 +50,18 @@ public record ComponentSpec
     [JsonPropertyName("description")]
     public required string Description { get; init; }
 
+    /// <summary>
+    /// LCID of the display texts (defaults to 1033).
+    /// </summary>
+    [JsonPropertyName("defaultLcid")]
+    public int? DefaultLcid { get; init; }
+
+    /// <summary>
+    /// Translated display strings keyed by LCID (e.g. "1036").
+    /// </summary>
+    [JsonPropertyName("localizations")]
+    public Dictionary<string, LocalizedStrings>? Localizations { get; init; }
+
     /// <summary>
     /// Capability configuration.
     /// </summary>
@@ -62,6 +74,12 @@ public record ComponentSpec
     [JsonPropertyName("properties")]
     public required List<ComponentProperty> Properties { get; init; }
 
+    /// <summary>
+    /// Record sets bound to the control (dataset controls only).
+    /// </summary>
+    [JsonPropertyName("dataSets")]
+    public List<ComponentDataSet>? DataSets { get; init; }
+
     /// <summary>
     /// Resource configuration.
     /// </summary>
@@ -144,6 +162,42 @@ public record ResponsivenessConfig
     public bool? AdaptiveLayout { get; init; }
 }
 
+public record LocalizedStrings
+{
+    [JsonPropertyName("displayName")]
+    public string? DisplayName { get; init; }
+
+    [JsonPropertyName("description")]
+    public string? Description { get; init; }
+
+    [JsonPropertyName("properties")]
+    public Dictionary<string, LocalizedPropertyStrings>? Properties { get; init; }
+
+    [JsonPropertyName("dataSets")]
+    public Dictionary<string, LocalizedDataSetStrings>? DataSets { get; init; }
+}
+
+public record LocalizedPropertyStrings
+{
+    [JsonPropertyName("displayName")]
+    public string? DisplayName { get; init; }
+
+    [JsonPropertyName("description")]
+    public string? Description { get; init; }
+}
+
+public record LocalizedDataSetStrings
+{
+    [JsonPropertyName("displayName")]
+    public string? DisplayName { get; init; }
+
+    [JsonPropertyName("description")]
+    public string? Description { get; init; }
+
+    [JsonPropertyName("propertySets")]
+    public Dictionary<string, LocalizedPropertyStrings>? PropertySets { get; init; }
+}
+
 public record CapabilityConfig
 {
     [JsonPropertyName("capabilityId")]
@@ -177,6 +231,21 @@ public record ComponentProperty
     public required string Description { get; init; }
 }
 
+public record ComponentDataSet
+{
+    [JsonPropertyName("name")]
+    public required string Name { get; init; }
+
+    [JsonPropertyName("displayName")]
+    public required string DisplayName { get; init; }
+
+    [JsonPropertyName("description")]
+    public string? Description { get; init; }
+
+    [JsonPropertyName("propertySets")]
+    public List<ComponentProperty>? PropertySets { get; init; }
+}
+
 public record ResourceConfig
 {
     [JsonPropertyName("code")]
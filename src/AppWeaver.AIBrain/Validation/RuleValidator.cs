@@ -63,9 +63,10 @@ public partial class RuleValidator
             }
         }
 
-        // PCF_BINDING_001: At least one bound property for input/display controls
+        // PCF_BINDING_001: At least one bound property for field controls (dataset controls bind their data sets)
         var hasBoundProperty = spec.Properties.Any(p => p.Usage == "bound");
-        if (!hasBoundProperty)
+        var isDatasetControl = spec.DataSets is { Count: > 0 };
+        if (!hasBoundProperty && !isDatasetControl)
         {
             errors.Add(new ValidationError
             {